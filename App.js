@@ -1,25 +1,37 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { NavigationContainer } from '@react-navigation/native';
 import { Provider as PaperProvider } from 'react-native-paper';
 import AppNavigator from './src/navigation/AppNavigator';
+import { navigationRef } from './src/navigation/navigationRef';
 import { AuthProvider } from './src/contexts/AuthContext';
 import { ThemeProvider } from './src/contexts/ThemeContext';
+import { ServerProvider } from './src/contexts/ServerContext';
+import { restoreLogs } from './src/services/logger';
+import { startConnectivity } from './src/services/connectivity';
 
 export default function App() {
+  // Bring back the previous session's log entries for bug reports
+  useEffect(() => {
+    restoreLogs();
+    startConnectivity();
+  }, []);
+
   return (
     <SafeAreaProvider>
-      <AuthProvider>
-        <ThemeProvider>
-          <PaperProvider>
-            <NavigationContainer>
-              <AppNavigator />
-              <StatusBar style="auto" />
-            </NavigationContainer>
-          </PaperProvider>
-        </ThemeProvider>
-      </AuthProvider>
+      <ServerProvider>
+        <AuthProvider>
+          <ThemeProvider>
+            <PaperProvider>
+              <NavigationContainer ref={navigationRef}>
+                <AppNavigator />
+                <StatusBar style="auto" />
+              </NavigationContainer>
+            </PaperProvider>
+          </ThemeProvider>
+        </AuthProvider>
+      </ServerProvider>
     </SafeAreaProvider>
   );
 }
\ No newline at end of file
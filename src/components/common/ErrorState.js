@@ -0,0 +1,109 @@
+import React, { useContext } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import {
+  ApiError,
+  NetworkError,
+  NotFoundError,
+  ServerError,
+  UnauthorizedError,
+  getErrorMessage,
+} from '../../services/api/errors';
+
+// Icon and title for each kind of failure
+const getErrorPresentation = (error) => {
+  if (error instanceof NetworkError) {
+    return error.isTimeout
+      ? { icon: 'time-outline', title: 'Server Not Responding' }
+      : { icon: 'cloud-offline-outline', title: "You're Offline" };
+  }
+  if (error instanceof NotFoundError) {
+    return { icon: 'search-outline', title: 'Not Found' };
+  }
+  if (error instanceof UnauthorizedError) {
+    return { icon: 'lock-closed-outline', title: 'Signed Out' };
+  }
+  if (error instanceof ServerError) {
+    return { icon: 'server-outline', title: 'Server Problem' };
+  }
+  return { icon: 'alert-circle-outline', title: 'Something Went Wrong' };
+};
+
+const ErrorState = ({ error, onRetry, onBack, fallbackMessage }) => {
+  const { theme } = useContext(ThemeContext);
+
+  const { icon, title } = getErrorPresentation(error);
+  const message = typeof error === 'string' ? error : getErrorMessage(error, fallbackMessage);
+
+  // Retrying a missing record or a rejected request gives the same answer
+  const canRetry = onRetry && (!(error instanceof ApiError) || error.isRetryable);
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name={icon} size={64} color={theme.colors.error} />
+      <Text style={[styles.title, { color: theme.colors.text }]}>{title}</Text>
+      <Text style={[styles.message, { color: theme.colors.disabled }]}>{message}</Text>
+
+      <View style={styles.actions}>
+        {canRetry && (
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: theme.colors.primary }]}
+            onPress={onRetry}
+          >
+            <Ionicons name="refresh" size={18} color="#FFF" />
+            <Text style={styles.buttonText}>Try Again</Text>
+          </TouchableOpacity>
+        )}
+        {onBack && (
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: theme.colors.disabled }]}
+            onPress={onBack}
+          >
+            <Ionicons name="arrow-back" size={18} color="#FFF" />
+            <Text style={styles.buttonText}>Go Back</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  message: {
+    fontSize: 14,
+    textAlign: 'center',
+    maxWidth: '80%',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 25,
+    marginHorizontal: 6,
+  },
+  buttonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+});
+
+export default ErrorState;
@@ -113,7 +113,7 @@ const ImagePickerModal = ({ visible, onClose, onCameraPress, onGalleryPress, the
                     Gallery
                   </Text>
                   <Text style={[styles.optionSubtitle, { color: theme?.colors?.disabled || '#999' }]}>
-                    Choose an image from your gallery
+                    Choose one or more images from your gallery
                   </Text>
                 </View>
               </TouchableOpacity>
@@ -0,0 +1,76 @@
+import React, { useContext } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SafeAreaInsetsContext, useSafeAreaInsets } from 'react-native-safe-area-context';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import { CONNECTIVITY, useConnectivityStore, checkServer } from '../../services/connectivity';
+
+const messages = {
+  [CONNECTIVITY.OFFLINE]: {
+    icon: 'cloud-offline-outline',
+    text: 'Offline - showing saved data',
+  },
+  [CONNECTIVITY.SERVER_UNREACHABLE]: {
+    icon: 'server-outline',
+    text: 'Server unreachable',
+  },
+};
+
+// App-wide connection banner, shown above every screen while the server can't be reached
+// The banner takes the status bar area, so the screens below it get a zero top inset.
+const NetworkBanner = ({ children }) => {
+  const { theme } = useContext(ThemeContext);
+  const insets = useSafeAreaInsets();
+  const status = useConnectivityStore(state => state.status);
+
+  const message = messages[status];
+  const isUnreachable = status === CONNECTIVITY.SERVER_UNREACHABLE;
+  const backgroundColor = isUnreachable ? theme.colors.error : theme.colors.warning;
+
+  // The same tree with and without the banner, so the screens below aren't remounted
+  return (
+    <View style={styles.container}>
+      {message && (
+        <View style={[styles.banner, { backgroundColor, paddingTop: insets.top + 6 }]}>
+          <Ionicons name={message.icon} size={16} color="#fff" />
+          <Text style={styles.text} numberOfLines={1}>{message.text}</Text>
+          {isUnreachable && (
+            <TouchableOpacity onPress={checkServer} hitSlop={8}>
+              <Text style={styles.action}>Retry</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+      <SafeAreaInsetsContext.Provider value={message ? { ...insets, top: 0 } : insets}>
+        {children}
+      </SafeAreaInsetsContext.Provider>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingBottom: 6,
+  },
+  text: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  action: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: 'bold',
+    textDecorationLine: 'underline',
+  },
+});
+
+export default NetworkBanner;
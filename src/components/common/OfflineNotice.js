@@ -0,0 +1,36 @@
+import React, { useContext } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import { useIsOnline } from '../../services/connectivity';
+
+// Explains why some actions on a screen are disabled while the server can't be reached
+const OfflineNotice = ({ message, style }) => {
+  const { theme } = useContext(ThemeContext);
+  const isOnline = useIsOnline();
+
+  if (isOnline) return null;
+
+  return (
+    <View style={[styles.container, style]}>
+      <Ionicons name="information-circle-outline" size={16} color={theme.colors.disabled} />
+      <Text style={[styles.text, { color: theme.colors.disabled }]}>{message}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+  },
+  text: {
+    flex: 1,
+    fontSize: 13,
+    marginLeft: 6,
+  },
+});
+
+export default OfflineNotice;
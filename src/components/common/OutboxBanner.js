@@ -0,0 +1,62 @@
+import React, { useContext } from 'react';
+import { Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import { useOutboxStore, isOwnEntry } from '../../services/outbox';
+
+// Shows changes made offline that haven't reached the server, and the ones that need a decision
+const OutboxBanner = () => {
+  const { theme } = useContext(ThemeContext);
+  const navigation = useNavigation();
+  const waiting = useOutboxStore(state => state.entries.filter(isOwnEntry).length);
+  const conflicts = useOutboxStore(state => state.conflicts.filter(item => isOwnEntry(item.entry)).length);
+
+  if (conflicts > 0) {
+    return (
+      <TouchableOpacity
+        style={[styles.banner, { backgroundColor: theme.colors.error + '15' }]}
+        onPress={() => navigation.navigate('SyncConflicts')}
+      >
+        <Ionicons name="git-compare-outline" size={20} color={theme.colors.error} />
+        <Text style={[styles.text, { color: theme.colors.text }]}>
+          {conflicts} change{conflicts === 1 ? '' : 's'} could not be synced
+        </Text>
+        <Ionicons name="chevron-forward" size={18} color={theme.colors.disabled} />
+      </TouchableOpacity>
+    );
+  }
+
+  if (waiting === 0) return null;
+
+  return (
+    <TouchableOpacity
+      style={[styles.banner, { backgroundColor: theme.colors.card }]}
+      onPress={() => navigation.navigate('SyncConflicts')}
+    >
+      <Ionicons name="cloud-offline-outline" size={20} color={theme.colors.primary} />
+      <Text style={[styles.text, { color: theme.colors.text }]}>
+        {waiting} change{waiting === 1 ? '' : 's'} waiting to sync
+      </Text>
+      <Ionicons name="chevron-forward" size={18} color={theme.colors.disabled} />
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginHorizontal: 16,
+    marginBottom: 8,
+    borderRadius: 10,
+  },
+  text: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 14,
+  },
+});
+
+export default OutboxBanner;
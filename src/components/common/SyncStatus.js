@@ -0,0 +1,66 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDistanceToNow } from 'date-fns';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import { NetworkError, getErrorMessage } from '../../services/api/errors';
+
+// How often "synced 2 minutes ago" is brought up to date
+const TICK_INTERVAL = 30000;
+
+// Shows when a list was last synced, and why it is out of date if refreshing failed
+const SyncStatus = ({ updatedAt, error, isFetching }) => {
+  const { theme } = useContext(ThemeContext);
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setTick(tick => tick + 1), TICK_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  if (!updatedAt) return null;
+
+  const lastSynced = formatDistanceToNow(updatedAt, { addSuffix: true });
+
+  let icon = 'checkmark-circle-outline';
+  let color = theme.colors.disabled;
+  let message = `Synced ${lastSynced}`;
+
+  if (isFetching) {
+    icon = 'sync-outline';
+    message = `Syncing… last synced ${lastSynced}`;
+  } else if (error instanceof NetworkError) {
+    icon = 'cloud-offline-outline';
+    color = theme.colors.error;
+    message = `Offline, showing your library as of ${lastSynced}`;
+  } else if (error) {
+    icon = 'alert-circle-outline';
+    color = theme.colors.error;
+    message = `${getErrorMessage(error, 'Sync failed.')} Last synced ${lastSynced}`;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name={icon} size={14} color={color} />
+      <Text style={[styles.text, { color }]} numberOfLines={1}>
+        {message}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 4,
+  },
+  text: {
+    fontSize: 12,
+    marginLeft: 6,
+  },
+});
+
+export default SyncStatus;
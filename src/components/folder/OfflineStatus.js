@@ -0,0 +1,82 @@
+import React, { useContext } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { ProgressBar } from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDistanceToNow } from 'date-fns';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import { PIN_STATUS } from '../../services/offlineFolders';
+import { formatFileSize } from '../../services/imageFileCache';
+
+/**
+ * Describe a pinned folder's downloads, e.g. "Downloading 3 of 12 · 2.4 MB"
+ * @param {object} pin - Pinned folder entry
+ * @returns {string} Status line
+ */
+export const describeOfflineStatus = (pin) => {
+  const size = formatFileSize(pin.bytes);
+
+  switch (pin.status) {
+    case PIN_STATUS.DOWNLOADING:
+      return `Downloading ${pin.downloaded} of ${pin.total} · ${size}`;
+    case PIN_STATUS.WAITING:
+      return `Waiting for a connection · ${pin.downloaded} of ${pin.total} downloaded`;
+    case PIN_STATUS.ERROR:
+      return `${pin.error || 'Download failed.'} ${pin.downloaded} of ${pin.total} downloaded`;
+    case PIN_STATUS.READY:
+    default:
+      return `Available offline · ${pin.downloaded} image${pin.downloaded === 1 ? '' : 's'} · ${size}` +
+        (pin.syncedAt ? ` · synced ${formatDistanceToNow(pin.syncedAt, { addSuffix: true })}` : '');
+  }
+};
+
+// Download progress and storage use of a folder made available offline
+const OfflineStatus = ({ pin }) => {
+  const { theme } = useContext(ThemeContext);
+  if (!pin) return null;
+
+  const isError = pin.status === PIN_STATUS.ERROR;
+  const color = isError ? theme.colors.error : theme.colors.primary;
+  const icon = {
+    [PIN_STATUS.DOWNLOADING]: 'cloud-download-outline',
+    [PIN_STATUS.WAITING]: 'cloud-offline-outline',
+    [PIN_STATUS.ERROR]: 'alert-circle-outline',
+    [PIN_STATUS.READY]: 'checkmark-circle-outline',
+  }[pin.status];
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <Ionicons name={icon} size={20} color={color} />
+        <Text style={[styles.text, { color: theme.colors.text }]} numberOfLines={2}>
+          {describeOfflineStatus(pin)}
+        </Text>
+      </View>
+      {pin.status !== PIN_STATUS.READY && pin.total > 0 && (
+        <ProgressBar
+          progress={pin.downloaded / pin.total}
+          color={color}
+          style={styles.progress}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  text: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 14,
+  },
+  progress: {
+    marginTop: 8,
+    height: 4,
+    borderRadius: 2,
+  },
+});
+
+export default OfflineStatus;
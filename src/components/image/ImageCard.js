@@ -16,6 +16,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { Button } from 'react-native-paper';
 import { ThemeContext } from '../../contexts/ThemeContext';
+import { useImagePath } from '../../hooks/useImagePath';
 
 const { width } = Dimensions.get('window');
 const cardWidth = (width / 2) - 15; 
@@ -28,6 +29,8 @@ const ImageCard = ({ image, onPress, onImageAction, disabled = false }) => {
   const [editModalVisible, setEditModalVisible] = useState(false);
   const [editName, setEditName] = useState('');
   const [longPressAnim] = useState(new Animated.Value(1));
+  // The downloaded copy when the image's folder is available offline
+  const imagePath = useImagePath(image?.path);
 
   const formatDate = (dateString) => {
     try {
@@ -53,19 +56,7 @@ const ImageCard = ({ image, onPress, onImageAction, disabled = false }) => {
     
     // Handle string paths - most common case
     if (typeof image.path === 'string') {
-      // Ensure it starts with http for API images
-      if (image.path.startsWith('http')) {
-        return { uri: image.path };
-      } else {
-        // Could be a relative path from the API
-        try {
-          // Try to form a full URL if it's a relative path
-          return { uri: image.path };
-        } catch (error) {
-          console.warn('Error with image path format:', image.path);
-          return { uri: null };
-        }
-      }
+      return { uri: imagePath };
     }
     
     // If image.path is an object (from require), convert to string URI
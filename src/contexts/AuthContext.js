@@ -1,6 +1,13 @@
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
 import * as SecureStore from 'expo-secure-store';
 import { login, register, logout as apiLogout, getCurrentUser } from '../services/api/auth';
+import { addAuthListener, SESSION_EXPIRED } from '../services/api/authEvents';
+import { clearHttpCache } from '../services/api/httpCache';
+import { NetworkError } from '../services/api/errors';
+import { openLibrary, getOfflineUser, clearOfflineLibrary } from '../services/offlineLibrary';
+import { clearOfflineFolders } from '../services/offlineFolders';
+import { getActiveRoutePath } from '../navigation/navigationRef';
 
 export const AuthContext = createContext();
 
@@ -8,6 +15,27 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  // Screen the user was on when the session expired, restored after re-login
+  const returnRouteRef = useRef(null);
+  const userRef = useRef(null);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  // Without a connection the session is trusted until the server can be asked again
+  const getCurrentUserOrOffline = async () => {
+    try {
+      return await getCurrentUser();
+    } catch (error) {
+      if (error instanceof NetworkError) {
+        return getOfflineUser();
+      }
+      throw error;
+    }
+  };
 
   useEffect(() => {
     const loadStoredToken = async () => {
@@ -15,8 +43,12 @@ export const AuthProvider = ({ children }) => {
         const storedToken = await SecureStore.getItemAsync('token');
         if (storedToken) {
           setToken(storedToken);
-          const userData = await getCurrentUser(storedToken);
-          setUser(userData);
+          const userData = await getCurrentUserOrOffline();
+          if (userData) {
+            // Restored before the screens mount, so they start from the saved library
+            await openLibrary(userData);
+            setUser(userData);
+          }
         }
       } catch (error) {
         console.error('Error loading auth state:', error);
@@ -28,12 +60,50 @@ export const AuthProvider = ({ children }) => {
     loadStoredToken();
   }, []);
 
+  // The API client reports 401s on authenticated requests here
+  useEffect(() => {
+    const unsubscribe = addAuthListener(SESSION_EXPIRED, () => {
+      const path = getActiveRoutePath();
+      if (path.length > 0 && path[0].name === 'Main') {
+        returnRouteRef.current = { path, userId: userRef.current?.id };
+      }
+
+      setUser(null);
+      setToken(null);
+      setSessionExpired(true);
+
+      Alert.alert(
+        'Session Expired',
+        'Your session has expired. Please log in again to continue where you left off.',
+        [{ text: 'OK' }]
+      );
+    });
+
+    return unsubscribe;
+  }, []);
+
+  // Hand the saved route to the navigator once, after a successful re-login
+  const consumeReturnRoute = () => {
+    const returnRoute = returnRouteRef.current;
+    returnRouteRef.current = null;
+
+    // Don't drop a different account onto the previous user's screen
+    if (!returnRoute || returnRoute.userId !== userRef.current?.id) {
+      return null;
+    }
+    return returnRoute.path;
+  };
+
   const handleLogin = async (email, password) => {
     try {
       const response = await login(email, password);
-      setUser(response.user);
-      setToken(response.token);
       await SecureStore.setItemAsync('token', response.token);
+      setToken(response.token);
+      setSessionExpired(false);
+      await openLibrary(response.user);
+      // Updated right away because child screens read it before the next effect runs
+      userRef.current = response.user;
+      setUser(response.user);
       return response;
     } catch (error) {
       throw error;
@@ -43,9 +113,13 @@ export const AuthProvider = ({ children }) => {
   const handleRegister = async (name, email, password, passwordConfirmation) => {
     try {
       const response = await register(name, email, password, passwordConfirmation);
-      setUser(response.user);
-      setToken(response.token);
       await SecureStore.setItemAsync('token', response.token);
+      setToken(response.token);
+      setSessionExpired(false);
+      await openLibrary(response.user);
+      // Updated right away because child screens read it before the next effect runs
+      userRef.current = response.user;
+      setUser(response.user);
       return response;
     } catch (error) {
       throw error;
@@ -53,6 +127,13 @@ export const AuthProvider = ({ children }) => {
   };
 
   const handleLogout = async () => {
+    returnRouteRef.current = null;
+    setSessionExpired(false);
+    // The next account must not be shown this one's folders
+    clearHttpCache();
+    clearOfflineLibrary();
+    clearOfflineFolders();
+
     try {
       if (token) {
         await apiLogout(token);
@@ -75,12 +156,14 @@ export const AuthProvider = ({ children }) => {
         user,
         token,
         loading,
+        sessionExpired,
         login: handleLogin,
         register: handleRegister,
         logout: handleLogout,
+        consumeReturnRoute,
       }}
     >
       {children}
     </AuthContext.Provider>
   );
-};
\ No newline at end of file
+};
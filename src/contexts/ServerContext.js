@@ -0,0 +1,136 @@
+import React, { createContext, useState, useEffect } from 'react';
+import { setApiBaseUrl } from '../services/api/client';
+import { pingServer } from '../services/network';
+import { loadMockBackendSettings } from '../services/api/mock';
+import {
+  loadServerProfiles,
+  saveServerProfiles,
+  loadActiveProfileId,
+  saveActiveProfileId,
+  normalizeBaseUrl,
+  isValidBaseUrl,
+} from '../services/serverProfiles';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('server');
+
+export const ServerContext = createContext();
+
+export const ServerProvider = ({ children }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const storedProfiles = await loadServerProfiles();
+        const storedActiveId = await loadActiveProfileId();
+        await loadMockBackendSettings();
+        const active = storedProfiles.find(profile => profile.id === storedActiveId) || storedProfiles[0];
+
+        setProfiles(storedProfiles);
+        setActiveProfileId(active.id);
+        setApiBaseUrl(active.baseUrl);
+      } catch (error) {
+        log.error('Error loading server profiles:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProfiles();
+  }, []);
+
+  // Check that a server answers before the app is pointed at it
+  const testServer = async (baseUrl) => {
+    const url = normalizeBaseUrl(baseUrl);
+    if (!isValidBaseUrl(url)) {
+      return { reachable: false, error: 'Enter a valid server address' };
+    }
+    return pingServer(url);
+  };
+
+  const saveProfile = async (profile) => {
+    const baseUrl = normalizeBaseUrl(profile.baseUrl);
+    if (baseUrl && !isValidBaseUrl(baseUrl)) {
+      throw new Error('Enter a valid server address');
+    }
+
+    const updatedProfile = { ...profile, name: profile.name.trim(), baseUrl };
+    const exists = profiles.some(item => item.id === profile.id);
+    const updatedProfiles = exists
+      ? profiles.map(item => (item.id === profile.id ? updatedProfile : item))
+      : [...profiles, updatedProfile];
+
+    await saveServerProfiles(updatedProfiles);
+    setProfiles(updatedProfiles);
+
+    // Editing the active profile takes effect immediately
+    if (profile.id === activeProfileId && baseUrl) {
+      setApiBaseUrl(baseUrl);
+    }
+
+    return updatedProfile;
+  };
+
+  const removeProfile = async (profileId) => {
+    if (profileId === activeProfileId) {
+      throw new Error('The active server cannot be removed');
+    }
+
+    const updatedProfiles = profiles.filter(item => item.id !== profileId);
+    await saveServerProfiles(updatedProfiles);
+    setProfiles(updatedProfiles);
+  };
+
+  const selectProfile = async (profileId, { skipCheck = false } = {}) => {
+    const profile = profiles.find(item => item.id === profileId);
+    if (!profile) {
+      throw new Error('Server profile not found');
+    }
+
+    if (!profile.baseUrl) {
+      throw new Error(`Set an address for ${profile.name} before using it`);
+    }
+
+    if (!skipCheck) {
+      const result = await pingServer(profile.baseUrl);
+      if (!result.reachable) {
+        const error = new Error(
+          result.isTimeout
+            ? `${profile.name} did not respond within 5 seconds`
+            : `${profile.name} is unreachable: ${result.error}`
+        );
+        error.pingResult = result;
+        throw error;
+      }
+    }
+
+    setApiBaseUrl(profile.baseUrl);
+    setActiveProfileId(profile.id);
+    await saveActiveProfileId(profile.id);
+
+    return profile;
+  };
+
+  if (loading) {
+    // Children must not talk to the API before the stored server is applied
+    return null;
+  }
+
+  return (
+    <ServerContext.Provider
+      value={{
+        profiles,
+        activeProfile: profiles.find(profile => profile.id === activeProfileId) || null,
+        testServer,
+        saveProfile,
+        removeProfile,
+        selectProfile,
+      }}
+    >
+      {children}
+    </ServerContext.Provider>
+  );
+};
@@ -9,6 +9,7 @@ import {
   TextInput 
 } from 'react-native';
 import { BASE_URL } from '../services/api/client';
+import { pingServer as pingApiServer } from '../services/network';
 
 import * as Network from 'expo-network';
 
@@ -55,79 +56,14 @@ const NetworkInspector = ({ apiUrl = BASE_URL }) => {
     setPingResult(null);
     setError(null);
     
-    try {
-      const startTime = Date.now();
-      
-      // First try a HEAD request which is lighter
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-      
-      try {
-        const response = await fetch(url, {
-          method: 'HEAD',
-          signal: controller.signal,
-        });
-        
-        clearTimeout(timeoutId);
-        
-        const endTime = Date.now();
-        const duration = endTime - startTime;
-        
-        setPingResult({
-          success: response.ok,
-          statusCode: response.status,
-          statusText: response.statusText,
-          duration: duration,
-          method: 'HEAD',
-          timestamp: new Date().toISOString(),
-        });
-        
-        setPingStatus('success');
-      } catch (headError) {
-        console.log('HEAD request failed, trying GET:', headError);
-        
-        // If HEAD fails, try a GET request
-        try {
-          const getStartTime = Date.now();
-          const getController = new AbortController();
-          const getTimeoutId = setTimeout(() => getController.abort(), 5000);
-          
-          const getResponse = await fetch(url, {
-            method: 'GET',
-            signal: getController.signal,
-          });
-          
-          clearTimeout(getTimeoutId);
-          
-          const getEndTime = Date.now();
-          const getDuration = getEndTime - getStartTime;
-          
-          setPingResult({
-            success: getResponse.ok,
-            statusCode: getResponse.status,
-            statusText: getResponse.statusText,
-            duration: getDuration,
-            method: 'GET',
-            timestamp: new Date().toISOString(),
-          });
-          
-          setPingStatus('success');
-        } catch (getError) {
-          throw getError;
-        }
-      }
-    } catch (err) {
-      console.error('Error pinging server:', err);
-      
-      setPingResult({
-        success: false,
-        error: err.message,
-        isTimeout: err.name === 'AbortError',
-        timestamp: new Date().toISOString(),
-      });
-      
-      setPingStatus('error');
+    const result = await pingApiServer(url);
+    
+    if (!result.reachable) {
+      console.error('Error pinging server:', result.error);
     }
+    
+    setPingResult(result);
+    setPingStatus(result.reachable ? 'success' : 'error');
   };
 
   return (
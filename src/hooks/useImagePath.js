@@ -0,0 +1,13 @@
+import { useImageFileStore } from '../services/imageFileCache';
+import { getFullImagePath } from '../services/api/client';
+
+/**
+ * Get the URI to display an image from, switching to the downloaded copy once there is one
+ * @param {string} path - Image path or URL from the API
+ * @returns {string|null} Local file URI or the image URL
+ */
+export const useImagePath = (path) => {
+  // Re-render when the image is downloaded or its copy is deleted
+  useImageFileStore(state => state.files[path]?.uri);
+  return getFullImagePath(path);
+};
@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useIsFocused } from '@react-navigation/native';
+import {
+  useQueryStore,
+  fetchQuery,
+  retainQuery,
+  isQueryStale,
+  DEFAULT_STALE_TIME,
+} from '../services/queryCache';
+
+/**
+ * Read a query from the shared cache, fetching it while the screen is focused
+ * Screens using the same query share one request and one result. The request is aborted
+ * once no focused screen needs it any more. Stale results are shown while they refetch.
+ * @param {object} query - { key, fetch } from services/api/queries
+ * @param {object} options - { enabled, staleTime }
+ * @returns {object} { data, error, isLoading, isFetching, isRefreshing, refetch, updatedAt }
+ */
+export const useQuery = (query, { enabled = true, staleTime = DEFAULT_STALE_TIME } = {}) => {
+  const { key } = query;
+  const state = useQueryStore(store => store.queries[key]);
+  const isFocused = useIsFocused();
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  // The fetcher is rebuilt on every render, the key decides which request it is
+  const fetchRef = useRef(query.fetch);
+  fetchRef.current = query.fetch;
+
+  // Errors end up in the query state, callers don't need to catch them
+  const load = useCallback(
+    () => fetchQuery(key, params => fetchRef.current(params)).catch(() => undefined),
+    [key]
+  );
+
+  useEffect(() => {
+    if (!enabled || !isFocused) return undefined;
+
+    const release = retainQuery(key);
+    if (isQueryStale(key, staleTime)) {
+      load();
+    }
+    return release;
+  }, [enabled, isFocused, key, staleTime, load]);
+
+  // A mutation made the result stale while the screen is showing it
+  const isStale = !!state?.isStale;
+  useEffect(() => {
+    if (enabled && isFocused && isStale) {
+      load();
+    }
+  }, [enabled, isFocused, isStale, load]);
+
+  // For pull-to-refresh: always asks the server, even if the result is fresh
+  const refetch = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      return await load();
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [load]);
+
+  return {
+    data: state?.data,
+    error: state?.status === 'error' ? state.error : null,
+    isLoading: enabled && (!state || state.status === 'loading'),
+    isFetching: !!state?.isFetching,
+    isRefreshing,
+    refetch,
+    updatedAt: state?.updatedAt || null,
+  };
+};
@@ -0,0 +1,40 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { useNavigation } from '@react-navigation/native';
+
+/**
+ * Tie a screen's API requests to its lifecycle
+ * Requests made with `getSignal()` are aborted when the screen loses focus or unmounts,
+ * so they can't update state the user has already navigated away from.
+ * Use `isCancelledError` from the API client to skip error handling for them.
+ * @returns {object} { getSignal, cancelRequests }
+ */
+export const useScreenRequests = () => {
+  const navigation = useNavigation();
+  const controllerRef = useRef(null);
+
+  const cancelRequests = useCallback(() => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+  }, []);
+
+  // A fresh controller is created after every cancel, so the screen can load again on refocus
+  const getSignal = useCallback(() => {
+    if (!controllerRef.current) {
+      controllerRef.current = new AbortController();
+    }
+    return controllerRef.current.signal;
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('blur', cancelRequests);
+
+    return () => {
+      unsubscribe();
+      cancelRequests();
+    };
+  }, [navigation, cancelRequests]);
+
+  return { getSignal, cancelRequests };
+};
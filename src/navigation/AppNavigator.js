@@ -8,19 +8,50 @@ import FolderDetailScreen from '../screens/folder/FolderDetailScreen';
 import CameraScreen from '../screens/image/CameraScreen';
 import TrashScreen from '../screens/trash/TrashScreen';
 import ImageDetailScreen from '../screens/image/ImageDetailScreen';
+import ImageEditorScreen from '../screens/image/ImageEditorScreen';
+import ServerSettingsScreen from '../screens/settings/ServerSettingsScreen';
+import UploadQueueScreen from '../screens/upload/UploadQueueScreen';
+import OfflineFoldersScreen from '../screens/offline/OfflineFoldersScreen';
+import SyncConflictsScreen from '../screens/sync/SyncConflictsScreen';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { navigateToRoutePath } from './navigationRef';
+import NetworkBanner from '../components/common/NetworkBanner';
+import { startUploadQueue } from '../services/uploadQueue';
+import { startOutbox } from '../services/outbox';
+import { startOfflineFolders } from '../services/offlineFolders';
 
 const Stack = createStackNavigator();
 const RootStack = createStackNavigator();
 
 const MainNavigator = () => {
+  const { user, consumeReturnRoute } = useContext(AuthContext);
+
+  // After logging back in from an expired session, reopen the screen the user was on
+  React.useEffect(() => {
+    const returnRoute = consumeReturnRoute();
+    if (returnRoute) {
+      navigateToRoutePath(returnRoute);
+    }
+  }, []);
+
+  // Queued photos and offline changes are sent, and pinned folders synced, while someone is
+  // logged in; they wait for them otherwise
+  React.useEffect(() => startUploadQueue(user), [user.id]);
+  React.useEffect(() => startOutbox(user), [user.id]);
+  React.useEffect(() => startOfflineFolders(user), [user.id]);
+
   return (
     <Stack.Navigator screenOptions={{ headerShown: false }}>
       <Stack.Screen name="TabNavigator" component={TabNavigator} />
       <Stack.Screen name="FolderDetail" component={FolderDetailScreen} />
       <Stack.Screen name="ImageDetail" component={ImageDetailScreen} />
       <Stack.Screen name="Camera" component={CameraScreen} />
+      <Stack.Screen name="ImageEditor" component={ImageEditorScreen} />
       <Stack.Screen name="Trash" component={TrashScreen} />
+      <Stack.Screen name="ServerSettings" component={ServerSettingsScreen} />
+      <Stack.Screen name="UploadQueue" component={UploadQueueScreen} />
+      <Stack.Screen name="OfflineFolders" component={OfflineFoldersScreen} />
+      <Stack.Screen name="SyncConflicts" component={SyncConflictsScreen} />
 
     </Stack.Navigator>
   );
@@ -55,15 +86,17 @@ const AppNavigator = () => {
   }
 
   return (
-    <RootStack.Navigator screenOptions={{ headerShown: false }}>
-      {isFirstLaunch && !user ? (
-        <RootStack.Screen name="Onboarding" component={OnboardingScreen} />
-      ) : user ? (
-        <RootStack.Screen name="Main" component={MainNavigator} />
-      ) : (
-        <RootStack.Screen name="Auth" component={AuthNavigator} />
-      )}
-    </RootStack.Navigator>
+    <NetworkBanner>
+      <RootStack.Navigator screenOptions={{ headerShown: false }}>
+        {isFirstLaunch && !user ? (
+          <RootStack.Screen name="Onboarding" component={OnboardingScreen} />
+        ) : user ? (
+          <RootStack.Screen name="Main" component={MainNavigator} />
+        ) : (
+          <RootStack.Screen name="Auth" component={AuthNavigator} />
+        )}
+      </RootStack.Navigator>
+    </NetworkBanner>
   );
 };
 
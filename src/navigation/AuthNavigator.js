@@ -2,6 +2,7 @@ import React from 'react';
 import { createStackNavigator } from '@react-navigation/stack';
 import LoginScreen from '../screens/auth/LoginScreen';
 import RegisterScreen from '../screens/auth/RegisterScreen';
+import ServerSettingsScreen from '../screens/settings/ServerSettingsScreen';
 
 const Stack = createStackNavigator();
 
@@ -14,6 +15,7 @@ const AuthNavigator = () => {
     >
       <Stack.Screen name="Login" component={LoginScreen} />
       <Stack.Screen name="Register" component={RegisterScreen} />
+      <Stack.Screen name="ServerSettings" component={ServerSettingsScreen} />
     </Stack.Navigator>
   );
 };
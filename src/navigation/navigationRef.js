@@ -0,0 +1,47 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+// Lets code outside of screens (e.g. the auth provider) read and change navigation state
+export const navigationRef = createNavigationContainerRef();
+
+/**
+ * Get the chain of focused routes from the root navigator down to the current screen
+ * @returns {Array} Routes as { name, params }, outermost first
+ */
+export const getActiveRoutePath = () => {
+  if (!navigationRef.isReady()) return [];
+
+  const path = [];
+  let state = navigationRef.getRootState();
+
+  while (state && state.routes) {
+    const route = state.routes[state.index ?? 0];
+    path.push({ name: route.name, params: route.params });
+    state = route.state;
+  }
+
+  return path;
+};
+
+// Turn [{ name: 'A' }, { name: 'B', params }] into { screen: 'A', params: { screen: 'B', params } }
+const buildNestedParams = (routes) => {
+  const [route, ...rest] = routes;
+  if (!route) return undefined;
+
+  const child = buildNestedParams(rest);
+  return {
+    screen: route.name,
+    params: child ? { ...route.params, ...child } : route.params,
+  };
+};
+
+/**
+ * Navigate back to a route chain captured with getActiveRoutePath
+ * @param {Array} path - Routes as { name, params }, outermost first
+ */
+export const navigateToRoutePath = (path) => {
+  if (!navigationRef.isReady() || !path || path.length === 0) return;
+
+  const [root, ...rest] = path;
+  const nested = buildNestedParams(rest);
+  navigationRef.navigate(root.name, nested ? { ...root.params, ...nested } : root.params);
+};
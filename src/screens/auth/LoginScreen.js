@@ -9,10 +9,14 @@ import {
   Platform,
   ScrollView 
 } from 'react-native';
-import { TextInput, Button } from 'react-native-paper';
+import { TextInput, Button, HelperText } from 'react-native-paper';
 import { AuthContext } from '../../contexts/AuthContext';
 import { ThemeContext } from '../../contexts/ThemeContext';
+import { ServerContext } from '../../contexts/ServerContext';
+import { UnauthorizedError, ValidationError, getErrorMessage } from '../../services/api/errors';
 import { Ionicons } from '@expo/vector-icons';
+import { useIsOnline } from '../../services/connectivity';
+import OfflineNotice from '../../components/common/OfflineNotice';
 
 const LoginScreen = ({ navigation }) => {
   const [email, setEmail] = useState('');
@@ -20,9 +24,12 @@ const LoginScreen = ({ navigation }) => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
 
-  const { login } = useContext(AuthContext);
+  const { login, sessionExpired } = useContext(AuthContext);
   const { theme } = useContext(ThemeContext);
+  const isOnline = useIsOnline();
+  const { activeProfile } = useContext(ServerContext);
 
   const handleLogin = async () => {
     if (!email || !password) {
@@ -32,11 +39,27 @@ const LoginScreen = ({ navigation }) => {
 
     setLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
       await login(email, password);
     } catch (err) {
-      setError(err.toString());
+      if (err instanceof ValidationError) {
+        const fields = {
+          email: err.getFieldError('email'),
+          password: err.getFieldError('password'),
+        };
+        setFieldErrors(fields);
+        // Only show the summary when neither input can show the problem
+        if (!fields.email && !fields.password) {
+          setError(err.message);
+        }
+      } else if (err instanceof UnauthorizedError) {
+        // The default 401 message talks about expired sessions, which is wrong here
+        setError(err.data?.message || 'Incorrect email or password.');
+      } else {
+        setError(getErrorMessage(err, 'Unable to log in. Please try again.'));
+      }
     } finally {
       setLoading(false);
     }
@@ -62,6 +85,15 @@ const LoginScreen = ({ navigation }) => {
             Welcome back!
           </Text>
 
+          {sessionExpired && !error ? (
+            <View style={[styles.sessionNotice, { borderColor: theme.colors.warning }]}>
+              <Ionicons name="time-outline" size={18} color={theme.colors.warning} />
+              <Text style={[styles.sessionNoticeText, { color: theme.colors.text }]}>
+                Your session expired. Log in again to pick up where you left off.
+              </Text>
+            </View>
+          ) : null}
+
           {error ? (
             <Text style={styles.errorText}>{error}</Text>
           ) : null}
@@ -74,9 +106,13 @@ const LoginScreen = ({ navigation }) => {
             style={styles.input}
             keyboardType="email-address"
             autoCapitalize="none"
+            error={!!fieldErrors.email}
             left={<TextInput.Icon icon="email" />}
             theme={{ colors: { primary: theme.colors.primary } }}
           />
+          {fieldErrors.email ? (
+            <HelperText type="error" style={styles.fieldError}>{fieldErrors.email}</HelperText>
+          ) : null}
 
           <TextInput
             label="Password"
@@ -85,6 +121,7 @@ const LoginScreen = ({ navigation }) => {
             mode="outlined"
             style={styles.input}
             secureTextEntry={!showPassword}
+            error={!!fieldErrors.password}
             right={
               <TextInput.Icon
                 icon={showPassword ? 'eye-off' : 'eye'}
@@ -94,13 +131,18 @@ const LoginScreen = ({ navigation }) => {
             left={<TextInput.Icon icon="lock" />}
             theme={{ colors: { primary: theme.colors.primary } }}
           />
+          {fieldErrors.password ? (
+            <HelperText type="error" style={styles.fieldError}>{fieldErrors.password}</HelperText>
+          ) : null}
+
+          <OfflineNotice message="Logging in needs a connection to the server." style={styles.offlineNotice} />
 
           <Button
             mode="contained"
             onPress={handleLogin}
             style={[styles.button, { backgroundColor: theme.colors.primary }]}
             loading={loading}
-            disabled={loading}
+            disabled={loading || !isOnline}
           >
             Login
           </Button>
@@ -113,6 +155,16 @@ const LoginScreen = ({ navigation }) => {
               </Text>
             </TouchableOpacity>
           </View>
+
+          <TouchableOpacity
+            style={styles.serverContainer}
+            onPress={() => navigation.navigate('ServerSettings')}
+          >
+            <Ionicons name="server-outline" size={16} color={theme.colors.disabled} />
+            <Text style={[styles.serverText, { color: theme.colors.disabled }]} numberOfLines={1}>
+              {activeProfile ? `Server: ${activeProfile.name}` : 'Server settings'}
+            </Text>
+          </TouchableOpacity>
         </View>
       </ScrollView>
     </KeyboardAvoidingView>
@@ -152,6 +204,9 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: 16,
   },
+  offlineNotice: {
+    paddingHorizontal: 0,
+  },
   button: {
     marginTop: 10,
     paddingVertical: 6,
@@ -166,6 +221,33 @@ const styles = StyleSheet.create({
     marginBottom: 10,
     textAlign: 'center',
   },
+  fieldError: {
+    marginTop: -14,
+    marginBottom: 8,
+  },
+  sessionNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 16,
+  },
+  sessionNoticeText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+  },
+  serverContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 30,
+  },
+  serverText: {
+    fontSize: 13,
+    marginLeft: 6,
+  },
 });
 
 export default LoginScreen;
\ No newline at end of file
@@ -9,9 +9,12 @@ import {
   Platform,
   ScrollView 
 } from 'react-native';
-import { TextInput, Button } from 'react-native-paper';
+import { TextInput, Button, HelperText } from 'react-native-paper';
 import { AuthContext } from '../../contexts/AuthContext';
 import { ThemeContext } from '../../contexts/ThemeContext';
+import { ValidationError, getErrorMessage } from '../../services/api/errors';
+import { useIsOnline } from '../../services/connectivity';
+import OfflineNotice from '../../components/common/OfflineNotice';
 
 const RegisterScreen = ({ navigation }) => {
   const [name, setName] = useState('');
@@ -21,9 +24,11 @@ const RegisterScreen = ({ navigation }) => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const { register } = useContext(AuthContext);
   const { theme } = useContext(ThemeContext);
+  const isOnline = useIsOnline();
 
   const handleRegister = async () => {
     if (!name || !email || !password || !confirmPassword) {
@@ -38,11 +43,26 @@ const RegisterScreen = ({ navigation }) => {
 
     setLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
       await register(name, email, password, confirmPassword);
     } catch (err) {
-      setError(err.toString());
+      if (err instanceof ValidationError) {
+        const fields = {
+          name: err.getFieldError('name'),
+          email: err.getFieldError('email'),
+          password: err.getFieldError('password'),
+          password_confirmation: err.getFieldError('password_confirmation'),
+        };
+        setFieldErrors(fields);
+        // Only show the summary when no input can show the problem
+        if (!Object.values(fields).some(Boolean)) {
+          setError(err.message);
+        }
+      } else {
+        setError(getErrorMessage(err, 'Unable to create your account. Please try again.'));
+      }
     } finally {
       setLoading(false);
     }
@@ -78,9 +98,13 @@ const RegisterScreen = ({ navigation }) => {
             onChangeText={setName}
             mode="outlined"
             style={styles.input}
+            error={!!fieldErrors.name}
             left={<TextInput.Icon icon="account" />}
             theme={{ colors: { primary: theme.colors.primary } }}
           />
+          {fieldErrors.name ? (
+            <HelperText type="error" style={styles.fieldError}>{fieldErrors.name}</HelperText>
+          ) : null}
 
           <TextInput
             label="Email"
@@ -90,9 +114,13 @@ const RegisterScreen = ({ navigation }) => {
             style={styles.input}
             keyboardType="email-address"
             autoCapitalize="none"
+            error={!!fieldErrors.email}
             left={<TextInput.Icon icon="email" />}
             theme={{ colors: { primary: theme.colors.primary } }}
           />
+          {fieldErrors.email ? (
+            <HelperText type="error" style={styles.fieldError}>{fieldErrors.email}</HelperText>
+          ) : null}
 
           <TextInput
             label="Password"
@@ -101,6 +129,7 @@ const RegisterScreen = ({ navigation }) => {
             mode="outlined"
             style={styles.input}
             secureTextEntry={!showPassword}
+            error={!!fieldErrors.password}
             right={
               <TextInput.Icon
                 icon={showPassword ? 'eye-off' : 'eye'}
@@ -110,6 +139,9 @@ const RegisterScreen = ({ navigation }) => {
             left={<TextInput.Icon icon="lock" />}
             theme={{ colors: { primary: theme.colors.primary } }}
           />
+          {fieldErrors.password ? (
+            <HelperText type="error" style={styles.fieldError}>{fieldErrors.password}</HelperText>
+          ) : null}
 
           <TextInput
             label="Confirm Password"
@@ -118,16 +150,22 @@ const RegisterScreen = ({ navigation }) => {
             mode="outlined"
             style={styles.input}
             secureTextEntry={!showPassword}
+            error={!!fieldErrors.password_confirmation}
             left={<TextInput.Icon icon="lock-check" />}
             theme={{ colors: { primary: theme.colors.primary } }}
           />
+          {fieldErrors.password_confirmation ? (
+            <HelperText type="error" style={styles.fieldError}>{fieldErrors.password_confirmation}</HelperText>
+          ) : null}
+
+          <OfflineNotice message="Creating an account needs a connection to the server." style={styles.offlineNotice} />
 
           <Button
             mode="contained"
             onPress={handleRegister}
             style={[styles.button, { backgroundColor: theme.colors.primary }]}
             loading={loading}
-            disabled={loading}
+            disabled={loading || !isOnline}
           >
             Register
           </Button>
@@ -179,6 +217,9 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: 12,
   },
+  offlineNotice: {
+    paddingHorizontal: 0,
+  },
   button: {
     marginTop: 10,
     paddingVertical: 6,
@@ -193,6 +234,10 @@ const styles = StyleSheet.create({
     marginBottom: 10,
     textAlign: 'center',
   },
+  fieldError: {
+    marginTop: -10,
+    marginBottom: 6,
+  },
 });
 
 export default RegisterScreen;
\ No newline at end of file
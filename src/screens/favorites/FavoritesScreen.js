@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useContext, useEffect } from 'react';
+import React, { useState, useCallback, useContext, useMemo } from 'react';
 import { 
   View, 
   Text, 
@@ -12,86 +12,46 @@ import {
   Platform
 } from 'react-native';
 import { Searchbar } from 'react-native-paper';
-import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { ThemeContext } from '../../contexts/ThemeContext';
 
 import FolderCard from '../../components/folder/Foldercard';
-import * as folderApi from '../../services/api/folders';
+import * as queries from '../../services/api/queries';
+import { useQuery } from '../../hooks/useQuery';
+import ErrorState from '../../components/common/ErrorState';
+import SyncStatus from '../../components/common/SyncStatus';
 
 const FavoritesScreen = () => {
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [favoriteFolders, setFavoriteFolders] = useState([]);
   const [search, setSearch] = useState('');
-  const [filteredFolders, setFilteredFolders] = useState([]);
-  const [error, setError] = useState(null);
   
   const { theme } = useContext(ThemeContext);
   const navigation = useNavigation();
 
-  // Fetch favorite folders
-  const fetchFavorites = useCallback(async () => {
-    setError(null);
-    try {
-      setLoading(true);
-      
-      // Fetch favorite folders
-      const foldersResponse = await folderApi.getFavoriteFolders();
-      let folders = [];
-      
-      if (foldersResponse?.data?.data) {
-        folders = foldersResponse.data.data;
-      } else if (Array.isArray(foldersResponse?.data)) {
-        folders = foldersResponse.data;
-      }
-      
-      console.log(`Fetched ${folders.length} favorite folders`);
-      setFavoriteFolders(folders);
-      
-      // Apply search filter if needed
-      if (search) {
-        const filtered = folders.filter(folder => 
-          folder.name.toLowerCase().includes(search.toLowerCase())
-        );
-        setFilteredFolders(filtered);
-      } else {
-        setFilteredFolders(folders);
-      }
-    } catch (err) {
-      console.error('Error fetching favorites:', err);
-      setError('Failed to load favorite folders. Pull down to refresh.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  }, [search]);
+  // Favorite folders, refetched on focus once stale
+  const {
+    data,
+    error,
+    isLoading: loading,
+    isRefreshing: refreshing,
+    isFetching,
+    updatedAt,
+    refetch: fetchFavorites,
+  } = useQuery(queries.favoriteFolders());
+  const favoriteFolders = useMemo(() => data?.items || [], [data]);
+  
+  // Apply search filter if needed
+  const filteredFolders = useMemo(() => {
+    if (!search) return favoriteFolders;
+    return favoriteFolders.filter(folder => 
+      folder.name.toLowerCase().includes(search.toLowerCase())
+    );
+  }, [favoriteFolders, search]);
   
   // Handle search changes
   const handleSearch = useCallback((text) => {
     setSearch(text);
-    if (text) {
-      const filtered = favoriteFolders.filter(folder => 
-        folder.name.toLowerCase().includes(text.toLowerCase())
-      );
-      setFilteredFolders(filtered);
-    } else {
-      setFilteredFolders(favoriteFolders);
-    }
-  }, [favoriteFolders]);
-  
-  // Refresh data when screen is focused
-  useFocusEffect(
-    useCallback(() => {
-      fetchFavorites();
-    }, [fetchFavorites])
-  );
-  
-  // Handle manual refresh
-  const onRefresh = useCallback(() => {
-    setRefreshing(true);
-    fetchFavorites();
-  }, [fetchFavorites]);
+  }, []);
   
   // Navigate to folder detail screen
   const handleFolderPress = useCallback((folder) => {
@@ -105,7 +65,7 @@ const FavoritesScreen = () => {
   
   // Key extractor for FlatList
   const keyExtractor = useCallback((item) => {
-    return `folder-${item.id || Math.random().toString(36).substr(2, 9)}`;
+    return `folder-${item.id}`;
   }, []);
   
   // Empty state component
@@ -173,11 +133,9 @@ const FavoritesScreen = () => {
           />
         </View>
         
-        {/* Error state */}
-        {error && (
-          <View style={styles.errorContainer}>
-            <Text style={styles.errorMessage}>{error}</Text>
-          </View>
+        {/* Last sync, and why it failed while offline */}
+        {favoriteFolders.length > 0 && (
+          <SyncStatus updatedAt={updatedAt} error={error} isFetching={isFetching} />
         )}
         
         {/* Loading state */}
@@ -185,6 +143,12 @@ const FavoritesScreen = () => {
           <View style={styles.loaderContainer}>
             <ActivityIndicator size="large" color={theme.colors.primary} />
           </View>
+        ) : error && favoriteFolders.length === 0 ? (
+          <ErrorState
+            error={error}
+            onRetry={fetchFavorites}
+            fallbackMessage="Failed to load favorite folders."
+          />
         ) : (
           /* Content list */
           <FlatList
@@ -200,7 +164,7 @@ const FavoritesScreen = () => {
             refreshControl={
               <RefreshControl
                 refreshing={refreshing}
-                onRefresh={onRefresh}
+                onRefresh={fetchFavorites}
                 colors={[theme.colors.primary]}
                 tintColor={theme.colors.primary}
               />
@@ -282,18 +246,6 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontSize: 16,
   },
-  errorContainer: {
-    margin: 10,
-    padding: 12,
-    backgroundColor: '#ffeeee',
-    borderRadius: 10,
-    borderWidth: 1,
-    borderColor: '#ffcccc',
-  },
-  errorMessage: {
-    color: '#cc0000',
-    textAlign: 'center',
-  },
 });
 
 export default FavoritesScreen;
\ No newline at end of file
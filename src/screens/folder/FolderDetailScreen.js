@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useContext } from 'react';
 import {
   View,
   Text,
@@ -20,26 +20,28 @@ import { useNavigation, useRoute } from '@react-navigation/native';
 import { ThemeContext } from '../../contexts/ThemeContext';
 import { Ionicons } from '@expo/vector-icons';
 import ImageCard from '../../components/image/ImageCard';
-import * as folderApi from '../../services/api/folders';
-import * as imageApi from '../../services/api/images';
-import { getFullImagePath } from '../../services/api/client';
+import * as queries from '../../services/api/queries';
+import { submitMutation, MUTATION_TYPES } from '../../services/outbox';
+import { ValidationError, getErrorMessage } from '../../services/api/errors';
+import ErrorState from '../../components/common/ErrorState';
+import SyncStatus from '../../components/common/SyncStatus';
+import { useQuery } from '../../hooks/useQuery';
+import { UPLOAD_STATUS, useUploadQueueStore, isOwnUpload } from '../../services/uploadQueue';
+import { useOfflineFoldersStore, getPinKey, pinFolder, unpinFolder } from '../../services/offlineFolders';
+import OfflineStatus from '../../components/folder/OfflineStatus';
 
 const { width, height } = Dimensions.get('window');
 
 const FolderDetailScreen = () => {
   // State
-  const [folder, setFolder] = useState(null);
-  const [images, setImages] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [menuVisible, setMenuVisible] = useState(false);
   const [editDialogVisible, setEditDialogVisible] = useState(false);
   const [editName, setEditName] = useState('');
+  const [editFieldErrors, setEditFieldErrors] = useState({});
   const [editDescription, setEditDescription] = useState('');
   const [editColor, setEditColor] = useState('#FFC107');
   const [sortOption, setSortOption] = useState('date_desc');
   const [sortMenuVisible, setSortMenuVisible] = useState(false);
-  const [refreshing, setRefreshing] = useState(false);
 
   // Context and navigation
   const { theme } = useContext(ThemeContext);
@@ -53,6 +55,52 @@ const FolderDetailScreen = () => {
     console.error('FolderDetailScreen: No folderId provided in route params');
   }
 
+  // Shared with every other screen showing this folder, e.g. Favorites and the folder list
+  const folderQuery = queries.folder(folderId);
+  const imagesQuery = queries.folderImages(folderId, sortOption);
+  const {
+    data: folder,
+    error: folderError,
+    isLoading: folderLoading,
+    isRefreshing: folderRefreshing,
+    isFetching: folderFetching,
+    updatedAt: folderUpdatedAt,
+    refetch: refetchFolder,
+  } = useQuery(folderQuery, { enabled: !!folderId });
+  const {
+    data: imagePage,
+    error: imagesError,
+    isLoading: imagesLoading,
+    isRefreshing: imagesRefreshing,
+    isFetching: imagesFetching,
+    updatedAt: imagesUpdatedAt,
+    refetch: refetchImages,
+  } = useQuery(imagesQuery, { enabled: !!folderId });
+
+  const images = imagePage?.items || [];
+  const loading = folderLoading || imagesLoading;
+  const refreshing = folderRefreshing || imagesRefreshing;
+  const error = folderId ? folderError || imagesError : 'No folder ID provided';
+  // A saved copy of the folder is still worth showing when refreshing it failed
+  const hasData = !!folder && !!imagePage;
+  const syncedAt = hasData ? Math.min(folderUpdatedAt, imagesUpdatedAt) : null;
+
+  // Photos taken for this folder that haven't reached the server yet
+  const waitingUploads = useUploadQueueStore(state => state.items.filter(item =>
+    isOwnUpload(item) &&
+    String(item.folderId) === String(folderId) &&
+    item.status !== UPLOAD_STATUS.COMPLETED
+  ).length);
+  // Of those, the ones the server rejected; the rest of their batch still uploads
+  const failedUploads = useUploadQueueStore(state => state.items.filter(item =>
+    isOwnUpload(item) &&
+    String(item.folderId) === String(folderId) &&
+    item.status === UPLOAD_STATUS.FAILED
+  ).length);
+
+  // Set when the folder is available offline
+  const offlinePin = useOfflineFoldersStore(state => state.folders[getPinKey(folderId)]);
+
   // Sorting options
   const sortOptions = [
     { label: 'Date (Newest)', value: 'date_desc' },
@@ -61,148 +109,23 @@ const FolderDetailScreen = () => {
     { label: 'Name (Z-A)', value: 'name_desc' },
   ];
 
-  // Effects
-  useEffect(() => {
-    if (folderId) {
-      fetchFolderDetails();
-    } else {
-      setError('No folder ID provided');
-      setLoading(false);
-    }
-  }, [folderId, sortOption]);
-
-  // Fetch folder details
-  const fetchFolderDetails = async () => {
-    if (!folderId) {
-      setError('Invalid folder ID');
-      setLoading(false);
-      return;
-    }
-    
-    setLoading(true);
-    setError(null);
-    
-    try {
-      console.log(`Starting to fetch folder details for ID: ${folderId}`);
-      
-      // Fetch folder details
-      const folderResponse = await folderApi.getFolder(folderId);
-      
-      // Check for nested data structure
-      let folderData = null;
-      if (folderResponse?.data?.data) {
-        folderData = folderResponse.data.data;
-      } else if (folderResponse?.data) {
-        folderData = folderResponse.data;
-      }
-      
-      if (!folderData) {
-        throw new Error('No folder data received from API');
-      }
-      
-      console.log('Successfully fetched folder details:', {
-        id: folderData.id,
-        name: folderData.name
-      });
-      
-      // Validate and set defaults for required fields
-      if (!folderData.name) {
-        folderData.name = 'Unnamed Folder';
-      }
-      
-      if (!folderData.color) {
-        folderData.color = '#FFC107';
-      }
-      
-      setFolder(folderData);
-      setEditName(folderData.name);
-      setEditDescription(folderData.description || '');
-      setEditColor(folderData.color || '#FFC107');
-      
-      // Fetch folder images
-      console.log(`Fetching images for folder ID: ${folderId}`);
-      const imagesResponse = await imageApi.getFolderImages(folderId, 1, sortOption);
-      
-      if (!imagesResponse?.data) {
-        console.error('Images response data is missing');
-        setImages([]);
-        return;
-      }
-      
-      // Handle different response structures
-      let imagesList = [];
-      if (imagesResponse.data.data) {
-        // Paginated response
-        imagesList = imagesResponse.data.data;
-      } else if (Array.isArray(imagesResponse.data)) {
-        // Direct array response
-        imagesList = imagesResponse.data;
-      }
-      
-      console.log(`Fetched ${imagesList.length} images`);
-      
-      // Process images to ensure paths are correct and add IDs if missing
-      const processedImages = imagesList.map((img, index) => {
-        // Create a safe copy of the image
-        const safeImg = { ...img };
-        
-        // Ensure ID exists
-        if (!safeImg.id) {
-          safeImg.id = `temp-image-${index}`;
-        }
-        
-        // Save original path if it exists
-        if (safeImg.path) {
-          safeImg._originalPath = safeImg._originalPath || safeImg.path;
-          
-          // Ensure path is a full URL
-          safeImg.path = getFullImagePath(safeImg.path);
-        } else {
-          // Set default path if missing
-          const PLACEHOLDER_IMAGE = require('../../assets/images/Logo.png');
-        }
-        
-        // Set default name if missing
-        if (!safeImg.name) {
-          safeImg.name = `Image ${index + 1}`;
-        }
-        
-        return safeImg;
-      });
-      
-      setImages(processedImages);
-    } catch (error) {
-      console.error('Error fetching folder details:', error);
-      
-      // Provide a more detailed error message
-      let errorMessage = 'Failed to load folder details';
-      
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        errorMessage += `: Server responded with ${error.response.status}`;
-      } else if (error.request) {
-        // The request was made but no response was received
-        errorMessage += ': No response received from server';
-      } else {
-        // Something happened in setting up the request that triggered an Error
-        errorMessage += `: ${error.message}`;
-      }
-      
-      setError(errorMessage);
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
-
   // Handle refresh
   const handleRefresh = () => {
-    setRefreshing(true);
-    fetchFolderDetails();
+    refetchFolder();
+    refetchImages();
+  };
+
+  // Handle open edit dialog, starting from the folder as currently saved
+  const openEditDialog = () => {
+    setEditName(folder.name);
+    setEditDescription(folder.description);
+    setEditColor(folder.color);
+    setEditFieldErrors({});
+    setEditDialogVisible(true);
   };
 
   // Handle edit folder
+  // Folder and image changes show up right away and are sent once the device is online
   const handleEditFolder = async () => {
     if (!editName.trim()) {
       Alert.alert('Error', 'Please enter a folder name');
@@ -210,55 +133,45 @@ const FolderDetailScreen = () => {
     }
 
     try {
-      setError(null);
-      const response = await folderApi.updateFolder(folderId, {
-        name: editName,
-        description: editDescription,
-        color: editColor,
+      setEditFieldErrors({});
+      await submitMutation({
+        type: MUTATION_TYPES.UPDATE,
+        recordType: 'folder',
+        record: folder,
+        changes: {
+          name: editName,
+          description: editDescription,
+          color: editColor,
+        },
       });
-      
-      // Handle different response structures
-      let updatedFolder = null;
-      if (response?.data?.data) {
-        updatedFolder = response.data.data;
-      } else if (response?.data) {
-        updatedFolder = response.data;
-      }
-      
-      if (!updatedFolder) {
-        throw new Error('No updated folder data received');
-      }
-      
-      setFolder(updatedFolder);
       setEditDialogVisible(false);
     } catch (err) {
       console.error('Error updating folder:', err);
-      Alert.alert('Error', 'Failed to update folder');
+      
+      // Keep the dialog open and point at the rejected fields
+      if (err instanceof ValidationError) {
+        setEditFieldErrors({
+          name: err.getFieldError('name'),
+          description: err.getFieldError('description'),
+        });
+        return;
+      }
+      Alert.alert('Error', getErrorMessage(err, 'Failed to update folder'));
     }
   };
 
   // Handle toggle favorite
   const handleToggleFavorite = async () => {
     try {
-      setError(null);
-      const response = await folderApi.toggleFavoriteFolder(folderId);
-      
-      // Handle different response structures
-      let updatedFolder = null;
-      if (response?.data?.data) {
-        updatedFolder = response.data.data;
-      } else if (response?.data) {
-        updatedFolder = response.data;
-      }
-      
-      if (!updatedFolder) {
-        throw new Error('No updated folder data received');
-      }
-      
-      setFolder(updatedFolder);
+      await submitMutation({
+        type: MUTATION_TYPES.FAVORITE,
+        recordType: 'folder',
+        record: folder,
+        changes: { is_favorite: !folder.is_favorite },
+      });
     } catch (err) {
       console.error('Error toggling favorite:', err);
-      Alert.alert('Error', 'Failed to update favorite status');
+      Alert.alert('Error', getErrorMessage(err, 'Failed to update favorite status'));
     }
   };
 
@@ -277,12 +190,11 @@ const FolderDetailScreen = () => {
           style: 'destructive',
           onPress: async () => {
             try {
-              setError(null);
-              await folderApi.deleteFolder(folderId);
+              await submitMutation({ type: MUTATION_TYPES.DELETE, recordType: 'folder', record: folder });
               navigation.goBack();
             } catch (err) {
               console.error('Error deleting folder:', err);
-              Alert.alert('Error', 'Failed to delete folder');
+              Alert.alert('Error', getErrorMessage(err, 'Failed to delete folder'));
             }
           },
         },
@@ -290,28 +202,47 @@ const FolderDetailScreen = () => {
     );
   };
 
+  // Handle make available offline / remove offline copy
+  const handleToggleOffline = () => {
+    if (!offlinePin) {
+      pinFolder(folder).catch(err => {
+        console.error('Error making folder available offline:', err);
+        Alert.alert('Error', getErrorMessage(err, 'Failed to make folder available offline'));
+      });
+      return;
+    }
+
+    Alert.alert(
+      'Remove Offline Copy',
+      'The downloaded images of this folder will be deleted from this device.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => unpinFolder(folderId) },
+      ]
+    );
+  };
+
   // Handle add image
   const handleAddImage = () => {
     navigation.navigate('Camera', { folderId });
   };
 const handleImageAction = async (action, imageId, data) => {
   console.log(`Performing action ${action} on image ${imageId}`);
+
+  const image = images.find(img => img.id === imageId);
+  if (!image) {
+    console.warn(`Image ${imageId} is not in the list`);
+    return;
+  }
   
   switch (action) {
     case 'delete':
       try {
-        setLoading(true);
-        await imageApi.deleteImage(imageId);
-        
-        // Update local state by filtering out the deleted image
-        setImages(prevImages => prevImages.filter(img => img.id !== imageId));
-        
+        await submitMutation({ type: MUTATION_TYPES.DELETE, recordType: 'image', record: image });
         Alert.alert('Success', 'Image moved to trash');
       } catch (error) {
         console.error('Error deleting image:', error);
-        Alert.alert('Error', 'Failed to delete image. Please try again.');
-      } finally {
-        setLoading(false);
+        Alert.alert('Error', getErrorMessage(error, 'Failed to delete image. Please try again.'));
       }
       break;
       
@@ -322,74 +253,25 @@ const handleImageAction = async (action, imageId, data) => {
           return;
         }
         
-        setLoading(true);
-        const response = await imageApi.updateImage(imageId, data);
-        
-        // Extract updated image data from response
-        let updatedImage = null;
-        if (response.data && response.data.data) {
-          updatedImage = response.data.data;
-        } else if (response.data) {
-          updatedImage = response.data;
-        }
-        
-        if (updatedImage) {
-          // Update image in state
-          setImages(prevImages => 
-            prevImages.map(img => 
-              img.id === imageId ? { ...img, ...updatedImage } : img
-            )
-          );
-          
-          Alert.alert('Success', 'Image updated successfully');
-        } else {
-          // If we couldn't extract the updated image data, refetch all images
-          handleRefresh();
-        }
+        await submitMutation({ type: MUTATION_TYPES.UPDATE, recordType: 'image', record: image, changes: data });
+        Alert.alert('Success', 'Image updated successfully');
       } catch (error) {
         console.error('Error updating image:', error);
-        Alert.alert('Error', 'Failed to update image. Please try again.');
-      } finally {
-        setLoading(false);
+        Alert.alert('Error', getErrorMessage(error, 'Failed to update image. Please try again.'));
       }
       break;
       
     case 'toggleFavorite':
       try {
-        setLoading(true);
-        const response = await imageApi.toggleFavoriteImage(imageId);
-        
-        // Extract updated image data from response
-        let updatedImage = null;
-        if (response.data && response.data.data) {
-          updatedImage = response.data.data;
-        } else if (response.data) {
-          updatedImage = response.data;
-        }
-        
-        if (updatedImage) {
-          // Update image in state
-          setImages(prevImages => 
-            prevImages.map(img => 
-              img.id === imageId ? { 
-                ...img, 
-                is_favorite: updatedImage.is_favorite ?? !img.is_favorite 
-              } : img
-            )
-          );
-        } else {
-          // If we couldn't extract the updated image data, toggle locally
-          setImages(prevImages => 
-            prevImages.map(img => 
-              img.id === imageId ? { ...img, is_favorite: !img.is_favorite } : img
-            )
-          );
-        }
+        await submitMutation({
+          type: MUTATION_TYPES.FAVORITE,
+          recordType: 'image',
+          record: image,
+          changes: { is_favorite: !image.is_favorite },
+        });
       } catch (error) {
         console.error('Error toggling favorite status:', error);
-        Alert.alert('Error', 'Failed to update favorite status. Please try again.');
-      } finally {
-        setLoading(false);
+        Alert.alert('Error', getErrorMessage(error, 'Failed to update favorite status. Please try again.'));
       }
       break;
       
@@ -425,13 +307,7 @@ const renderItem = ({ item }) => {
   );
 };
   // Key extractor for FlatList
-  const keyExtractor = (item) => {
-    if (!item || !item.id) {
-      console.warn('Item without ID passed to keyExtractor:', item);
-      return `fallback-${Math.random().toString(36).substr(2, 9)}`;
-    }
-    return item.id.toString();
-  };
+  const keyExtractor = (item) => item.id.toString();
 
   // Empty list component
   const renderEmptyList = () => (
@@ -463,26 +339,15 @@ const renderItem = ({ item }) => {
   }
 
   // Show error state
-  if (error) {
+  if (error && !hasData) {
     return (
       <View style={[styles.errorContainer, { backgroundColor: theme.colors.background }]}>
-        <Ionicons name="alert-circle" size={60} color={theme.colors.error} />
-        <Text style={[styles.errorTitle, { color: theme.colors.error }]}>Something went wrong</Text>
-        <Text style={[styles.errorMessage, { color: theme.colors.text }]}>
-          {error}
-        </Text>
-        <TouchableOpacity
-          style={[styles.errorButton, { backgroundColor: theme.colors.primary }]}
-          onPress={fetchFolderDetails}
-        >
-          <Text style={styles.errorButtonText}>Try Again</Text>
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={[styles.backButton, { borderColor: theme.colors.primary }]}
-          onPress={() => navigation.goBack()}
-        >
-          <Text style={[styles.backButtonText, { color: theme.colors.primary }]}>Go Back</Text>
-        </TouchableOpacity>
+        <ErrorState
+          error={error}
+          onRetry={handleRefresh}
+          onBack={() => navigation.goBack()}
+          fallbackMessage="Failed to load folder details"
+        />
       </View>
     );
   }
@@ -536,7 +401,15 @@ const renderItem = ({ item }) => {
           leadingIcon="pencil"
           onPress={() => {
             setMenuVisible(false);
-            setEditDialogVisible(true);
+            openEditDialog();
+          }}
+        />
+        <Menu.Item
+          title={offlinePin ? 'Remove Offline Copy' : 'Make Available Offline'}
+          leadingIcon={offlinePin ? 'download-off' : 'download'}
+          onPress={() => {
+            setMenuVisible(false);
+            handleToggleOffline();
           }}
         />
         <Menu.Item
@@ -580,6 +453,42 @@ const renderItem = ({ item }) => {
           </View>
         ) : null}
 
+        <SyncStatus
+          updatedAt={syncedAt}
+          error={error}
+          isFetching={folderFetching || imagesFetching}
+        />
+
+        {offlinePin && (
+          <TouchableOpacity
+            style={[styles.uploadBanner, { backgroundColor: theme.colors.card }]}
+            onPress={() => navigation.navigate('OfflineFolders')}
+          >
+            <View style={styles.offlineStatus}>
+              <OfflineStatus pin={offlinePin} />
+            </View>
+          </TouchableOpacity>
+        )}
+
+        {waitingUploads > 0 && (
+          <TouchableOpacity
+            style={[styles.uploadBanner, { backgroundColor: theme.colors.card }]}
+            onPress={() => navigation.navigate('UploadQueue')}
+          >
+            <Ionicons
+              name={failedUploads > 0 ? 'alert-circle-outline' : 'cloud-upload-outline'}
+              size={20}
+              color={failedUploads > 0 ? theme.colors.error : theme.colors.primary}
+            />
+            <Text style={[styles.uploadBannerText, { color: theme.colors.text }]}>
+              {failedUploads > 0
+                ? `${failedUploads} of ${waitingUploads} photo${waitingUploads === 1 ? '' : 's'} failed to upload`
+                : `${waitingUploads} photo${waitingUploads === 1 ? '' : 's'} waiting to upload`}
+            </Text>
+            <Ionicons name="chevron-forward" size={18} color={theme.colors.disabled} />
+          </TouchableOpacity>
+        )}
+
         {/* Sort button */}
         <View style={styles.sortContainer}>
           <TouchableOpacity
@@ -625,17 +534,31 @@ const renderItem = ({ item }) => {
           <Dialog.Title style={{ color: theme.colors.text, textAlign: 'center' }}>Edit Folder</Dialog.Title>
           <Dialog.Content>
             <TextInput
-              style={[styles.input, { borderColor: theme.colors.border, color: theme.colors.text }]}
+              style={[
+                styles.input,
+                {
+                  borderColor: editFieldErrors.name ? theme.colors.error : theme.colors.border,
+                  color: theme.colors.text,
+                },
+                editFieldErrors.name && styles.inputWithError,
+              ]}
               placeholder="Folder Name"
               placeholderTextColor={theme.colors.disabled}
               value={editName}
               onChangeText={setEditName}
             />
+            {editFieldErrors.name ? (
+              <Text style={[styles.fieldError, { color: theme.colors.error }]}>{editFieldErrors.name}</Text>
+            ) : null}
             <TextInput
               style={[
                 styles.input,
                 styles.textArea,
-                { borderColor: theme.colors.border, color: theme.colors.text }
+                {
+                  borderColor: editFieldErrors.description ? theme.colors.error : theme.colors.border,
+                  color: theme.colors.text,
+                },
+                editFieldErrors.description && styles.inputWithError,
               ]}
               placeholder="Description (optional)"
               placeholderTextColor={theme.colors.disabled}
@@ -644,6 +567,9 @@ const renderItem = ({ item }) => {
               multiline
               numberOfLines={3}
             />
+            {editFieldErrors.description ? (
+              <Text style={[styles.fieldError, { color: theme.colors.error }]}>{editFieldErrors.description}</Text>
+            ) : null}
             
             {/* Color selection */}
             <Text style={[styles.colorLabel, { color: theme.colors.text }]}>Folder Color</Text>
@@ -746,6 +672,22 @@ const styles = StyleSheet.create({
     fontSize: 15,
     lineHeight: 22,
   },
+  uploadBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginHorizontal: 10,
+    marginBottom: 10,
+    borderRadius: 10,
+  },
+  offlineStatus: {
+    flex: 1,
+  },
+  uploadBannerText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 14,
+  },
   sortContainer: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
@@ -821,6 +763,13 @@ const styles = StyleSheet.create({
     minHeight: 100,
     textAlignVertical: 'top',
   },
+  inputWithError: {
+    marginBottom: 4,
+  },
+  fieldError: {
+    fontSize: 12,
+    marginBottom: 12,
+  },
   colorLabel: {
     marginBottom: 12,
     fontSize: 16,
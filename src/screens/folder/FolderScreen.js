@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useContext, memo, useEffect } from 'react';
+import React, { useState, useCallback, useContext, memo, useEffect, useMemo } from 'react';
 import { 
   View, 
   Text, 
@@ -14,12 +14,22 @@ import {
   Alert
 } from 'react-native';
 import { FAB, Searchbar, Menu, Portal, Dialog, TextInput, Button } from 'react-native-paper';
-import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { ThemeContext } from '../../contexts/ThemeContext';
 
 import FolderCard from '../../components/folder/Foldercard';
 import * as folderApi from '../../services/api/folders';
+import * as queries from '../../services/api/queries';
+import { setQueryData } from '../../services/queryCache';
+import { submitMutation, MUTATION_TYPES } from '../../services/outbox';
+import { useQuery } from '../../hooks/useQuery';
+import ErrorState from '../../components/common/ErrorState';
+import SyncStatus from '../../components/common/SyncStatus';
+import OutboxBanner from '../../components/common/OutboxBanner';
+import OfflineNotice from '../../components/common/OfflineNotice';
+import { useIsOnline } from '../../services/connectivity';
+import { MalformedPayloadError, ValidationError, getErrorMessage } from '../../services/api/errors';
 
 const sortOptions = [
   { label: 'Name (A-Z)', value: 'name_asc' },
@@ -74,20 +84,23 @@ const CreateFolderDialog = memo(({
   setNewFolderColor, 
   handleCreateFolder, 
   error,
+  nameInvalid,
   theme,
   colorOptions 
 }) => {
   // Use local state for input to prevent parent re-renders during typing
   const [localFolderName, setLocalFolderName] = useState(newFolderName);
   const [localError, setLocalError] = useState('');
+  const [highlightName, setHighlightName] = useState(false);
   
   // Sync local state with parent state when dialog opens
   useEffect(() => {
     if (visible) {
       setLocalFolderName(newFolderName);
       setLocalError('');
+      setHighlightName(!!nameInvalid);
     }
-  }, [visible, newFolderName]);
+  }, [visible, newFolderName, nameInvalid]);
   
   // Only update parent state when dialog is dismissed
   const handleDismiss = () => {
@@ -123,8 +136,10 @@ const CreateFolderDialog = memo(({
           value={localFolderName}
           onChangeText={(text) => {
             setLocalFolderName(text);
+            setHighlightName(false);
             if (text.trim()) setLocalError(''); // Clear error when user types
           }}
+          error={!!localError || highlightName}
           mode="outlined"
           style={styles.input}
           theme={{ colors: { primary: theme.colors.primary } }}
@@ -168,6 +183,7 @@ const CreateFolderDialog = memo(({
   return (
     prevProps.visible === nextProps.visible &&
     prevProps.error === nextProps.error &&
+    prevProps.nameInvalid === nextProps.nameInvalid &&
     prevProps.newFolderColor === nextProps.newFolderColor
   );
 });
@@ -190,21 +206,21 @@ const EmptyState = memo(({ search, theme }) => (
 ));
 
 const FoldersScreen = () => {
-  const [folders, setFolders] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
   const [search, setSearch] = useState('');
-  const [filteredFolders, setFilteredFolders] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
   const [sortMenuVisible, setSortMenuVisible] = useState(false);
   const [sortBy, setSortBy] = useState('date_desc');
   const [createDialogVisible, setCreateDialogVisible] = useState(false);
   const [newFolderName, setNewFolderName] = useState('');
   const [newFolderColor, setNewFolderColor] = useState('#FFC107');
   const [error, setError] = useState('');
+  const [nameInvalid, setNameInvalid] = useState(false);
   const [isCreatingFolder, setIsCreatingFolder] = useState(false);
 
   const { theme } = useContext(ThemeContext);
   const navigation = useNavigation();
+  // New folders get their ID from the server, so creating one needs a connection
+  const isOnline = useIsOnline();
 
   const colorOptions = [
     '#FFC107', // Yellow (default)
@@ -215,75 +231,36 @@ const FoldersScreen = () => {
     '#FF9800', // Orange
   ];
 
-  const fetchFolders = useCallback(async () => {
-    setError('');
-    try {
-      console.log('Fetching folders with sort:', sortBy);
-      // Changed to call the API correctly with the sort parameter
-      const response = await folderApi.getFolders({ sort: sortBy });
-      
-      // Handle different response structures
-      let foldersList = [];
-      if (response.data && response.data.data) {
-        // Handle paginated response
-        foldersList = response.data.data;
-        console.log(`Found ${foldersList.length} folders in data.data`);
-      } else if (response.data && Array.isArray(response.data)) {
-        // Handle direct array response
-        foldersList = response.data;
-        console.log(`Found ${foldersList.length} folders in data array`);
-      } else {
-        console.warn('Unexpected API response structure:', response.data);
-        // Try to extract folders from the response in other ways
-        if (response.data) {
-          console.log('Response data keys:', Object.keys(response.data));
-        }
-      }
-      
-      // Ensure each folder has an id to avoid toString() error
-      foldersList = foldersList.map((folder, index) => {
-        if (!folder.id) {
-          console.warn('Folder without ID found, assigning temporary ID:', folder);
-          return { ...folder, id: `temp-${index}` };
-        }
-        return folder;
-      });
-      
-      setFolders(foldersList);
-      setFilteredFolders(foldersList);
-    } catch (err) {
-      console.error('Error fetching folders:', err);
-      setError('Failed to load folders. Pull down to refresh.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  }, [sortBy]);
+  const foldersQuery = queries.folders(sortBy);
+  const {
+    data: folderPage,
+    error: loadError,
+    isLoading: loading,
+    isRefreshing: refreshing,
+    isFetching,
+    updatedAt,
+    refetch: fetchFolders,
+  } = useQuery(foldersQuery);
+  const folders = useMemo(() => folderPage?.items || [], [folderPage]);
 
-  useFocusEffect(
-    useCallback(() => {
-      fetchFolders();
-    }, [fetchFolders])
-  );
+  // Apply a change to the cached folder list, shared with every screen showing it
+  const updateFolders = useCallback((updater) => {
+    setQueryData(foldersQuery.key, page => ({ ...page, items: updater(page.items) }));
+  }, [foldersQuery.key]);
 
-  const onRefresh = useCallback(() => {
-    setRefreshing(true);
-    fetchFolders();
-  }, [fetchFolders]);
+  const filteredFolders = useMemo(() => {
+    if (searchQuery.trim() === '') return folders;
+    return folders.filter(folder =>
+      folder.name.toLowerCase().includes(searchQuery.toLowerCase())
+    );
+  }, [folders, searchQuery]);
 
   // Debounced search function
   const debouncedSearch = useCallback(
     debounce((query) => {
-      if (query.trim() === '') {
-        setFilteredFolders(folders);
-      } else {
-        const filtered = folders.filter(folder =>
-          folder.name.toLowerCase().includes(query.toLowerCase())
-        );
-        setFilteredFolders(filtered);
-      }
+      setSearchQuery(query);
     }, 300),
-    [folders]
+    []
   );
   
   const handleSearch = useCallback((query) => {
@@ -313,66 +290,44 @@ const FoldersScreen = () => {
       // Close dialog immediately for better UX
       setCreateDialogVisible(false);
       
-      // Show loading indicator
-      setLoading(true);
-      
       const folderData = {
         name: name.trim(),
         color: color
       };
       
-      const response = await folderApi.createFolder(folderData);
+      const newFolder = await folderApi.createFolder(folderData);
       
-      // Extract folder properly from the response
-      let newFolder = null;
+      // Show the new folder right away, the list is refetched in the background
+      console.log('Adding new folder to state with ID:', newFolder.id);
+      updateFolders(prevFolders => [newFolder, ...prevFolders]);
       
-      // Handle nested data structure - FIXED
-      if (response.data && response.data.data) {
-        newFolder = response.data.data;
-        console.log('Extracted folder from response.data.data:', newFolder);
-      } else if (response.data) {
-        newFolder = response.data;
-        console.log('Extracted folder from response.data:', newFolder);
-      }
-      
-      // Make sure the folder has an ID - IMPORTANT CHECK
-      if (newFolder) {
-        console.log('New folder extracted:', newFolder);
-        
-        if (!newFolder.id && newFolder.data && newFolder.data.id) {
-          // Handle double-nested data
-          newFolder = newFolder.data;
-          console.log('Found ID in nested data:', newFolder.id);
-        }
-        
-        if (!newFolder.id) {
-          console.error('Created folder without ID', newFolder);
-          Alert.alert('Warning', 'Folder created but has an invalid ID. Please refresh.');
-          fetchFolders(); // Refresh the folders to get the proper data
-          return;
-        }
-        
-        // Update state with the new folder
-        console.log('Adding new folder to state with ID:', newFolder.id);
-        setFolders(prevFolders => [newFolder, ...prevFolders]);
-        setFilteredFolders(prevFiltered => [newFolder, ...prevFiltered]);
-        
-        // Reset folder creation form
-        setNewFolderName('');
-        setNewFolderColor('#FFC107');
-        setError('');
-      } else {
-        console.error('Failed to extract new folder data from response:', response);
+      // Reset folder creation form
+      setNewFolderName('');
+      setNewFolderColor('#FFC107');
+      setError('');
+      setNameInvalid(false);
+    } catch (err) {
+      // The folder was saved, the response just couldn't be read
+      if (err instanceof MalformedPayloadError) {
         Alert.alert('Warning', 'Folder may have been created but could not be displayed. Please refresh.');
         fetchFolders();
+        return;
       }
-    } catch (err) {
+      
       console.error('Error creating folder:', err);
-      setError('Failed to create folder');
+      if (err instanceof ValidationError) {
+        // Keep what the user typed so they can correct it
+        setNewFolderName(name);
+        setNewFolderColor(color);
+        setNameInvalid(!!err.getFieldError('name'));
+        setError(err.getFieldError('name') || err.message);
+      } else {
+        setNameInvalid(false);
+        setError(getErrorMessage(err, 'Failed to create folder'));
+      }
       // Reopen dialog to show the error
       setCreateDialogVisible(true);
     } finally {
-      setLoading(false);
       setIsCreatingFolder(false);
     }
   };
@@ -382,6 +337,7 @@ const FoldersScreen = () => {
     setNewFolderName('');
     setNewFolderColor('#FFC107');
     setError('');
+    setNameInvalid(false);
     setCreateDialogVisible(true);
   }, []);
 
@@ -401,25 +357,24 @@ const FoldersScreen = () => {
   }, [navigation]);
 
   // Handle folder actions from long press
+  // Changes show up right away and are sent once the device is online
   const handleFolderAction = useCallback(async (action, folderId, data) => {
     console.log(`Performing action ${action} on folder ${folderId}`);
+
+    const folder = folders.find(item => item.id === folderId);
+    if (!folder) {
+      console.warn(`Folder ${folderId} is not in the list`);
+      return;
+    }
     
     switch (action) {
       case 'delete':
         try {
-          setLoading(true);
-          await folderApi.deleteFolder(folderId);
-          
-          // Update local state by filtering out the deleted folder
-          setFolders(prevFolders => prevFolders.filter(folder => folder.id !== folderId));
-          setFilteredFolders(prevFiltered => prevFiltered.filter(folder => folder.id !== folderId));
-          
+          await submitMutation({ type: MUTATION_TYPES.DELETE, recordType: 'folder', record: folder });
           Alert.alert('Success', 'Folder moved to trash');
         } catch (error) {
           console.error('Error deleting folder:', error);
-          Alert.alert('Error', 'Failed to delete folder. Please try again.');
-        } finally {
-          setLoading(false);
+          Alert.alert('Error', getErrorMessage(error, 'Failed to delete folder. Please try again.'));
         }
         break;
         
@@ -430,102 +385,32 @@ const FoldersScreen = () => {
             return;
           }
           
-          setLoading(true);
-          const response = await folderApi.updateFolder(folderId, data);
-          
-          // Extract updated folder data from response
-          let updatedFolder = null;
-          if (response.data && response.data.data) {
-            updatedFolder = response.data.data;
-          } else if (response.data) {
-            updatedFolder = response.data;
-          }
-          
-          if (updatedFolder) {
-            // Update folder in state
-            setFolders(prevFolders => 
-              prevFolders.map(folder => 
-                folder.id === folderId ? { ...folder, ...updatedFolder } : folder
-              )
-            );
-            
-            setFilteredFolders(prevFiltered => 
-              prevFiltered.map(folder => 
-                folder.id === folderId ? { ...folder, ...updatedFolder } : folder
-              )
-            );
-            
-            Alert.alert('Success', 'Folder updated successfully');
-          } else {
-            // If we couldn't extract the updated folder data, refetch all folders
-            await fetchFolders();
-          }
+          await submitMutation({ type: MUTATION_TYPES.UPDATE, recordType: 'folder', record: folder, changes: data });
+          Alert.alert('Success', 'Folder updated successfully');
         } catch (error) {
           console.error('Error updating folder:', error);
-          Alert.alert('Error', 'Failed to update folder. Please try again.');
-        } finally {
-          setLoading(false);
+          Alert.alert('Error', getErrorMessage(error, 'Failed to update folder. Please try again.'));
         }
         break;
         
       case 'toggleFavorite':
         try {
-          setLoading(true);
-          const response = await folderApi.toggleFavoriteFolder(folderId);
-          
-          // Extract updated folder data from response
-          let updatedFolder = null;
-          if (response.data && response.data.data) {
-            updatedFolder = response.data.data;
-          } else if (response.data) {
-            updatedFolder = response.data;
-          }
-          
-          if (updatedFolder) {
-            // Update folder in state
-            setFolders(prevFolders => 
-              prevFolders.map(folder => 
-                folder.id === folderId ? { 
-                  ...folder, 
-                  is_favorite: updatedFolder.is_favorite ?? !folder.is_favorite 
-                } : folder
-              )
-            );
-            
-            setFilteredFolders(prevFiltered => 
-              prevFiltered.map(folder => 
-                folder.id === folderId ? { 
-                  ...folder, 
-                  is_favorite: updatedFolder.is_favorite ?? !folder.is_favorite 
-                } : folder
-              )
-            );
-          } else {
-            // If we couldn't extract the updated folder data, toggle locally
-            setFolders(prevFolders => 
-              prevFolders.map(folder => 
-                folder.id === folderId ? { ...folder, is_favorite: !folder.is_favorite } : folder
-              )
-            );
-            
-            setFilteredFolders(prevFiltered => 
-              prevFiltered.map(folder => 
-                folder.id === folderId ? { ...folder, is_favorite: !folder.is_favorite } : folder
-              )
-            );
-          }
+          await submitMutation({
+            type: MUTATION_TYPES.FAVORITE,
+            recordType: 'folder',
+            record: folder,
+            changes: { is_favorite: !folder.is_favorite },
+          });
         } catch (error) {
           console.error('Error toggling favorite status:', error);
-          Alert.alert('Error', 'Failed to update favorite status. Please try again.');
-        } finally {
-          setLoading(false);
+          Alert.alert('Error', getErrorMessage(error, 'Failed to update favorite status. Please try again.'));
         }
         break;
         
       default:
         console.warn(`Unknown folder action: ${action}`);
     }
-  }, [fetchFolders]);
+  }, [folders]);
 
   const renderItem = useCallback(({ item }) => {
     // Additional safety check for the item
@@ -543,14 +428,7 @@ const FoldersScreen = () => {
     );
   }, [handleFolderPress, handleFolderAction]);
 
-  const keyExtractor = useCallback(item => {
-    // Safety check to prevent toString errors
-    if (!item || !item.id) {
-      console.warn('Item without ID passed to keyExtractor:', item);
-      return `fallback-${Math.random().toString(36).substring(2, 9)}`;
-    }
-    return item.id.toString();
-  }, []);
+  const keyExtractor = useCallback(item => item.id.toString(), []);
 
   return (
     <SafeAreaView 
@@ -596,16 +474,24 @@ const FoldersScreen = () => {
           theme={theme}
         />
 
-        {error ? (
-          <View style={styles.errorContainer}>
-            <Text style={styles.errorMessage}>{error}</Text>
-          </View>
+        <OutboxBanner />
+
+        <OfflineNotice message="Creating folders needs a connection. Changes to existing folders are saved and synced later." />
+
+        {folders.length > 0 ? (
+          <SyncStatus updatedAt={updatedAt} error={loadError} isFetching={isFetching} />
         ) : null}
 
         {loading && !refreshing ? (
           <View style={styles.loaderContainer}>
             <ActivityIndicator size="large" color={theme.colors.primary} />
           </View>
+        ) : loadError && folders.length === 0 ? (
+          <ErrorState
+            error={loadError}
+            onRetry={fetchFolders}
+            fallbackMessage="Failed to load folders."
+          />
         ) : filteredFolders.length === 0 ? (
           <EmptyState search={search} theme={theme} />
         ) : (
@@ -621,7 +507,7 @@ const FoldersScreen = () => {
             refreshControl={
               <RefreshControl
                 refreshing={refreshing}
-                onRefresh={onRefresh}
+                onRefresh={fetchFolders}
                 colors={[theme.colors.primary]}
                 tintColor={theme.colors.primary}
               />
@@ -634,7 +520,7 @@ const FoldersScreen = () => {
           icon="plus"
           onPress={handleOpenCreateDialog}
           color="#fff"
-          disabled={isCreatingFolder}
+          disabled={isCreatingFolder || !isOnline}
         />
 
         <Portal>
@@ -647,6 +533,7 @@ const FoldersScreen = () => {
             setNewFolderColor={setNewFolderColor}
             handleCreateFolder={handleCreateFolder}
             error={error}
+            nameInvalid={nameInvalid}
             theme={theme}
             colorOptions={colorOptions}
           />
@@ -764,18 +651,6 @@ const styles = StyleSheet.create({
     marginBottom: 10,
     textAlign: 'center',
   },
-  errorContainer: {
-    margin: 10,
-    padding: 12,
-    backgroundColor: '#ffeeee',
-    borderRadius: 10,
-    borderWidth: 1,
-    borderColor: '#ffcccc',
-  },
-  errorMessage: {
-    color: '#cc0000',
-    textAlign: 'center',
-  },
 });
 
 export default FoldersScreen;
\ No newline at end of file
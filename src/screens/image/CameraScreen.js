@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useContext, useRef, useCallback, useMemo } from 'react';
 import {
   View,
   Text,
@@ -10,75 +10,170 @@ import {
   Dimensions,
   BackHandler,
   Platform,
+  FlatList,
+  ScrollView,
 } from 'react-native';
+import { ProgressBar } from 'react-native-paper';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
 import { ThemeContext } from '../../contexts/ThemeContext';
 import * as ImagePicker from 'expo-image-picker';
 import * as ImageManipulator from 'expo-image-manipulator';
-import * as imageApi from '../../services/api/images';
-import { createImageFormData } from '../../services/api/client';
+import {
+  UPLOAD_STATUS,
+  useUploadQueueStore,
+  enqueueUpload,
+  cancelUpload,
+  discardUpload,
+} from '../../services/uploadQueue';
+import { canReachServer } from '../../services/connectivity';
+import { UnsupportedImageError } from '../../services/api/errors';
+import { createIdempotencyKey } from '../../services/api/retry';
+import {
+  ORIGINAL_FILTER,
+  getDocumentFilter,
+  applyDocumentFilter,
+  createFilterPreviews,
+  checkImageQuality,
+  describeQualityIssues,
+} from '../../services/imaging';
+import {
+  loadFolderFilters,
+  getFolderFilter,
+  useFolderFilter,
+  setFolderFilter,
+} from '../../services/folderFilters';
+import {
+  loadUploadProfile,
+  useUploadProfile,
+  getUploadProfileById,
+  prepareImageForUpload,
+  getFileSize,
+} from '../../services/uploadProfiles';
+import { formatFileSize } from '../../services/imageFileCache';
 
 const { width } = Dimensions.get('window');
-const MAX_IMAGE_SIZE = 1900000; // Set max size to ~1.9MB to stay under 2MB limit
-const MAX_DIMENSION = 1200; // Max width/height 1200px
 const SAFETY_TIMEOUT = 5000; // 5 seconds
+const MAX_GALLERY_SELECTION = 20; // Images picked from the gallery at once
+
+// Where a page came from; photos taken with the camera are pages of one document
+const PAGE_SOURCES = {
+  CAMERA: 'camera',
+  GALLERY: 'gallery',
+};
+
+const uploadStatusLabels = {
+  [UPLOAD_STATUS.PENDING]: 'Waiting',
+  [UPLOAD_STATUS.UPLOADING]: 'Uploading',
+  [UPLOAD_STATUS.FAILED]: 'Failed',
+  [UPLOAD_STATUS.CANCELED]: 'Canceled',
+  [UPLOAD_STATUS.COMPLETED]: 'Uploaded',
+};
 
 const CameraScreen = () => {
   // States for UI and operation management
-  const [capturedImage, setCapturedImage] = useState(null);
+  // Pages captured in this session, uploaded together in this order
+  // Each page: { id, image, source, filter, filtered }; source is a PAGE_SOURCES value and
+  // filtered is { filter, image } once the filter has run
+  const [pages, setPages] = useState([]);
+  const [selectedPageId, setSelectedPageId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [processingImage, setProcessingImage] = useState(false);
   const [isNavigating, setIsNavigating] = useState(false);
+  // Pages saved to the upload queue that this screen follows until they are sent: [{ pageId, uploadId }]
+  const [batch, setBatch] = useState(null);
+  const [cancellingUpload, setCancellingUpload] = useState(false);
+  // Filters still running on pages; the pages can't be saved until they finish
+  const [filtering, setFiltering] = useState(0);
+  // Open filter picker: { pageId, previews }; previews is null while they are being made
+  const [filterPicker, setFilterPicker] = useState(null);
   
   // Refs for tracking operation states that don't need re-renders
   const uploadingRef = useRef(false);
   const navigationTimeoutRef = useRef(null);
-  const mountedRef = useRef(true);
+  const nextPageIdRef = useRef(1);
   
   const { theme } = useContext(ThemeContext);
   const navigation = useNavigation();
   const route = useRoute();
   const { folderId } = route.params || {};
+  const folderFilter = useFolderFilter(folderId);
+  const uploadProfile = useUploadProfile();
+
+  const queueItems = useUploadQueueStore(state => state.items);
+  const uploadProgress = useUploadQueueStore(state => state.progress);
+
+  // Progress of the batch and of each page in it; a page is settled once it is sent, or once
+  // the queue has to retry it later
+  const batchStatus = useMemo(() => {
+    if (!batch) return null;
 
-  // Ensure component is mounted before state updates
+    let sent = 0;
+    let uploaded = 0;
+    let settled = 0;
+    const items = batch.map(({ pageId, uploadId }, index) => {
+      const item = queueItems.find(candidate => candidate.id === uploadId);
+      let progress = 0;
+      if (item?.status === UPLOAD_STATUS.COMPLETED) {
+        progress = 1;
+        uploaded += 1;
+        settled += 1;
+      } else if (item?.status === UPLOAD_STATUS.UPLOADING) {
+        progress = uploadProgress[uploadId] || 0;
+      } else if (!item || item.status !== UPLOAD_STATUS.PENDING || item.lastError) {
+        settled += 1;
+      }
+      sent += progress;
+
+      return {
+        pageId,
+        uploadId,
+        number: index + 1,
+        status: item?.status || UPLOAD_STATUS.CANCELED,
+        progress,
+        // Pending after an error means the queue retries it later
+        label: item?.status === UPLOAD_STATUS.PENDING && item.lastError
+          ? 'Will retry'
+          : uploadStatusLabels[item?.status || UPLOAD_STATUS.CANCELED],
+      };
+    });
+
+    return {
+      items,
+      progress: sent / batch.length,
+      uploaded,
+      done: settled === batch.length,
+    };
+  }, [batch, queueItems, uploadProgress]);
+
+  // Clear any pending timeouts on unmount
   useEffect(() => {
-    mountedRef.current = true;
     return () => {
-      mountedRef.current = false;
-      // Clear any pending timeouts on unmount
       if (navigationTimeoutRef.current) {
         clearTimeout(navigationTimeoutRef.current);
       }
     };
   }, []);
 
-  // Helper function to safely update state only if component is mounted
-  const safeSetState = useCallback((setter, value) => {
-    if (mountedRef.current) {
-      setter(value);
-    }
-  }, []);
-
   // Reset all operation states
   const resetAllStates = useCallback(() => {
-    if (mountedRef.current) {
-      safeSetState(setIsNavigating, false);
-      safeSetState(setLoading, false);
-      safeSetState(setProcessingImage, false);
-      uploadingRef.current = false;
-      
-      if (navigationTimeoutRef.current) {
-        clearTimeout(navigationTimeoutRef.current);
-        navigationTimeoutRef.current = null;
-      }
+    setIsNavigating(false);
+    setLoading(false);
+    setProcessingImage(false);
+    uploadingRef.current = false;
+    
+    if (navigationTimeoutRef.current) {
+      clearTimeout(navigationTimeoutRef.current);
+      navigationTimeoutRef.current = null;
     }
-  }, [safeSetState]);
+  }, []);
 
   // Add a safety timeout to reset states if they get stuck
   useEffect(() => {
     if (isNavigating || loading || processingImage || uploadingRef.current) {
       navigationTimeoutRef.current = setTimeout(() => {
+        // Saving a long session of pages can take a while, and always ends by itself
+        if (uploadingRef.current && !isNavigating) return;
         console.log('Safety timeout: resetting operation states');
         resetAllStates();
       }, SAFETY_TIMEOUT);
@@ -111,10 +206,10 @@ const CameraScreen = () => {
   useFocusEffect(
     useCallback(() => {
       console.log('Screen gained focus - resetting navigation state');
-      safeSetState(setIsNavigating, false);
+      setIsNavigating(false);
       uploadingRef.current = false;
       return () => {};
-    }, [safeSetState])
+    }, [])
   );
 
   // Handle Android back button with improved logic
@@ -140,8 +235,8 @@ const CameraScreen = () => {
           return true;
         }
         
-        if (capturedImage) {
-          console.log('Captured image detected - handling with replace navigation');
+        if (pages.length > 0) {
+          console.log('Captured pages detected - asking before discarding them');
           handleCaptureCancel();
           return true;
         }
@@ -154,14 +249,14 @@ const CameraScreen = () => {
 
       BackHandler.addEventListener('hardwareBackPress', onBackPress);
       return () => BackHandler.removeEventListener('hardwareBackPress', onBackPress);
-    }, [capturedImage, isNavigating, loading, processingImage])
+    }, [pages, isNavigating, loading, processingImage])
   );
 
   // Request camera permissions on mount
   useEffect(() => {
-    if (mountedRef.current) {
-      requestPermissions();
-    }
+    requestPermissions();
+    loadFolderFilters();
+    loadUploadProfile();
   }, []);
 
   // Request camera and media library permissions
@@ -177,7 +272,7 @@ const CameraScreen = () => {
           [{ 
             text: 'OK', 
             onPress: () => {
-              safeSetState(setIsNavigating, true);
+              setIsNavigating(true);
               navigation.goBack();
             }
           }]
@@ -189,93 +284,206 @@ const CameraScreen = () => {
     }
   };
 
-  // Process and optimize image
-  const processImage = async (imageResult) => {
+  // Resize and compress one image with the chosen upload profile
+  const optimizeImage = (imageAsset) => prepareImageForUpload(imageAsset, uploadProfile);
+
+  // Check a processed photo for blur, darkness and glare; a failed check never blocks the capture
+  const assessImage = async (image) => {
+    try {
+      return { ...image, quality: await checkImageQuality(image.uri) };
+    } catch (error) {
+      console.error('Error checking image quality:', error);
+      return { ...image, quality: null };
+    }
+  };
+
+  const hasQualityIssues = (image) => (image.quality?.issues.length || 0) > 0;
+
+  // Extract the image assets from different possible response formats
+  const getImageAssets = (imageResult) => {
     if (!imageResult || imageResult.canceled || 
         (imageResult.assets && imageResult.assets.length === 0)) {
       console.log('Image capture/selection canceled or empty result');
+      return [];
+    }
+
+    if (imageResult.assets && imageResult.assets.length > 0) {
+      return imageResult.assets;
+    }
+    if (imageResult.uri) {
+      return [imageResult];
+    }
+
+    console.log('Unrecognized image result format');
+    return [];
+  };
+
+  // Process and optimize a single image
+  const processImage = async (imageResult) => {
+    const [imageAsset] = getImageAssets(imageResult);
+    if (!imageAsset) {
       return null;
     }
     
     try {
-      safeSetState(setProcessingImage, true);
-      
-      // Extract image asset from different possible response formats
-      let imageAsset = null;
-      if (imageResult.assets && imageResult.assets.length > 0) {
-        imageAsset = imageResult.assets[0];
-      } else if (imageResult.uri) {
-        imageAsset = imageResult;
-      } else {
-        console.log('Unrecognized image result format');
-        safeSetState(setProcessingImage, false);
-        return null;
-      }
-      
-      console.log('Original image size:', imageAsset.fileSize, 'bytes');
-      
-      // If image is already small enough, return it as is
-      if (imageAsset.fileSize && imageAsset.fileSize < MAX_IMAGE_SIZE) {
-        console.log('Image is small enough, no need to resize');
-        safeSetState(setProcessingImage, false);
-        return imageAsset;
-      }
-      
-      // Calculate optimal compression quality based on original size
-      let quality = 0.8; // Default quality
-      if (imageAsset.fileSize > 5000000) { // 5MB+
-        quality = 0.5;
-      } else if (imageAsset.fileSize > 3000000) { // 3MB+
-        quality = 0.6;
-      } else {
-        quality = 0.7;
+      setProcessingImage(true);
+      return await assessImage(await optimizeImage(imageAsset));
+    } catch (error) {
+      console.error('Error processing image:', error);
+      Alert.alert('Error', 'Failed to process image');
+      return null;
+    } finally {
+      setProcessingImage(false);
+    }
+  };
+
+  // Process every picked image; one that fails is left out instead of failing the rest
+  const processImages = async (imageResult) => {
+    const imageAssets = getImageAssets(imageResult);
+    const processed = [];
+    let failed = 0;
+
+    if (imageAssets.length === 0) {
+      return { processed, failed };
+    }
+
+    setProcessingImage(true);
+    try {
+      for (const imageAsset of imageAssets) {
+        try {
+          processed.push(await assessImage(await optimizeImage(imageAsset)));
+        } catch (error) {
+          console.error('Error processing image:', error);
+          failed += 1;
+        }
       }
-      
-      // Calculate resize dimensions while maintaining aspect ratio
-      let width = imageAsset.width || 1000;
-      let height = imageAsset.height || 1000;
-      
-      if (width > height && width > MAX_DIMENSION) {
-        height = Math.round((height * MAX_DIMENSION) / width);
-        width = MAX_DIMENSION;
-      } else if (height > MAX_DIMENSION) {
-        width = Math.round((width * MAX_DIMENSION) / height);
-        height = MAX_DIMENSION;
+    } finally {
+      setProcessingImage(false);
+    }
+
+    return { processed, failed };
+  };
+
+  // Filters save JPEGs, a PNG the upload profile keeps (usually a diagram or screenshot) stays as it is
+  const canFilter = (image) => image.format !== 'png';
+
+  // Run a page's filter on its photo in the background
+  const filterPage = async (pageId, image, filterId) => {
+    if (filterId === ORIGINAL_FILTER || !canFilter(image)) return;
+
+    setFiltering(count => count + 1);
+    try {
+      const filteredImage = await applyDocumentFilter(image, filterId);
+      // Skipped if the page was retaken or given another filter meanwhile
+      setPages(prevPages => prevPages.map(page => (
+        page.id === pageId && page.image === image && page.filter === filterId
+          ? { ...page, filtered: { filter: filterId, image: filteredImage } }
+          : page
+      )));
+    } catch (error) {
+      console.error('Error applying filter:', error);
+      setPages(prevPages => prevPages.map(page => (
+        page.id === pageId && page.filter === filterId
+          ? { ...page, filter: ORIGINAL_FILTER, filtered: null }
+          : page
+      )));
+      Alert.alert('Filter Failed', `The ${getDocumentFilter(filterId)?.label || ''} filter could not be applied, the original photo is kept.`);
+    } finally {
+      setFiltering(count => count - 1);
+    }
+  };
+
+  // The photo a page is shown and uploaded with
+  const getPageImage = (page) => (
+    page.filter !== ORIGINAL_FILTER && page.filtered?.filter === page.filter
+      ? page.filtered.image
+      : page.image
+  );
+
+  // Add a page to the session, or put a retaken page in place of the old one
+  const addPage = (image, replacePageId = null) => {
+    if (replacePageId) {
+      const replaced = pages.find(page => page.id === replacePageId);
+      setPages(prevPages => prevPages.map(page => (
+        page.id === replacePageId
+          ? { ...page, image, filter: canFilter(image) ? page.filter : ORIGINAL_FILTER, filtered: null }
+          : page
+      )));
+      setSelectedPageId(replacePageId);
+      // The open previews show the old photo
+      setFilterPicker(null);
+      if (replaced) {
+        filterPage(replacePageId, image, replaced.filter);
       }
-      
-      console.log(`Resizing image to ${width}x${height} with quality ${quality}`);
-      
-      // Resize and compress the image
-      const manipResult = await ImageManipulator.manipulateAsync(
-        imageAsset.uri,
-        [{ resize: { width, height } }],
-        { compress: quality, format: ImageManipulator.SaveFormat.JPEG }
+      return;
+    }
+
+    addPages([image], PAGE_SOURCES.CAMERA);
+  };
+
+  // Add pages to the end of the session and select the first new one
+  // New pages get the folder's default filter
+  const addPages = (images, source = PAGE_SOURCES.GALLERY) => {
+    const filter = getFolderFilter(folderId);
+    const newPages = images.map(image => ({
+      id: nextPageIdRef.current++,
+      image,
+      source,
+      filter: canFilter(image) ? filter : ORIGINAL_FILTER,
+      filtered: null,
+    }));
+    setPages(prevPages => [...prevPages, ...newPages]);
+    setSelectedPageId(newPages[0].id);
+    newPages.forEach(page => filterPage(page.id, page.image, filter));
+    return newPages;
+  };
+
+  // Remove several pages at once, e.g. from an alert opened before the last render
+  const removePages = (pageIds) => {
+    setPages(prevPages => prevPages.filter(page => !pageIds.includes(page.id)));
+    setFilterPicker(null);
+  };
+
+  // Show every filter applied to a page, side by side
+  const openFilterPicker = async (page) => {
+    if (isOperationInProgress()) return;
+
+    if (!canFilter(page.image)) {
+      Alert.alert(
+        'Filters Not Available',
+        `Filters save photos as JPEG. With ${getUploadProfileById(page.image.profile).label} upload quality, PNG images like this one are uploaded as they are.`
       );
-      
-      // Add file size if it's missing
-      if (!manipResult.fileSize) {
-        const estimatedSize = Math.round(width * height * quality * 0.15);
-        manipResult.fileSize = estimatedSize;
-        console.log('Estimated processed size:', estimatedSize, 'bytes');
-      } else {
-        console.log('Actual processed size:', manipResult.fileSize, 'bytes');
-      }
-      
-      if (!mountedRef.current) return null;
-      safeSetState(setProcessingImage, false);
-      return manipResult;
+      return;
+    }
+
+    setFilterPicker({ pageId: page.id, previews: null });
+    try {
+      const previews = await createFilterPreviews(page.image.uri);
+      setFilterPicker(current => (current?.pageId === page.id ? { ...current, previews } : current));
     } catch (error) {
-      console.error('Error processing image:', error);
-      if (mountedRef.current) {
-        safeSetState(setProcessingImage, false);
-        Alert.alert('Error', 'Failed to process image');
-      }
-      return null;
+      console.error('Error creating filter previews:', error);
+      setFilterPicker(null);
+      Alert.alert('Error', 'The filter previews could not be created.');
+    }
+  };
+
+  const handleSelectFilter = (pageId, filterId) => {
+    const page = pages.find(candidate => candidate.id === pageId);
+    if (!page || page.filter === filterId) return;
+
+    const keepFiltered = page.filtered?.filter === filterId;
+    setPages(prevPages => prevPages.map(candidate => (
+      candidate.id === pageId
+        ? { ...candidate, filter: filterId, filtered: keepFiltered ? candidate.filtered : null }
+        : candidate
+    )));
+    if (!keepFiltered) {
+      filterPage(pageId, page.image, filterId);
     }
   };
 
   // Take picture using camera
-  const takePicture = async () => {
+  const takePicture = async (replacePageId = null) => {
     if (isOperationInProgress()) {
       console.log('Operation in progress, ignoring take picture request');
       return;
@@ -290,23 +498,32 @@ const CameraScreen = () => {
         aspect: undefined,
       });
 
-      if (!mountedRef.current) return;
-      
       // Process image before setting state
       const processedImage = await processImage(result);
-      if (processedImage && mountedRef.current) {
-        console.log('Image captured and processed successfully');
-        safeSetState(setCapturedImage, processedImage);
+      if (!processedImage) return;
+
+      console.log('Image captured and processed successfully');
+      // A bad photo is cheap to retake now and useless days later
+      if (hasQualityIssues(processedImage)) {
+        Alert.alert(
+          'Check This Photo',
+          `This photo ${describeQualityIssues(processedImage.quality.issues)} — retake?`,
+          [
+            { text: 'Keep Anyway', onPress: () => addPage(processedImage, replacePageId) },
+            { text: 'Retake', onPress: () => takePicture(replacePageId) },
+          ],
+          { cancelable: false }
+        );
+        return;
       }
+      addPage(processedImage, replacePageId);
     } catch (error) {
       console.error('Error taking picture:', error);
-      if (mountedRef.current) {
-        Alert.alert('Error', 'Failed to take picture: ' + error.message);
-      }
+      Alert.alert('Error', 'Failed to take picture: ' + error.message);
     }
   };
 
-  // Select image from gallery
+  // Select one or more images from gallery, each becomes a page
   const pickImage = async () => {
     if (isOperationInProgress()) {
       console.log('Operation in progress, ignoring pick image request');
@@ -318,29 +535,123 @@ const CameraScreen = () => {
       const result = await ImagePicker.launchImageLibraryAsync({
         mediaTypes: ImagePicker.MediaTypeOptions.Images,
         allowsEditing: false,
+        allowsMultipleSelection: true,
+        selectionLimit: MAX_GALLERY_SELECTION,
+        orderedSelection: true,
         quality: 0.9,
         aspect: undefined,
       });
 
-      if (!mountedRef.current) return;
-      
-      // Process image before setting state
-      const processedImage = await processImage(result);
-      if (processedImage && mountedRef.current) {
-        console.log('Image selected and processed successfully');
-        safeSetState(setCapturedImage, processedImage);
+      // Process images before setting state
+      const { processed, failed } = await processImages(result);
+      const newPages = [];
+      if (processed.length > 0) {
+        console.log(`${processed.length} image(s) selected and processed successfully`);
+        newPages.push(...addPages(processed));
+      }
+
+      const leftOut = failed > 0 ? `${failed} of ${processed.length + failed} images could not be processed. ` : '';
+      const flagged = newPages.filter(page => hasQualityIssues(page.image));
+      if (flagged.length > 0) {
+        const message = flagged.length === 1
+          ? `Photo ${newPages.indexOf(flagged[0]) + 1} of the selection ${describeQualityIssues(flagged[0].image.quality.issues)}.`
+          : `${flagged.length} of the selected photos look blurry, too dark or have glare.`;
+        Alert.alert(
+          'Check These Photos',
+          `${leftOut}${message} Remove ${flagged.length === 1 ? 'it' : 'them'}?`,
+          [
+            { text: 'Keep Anyway' },
+            { text: 'Remove', style: 'destructive', onPress: () => removePages(flagged.map(page => page.id)) },
+          ]
+        );
+      } else if (failed > 0) {
+        Alert.alert(
+          'Some Images Were Left Out',
+          processed.length > 0
+            ? `${failed} of ${processed.length + failed} images could not be processed. The other ${processed.length} were added.`
+            : 'The selected images could not be processed.'
+        );
       }
     } catch (error) {
       console.error('Error picking image:', error);
-      if (mountedRef.current) {
-        Alert.alert('Error', 'Failed to pick image from gallery: ' + error.message);
-      }
+      Alert.alert('Error', 'Failed to pick image from gallery: ' + error.message);
+    }
+  };
+
+  // Crop, rotate or flip a page; the editor comes back with the edited file
+  const handleEditPage = (page) => {
+    if (isOperationInProgress()) {
+      console.log('Operation in progress, ignoring edit request');
+      return;
     }
+
+    navigation.navigate('ImageEditor', {
+      pageId: page.id,
+      uri: page.image.uri,
+      folderId,
+    });
+  };
+
+  // Put an edited page back in its place
+  useEffect(() => {
+    const editedPage = route.params?.editedPage;
+    if (!editedPage) return;
+
+    navigation.setParams({ editedPage: undefined });
+    // Edits change what the photo check sees, so the scores saved with it are redone
+    const updatePage = async () => {
+      const image = await assessImage(editedPage.image);
+      const edited = pages.find(page => page.id === editedPage.pageId);
+      addPage({
+        ...image,
+        fileSize: await getFileSize(image.uri),
+        originalSize: edited?.image.originalSize ?? null,
+        profile: edited?.image.profile,
+      }, editedPage.pageId);
+    };
+    updatePage();
+  }, [route.params?.editedPage]);
+
+  // Remove a page from the session
+  const handleDeletePage = (pageId) => {
+    const index = pages.findIndex(page => page.id === pageId);
+    const remaining = pages.filter(page => page.id !== pageId);
+
+    setPages(remaining);
+    setFilterPicker(null);
+    // Select the neighbour so the preview doesn't jump to the start
+    const neighbour = remaining[Math.min(index, remaining.length - 1)];
+    setSelectedPageId(neighbour ? neighbour.id : null);
   };
 
-  // Upload image to server
-  const uploadImage = async () => {
-    if (!capturedImage) {
+  // Show the folder the pages were saved to
+  const openFolder = useCallback(() => {
+    // Mark as navigating and reset states before navigation
+    setIsNavigating(true);
+    if (navigationTimeoutRef.current) {
+      clearTimeout(navigationTimeoutRef.current);
+      navigationTimeoutRef.current = null;
+    }
+    
+    // Use replace to improve navigation flow
+    navigation.replace('FolderDetail', {
+      folderId: folderId,
+      refresh: true,
+      timestamp: Date.now() // Force refresh
+    });
+  }, [folderId, navigation]);
+
+  // Leave once the batch is sent; failed pages stay in the upload queue, which reports them
+  useEffect(() => {
+    if (batchStatus?.done && !cancellingUpload) {
+      setBatch(null);
+      openFolder();
+    }
+  }, [batchStatus, cancellingUpload, openFolder]);
+
+  // Queue every page for upload, in page order
+  const uploadPages = async () => {
+    if (pages.length === 0) {
       Alert.alert('Error', 'No image to upload');
       return;
     }
@@ -355,98 +666,148 @@ const CameraScreen = () => {
       return;
     }
 
-    safeSetState(setLoading, true);
+    if (filtering > 0) {
+      Alert.alert('Filters Still Running', 'Wait a moment until every page has its filter applied.');
+      return;
+    }
+
+    setLoading(true);
     uploadingRef.current = true;
+
+    const capturedAt = new Date().toLocaleString();
+    // Photos taken with the camera are pages of one document and go up in order;
+    // pictures from the gallery are independent and upload side by side
+    const cameraPages = pages.filter(page => page.source === PAGE_SOURCES.CAMERA);
+    const batchId = cameraPages.length > 1 ? createIdempotencyKey() : null;
+    const entries = [];
+    let queued = 0;
     
     try {
-      console.log('Preparing to upload image to folder:', folderId);
-      
-      // Create form data for upload
-      const formData = createImageFormData(
-        capturedImage,
-        {
-          folder_id: folderId,
-          name: `Image ${new Date().toLocaleString()}`,
-        }
-      );
-      
-      console.log('Uploading image...');
+      console.log(`Queueing ${pages.length} page(s) for folder:`, folderId);
       
-      // Upload image
-      const response = await imageApi.uploadImage(formData);
-      
-      // Extract image ID from response
-      let imageId = null;
-      if (response.data?.data?.id) {
-        imageId = response.data.data.id;
-      } else if (response.data?.id) {
-        imageId = response.data.id;
+      // Saved on the device first, the queue uploads them now or once the phone is back online
+      for (const [index, page] of pages.entries()) {
+        const item = await enqueueUpload(getPageImage(page), {
+          folderId,
+          name: pages.length > 1 ? `Page ${index + 1} - ${capturedAt}` : `Image ${capturedAt}`,
+          // Scores of the photo as taken; filters are meant to change what they measure
+          quality: page.image.quality || null,
+          ...(batchId && page.source === PAGE_SOURCES.CAMERA
+            ? { batchId, batchIndex: cameraPages.indexOf(page) }
+            : {}),
+        });
+        entries.push({ pageId: page.id, uploadId: item.id });
+        queued += 1;
       }
       
-      console.log('Upload successful! Image ID:', imageId);
-      
-      if (!mountedRef.current) return;
-      
-      // Mark as navigating and reset states before navigation
-      safeSetState(setIsNavigating, true);
-      if (navigationTimeoutRef.current) {
-        clearTimeout(navigationTimeoutRef.current);
-        navigationTimeoutRef.current = null;
+      if (canReachServer()) {
+        // Stay to show the progress, so the upload can still be cancelled
+        setBatch(entries);
+      } else {
+        openFolder();
       }
       
-      // Use replace to improve navigation flow
-      navigation.replace('FolderDetail', {
-        folderId: folderId,
-        refresh: true,
-        timestamp: Date.now() // Force refresh
-      });
-      
     } catch (error) {
-      console.error('Error uploading image:', error);
-      
-      if (!mountedRef.current) return;
-      
-      // Show user-friendly error message
-      if (error.response?.status === 413) {
-        Alert.alert(
-          'Image Too Large', 
-          'The image is still too large to upload. Please try using a different image.',
-          [{ text: 'OK' }]
-        );
-      } else {
-        Alert.alert(
-          'Upload Failed', 
-          'Unable to save your image. Please try again later.',
-          [{ text: 'OK' }]
-        );
-      }
+      // Only a problem on the device or with the file gets here, upload errors are shown in the upload queue
+      console.error('Error queueing image:', error);
+
+      // Pages already queued will upload, keep the rest so they can be saved again
+      const remaining = pages.slice(queued);
+      setPages(remaining);
+      setSelectedPageId(remaining[0].id);
+
+      const saved = queued > 0 ? `${queued} of ${pages.length} pages were saved. ` : '';
+      Alert.alert(
+        'Could Not Save Image',
+        error instanceof UnsupportedImageError
+          ? `${saved}Page ${queued + 1} can't be uploaded. ${error.message}`
+          : queued > 0
+            ? `${saved}The rest could not be stored on this device. Check the available storage and try again.`
+            : 'The photo could not be stored on this device. Check the available storage and try again.',
+        [{ text: 'OK' }]
+      );
       
       // Reset flags to allow retry
       resetAllStates();
     }
   };
 
-  // Handle canceling captured image
+  // Stop the batch upload; pages that weren't uploaded yet stay in the session to try again
+  const cancelBatchUpload = async () => {
+    if (!batch || cancellingUpload) return;
+
+    setCancellingUpload(true);
+    const uploadedPageIds = [];
+
+    try {
+      for (const { pageId, uploadId } of batch) {
+        if (await cancelUpload(uploadId)) {
+          // The page keeps its own copy of the photo
+          await discardUpload(uploadId);
+        } else if (useUploadQueueStore.getState().items.some(item =>
+          item.id === uploadId && item.status === UPLOAD_STATUS.COMPLETED
+        )) {
+          uploadedPageIds.push(pageId);
+        }
+      }
+    } finally {
+      setCancellingUpload(false);
+    }
+
+    const remaining = pages.filter(page => !uploadedPageIds.includes(page.id));
+    setBatch(null);
+    resetAllStates();
+
+    if (remaining.length === 0) {
+      openFolder();
+      return;
+    }
+
+    setPages(remaining);
+    setSelectedPageId(remaining[0].id);
+
+    if (uploadedPageIds.length > 0) {
+      Alert.alert(
+        'Upload Canceled',
+        `${uploadedPageIds.length} of ${batch.length} pages had already been uploaded and were kept. ` +
+        `The other ${remaining.length} are still here, ready to upload again.`
+      );
+    }
+  };
+
+  // Handle canceling the capture session
   const handleCaptureCancel = useCallback(() => {
     if (isOperationInProgress()) {
       console.log('Operation in progress, ignoring cancel request');
       return;
     }
-    
-    if (capturedImage && folderId) {
-      console.log('Canceling capture and replacing with folder detail');
-      safeSetState(setIsNavigating, true);
-      
-      // Replace current screen in the navigation stack
-      navigation.replace('FolderDetail', { 
-        folderId: folderId
-      });
-    } else {
-      // Just clear the captured image if we're in the initial camera screen
-      console.log('Canceling capture, clearing image');
-      safeSetState(setCapturedImage, null);
-    }
-  }, [capturedImage, folderId, isOperationInProgress, navigation, safeSetState]);
+
+    const discard = () => {
+      if (folderId) {
+        console.log('Canceling capture and replacing with folder detail');
+        setIsNavigating(true);
+        
+        // Replace current screen in the navigation stack
+        navigation.replace('FolderDetail', { 
+          folderId: folderId
+        });
+      } else {
+        // Just clear the pages if we're in the initial camera screen
+        console.log('Canceling capture, clearing pages');
+        setPages([]);
+        setSelectedPageId(null);
+      }
+    };
+
+    Alert.alert(
+      'Discard Pages',
+      `${pages.length === 1 ? 'The captured page has' : `The ${pages.length} captured pages have`} not been saved.`,
+      [
+        { text: 'Keep Capturing', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: discard },
+      ]
+    );
+  }, [pages, folderId, isOperationInProgress, navigation]);
 
   // Handle navigation back
   const handleNavigateBack = useCallback(() => {
@@ -456,7 +817,7 @@ const CameraScreen = () => {
     }
     
     console.log('Handling navigation back');
-    safeSetState(setIsNavigating, true);
+    setIsNavigating(true);
     
     // Use replace instead of goBack for better UX
     if (folderId) {
@@ -464,7 +825,7 @@ const CameraScreen = () => {
     } else {
       navigation.goBack();
     }
-  }, [folderId, isOperationInProgress, navigation, safeSetState]);
+  }, [folderId, isOperationInProgress, navigation]);
 
   // Image processing overlay
   if (processingImage) {
@@ -480,46 +841,264 @@ const CameraScreen = () => {
     );
   }
 
-  // Image preview and action buttons
-  if (capturedImage) {
+  // Capture session: preview of the selected page, the page strip and the session actions
+  if (pages.length > 0) {
+    const selectedIndex = Math.max(0, pages.findIndex(page => page.id === selectedPageId));
+    const selectedPage = pages[selectedIndex];
+    const busy = isOperationInProgress();
+
+    // Size of the photo as taken and as it will be uploaded
+    const renderPageSize = (image) => {
+      if (!image.fileSize) return null;
+      const reduced = image.originalSize && image.originalSize !== image.fileSize;
+      return (
+        <Text style={styles.pageSizeText}>
+          {reduced
+            ? `${formatFileSize(image.originalSize)} → ${formatFileSize(image.fileSize)}`
+            : formatFileSize(image.fileSize)}
+          {image.profile ? ` · ${getUploadProfileById(image.profile).label}` : ''}
+        </Text>
+      );
+    };
+
+    const renderPageThumbnail = ({ item, index }) => (
+      <TouchableOpacity
+        style={[
+          styles.pageThumbnail,
+          item.id === selectedPage.id && { borderColor: theme.colors.primary },
+        ]}
+        onPress={() => setSelectedPageId(item.id)}
+        disabled={busy}
+      >
+        <Image source={{ uri: getPageImage(item).uri }} style={styles.pageThumbnailImage} />
+        <View style={styles.pageNumber}>
+          <Text style={styles.pageNumberText}>{index + 1}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+
     return (
       <View style={[styles.container, { backgroundColor: '#000' }]}>
         <Image 
-          source={{ uri: capturedImage.uri }} 
+          source={{ uri: getPageImage(selectedPage).uri }} 
           style={styles.previewImage} 
           onError={(e) => console.error('Preview image error:', e.nativeEvent.error)}
         />
-        
-        {loading ? (
-          <View style={styles.loadingOverlay}>
-            <ActivityIndicator size="large" color={theme.colors.primary} />
-            <Text style={styles.loadingText}>Saving image...</Text>
+
+        <View style={styles.pageHeader}>
+          <View style={styles.pageHeaderInfo}>
+            <Text style={styles.pageHeaderText}>
+              Page {selectedIndex + 1} of {pages.length}
+            </Text>
+            {renderPageSize(selectedPage.image)}
           </View>
-        ) : (
-          <View style={styles.captureActions}>
-            <TouchableOpacity 
-              style={[
-                styles.captureActionButton,
-                isOperationInProgress() ? styles.disabledButton : null
-              ]} 
-              onPress={handleCaptureCancel}
-              disabled={isOperationInProgress()}
+          <View style={styles.pageHeaderActions}>
+            <TouchableOpacity
+              style={[styles.pageHeaderButton, busy ? styles.disabledButton : null]}
+              onPress={() => takePicture(selectedPage.id)}
+              disabled={busy}
+            >
+              <Ionicons name="camera-reverse-outline" size={22} color="#FFF" />
+              <Text style={styles.pageHeaderButtonText}>Retake</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.pageHeaderButton, busy ? styles.disabledButton : null]}
+              onPress={() => handleEditPage(selectedPage)}
+              disabled={busy}
+            >
+              <Ionicons name="crop-outline" size={22} color="#FFF" />
+              <Text style={styles.pageHeaderButtonText}>Edit</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.pageHeaderButton, busy ? styles.disabledButton : null]}
+              onPress={() => openFilterPicker(selectedPage)}
+              disabled={busy}
             >
-              <Ionicons name="close-circle" size={60} color="#FFF" />
-              <Text style={styles.actionButtonLabel}>Cancel</Text>
+              <Ionicons name="color-filter-outline" size={22} color="#FFF" />
+              <Text style={styles.pageHeaderButtonText}>Filter</Text>
             </TouchableOpacity>
-            <TouchableOpacity 
-              style={[
-                styles.captureActionButton,
-                isOperationInProgress() ? styles.disabledButton : null
-              ]} 
-              onPress={uploadImage}
-              disabled={isOperationInProgress()}
+            <TouchableOpacity
+              style={[styles.pageHeaderButton, busy ? styles.disabledButton : null]}
+              onPress={() => handleDeletePage(selectedPage.id)}
+              disabled={busy}
             >
-              <Ionicons name="checkmark-circle" size={60} color="#FFF" />
-              <Text style={styles.actionButtonLabel}>Save</Text>
+              <Ionicons name="trash-outline" size={22} color="#FFF" />
+              <Text style={styles.pageHeaderButtonText}>Delete</Text>
             </TouchableOpacity>
           </View>
+        </View>
+        
+        {loading ? (
+          <View style={styles.loadingOverlay}>
+            {batchStatus ? (
+              <>
+                <Text style={styles.loadingText}>
+                  {batch.length > 1
+                    ? `Uploading pages (${batchStatus.uploaded} of ${batch.length})...`
+                    : 'Uploading image...'}
+                </Text>
+                <ProgressBar
+                  progress={batchStatus.progress}
+                  color={theme.colors.primary}
+                  style={styles.uploadProgress}
+                />
+                <Text style={styles.uploadPercent}>{Math.round(batchStatus.progress * 100)}%</Text>
+                {batch.length > 1 && (
+                  <ScrollView style={styles.uploadItems}>
+                    {batchStatus.items.map(item => (
+                      <View key={item.uploadId} style={styles.uploadItem}>
+                        <Text style={styles.uploadItemName}>Page {item.number}</Text>
+                        <View style={styles.uploadItemBar}>
+                          <ProgressBar
+                            progress={item.progress}
+                            color={item.status === UPLOAD_STATUS.FAILED ? theme.colors.error : theme.colors.primary}
+                            style={styles.uploadItemProgress}
+                          />
+                        </View>
+                        <Text style={styles.uploadItemStatus}>
+                          {item.status === UPLOAD_STATUS.UPLOADING
+                            ? `${Math.round(item.progress * 100)}%`
+                            : item.label}
+                        </Text>
+                      </View>
+                    ))}
+                  </ScrollView>
+                )}
+                <TouchableOpacity
+                  style={[styles.cancelUploadButton, cancellingUpload ? styles.disabledButton : null]}
+                  onPress={cancelBatchUpload}
+                  disabled={cancellingUpload}
+                >
+                  <Text style={styles.cancelUploadText}>
+                    {cancellingUpload ? 'Canceling...' : 'Cancel Upload'}
+                  </Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <>
+                <ActivityIndicator size="large" color={theme.colors.primary} />
+                <Text style={styles.loadingText}>
+                  {pages.length > 1 ? `Saving ${pages.length} pages...` : 'Saving image...'}
+                </Text>
+              </>
+            )}
+          </View>
+        ) : filterPicker ? (
+          <View style={styles.sessionControls}>
+            {filterPicker.previews ? (
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.filterStrip}
+              >
+                {filterPicker.previews.map(preview => (
+                  <TouchableOpacity
+                    key={preview.id}
+                    style={styles.filterOption}
+                    onPress={() => handleSelectFilter(filterPicker.pageId, preview.id)}
+                  >
+                    <Image
+                      source={{ uri: preview.uri }}
+                      style={[
+                        styles.filterPreview,
+                        selectedPage.filter === preview.id && { borderColor: theme.colors.primary },
+                      ]}
+                    />
+                    <Text style={styles.filterLabel}>{preview.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            ) : (
+              <View style={styles.filterLoading}>
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+                <Text style={styles.filterLabel}>Preparing previews...</Text>
+              </View>
+            )}
+
+            <View style={styles.filterActions}>
+              <TouchableOpacity
+                style={[styles.filterDefaultButton, selectedPage.filter === folderFilter ? styles.disabledButton : null]}
+                onPress={() => setFolderFilter(folderId, selectedPage.filter)}
+                disabled={selectedPage.filter === folderFilter}
+              >
+                <Ionicons
+                  name={selectedPage.filter === folderFilter ? 'checkmark-circle' : 'bookmark-outline'}
+                  size={18}
+                  color="#FFF"
+                />
+                <Text style={styles.filterDefaultText}>
+                  {selectedPage.filter === folderFilter
+                    ? 'Default for this folder'
+                    : 'Use for new pages in this folder'}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.filterDoneButton} onPress={() => setFilterPicker(null)}>
+                <Text style={styles.filterDoneText}>Done</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : (
+          <View style={styles.sessionControls}>
+            <FlatList
+              horizontal
+              data={pages}
+              renderItem={renderPageThumbnail}
+              keyExtractor={(item) => String(item.id)}
+              contentContainerStyle={styles.pageStrip}
+              showsHorizontalScrollIndicator={false}
+              ListFooterComponent={
+                <TouchableOpacity
+                  style={[styles.pageThumbnail, styles.addPageThumbnail, busy ? styles.disabledButton : null]}
+                  onPress={() => pickImage()}
+                  disabled={busy}
+                >
+                  <Ionicons name="images-outline" size={24} color="#FFF" />
+                </TouchableOpacity>
+              }
+            />
+
+            <View style={styles.captureActions}>
+              <TouchableOpacity 
+                style={[
+                  styles.captureActionButton,
+                  busy ? styles.disabledButton : null
+                ]} 
+                onPress={handleCaptureCancel}
+                disabled={busy}
+              >
+                <Ionicons name="close-circle" size={60} color="#FFF" />
+                <Text style={styles.actionButtonLabel}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={[
+                  styles.captureActionButton,
+                  busy ? styles.disabledButton : null
+                ]} 
+                onPress={() => takePicture()}
+                disabled={busy}
+              >
+                <Ionicons name="add-circle" size={60} color="#FFF" />
+                <Text style={styles.actionButtonLabel}>Add Page</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={[
+                  styles.captureActionButton,
+                  busy || filtering > 0 ? styles.disabledButton : null
+                ]} 
+                onPress={uploadPages}
+                disabled={busy || filtering > 0}
+              >
+                {filtering > 0 ? (
+                  <ActivityIndicator size="large" color="#FFF" style={styles.filteringIndicator} />
+                ) : (
+                  <Ionicons name="checkmark-circle" size={60} color="#FFF" />
+                )}
+                <Text style={styles.actionButtonLabel}>
+                  {filtering > 0 ? 'Filtering...' : pages.length > 1 ? `Save ${pages.length}` : 'Save'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
         )}
       </View>
     );
@@ -552,7 +1131,7 @@ const CameraScreen = () => {
             { backgroundColor: theme.colors.primary },
             isOperationInProgress() ? styles.disabledActionButton : null
           ]}
-          onPress={takePicture}
+          onPress={() => takePicture()}
           disabled={isOperationInProgress()}
         >
           <Ionicons name="camera-outline" size={24} color="#FFF" />
@@ -565,7 +1144,7 @@ const CameraScreen = () => {
             { backgroundColor: theme.colors.primary, marginTop: 15 },
             isOperationInProgress() ? styles.disabledActionButton : null
           ]}
-          onPress={pickImage}
+          onPress={() => pickImage()}
           disabled={isOperationInProgress()}
         >
           <Ionicons name="images-outline" size={24} color="#FFF" />
@@ -654,13 +1233,148 @@ const styles = StyleSheet.create({
     height: '100%',
     resizeMode: 'contain',
   },
-  captureActions: {
+  pageHeader: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    paddingTop: 40,
+    paddingBottom: 10,
+    paddingHorizontal: 20,
     flexDirection: 'row',
-    justifyContent: 'space-around',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  pageHeaderInfo: {
+    flexShrink: 1,
+  },
+  pageHeaderText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  pageSizeText: {
+    color: 'rgba(255,255,255,0.8)',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  pageHeaderActions: {
+    flexDirection: 'row',
+  },
+  pageHeaderButton: {
+    alignItems: 'center',
+    marginLeft: 20,
+  },
+  pageHeaderButtonText: {
+    color: '#FFF',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  sessionControls: {
     position: 'absolute',
-    bottom: 30,
+    bottom: 0,
     left: 0,
     right: 0,
+    paddingBottom: 30,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  pageStrip: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+  },
+  pageThumbnail: {
+    width: 56,
+    height: 72,
+    marginRight: 8,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    overflow: 'hidden',
+  },
+  pageThumbnailImage: {
+    width: '100%',
+    height: '100%',
+  },
+  addPageThumbnail: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderColor: '#FFF',
+    borderStyle: 'dashed',
+  },
+  pageNumber: {
+    position: 'absolute',
+    bottom: 2,
+    right: 2,
+    minWidth: 18,
+    paddingHorizontal: 4,
+    borderRadius: 9,
+    backgroundColor: 'rgba(0,0,0,0.7)',
+    alignItems: 'center',
+  },
+  pageNumberText: {
+    color: '#FFF',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  filterStrip: {
+    paddingHorizontal: 12,
+    paddingBottom: 12,
+  },
+  filterOption: {
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  filterPreview: {
+    width: 72,
+    height: 96,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    backgroundColor: '#222',
+  },
+  filterLabel: {
+    color: '#FFF',
+    marginTop: 4,
+    fontSize: 12,
+  },
+  filterLoading: {
+    height: 124,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  filterActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+  },
+  filterDefaultButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexShrink: 1,
+    paddingVertical: 8,
+  },
+  filterDefaultText: {
+    color: '#FFF',
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  filterDoneButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 20,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: '#FFF',
+  },
+  filterDoneText: {
+    color: '#FFF',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  captureActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
   },
   captureActionButton: {
     width: 80,
@@ -668,6 +1382,10 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  filteringIndicator: {
+    width: 60,
+    height: 60,
+  },
   disabledButton: {
     opacity: 0.5,
   },
@@ -687,6 +1405,58 @@ const styles = StyleSheet.create({
     marginTop: 10,
     fontSize: 16,
   },
+  uploadProgress: {
+    width: width * 0.7,
+    height: 6,
+    borderRadius: 3,
+    marginTop: 16,
+  },
+  uploadPercent: {
+    color: '#FFF',
+    marginTop: 8,
+    fontSize: 14,
+  },
+  uploadItems: {
+    width: width * 0.8,
+    maxHeight: 200,
+    marginTop: 16,
+  },
+  uploadItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  uploadItemName: {
+    color: '#FFF',
+    fontSize: 13,
+    width: 60,
+  },
+  uploadItemBar: {
+    flex: 1,
+  },
+  uploadItemProgress: {
+    height: 4,
+    borderRadius: 2,
+  },
+  uploadItemStatus: {
+    color: '#FFF',
+    fontSize: 13,
+    width: 72,
+    textAlign: 'right',
+  },
+  cancelUploadButton: {
+    marginTop: 24,
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#FFF',
+  },
+  cancelUploadText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
 });
 
 export default CameraScreen;
\ No newline at end of file
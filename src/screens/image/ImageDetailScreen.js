@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useContext } from 'react';
 import {
   View,
   Text,
@@ -19,10 +19,55 @@ import { Appbar, Menu, TextInput, Button, Portal, Dialog, Chip, FAB } from 'reac
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { ThemeContext } from '../../contexts/ThemeContext';
 import { Ionicons } from '@expo/vector-icons';
-import * as imageApi from '../../services/api/images';
+import * as queries from '../../services/api/queries';
+import { submitMutation, MUTATION_TYPES } from '../../services/outbox';
+import { ValidationError, getErrorMessage } from '../../services/api/errors';
+import ErrorState from '../../components/common/ErrorState';
+import { useQuery } from '../../hooks/useQuery';
+import { useImagePath } from '../../hooks/useImagePath';
+import { useIsOnline } from '../../services/connectivity';
+import { QUALITY_ISSUES } from '../../services/imaging';
 
 const { width, height } = Dimensions.get('window');
 
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+// Rows of the photo check saved with the upload: { key, icon, label, value, warning }
+const getQualityRows = (quality) => {
+  const has = (issue) => quality.issues.includes(issue);
+  const rows = [];
+
+  if (quality.sharpness !== null) {
+    rows.push({
+      key: 'sharpness',
+      icon: 'aperture-outline',
+      label: 'Sharpness',
+      value: `${has(QUALITY_ISSUES.BLURRY) ? 'Blurry' : 'Sharp'} (${Math.round(quality.sharpness)})`,
+      warning: has(QUALITY_ISSUES.BLURRY),
+    });
+  }
+  if (quality.brightness !== null) {
+    const exposure = has(QUALITY_ISSUES.DARK) ? 'Too dark' : has(QUALITY_ISSUES.OVEREXPOSED) ? 'Washed out' : 'Good';
+    rows.push({
+      key: 'exposure',
+      icon: 'sunny-outline',
+      label: 'Exposure',
+      value: `${exposure} (${formatPercent(quality.brightness / 255)} brightness)`,
+      warning: has(QUALITY_ISSUES.DARK) || has(QUALITY_ISSUES.OVEREXPOSED),
+    });
+  }
+  if (quality.glare !== null) {
+    rows.push({
+      key: 'glare',
+      icon: 'flash-outline',
+      label: 'Glare',
+      value: `${has(QUALITY_ISSUES.GLARE) ? 'Noticeable' : 'None'} (${formatPercent(quality.glare)} blown out)`,
+      warning: has(QUALITY_ISSUES.GLARE),
+    });
+  }
+  return rows;
+};
+
 // Error boundary component to catch rendering errors
 const ErrorFallback = ({ error, resetError, theme }) => (
   <View style={[styles.errorContainer, { backgroundColor: theme.colors.background }]}>
@@ -41,13 +86,12 @@ const ErrorFallback = ({ error, resetError, theme }) => (
 );
 
 const ImageDetailScreen = () => {
-  const [image, setImage] = useState(null);
-  const [loading, setLoading] = useState(true);
   const [menuVisible, setMenuVisible] = useState(false);
   const [editDialogVisible, setEditDialogVisible] = useState(false);
   const [editName, setEditName] = useState('');
   const [editDescription, setEditDescription] = useState('');
   const [error, setError] = useState('');
+  const [editFieldErrors, setEditFieldErrors] = useState({});
   const [scrollY] = useState(new Animated.Value(0));
   const [fullscreenMode, setFullscreenMode] = useState(false);
   const [renderError, setRenderError] = useState(null);
@@ -63,6 +107,19 @@ const ImageDetailScreen = () => {
     console.error('ImageDetailScreen: No imageId provided in route params');
   }
 
+  // Shared with the folder screens, an image opened from a list doesn't load twice
+  const imageQuery = queries.image(imageId);
+  const {
+    data: image,
+    error: queryError,
+    isLoading: loading,
+    refetch: fetchImageDetails,
+  } = useQuery(imageQuery, { enabled: !!imageId });
+  const loadError = imageId ? queryError : 'No image ID provided';
+  const imagePath = useImagePath(image?.path);
+  // The edited file replaces the one on the server, which needs a connection
+  const isOnline = useIsOnline();
+
   // Animation values
   const headerOpacity = scrollY.interpolate({
     inputRange: [0, 100],
@@ -76,88 +133,13 @@ const ImageDetailScreen = () => {
     extrapolate: 'clamp'
   });
 
-  // Safe loading of image details with error handling
-  useEffect(() => {
-    let isMounted = true;
-    
-    const fetchImage = async () => {
-      if (!imageId) {
-        setError('No image ID provided');
-        setLoading(false);
-        return;
-      }
-      
-      try {
-        setLoading(true);
-        setError('');
-        setRenderError(null);
-        
-        console.log(`Fetching image details for ID: ${imageId}`);
-        const response = await imageApi.getImage(imageId);
-        
-        // Add this logging to see the response structure
-        console.log('Image detail response structure:', 
-          response && response.data ? Object.keys(response.data) : 'No data');
-        
-        // Handle possible nested data structure
-        let imageData = null;
-        
-        if (response?.data?.data) {
-          imageData = response.data.data;
-        } else if (response?.data) {
-          imageData = response.data;
-        }
-        
-        if (!imageData) {
-          throw new Error('No image data found in the response');
-        }
-        
-        // Log the extracted data
-        console.log('Image data extracted:', {
-          id: imageData.id || 'missing ID',
-          name: imageData.name || 'missing name',
-          hasPath: !!imageData.path
-        });
-        
-        // Validate required fields
-        if (!imageData.path) {
-          console.warn('Image missing required path field:', imageData);
-          imageData.path = '/api/placeholder/400/300'; // Fallback image path
-        }
-        
-        if (!imageData.name) {
-          imageData.name = 'Untitled Image';
-        }
-        
-        if (!imageData.created_at) {
-          imageData.created_at = new Date().toISOString();
-        }
-        
-        // Only update state if component is still mounted
-        if (isMounted) {
-          setImage(imageData);
-          setEditName(imageData.name);
-          setEditDescription(imageData.description || '');
-        }
-      } catch (err) {
-        console.error('Error fetching image details:', err);
-        if (isMounted) {
-          setError(err.message || 'Failed to load image details');
-        }
-      } finally {
-        if (isMounted) {
-          setLoading(false);
-        }
-      }
-    };
-    
-    fetchImage();
-    
-    // Cleanup function
-    return () => {
-      isMounted = false;
-    };
-  }, [imageId]);
+  const openEditDialog = () => {
+    setEditName(image.name);
+    setEditDescription(image.description);
+    setError('');
+    setEditFieldErrors({});
+    setEditDialogVisible(true);
+  };
 
   const handleEditImage = async () => {
     if (!editName.trim()) {
@@ -167,76 +149,58 @@ const ImageDetailScreen = () => {
 
     try {
       setError('');
+      setEditFieldErrors({});
       console.log(`Updating image ${imageId} with name: ${editName}`);
       
-      const response = await imageApi.updateImage(imageId, {
-        name: editName,
-        description: editDescription,
+      // Shown right away; sent once the device is online
+      await submitMutation({
+        type: MUTATION_TYPES.UPDATE,
+        recordType: 'image',
+        record: image,
+        changes: {
+          name: editName,
+          description: editDescription,
+        },
       });
       
-      console.log('Update image response:', response?.data ? 'success' : 'no data');
-      
-      let updatedImage = null;
-      if (response?.data?.data) {
-        updatedImage = response.data.data;
-      } else if (response?.data) {
-        updatedImage = response.data;
-      }
-      
-      if (!updatedImage) {
-        throw new Error('Failed to get updated image data');
-      }
-      
-      // Preserve the image path if it's missing in the response
-      if (!updatedImage.path && image?.path) {
-        updatedImage.path = image.path;
-      }
-      
-      setImage(updatedImage);
       setEditDialogVisible(false);
       setError('');
     } catch (err) {
       console.error('Error updating image:', err);
-      setError('Failed to update image: ' + (err.message || 'Unknown error'));
+      
+      if (err instanceof ValidationError) {
+        setEditFieldErrors({
+          name: err.getFieldError('name'),
+          description: err.getFieldError('description'),
+        });
+      }
+      setError(getErrorMessage(err, 'Failed to update image'));
     }
   };
 
   const handleToggleFavorite = async () => {
     if (!imageId) {
-      setError('Cannot update: Invalid image ID');
+      Alert.alert('Error', 'Cannot update: Invalid image ID');
       return;
     }
     
     try {
       setError('');
-      const response = await imageApi.toggleFavoriteImage(imageId);
-      
-      let updatedImage = null;
-      if (response?.data?.data) {
-        updatedImage = response.data.data;
-      } else if (response?.data) {
-        updatedImage = response.data;
-      }
-      
-      if (!updatedImage) {
-        throw new Error('Failed to get updated favorite status');
-      }
-      
-      // Preserve the image path if it's missing in the response
-      if (!updatedImage.path && image?.path) {
-        updatedImage.path = image.path;
-      }
-      
-      setImage(updatedImage);
+      await submitMutation({
+        type: MUTATION_TYPES.FAVORITE,
+        recordType: 'image',
+        record: image,
+        changes: { is_favorite: !image.is_favorite },
+      });
     } catch (err) {
       console.error('Error toggling favorite:', err);
-      Alert.alert('Error', 'Failed to update favorite status');
+      Alert.alert('Error', getErrorMessage(err, 'Failed to update favorite status'));
     }
   };
 
   const handleDeleteImage = () => {
     if (!imageId) {
-      setError('Cannot delete: Invalid image ID');
+      Alert.alert('Error', 'Cannot delete: Invalid image ID');
       return;
     }
     
@@ -254,11 +218,11 @@ const ImageDetailScreen = () => {
           onPress: async () => {
             try {
               setError('');
-              await imageApi.deleteImage(imageId);
+              await submitMutation({ type: MUTATION_TYPES.DELETE, recordType: 'image', record: image });
               navigation.goBack();
             } catch (err) {
               console.error('Error deleting image:', err);
-              Alert.alert('Error', 'Failed to delete image');
+              Alert.alert('Error', getErrorMessage(err, 'Failed to delete image'));
             }
           },
         },
@@ -272,7 +236,7 @@ const ImageDetailScreen = () => {
 
   const handleShareImage = async () => {
     if (!image?.path) {
-      setError('Cannot share: Image path is missing');
+      Alert.alert('Error', 'Cannot share: Image path is missing');
       return;
     }
 
@@ -290,7 +254,6 @@ const ImageDetailScreen = () => {
 
   const resetRenderError = () => {
     setRenderError(null);
-    setError('');
     fetchImageDetails();
   };
   
@@ -316,52 +279,6 @@ const ImageDetailScreen = () => {
     }
   };
 
-  // Function to safely fetch image details
-  const fetchImageDetails = async () => {
-    if (!imageId) {
-      setError('No image ID provided');
-      setLoading(false);
-      return;
-    }
-    
-    try {
-      setLoading(true);
-      setError('');
-      const response = await imageApi.getImage(imageId);
-      
-      // Handle possible nested data structure
-      let imageData = null;
-      if (response?.data?.data) {
-        imageData = response.data.data;
-      } else if (response?.data) {
-        imageData = response.data;
-      }
-      
-      if (!imageData) {
-        throw new Error('No image data found in the response');
-      }
-      
-      // Validate required fields
-      if (!imageData.path) {
-        console.warn('Image missing required path field:', imageData);
-        imageData.path = '/api/placeholder/400/300'; // Fallback image path
-      }
-      
-      if (!imageData.name) {
-        imageData.name = 'Untitled Image';
-      }
-      
-      setImage(imageData);
-      setEditName(imageData.name);
-      setEditDescription(imageData.description || '');
-    } catch (err) {
-      console.error('Error fetching image details:', err);
-      setError(err.message || 'Failed to load image details');
-    } finally {
-      setLoading(false);
-    }
-  };
-
   // Show loading state
   if (loading) {
     return (
@@ -373,26 +290,15 @@ const ImageDetailScreen = () => {
   }
 
   // Show error state
-  if (error || !imageId) {
+  if (loadError || !imageId) {
     return (
       <SafeAreaView style={[styles.errorContainer, { backgroundColor: theme.colors.background }]}>
-        <Ionicons name="alert-circle" size={60} color={theme.colors.error} />
-        <Text style={[styles.errorTitle, { color: theme.colors.error }]}>Something went wrong</Text>
-        <Text style={[styles.errorMessage, { color: theme.colors.text }]}>
-          {error || "We couldn't load this image"}
-        </Text>
-        <TouchableOpacity
-          style={[styles.errorButton, { backgroundColor: theme.colors.primary }]}
-          onPress={fetchImageDetails}
-        >
-          <Text style={styles.errorButtonText}>Try Again</Text>
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={[styles.backButton, { borderColor: theme.colors.primary }]}
-          onPress={() => navigation.goBack()}
-        >
-          <Text style={[styles.backButtonText, { color: theme.colors.primary }]}>Go Back</Text>
-        </TouchableOpacity>
+        <ErrorState
+          error={loadError}
+          onRetry={imageId ? fetchImageDetails : undefined}
+          onBack={() => navigation.goBack()}
+          fallbackMessage="We couldn't load this image"
+        />
       </SafeAreaView>
     );
   }
@@ -438,7 +344,7 @@ const ImageDetailScreen = () => {
           onPress={toggleFullscreenMode}
         >
           <Image
-            source={{ uri: image.path }}
+            source={{ uri: imagePath }}
             style={styles.fullscreenImageContent}
             resizeMode="contain"
           />
@@ -491,7 +397,16 @@ const ImageDetailScreen = () => {
             leadingIcon="pencil"
             onPress={() => {
               setMenuVisible(false);
-              setEditDialogVisible(true);
+              openEditDialog();
+            }}
+          />
+          <Menu.Item
+            title={isOnline ? 'Edit Image' : 'Edit Image (offline)'}
+            leadingIcon="crop-rotate"
+            disabled={!isOnline}
+            onPress={() => {
+              setMenuVisible(false);
+              navigation.navigate('ImageEditor', { imageId, uri: imagePath });
             }}
           />
           <Menu.Item
@@ -527,7 +442,7 @@ const ImageDetailScreen = () => {
             onPress={toggleFullscreenMode}
           >
             <Image
-              source={{ uri: image.path }}
+              source={{ uri: imagePath }}
               style={styles.image}
               resizeMode="contain"
               defaultSource={require('../../assets/placeholder-image.png')} // Add a placeholder image
@@ -586,7 +501,7 @@ const ImageDetailScreen = () => {
                   </Text>
                 </View>
                 
-                {image.updated_at && image.updated_at !== image.created_at && (
+                {image.updated_at && image.updated_at.getTime() !== image.created_at?.getTime() && (
                   <View style={styles.metaItem}>
                     <Ionicons name="refresh-outline" size={20} color={theme.colors.primary} />
                     <Text style={[styles.metaText, { color: theme.colors.text }]}>
@@ -595,6 +510,24 @@ const ImageDetailScreen = () => {
                   </View>
                 )}
               </View>
+
+              {image.quality && (
+                <View style={styles.qualityContainer}>
+                  <Text style={[styles.metadataTitle, { color: theme.colors.primary }]}>Photo Quality</Text>
+                  {getQualityRows(image.quality).map(row => (
+                    <View key={row.key} style={styles.metaItem}>
+                      <Ionicons
+                        name={row.warning ? 'warning-outline' : row.icon}
+                        size={20}
+                        color={row.warning ? theme.colors.error : theme.colors.primary}
+                      />
+                      <Text style={[styles.metaText, { color: row.warning ? theme.colors.error : theme.colors.text }]}>
+                        {row.label}: {row.value}
+                      </Text>
+                    </View>
+                  ))}
+                </View>
+              )}
               
               <View style={styles.tagContainer}>
                 <Chip 
@@ -604,13 +537,13 @@ const ImageDetailScreen = () => {
                   {image.file_type || 'JPG'}
                 </Chip>
                 
-                {image.tags && Array.isArray(image.tags) && image.tags.map(tag => (
+                {image.tags.map(tag => (
                   <Chip 
-                    key={tag} 
+                    key={tag.id} 
                     style={[styles.tagChip, { backgroundColor: theme.colors.primary + '10' }]}
                     textStyle={{ color: theme.colors.text }}
                   >
-                    {tag}
+                    {tag.name}
                   </Chip>
                 ))}
               </View>
@@ -622,7 +555,7 @@ const ImageDetailScreen = () => {
         <FAB
           style={[styles.fab, { backgroundColor: theme.colors.primary }]}
           icon="pencil"
-          onPress={() => setEditDialogVisible(true)}
+          onPress={openEditDialog}
           color="#fff"
         />
 
@@ -640,6 +573,7 @@ const ImageDetailScreen = () => {
                 label="Image Name"
                 value={editName}
                 onChangeText={setEditName}
+                error={!!editFieldErrors.name}
                 mode="outlined"
                 style={styles.input}
                 theme={{ colors: { primary: theme.colors.primary } }}
@@ -649,6 +583,7 @@ const ImageDetailScreen = () => {
                 label="Description (optional)"
                 value={editDescription}
                 onChangeText={setEditDescription}
+                error={!!editFieldErrors.description}
                 mode="outlined"
                 style={styles.input}
                 multiline
@@ -836,6 +771,9 @@ const styles = StyleSheet.create({
     fontSize: 15,
     marginLeft: 12,
   },
+  qualityContainer: {
+    marginTop: 12,
+  },
   menu: {
     position: 'absolute',
     top: 60,
@@ -0,0 +1,784 @@
+import React, { useState, useEffect, useContext, useRef, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Image,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  PanResponder,
+  BackHandler,
+  ScrollView,
+} from 'react-native';
+import { Appbar } from 'react-native-paper';
+import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import * as imageApi from '../../services/api/images';
+import * as queries from '../../services/api/queries';
+import { getErrorMessage } from '../../services/api/errors';
+import { setQueryData } from '../../services/queryCache';
+import {
+  PAPER_SIZES,
+  getInitialCorners,
+  isValidQuad,
+  correctPerspective,
+  checkImageQuality,
+} from '../../services/imaging';
+
+// Crop ratios offered in crop mode; null crops freely
+const ASPECT_RATIOS = [
+  { label: 'Free', value: null },
+  { label: '1:1', value: 1 },
+  { label: '4:3', value: 4 / 3 },
+  { label: '3:4', value: 3 / 4 },
+  { label: '16:9', value: 16 / 9 },
+];
+
+const CORNER_NAMES = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+const HANDLE_SIZE = 28;
+const MIN_CROP_SIZE = 48; // Smallest crop box on screen, in points
+const SAVE_QUALITY = 0.85;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Largest centered box with the given ratio, in image pixels
+const getInitialCrop = (image, aspect) => {
+  let width = image.width;
+  let height = image.height;
+  if (aspect) {
+    if (width / height > aspect) {
+      width = height * aspect;
+    } else {
+      height = width / aspect;
+    }
+  }
+  return {
+    x: (image.width - width) / 2,
+    y: (image.height - height) / 2,
+    width,
+    height,
+  };
+};
+
+// Move the crop box, or resize it from one corner while the opposite corner stays put
+const adjustCrop = (start, handle, dx, dy, image, aspect, minSize) => {
+  if (handle === 'move') {
+    return {
+      ...start,
+      x: clamp(start.x + dx, 0, image.width - start.width),
+      y: clamp(start.y + dy, 0, image.height - start.height),
+    };
+  }
+
+  const left = handle === 'topLeft' || handle === 'bottomLeft';
+  const top = handle === 'topLeft' || handle === 'topRight';
+  const anchorX = left ? start.x + start.width : start.x;
+  const anchorY = top ? start.y + start.height : start.y;
+
+  let width = clamp(left ? start.width - dx : start.width + dx, minSize, left ? anchorX : image.width - anchorX);
+  let height = clamp(top ? start.height - dy : start.height + dy, minSize, top ? anchorY : image.height - anchorY);
+
+  // Shrinking the longer side keeps the ratio without leaving the image
+  if (aspect) {
+    if (width / height > aspect) {
+      width = height * aspect;
+    } else {
+      height = width / aspect;
+    }
+  }
+
+  return {
+    x: left ? anchorX - width : anchorX,
+    y: top ? anchorY - height : anchorY,
+    width,
+    height,
+  };
+};
+
+// Line between two points on screen, drawn as a thin rotated view
+const getEdgeStyle = (from, to) => {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  return {
+    left: (from.x + to.x) / 2 - length / 2,
+    top: (from.y + to.y) / 2 - 1,
+    width: length,
+    transform: [{ rotate: `${Math.atan2(to.y - from.y, to.x - from.x)}rad` }],
+  };
+};
+
+/**
+ * Crop, rotate and flip an image, and straighten pages photographed at an angle
+ * Opened from the camera for a captured page (params: { pageId, uri, folderId }), which gets the
+ * edited file back, or from the image details (params: { imageId, uri }), where saving replaces
+ * the stored file.
+ */
+const ImageEditorScreen = () => {
+  const { theme } = useContext(ThemeContext);
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { uri, pageId, folderId, imageId } = route.params || {};
+
+  // The image as edited so far, and every earlier version for undo
+  const [current, setCurrent] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const [cropMode, setCropMode] = useState(false);
+  const [aspect, setAspect] = useState(null);
+  const [cropRect, setCropRect] = useState(null);
+  const [layout, setLayout] = useState(null);
+
+  // Straighten mode: page corners in image pixels, clockwise from the top left
+  const [perspectiveMode, setPerspectiveMode] = useState(false);
+  const [corners, setCorners] = useState(null);
+  const [paperSize, setPaperSize] = useState(PAPER_SIZES[0].id);
+
+  // Read by the crop gestures, which are created once
+  const gestureRef = useRef({});
+
+  // Work on a local copy; stored images are downloaded first
+  useEffect(() => {
+    let cancelled = false;
+
+    const prepare = async () => {
+      try {
+        let localUri = uri;
+        if (/^https?:\/\//.test(uri)) {
+          const download = await FileSystem.downloadAsync(
+            uri,
+            `${FileSystem.cacheDirectory}edit-${Date.now()}.jpg`
+          );
+          // An error page is saved like an image, it can't be opened as one
+          if (download.status !== 200) {
+            await FileSystem.deleteAsync(download.uri, { idempotent: true });
+            throw new Error(`Download failed with status ${download.status}`);
+          }
+          localUri = download.uri;
+        }
+
+        const result = await ImageManipulator.manipulateAsync(localUri, [], {
+          compress: 1,
+          format: ImageManipulator.SaveFormat.JPEG,
+        });
+        if (!cancelled) {
+          setCurrent({ uri: result.uri, width: result.width, height: result.height });
+        }
+      } catch (error) {
+        console.error('Error preparing image for editing:', error);
+        if (!cancelled) {
+          setLoadError('The image could not be opened for editing.');
+        }
+      }
+    };
+
+    if (uri) {
+      prepare();
+    } else {
+      setLoadError('No image to edit.');
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uri]);
+
+  // Where the image is drawn inside the editing area
+  const display = useMemo(() => {
+    if (!current || !layout) return null;
+    const scale = Math.min(layout.width / current.width, layout.height / current.height);
+    const width = current.width * scale;
+    const height = current.height * scale;
+    return {
+      scale,
+      width,
+      height,
+      left: (layout.width - width) / 2,
+      top: (layout.height - height) / 2,
+    };
+  }, [current, layout]);
+
+  gestureRef.current.image = current;
+  gestureRef.current.aspect = aspect;
+  gestureRef.current.scale = display?.scale || 1;
+  gestureRef.current.cropRect = cropRect;
+  gestureRef.current.corners = corners;
+
+  const cropResponders = useMemo(() => {
+    const createResponder = (handle) => PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: () => {
+        gestureRef.current.start = gestureRef.current.cropRect;
+      },
+      onPanResponderMove: (event, gesture) => {
+        const { start, image, aspect: ratio, scale } = gestureRef.current;
+        if (!start || !image) return;
+        setCropRect(adjustCrop(
+          start,
+          handle,
+          gesture.dx / scale,
+          gesture.dy / scale,
+          image,
+          ratio,
+          MIN_CROP_SIZE / scale
+        ));
+      },
+      onPanResponderRelease: () => {
+        gestureRef.current.start = null;
+      },
+      onPanResponderTerminate: () => {
+        gestureRef.current.start = null;
+      },
+    });
+
+    return {
+      move: createResponder('move'),
+      topLeft: createResponder('topLeft'),
+      topRight: createResponder('topRight'),
+      bottomLeft: createResponder('bottomLeft'),
+      bottomRight: createResponder('bottomRight'),
+    };
+  }, []);
+
+  // One responder per page corner, each dragged on its own
+  const cornerResponders = useMemo(() => CORNER_NAMES.map((name, index) => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => {
+      gestureRef.current.startCorners = gestureRef.current.corners;
+    },
+    onPanResponderMove: (event, gesture) => {
+      const { startCorners, image, scale } = gestureRef.current;
+      if (!startCorners || !image) return;
+      const start = startCorners[index];
+      const moved = {
+        x: clamp(start.x + gesture.dx / scale, 0, image.width),
+        y: clamp(start.y + gesture.dy / scale, 0, image.height),
+      };
+      setCorners(startCorners.map((corner, i) => (i === index ? moved : corner)));
+    },
+    onPanResponderRelease: () => {
+      gestureRef.current.startCorners = null;
+    },
+    onPanResponderTerminate: () => {
+      gestureRef.current.startCorners = null;
+    },
+  })), []);
+
+  const isDirty = history.length > 0;
+  const busy = working || saving;
+
+  // Make an edited copy the current version and remember the previous one for undo
+  const applyEdit = async (edit) => {
+    if (!current || busy) return false;
+
+    setWorking(true);
+    try {
+      const result = await edit(current);
+      setHistory(prevHistory => [...prevHistory, current]);
+      setCurrent({ uri: result.uri, width: result.width, height: result.height });
+      return true;
+    } catch (error) {
+      console.error('Error editing image:', error);
+      Alert.alert('Error', 'The change could not be applied to the image.');
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Run manipulator actions on the current version
+  const applyActions = (actions) => applyEdit(image => ImageManipulator.manipulateAsync(image.uri, actions, {
+    compress: 1,
+    format: ImageManipulator.SaveFormat.JPEG,
+  }));
+
+  const handleRotate = (degrees) => applyActions([{ rotate: degrees }]);
+
+  const handleFlip = (flip) => applyActions([{ flip }]);
+
+  const handleUndo = () => {
+    if (!isDirty || busy) return;
+    setCurrent(history[history.length - 1]);
+    setHistory(prevHistory => prevHistory.slice(0, -1));
+    setCropMode(false);
+    setPerspectiveMode(false);
+  };
+
+  const startCrop = () => {
+    if (!current || busy) return;
+    setCropRect(getInitialCrop(current, aspect));
+    setCropMode(true);
+  };
+
+  const handleAspectChange = (value) => {
+    setAspect(value);
+    setCropRect(getInitialCrop(current, value));
+  };
+
+  const applyCrop = async () => {
+    const originX = Math.round(cropRect.x);
+    const originY = Math.round(cropRect.y);
+    const applied = await applyActions([{
+      crop: {
+        originX,
+        originY,
+        width: Math.min(Math.round(cropRect.width), current.width - originX),
+        height: Math.min(Math.round(cropRect.height), current.height - originY),
+      },
+    }]);
+    if (applied) {
+      setCropMode(false);
+    }
+  };
+
+  const startPerspective = () => {
+    if (!current || busy) return;
+    setCorners(getInitialCorners(current));
+    setPerspectiveMode(true);
+  };
+
+  const applyPerspective = async () => {
+    if (!isValidQuad(corners)) {
+      Alert.alert(
+        'Corners Crossed',
+        'Drag each corner onto the matching corner of the page, so the outline doesn\'t cross itself.'
+      );
+      return;
+    }
+
+    const applied = await applyEdit(image => correctPerspective(image, corners, paperSize));
+    if (applied) {
+      setPerspectiveMode(false);
+    }
+  };
+
+  const leave = useCallback(() => {
+    navigation.goBack();
+  }, [navigation]);
+
+  const handleClose = useCallback(() => {
+    if (saving) return;
+    if (!isDirty) {
+      leave();
+      return;
+    }
+
+    Alert.alert(
+      'Discard Changes',
+      'Your edits to this image will be lost.',
+      [
+        { text: 'Keep Editing', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: leave },
+      ]
+    );
+  }, [isDirty, saving, leave]);
+
+  // Android back asks before throwing edits away, like the close button
+  useFocusEffect(
+    useCallback(() => {
+      const onBackPress = () => {
+        handleClose();
+        return true;
+      };
+
+      BackHandler.addEventListener('hardwareBackPress', onBackPress);
+      return () => BackHandler.removeEventListener('hardwareBackPress', onBackPress);
+    }, [handleClose])
+  );
+
+  const handleSave = async () => {
+    if (!current || busy) return;
+    if (!isDirty) {
+      leave();
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // Edits are kept at full quality, compressed once here
+      const result = await ImageManipulator.manipulateAsync(current.uri, [], {
+        compress: SAVE_QUALITY,
+        format: ImageManipulator.SaveFormat.JPEG,
+      });
+
+      if (imageId) {
+        // The stored scores are replaced with the edited file's; a failed check leaves none
+        const quality = await checkImageQuality(result.uri).catch((error) => {
+          console.error('Error checking image quality:', error);
+          return null;
+        });
+        const updated = await imageApi.replaceImageFile(imageId, result.uri, { quality });
+        setQueryData(queries.image(imageId).key, image => ({ ...image, ...updated }));
+        leave();
+      } else {
+        // Camera keeps its params, the edited page is added to them
+        navigation.popTo('Camera', {
+          folderId,
+          editedPage: {
+            pageId,
+            image: { uri: result.uri, width: result.width, height: result.height },
+          },
+        });
+      }
+    } catch (error) {
+      console.error('Error saving edited image:', error);
+      Alert.alert(
+        'Could Not Save Image',
+        getErrorMessage(error, 'The edited image could not be saved. Please try again.')
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderToolButton = (icon, label, onPress, disabled = false) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.toolButton, (disabled || busy) && styles.disabledButton]}
+      onPress={onPress}
+      disabled={disabled || busy}
+    >
+      <Ionicons name={icon} size={24} color="#FFF" />
+      <Text style={styles.toolLabel}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderCropOverlay = () => {
+    if (!cropMode || !cropRect || !display) return null;
+
+    const box = {
+      left: display.left + cropRect.x * display.scale,
+      top: display.top + cropRect.y * display.scale,
+      width: cropRect.width * display.scale,
+      height: cropRect.height * display.scale,
+    };
+    const corners = {
+      topLeft: { left: box.left - HANDLE_SIZE / 2, top: box.top - HANDLE_SIZE / 2 },
+      topRight: { left: box.left + box.width - HANDLE_SIZE / 2, top: box.top - HANDLE_SIZE / 2 },
+      bottomLeft: { left: box.left - HANDLE_SIZE / 2, top: box.top + box.height - HANDLE_SIZE / 2 },
+      bottomRight: { left: box.left + box.width - HANDLE_SIZE / 2, top: box.top + box.height - HANDLE_SIZE / 2 },
+    };
+
+    return (
+      <>
+        {/* Dim everything outside the crop box */}
+        <View style={[styles.cropShade, { left: 0, right: 0, top: 0, height: box.top }]} />
+        <View style={[styles.cropShade, { left: 0, right: 0, top: box.top + box.height, bottom: 0 }]} />
+        <View style={[styles.cropShade, { left: 0, width: box.left, top: box.top, height: box.height }]} />
+        <View style={[styles.cropShade, { left: box.left + box.width, right: 0, top: box.top, height: box.height }]} />
+
+        <View style={[styles.cropBox, box]} {...cropResponders.move.panHandlers}>
+          <View style={[styles.cropGridLine, { left: '33.3%', top: 0, bottom: 0, width: 1 }]} />
+          <View style={[styles.cropGridLine, { left: '66.6%', top: 0, bottom: 0, width: 1 }]} />
+          <View style={[styles.cropGridLine, { top: '33.3%', left: 0, right: 0, height: 1 }]} />
+          <View style={[styles.cropGridLine, { top: '66.6%', left: 0, right: 0, height: 1 }]} />
+        </View>
+
+        {Object.keys(corners).map(handle => (
+          <View
+            key={handle}
+            style={[styles.cropHandle, corners[handle], { borderColor: theme.colors.primary }]}
+            {...cropResponders[handle].panHandlers}
+          />
+        ))}
+      </>
+    );
+  };
+
+  const renderPerspectiveOverlay = () => {
+    if (!perspectiveMode || !corners || !display) return null;
+
+    const points = corners.map(corner => ({
+      x: display.left + corner.x * display.scale,
+      y: display.top + corner.y * display.scale,
+    }));
+    const edgeColor = isValidQuad(corners) ? theme.colors.primary : theme.colors.error;
+
+    return (
+      <>
+        <View style={[styles.cropShade, styles.perspectiveShade]} pointerEvents="none" />
+        {points.map((point, index) => (
+          <View
+            key={`edge-${CORNER_NAMES[index]}`}
+            style={[styles.perspectiveEdge, { backgroundColor: edgeColor }, getEdgeStyle(point, points[(index + 1) % 4])]}
+            pointerEvents="none"
+          />
+        ))}
+        {points.map((point, index) => (
+          <View
+            key={CORNER_NAMES[index]}
+            style={[
+              styles.cropHandle,
+              { left: point.x - HANDLE_SIZE / 2, top: point.y - HANDLE_SIZE / 2, borderColor: edgeColor },
+            ]}
+            hitSlop={12}
+            {...cornerResponders[index].panHandlers}
+          />
+        ))}
+      </>
+    );
+  };
+
+  if (loadError) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <Ionicons name="alert-circle" size={60} color={theme.colors.error} />
+        <Text style={styles.messageText}>{loadError}</Text>
+        <TouchableOpacity style={styles.messageButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.messageButtonText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Appbar.Header style={{ backgroundColor: '#000' }}>
+        <Appbar.Action icon="close" color="#fff" onPress={handleClose} disabled={saving} />
+        <Appbar.Content title="Edit Image" color="#fff" />
+        <Appbar.Action icon="undo" color="#fff" onPress={handleUndo} disabled={!isDirty || busy} />
+        <Appbar.Action
+          icon="check"
+          color="#fff"
+          onPress={handleSave}
+          disabled={!current || busy || cropMode || perspectiveMode}
+        />
+      </Appbar.Header>
+
+      <View
+        style={styles.canvas}
+        onLayout={(event) => setLayout(event.nativeEvent.layout)}
+      >
+        {current && display ? (
+          <Image
+            source={{ uri: current.uri }}
+            style={{
+              position: 'absolute',
+              left: display.left,
+              top: display.top,
+              width: display.width,
+              height: display.height,
+            }}
+          />
+        ) : (
+          <ActivityIndicator size="large" color={theme.colors.primary} style={styles.canvasLoading} />
+        )}
+
+        {renderCropOverlay()}
+        {renderPerspectiveOverlay()}
+
+        {(working || saving) && (
+          <View style={styles.workingOverlay}>
+            <ActivityIndicator size="large" color={theme.colors.primary} />
+            <Text style={styles.workingText}>
+              {saving
+                ? (imageId ? 'Uploading edited image...' : 'Saving...')
+                : (perspectiveMode ? 'Straightening...' : 'Applying...')}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      {cropMode ? (
+        <View style={styles.toolbar}>
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.aspectRow}
+          >
+            {ASPECT_RATIOS.map(option => (
+              <TouchableOpacity
+                key={option.label}
+                style={[
+                  styles.aspectChip,
+                  aspect === option.value && { backgroundColor: theme.colors.primary },
+                ]}
+                onPress={() => handleAspectChange(option.value)}
+                disabled={busy}
+              >
+                <Text style={styles.aspectChipText}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+          <View style={styles.toolRow}>
+            {renderToolButton('close-outline', 'Cancel', () => setCropMode(false))}
+            {renderToolButton('checkmark-outline', 'Apply Crop', applyCrop)}
+          </View>
+        </View>
+      ) : perspectiveMode ? (
+        <View style={styles.toolbar}>
+          <Text style={styles.toolHint}>Drag the corners onto the corners of the page</Text>
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.aspectRow}
+          >
+            {PAPER_SIZES.map(paper => (
+              <TouchableOpacity
+                key={paper.id}
+                style={[
+                  styles.aspectChip,
+                  paperSize === paper.id && { backgroundColor: theme.colors.primary },
+                ]}
+                onPress={() => setPaperSize(paper.id)}
+                disabled={busy}
+              >
+                <Text style={styles.aspectChipText}>{paper.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+          <View style={styles.toolRow}>
+            {renderToolButton('close-outline', 'Cancel', () => setPerspectiveMode(false))}
+            {renderToolButton('scan-outline', 'Reset Corners', () => setCorners(getInitialCorners(current)))}
+            {renderToolButton('checkmark-outline', 'Straighten', applyPerspective)}
+          </View>
+        </View>
+      ) : (
+        <View style={styles.toolbar}>
+          <View style={styles.toolRow}>
+            {renderToolButton('crop-outline', 'Crop', startCrop, !current)}
+            {renderToolButton('scan-outline', 'Straighten', startPerspective, !current)}
+            {renderToolButton('arrow-undo-outline', 'Rotate Left', () => handleRotate(-90), !current)}
+            {renderToolButton('arrow-redo-outline', 'Rotate Right', () => handleRotate(90), !current)}
+            {renderToolButton('swap-horizontal-outline', 'Flip', () => handleFlip(ImageManipulator.FlipType.Horizontal), !current)}
+            {renderToolButton('swap-vertical-outline', 'Flip Vertical', () => handleFlip(ImageManipulator.FlipType.Vertical), !current)}
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  messageText: {
+    color: '#FFF',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  messageButton: {
+    marginTop: 20,
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#FFF',
+  },
+  messageButtonText: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  canvas: {
+    flex: 1,
+    margin: 16,
+  },
+  canvasLoading: {
+    flex: 1,
+  },
+  workingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  workingText: {
+    color: '#FFF',
+    marginTop: 10,
+    fontSize: 16,
+  },
+  cropShade: {
+    position: 'absolute',
+    backgroundColor: 'rgba(0,0,0,0.55)',
+  },
+  perspectiveShade: {
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+  },
+  perspectiveEdge: {
+    position: 'absolute',
+    height: 2,
+  },
+  cropBox: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderColor: '#FFF',
+  },
+  cropGridLine: {
+    position: 'absolute',
+    backgroundColor: 'rgba(255,255,255,0.4)',
+  },
+  cropHandle: {
+    position: 'absolute',
+    width: HANDLE_SIZE,
+    height: HANDLE_SIZE,
+    borderRadius: HANDLE_SIZE / 2,
+    borderWidth: 3,
+    backgroundColor: '#FFF',
+  },
+  toolbar: {
+    paddingBottom: 30,
+    paddingTop: 10,
+    backgroundColor: 'rgba(255,255,255,0.05)',
+  },
+  toolHint: {
+    color: '#FFF',
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  toolRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  toolButton: {
+    alignItems: 'center',
+    paddingHorizontal: 6,
+  },
+  toolLabel: {
+    color: '#FFF',
+    fontSize: 11,
+    marginTop: 4,
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+  aspectRow: {
+    paddingHorizontal: 15,
+    paddingBottom: 12,
+  },
+  aspectChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    marginRight: 8,
+    backgroundColor: 'rgba(255,255,255,0.15)',
+  },
+  aspectChipText: {
+    color: '#FFF',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+});
+
+export default ImageEditorScreen;
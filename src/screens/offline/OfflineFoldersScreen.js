@@ -0,0 +1,146 @@
+import React, { useContext, useMemo } from 'react';
+import { View, Text, StyleSheet, FlatList, Alert, TouchableOpacity } from 'react-native';
+import { Appbar, Button } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import OfflineStatus from '../../components/folder/OfflineStatus';
+import {
+  useOfflineFoldersStore,
+  isOwnPin,
+  unpinFolder,
+  syncOfflineFolders,
+} from '../../services/offlineFolders';
+import { formatFileSize } from '../../services/imageFileCache';
+
+const OfflineFoldersScreen = () => {
+  const { theme } = useContext(ThemeContext);
+  const navigation = useNavigation();
+  const allPins = useOfflineFoldersStore(state => state.folders);
+
+  // Oldest first; folders pinned by another account on this device are not shown
+  const pins = useMemo(
+    () => Object.values(allPins).filter(isOwnPin).sort((a, b) => a.pinnedAt - b.pinnedAt),
+    [allPins]
+  );
+  const totalBytes = pins.reduce((total, pin) => total + (pin.bytes || 0), 0);
+
+  const handleRemove = (pin) => {
+    Alert.alert(
+      'Remove Offline Copy',
+      `The downloaded images of "${pin.name}" will be deleted from this device.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => unpinFolder(pin.folderId) },
+      ]
+    );
+  };
+
+  const renderItem = ({ item }) => (
+    <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+      <TouchableOpacity onPress={() => navigation.navigate('FolderDetail', { folderId: item.folderId })}>
+        <Text style={[styles.name, { color: theme.colors.text }]} numberOfLines={1}>
+          {item.name}
+        </Text>
+        <OfflineStatus pin={item} />
+      </TouchableOpacity>
+      <View style={styles.actions}>
+        <Button
+          compact
+          icon="delete"
+          onPress={() => handleRemove(item)}
+          textColor={theme.colors.error}
+        >
+          Remove
+        </Button>
+      </View>
+    </View>
+  );
+
+  const renderEmptyList = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="cloud-download-outline" size={80} color={theme.colors.disabled} />
+      <Text style={[styles.emptyText, { color: theme.colors.text }]}>No offline folders</Text>
+      <Text style={[styles.emptySubText, { color: theme.colors.disabled }]}>
+        Choose "Make Available Offline" in a folder's menu to keep its images on this device
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <Appbar.Header style={{ backgroundColor: theme.colors.primary }}>
+        <Appbar.BackAction onPress={() => navigation.goBack()} color="#fff" />
+        <Appbar.Content title="Offline Folders" color="#fff" />
+        {pins.length > 0 && (
+          <Appbar.Action icon="sync" color="#fff" onPress={syncOfflineFolders} />
+        )}
+      </Appbar.Header>
+
+      {pins.length > 0 && (
+        <Text style={[styles.summary, { color: theme.colors.disabled }]}>
+          {formatFileSize(totalBytes)} used on this device
+        </Text>
+      )}
+
+      <FlatList
+        data={pins}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.key}
+        contentContainerStyle={[styles.list, pins.length === 0 && styles.emptyList]}
+        ListEmptyComponent={renderEmptyList}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  summary: {
+    fontSize: 13,
+    paddingHorizontal: 15,
+    paddingTop: 12,
+  },
+  list: {
+    padding: 15,
+  },
+  emptyList: {
+    flexGrow: 1,
+  },
+  card: {
+    borderRadius: 12,
+    marginBottom: 12,
+    padding: 12,
+    elevation: 2,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptySubText: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+export default OfflineFoldersScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useContext, useEffect, useCallback } from 'react';
+import React, { useState, useContext, useEffect } from 'react';
 import {
   View,
   Text,
@@ -9,77 +9,59 @@ import {
   Alert,
   Switch,
   ActivityIndicator,
+  Share,
 } from 'react-native';
-import { Appbar, Divider, Button } from 'react-native-paper';
-import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { Appbar, Divider, Button, Portal, Dialog, RadioButton } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { ThemeContext } from '../../contexts/ThemeContext';
 import { AuthContext } from '../../contexts/AuthContext';
+import { ServerContext } from '../../contexts/ServerContext';
 import * as ImagePicker from 'expo-image-picker';
 import * as ImageManipulator from 'expo-image-manipulator';
 import * as profileApi from '../../services/api/profile';
+import * as queries from '../../services/api/queries';
+import { useQuery } from '../../hooks/useQuery';
+import { formatLogs } from '../../services/logger';
+import { UPLOAD_STATUS, useUploadQueueStore, isOwnUpload } from '../../services/uploadQueue';
+import { useOutboxStore, isOwnEntry } from '../../services/outbox';
+import { useOfflineFoldersStore, isOwnPin } from '../../services/offlineFolders';
+import { useIsOnline } from '../../services/connectivity';
+import {
+  UPLOAD_PROFILES,
+  loadUploadProfile,
+  useUploadProfile,
+  setUploadProfile,
+} from '../../services/uploadProfiles';
+import OfflineNotice from '../../components/common/OfflineNotice';
 
 const ProfileScreen = () => {
   const [loading, setLoading] = useState(false);
   const [uploadingImage, setUploadingImage] = useState(false);
-  const [stats, setStats] = useState({
-    folderCount: 0,
-    imageCount: 0,
-    favoriteCount: 0,
-  });
-  const [refreshing, setRefreshing] = useState(false);
-  const [userProfile, setUserProfile] = useState(null);
 
   const { theme, isDarkMode, toggleTheme } = useContext(ThemeContext);
   const { user, logout, refreshUser } = useContext(AuthContext);
+  const { activeProfile } = useContext(ServerContext);
   const navigation = useNavigation();
+  // The profile picture goes straight to the server, it isn't queued like photos
+  const isOnline = useIsOnline();
+  const waitingUploads = useUploadQueueStore(state => state.items.filter(item =>
+    isOwnUpload(item) && item.status !== UPLOAD_STATUS.COMPLETED
+  ).length);
+  const waitingChanges = useOutboxStore(state => state.entries.filter(isOwnEntry).length);
+  const syncConflicts = useOutboxStore(state => state.conflicts.filter(item => isOwnEntry(item.entry)).length);
+  const offlineFolders = useOfflineFoldersStore(state => Object.values(state.folders).filter(isOwnPin).length);
+  const uploadProfile = useUploadProfile();
+  const [uploadProfileDialogVisible, setUploadProfileDialogVisible] = useState(false);
 
-  // Fetch user profile and stats when screen comes into focus
-  useFocusEffect(
-    useCallback(() => {
-      fetchUserProfile();
-      fetchUserStats();
-    }, [])
-  );
-
-  // Fetch user profile
-  const fetchUserProfile = async () => {
-    try {
-      const profileData = await profileApi.getProfile();
-      if (profileData && (profileData.data || profileData)) {
-        setUserProfile(profileData.data || profileData);
-      }
-    } catch (err) {
-      console.error('Error fetching user profile:', err);
-    }
-  };
+  useEffect(() => {
+    loadUploadProfile();
+  }, []);
 
-  const fetchUserStats = async () => {
-    try {
-      setRefreshing(true);
-      const response = await profileApi.getUserStats();
-      
-      // Handle different response structures
-      if (response && response.data) {
-        // Set all available stats, use defaults for missing ones
-        setStats({
-          folderCount: response.data.folderCount || 0,
-          imageCount: response.data.imageCount || 0,
-          favoriteCount: response.data.favoriteCount || 0,
-        });
-      } else {
-        setStats(response || { folderCount: 0, imageCount: 0, favoriteCount: 0 });
-      }
-      
-      console.log('User stats fetched successfully:', response?.data || response);
-    } catch (err) {
-      console.error('Error fetching user stats:', err);
-      // Continue with default stats if there's an error
-      // Do not show error to user - just use default values
-    } finally {
-      setRefreshing(false);
-    }
-  };
+  // User profile and stats, refetched on focus once a change made them stale
+  // Stats fall back to zeros, errors are not shown to the user
+  const { data: userProfile, refetch: fetchUserProfile } = useQuery(queries.profile());
+  const { data: stats = profileApi.DEFAULT_STATS } = useQuery(queries.userStats());
 
   // Process and optimize image before upload
   const processImage = async (imageResult) => {
@@ -264,6 +246,25 @@ const ProfileScreen = () => {
     navigation.navigate('Trash');
   };
 
+  // Share the recent log entries so they can be attached to a bug report
+  const shareDebugLogs = async () => {
+    const logs = formatLogs();
+    if (!logs) {
+      Alert.alert('No Logs', 'There is no recent activity to share yet.');
+      return;
+    }
+
+    try {
+      await Share.share({
+        title: 'StudySnap debug logs',
+        message: logs,
+      });
+    } catch (error) {
+      console.error('Error sharing debug logs:', error);
+      Alert.alert('Error', 'Failed to share debug logs');
+    }
+  };
+
   // Show About dialog
   const showAboutInfo = () => {
     Alert.alert(
@@ -277,19 +278,17 @@ const ProfileScreen = () => {
 
   // Get user name and email with proper fallbacks
   const getUserName = () => {
-    // Try multiple potential locations for user name
-    return user?.name || user?.profile?.name || 'User';
+    return user?.name || 'User';
   };
 
   const getUserEmail = () => {
-    // Try multiple potential locations for user email
-    return user?.email || user?.profile?.email || '';
+    return user?.email || '';
   };
 
   // Get avatar URL
   const getAvatarUrl = () => {
-    // Check multiple possible locations for the avatar
-    return user?.profile?.avatar || userProfile?.avatar || null;
+    // The profile is refetched after an upload, so it has the newest avatar
+    return userProfile?.avatar || user?.avatar || null;
   };
 
   return (
@@ -300,7 +299,7 @@ const ProfileScreen = () => {
 
       <ScrollView style={styles.scrollView}>
         <View style={[styles.profileHeader, { backgroundColor: theme.colors.primary }]}>
-          <TouchableOpacity style={styles.avatarContainer} onPress={chooseImageSource} disabled={loading || uploadingImage}>
+          <TouchableOpacity style={styles.avatarContainer} onPress={chooseImageSource} disabled={loading || uploadingImage || !isOnline}>
             {uploadingImage ? (
               <View style={[styles.avatarPlaceholder, { backgroundColor: 'rgba(0,0,0,0.2)' }]}>
                 <ActivityIndicator size="large" color="#FFF" />
@@ -318,9 +317,11 @@ const ProfileScreen = () => {
                 <Ionicons name="person" size={50} color={theme.colors.primary} />
               </View>
             )}
-            <View style={styles.cameraIconContainer}>
-              <Ionicons name="camera" size={16} color="#FFF" />
-            </View>
+            {isOnline && (
+              <View style={styles.cameraIconContainer}>
+                <Ionicons name="camera" size={16} color="#FFF" />
+              </View>
+            )}
           </TouchableOpacity>
           
           <Text style={styles.userName}>{getUserName()}</Text>
@@ -348,6 +349,8 @@ const ProfileScreen = () => {
           </View>
         </View>
 
+        <OfflineNotice message="Changing your profile picture needs a connection." />
+
         <View style={[styles.settingsContainer, { backgroundColor: theme.colors.card }]}>
           <Text style={[styles.settingsTitle, { color: theme.colors.text }]}>Settings</Text>
           
@@ -388,6 +391,108 @@ const ProfileScreen = () => {
           
           <Divider />
           
+          <TouchableOpacity 
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('UploadQueue')}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="cloud-upload-outline" size={22} color={theme.colors.primary} />
+              <View>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Uploads</Text>
+                <Text style={[styles.settingSubtext, { color: theme.colors.disabled }]}>
+                  {waitingUploads > 0
+                    ? `${waitingUploads} photo${waitingUploads === 1 ? '' : 's'} waiting to upload`
+                    : 'All photos are uploaded'}
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.text} />
+          </TouchableOpacity>
+          
+          <Divider />
+          
+          <TouchableOpacity 
+            style={styles.settingItem}
+            onPress={() => setUploadProfileDialogVisible(true)}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="resize-outline" size={22} color={theme.colors.primary} />
+              <View>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Upload Quality</Text>
+                <Text style={[styles.settingSubtext, { color: theme.colors.disabled }]}>
+                  {uploadProfile.label} - {uploadProfile.description}
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.text} />
+          </TouchableOpacity>
+          
+          <Divider />
+          
+          <TouchableOpacity 
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('SyncConflicts')}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons
+                name="git-compare-outline"
+                size={22}
+                color={syncConflicts > 0 ? theme.colors.error : theme.colors.primary}
+              />
+              <View>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Offline Changes</Text>
+                <Text style={[styles.settingSubtext, { color: theme.colors.disabled }]}>
+                  {syncConflicts > 0
+                    ? `${syncConflicts} change${syncConflicts === 1 ? '' : 's'} could not be synced`
+                    : waitingChanges > 0
+                      ? `${waitingChanges} change${waitingChanges === 1 ? '' : 's'} waiting to sync`
+                      : 'Everything is synced'}
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.text} />
+          </TouchableOpacity>
+          
+          <Divider />
+          
+          <TouchableOpacity 
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('OfflineFolders')}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="cloud-download-outline" size={22} color={theme.colors.primary} />
+              <View>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Offline Folders</Text>
+                <Text style={[styles.settingSubtext, { color: theme.colors.disabled }]}>
+                  {offlineFolders > 0
+                    ? `${offlineFolders} folder${offlineFolders === 1 ? '' : 's'} kept on this device`
+                    : 'No folders kept on this device'}
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.text} />
+          </TouchableOpacity>
+          
+          <Divider />
+          
+          <TouchableOpacity 
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('ServerSettings')}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="server-outline" size={22} color={theme.colors.primary} />
+              <View>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Server</Text>
+                <Text style={[styles.settingSubtext, { color: theme.colors.disabled }]}>
+                  {activeProfile ? `Connected to ${activeProfile.name}` : 'Choose the StudySnap server'}
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.text} />
+          </TouchableOpacity>
+          
+          <Divider />
+          
           <TouchableOpacity 
             style={styles.settingItem}
             onPress={() => Alert.alert('Coming Soon', 'This feature will be available in a future update!')}
@@ -406,6 +511,24 @@ const ProfileScreen = () => {
           
           <Divider />
           
+          <TouchableOpacity 
+            style={styles.settingItem}
+            onPress={shareDebugLogs}
+          >
+            <View style={styles.settingLeft}>
+              <Ionicons name="bug-outline" size={22} color={theme.colors.primary} />
+              <View>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Share Debug Logs</Text>
+                <Text style={[styles.settingSubtext, { color: theme.colors.disabled }]}>
+                  Attach recent activity to a bug report
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.text} />
+          </TouchableOpacity>
+          
+          <Divider />
+          
           <TouchableOpacity 
             style={styles.settingItem}
             onPress={showAboutInfo}
@@ -437,6 +560,43 @@ const ProfileScreen = () => {
           StudySnap v1.0.0
         </Text>
       </ScrollView>
+
+      <Portal>
+        <Dialog
+          visible={uploadProfileDialogVisible}
+          onDismiss={() => setUploadProfileDialogVisible(false)}
+          style={{ backgroundColor: theme.colors.card, borderRadius: 20 }}
+        >
+          <Dialog.Title style={{ color: theme.colors.text }}>Upload Quality</Dialog.Title>
+          <Dialog.Content>
+            <Text style={[styles.settingSubtext, styles.dialogHint, { color: theme.colors.disabled }]}>
+              Used for new photos. Photos already captured keep their size.
+            </Text>
+            <RadioButton.Group
+              value={uploadProfile.id}
+              onValueChange={(value) => {
+                setUploadProfile(value);
+                setUploadProfileDialogVisible(false);
+              }}
+            >
+              {UPLOAD_PROFILES.map(profile => (
+                <RadioButton.Item
+                  key={profile.id}
+                  value={profile.id}
+                  label={`${profile.label}\n${profile.description}`}
+                  labelStyle={{ color: theme.colors.text }}
+                  color={theme.colors.primary}
+                />
+              ))}
+            </RadioButton.Group>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setUploadProfileDialogVisible(false)} textColor={theme.colors.primary}>
+              Close
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </View>
   );
 };
@@ -445,6 +605,9 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  dialogHint: {
+    marginBottom: 8,
+  },
   scrollView: {
     flex: 1,
   },
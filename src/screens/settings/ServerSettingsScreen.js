@@ -0,0 +1,541 @@
+import React, { useState, useContext } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Switch,
+} from 'react-native';
+import { Appbar, Button, Chip, Dialog, FAB, Portal, TextInput } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import { AuthContext } from '../../contexts/AuthContext';
+import { ServerContext } from '../../contexts/ServerContext';
+import { ENVIRONMENTS, createProfileId } from '../../services/serverProfiles';
+import {
+  DEMO_EMAIL,
+  DEMO_PASSWORD,
+  configureMockBackend,
+  getMockBackendSettings,
+  isMockBaseUrl,
+  resetMockBackend,
+} from '../../services/api/mock';
+
+const environmentLabels = {
+  local: 'Local',
+  staging: 'Staging',
+  production: 'Production',
+  mock: 'Mock',
+};
+
+const latencyOptions = [0, 300, 1500];
+const errorRateOptions = [0, 0.1, 0.5];
+
+const ServerSettingsScreen = () => {
+  const [editDialogVisible, setEditDialogVisible] = useState(false);
+  const [editProfile, setEditProfile] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [editUrl, setEditUrl] = useState('');
+  const [editEnvironment, setEditEnvironment] = useState('local');
+  const [editError, setEditError] = useState('');
+  const [busyProfileId, setBusyProfileId] = useState(null);
+  const [testResults, setTestResults] = useState({});
+  const [mockSettings, setMockSettings] = useState(getMockBackendSettings);
+
+  const { theme } = useContext(ThemeContext);
+  const { user, logout } = useContext(AuthContext);
+  const { profiles, activeProfile, testServer, saveProfile, removeProfile, selectProfile } =
+    useContext(ServerContext);
+  const navigation = useNavigation();
+
+  const openEditDialog = (profile = null) => {
+    setEditProfile(profile);
+    setEditName(profile?.name || '');
+    setEditUrl(profile?.baseUrl || '');
+    setEditEnvironment(profile?.environment || 'local');
+    setEditError('');
+    setEditDialogVisible(true);
+  };
+
+  const handleSaveProfile = async () => {
+    if (!editName.trim()) {
+      setEditError('Please enter a name');
+      return;
+    }
+
+    try {
+      await saveProfile({
+        id: editProfile?.id || createProfileId(),
+        name: editName,
+        environment: editEnvironment,
+        baseUrl: editUrl,
+      });
+      setEditDialogVisible(false);
+    } catch (err) {
+      setEditError(err.message);
+    }
+  };
+
+  const handleTestProfile = async (profile) => {
+    setBusyProfileId(profile.id);
+    try {
+      const result = await testServer(profile.baseUrl);
+      setTestResults(prev => ({ ...prev, [profile.id]: result }));
+    } finally {
+      setBusyProfileId(null);
+    }
+  };
+
+  const activateProfile = async (profile) => {
+    setBusyProfileId(profile.id);
+    try {
+      // Check the server first so a failed switch doesn't cost the user their session
+      const result = await testServer(profile.baseUrl);
+      setTestResults(prev => ({ ...prev, [profile.id]: result }));
+      if (!result.reachable) {
+        throw new Error(`${profile.name} is unreachable: ${result.error || 'no response'}`);
+      }
+
+      // The current session belongs to the old server
+      if (user) {
+        await logout();
+      }
+      await selectProfile(profile.id, { skipCheck: true });
+      Alert.alert('Server Changed', `StudySnap is now connected to ${profile.name}.`);
+    } catch (err) {
+      console.error('Error switching server:', err);
+      Alert.alert('Cannot Switch Server', err.message);
+    } finally {
+      setBusyProfileId(null);
+    }
+  };
+
+  const handleSelectProfile = (profile) => {
+    if (profile.id === activeProfile?.id) {
+      return;
+    }
+
+    if (user) {
+      Alert.alert(
+        'Switch Server',
+        `You will be logged out and connected to ${profile.name}.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Switch', onPress: () => activateProfile(profile) },
+        ]
+      );
+    } else {
+      activateProfile(profile);
+    }
+  };
+
+  const handleDeleteProfile = (profile) => {
+    Alert.alert(
+      'Delete Server',
+      `Are you sure you want to delete "${profile.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeProfile(profile.id);
+            } catch (err) {
+              Alert.alert('Error', err.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const updateMockSettings = async (changes) => {
+    try {
+      setMockSettings(await configureMockBackend(changes));
+    } catch (err) {
+      Alert.alert('Error', err.message);
+    }
+  };
+
+  const handleResetMockData = () => {
+    Alert.alert(
+      'Reset Mock Data',
+      'All folders and images created on the mock server will be replaced with the demo data.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await resetMockBackend();
+              // Tokens issued before the reset no longer exist
+              if (user) {
+                await logout();
+              }
+              Alert.alert('Mock Data Reset', `Log in as ${DEMO_EMAIL} / ${DEMO_PASSWORD}.`);
+            } catch (err) {
+              Alert.alert('Error', err.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderMockPanel = () => {
+    if (!isMockBaseUrl(activeProfile?.baseUrl)) return null;
+
+    return (
+      <View style={[styles.profileCard, { backgroundColor: theme.colors.card }]}>
+        <Text style={[styles.profileName, { color: theme.colors.text }]}>Mock Server</Text>
+        <Text style={[styles.mockHint, { color: theme.colors.disabled }]}>
+          Runs inside the app. Demo login: {DEMO_EMAIL} / {DEMO_PASSWORD}
+        </Text>
+
+        <Text style={[styles.mockLabel, { color: theme.colors.text }]}>Response delay</Text>
+        <View style={styles.environmentContainer}>
+          {latencyOptions.map(latency => (
+            <Chip
+              key={latency}
+              selected={mockSettings.latency === latency}
+              onPress={() => updateMockSettings({ latency })}
+              style={styles.environmentChip}
+            >
+              {latency === 0 ? 'None' : `${latency} ms`}
+            </Chip>
+          ))}
+        </View>
+
+        <Text style={[styles.mockLabel, { color: theme.colors.text }]}>Failed requests</Text>
+        <View style={styles.environmentContainer}>
+          {errorRateOptions.map(errorRate => (
+            <Chip
+              key={errorRate}
+              selected={mockSettings.errorRate === errorRate}
+              onPress={() => updateMockSettings({ errorRate })}
+              style={styles.environmentChip}
+            >
+              {errorRate === 0 ? 'None' : `${errorRate * 100}%`}
+            </Chip>
+          ))}
+        </View>
+
+        <View style={styles.mockSwitchRow}>
+          <Text style={[styles.mockLabel, { color: theme.colors.text }]}>Simulate offline</Text>
+          <Switch
+            value={mockSettings.offline}
+            onValueChange={(offline) => updateMockSettings({ offline })}
+            trackColor={{ false: '#767577', true: theme.colors.primary }}
+            thumbColor="#f4f3f4"
+          />
+        </View>
+
+        <View style={styles.profileActions}>
+          <Button
+            compact
+            icon="restore"
+            onPress={handleResetMockData}
+            textColor={theme.colors.error}
+          >
+            Reset Data
+          </Button>
+        </View>
+      </View>
+    );
+  };
+
+  const renderTestResult = (profile) => {
+    const result = testResults[profile.id];
+    if (!result) return null;
+
+    const color = result.reachable ? theme.colors.success : theme.colors.error;
+    const message = result.reachable
+      ? `Reachable (${result.statusCode}) in ${result.duration}ms`
+      : result.isTimeout
+        ? 'No response within 5 seconds'
+        : result.error || 'Unreachable';
+
+    return (
+      <View style={styles.testResult}>
+        <Ionicons
+          name={result.reachable ? 'checkmark-circle' : 'close-circle'}
+          size={16}
+          color={color}
+        />
+        <Text style={[styles.testResultText, { color }]}>{message}</Text>
+      </View>
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const isActive = item.id === activeProfile?.id;
+    const isBusy = busyProfileId === item.id;
+
+    return (
+      <View
+        style={[
+          styles.profileCard,
+          { backgroundColor: theme.colors.card },
+          isActive && { borderColor: theme.colors.primary, borderWidth: 2 },
+        ]}
+      >
+        <TouchableOpacity
+          style={styles.profileHeader}
+          onPress={() => handleSelectProfile(item)}
+          disabled={isBusy || !!busyProfileId}
+        >
+          <Ionicons
+            name={isActive ? 'radio-button-on' : 'radio-button-off'}
+            size={22}
+            color={theme.colors.primary}
+          />
+          <View style={styles.profileInfo}>
+            <Text style={[styles.profileName, { color: theme.colors.text }]}>{item.name}</Text>
+            <Text
+              style={[styles.profileUrl, { color: theme.colors.disabled }]}
+              numberOfLines={1}
+            >
+              {item.baseUrl || 'Not configured'}
+            </Text>
+          </View>
+          <Chip
+            compact
+            style={{ backgroundColor: theme.colors.primary + '20' }}
+            textStyle={{ color: theme.colors.primary, fontSize: 12 }}
+          >
+            {environmentLabels[item.environment] || item.environment}
+          </Chip>
+        </TouchableOpacity>
+
+        {renderTestResult(item)}
+
+        <View style={styles.profileActions}>
+          {isBusy ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : (
+            <>
+              <Button
+                compact
+                icon="lan-connect"
+                onPress={() => handleTestProfile(item)}
+                disabled={!item.baseUrl || !!busyProfileId}
+                textColor={theme.colors.primary}
+              >
+                Test
+              </Button>
+              <Button
+                compact
+                icon="pencil"
+                onPress={() => openEditDialog(item)}
+                disabled={!!busyProfileId}
+                textColor={theme.colors.text}
+              >
+                Edit
+              </Button>
+              {!isActive && (
+                <Button
+                  compact
+                  icon="delete"
+                  onPress={() => handleDeleteProfile(item)}
+                  disabled={!!busyProfileId}
+                  textColor={theme.colors.error}
+                >
+                  Delete
+                </Button>
+              )}
+            </>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <Appbar.Header style={{ backgroundColor: theme.colors.primary }}>
+        <Appbar.BackAction onPress={() => navigation.goBack()} color="#fff" />
+        <Appbar.Content title="Server" color="#fff" />
+      </Appbar.Header>
+
+      <FlatList
+        data={profiles}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.list}
+        ListHeaderComponent={
+          <Text style={[styles.hint, { color: theme.colors.disabled }]}>
+            Choose the StudySnap server this app connects to. A server is checked before it is used.
+          </Text>
+        }
+        ListFooterComponent={renderMockPanel()}
+      />
+
+      <FAB
+        style={[styles.fab, { backgroundColor: theme.colors.primary }]}
+        icon="plus"
+        onPress={() => openEditDialog()}
+        color="#fff"
+        disabled={!!busyProfileId}
+      />
+
+      <Portal>
+        <Dialog
+          visible={editDialogVisible}
+          onDismiss={() => setEditDialogVisible(false)}
+          style={{ backgroundColor: theme.colors.card, borderRadius: 20 }}
+        >
+          <Dialog.Title style={{ color: theme.colors.text, textAlign: 'center' }}>
+            {editProfile ? 'Edit Server' : 'Add Server'}
+          </Dialog.Title>
+          <Dialog.Content>
+            {editError ? <Text style={styles.errorText}>{editError}</Text> : null}
+            <TextInput
+              label="Name"
+              value={editName}
+              onChangeText={setEditName}
+              mode="outlined"
+              style={styles.input}
+              theme={{ colors: { primary: theme.colors.primary } }}
+            />
+            <TextInput
+              label="Server address"
+              value={editUrl}
+              onChangeText={setEditUrl}
+              placeholder="http://192.168.1.10:8000"
+              mode="outlined"
+              style={styles.input}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+              theme={{ colors: { primary: theme.colors.primary } }}
+            />
+            <View style={styles.environmentContainer}>
+              {ENVIRONMENTS.map(environment => (
+                <Chip
+                  key={environment}
+                  selected={editEnvironment === environment}
+                  onPress={() => setEditEnvironment(environment)}
+                  style={styles.environmentChip}
+                >
+                  {environmentLabels[environment]}
+                </Chip>
+              ))}
+            </View>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setEditDialogVisible(false)} textColor={theme.colors.text}>
+              Cancel
+            </Button>
+            <Button
+              onPress={handleSaveProfile}
+              mode="contained"
+              buttonColor={theme.colors.primary + '20'}
+              textColor={theme.colors.primary}
+            >
+              Save
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  list: {
+    padding: 15,
+    paddingBottom: 80,
+  },
+  hint: {
+    fontSize: 14,
+    marginBottom: 15,
+  },
+  profileCard: {
+    borderRadius: 12,
+    marginBottom: 16,
+    padding: 16,
+    elevation: 2,
+  },
+  profileHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  profileInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  profileUrl: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  testResult: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  testResultText: {
+    fontSize: 13,
+    marginLeft: 6,
+  },
+  profileActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 10,
+    minHeight: 36,
+  },
+  fab: {
+    position: 'absolute',
+    margin: 16,
+    right: 0,
+    bottom: 0,
+    borderRadius: 30,
+  },
+  input: {
+    marginBottom: 16,
+  },
+  environmentContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  environmentChip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  errorText: {
+    color: 'red',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  mockHint: {
+    fontSize: 13,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  mockLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  mockSwitchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+});
+
+export default ServerSettingsScreen;
@@ -0,0 +1,245 @@
+import React, { useContext, useMemo } from 'react';
+import { View, Text, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Appbar, Button } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDistanceToNow } from 'date-fns';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import {
+  MUTATION_TYPES,
+  useOutboxStore,
+  isOwnEntry,
+  keepLocalChange,
+  discardLocalChange,
+} from '../../services/outbox';
+
+const fieldLabels = {
+  name: 'Name',
+  description: 'Description',
+  color: 'Color',
+  is_favorite: 'Favorite',
+};
+
+const formatValue = (value) => {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  return value ? String(value) : '(empty)';
+};
+
+const describeChange = (entry) => {
+  const item = `${entry.recordType === 'folder' ? 'Folder' : 'Image'} "${entry.label}"`;
+  switch (entry.type) {
+    case MUTATION_TYPES.UPDATE:
+      return `Edit ${item}`;
+    case MUTATION_TYPES.FAVORITE:
+      return `${entry.changes.is_favorite ? 'Favorite' : 'Unfavorite'} ${item}`;
+    case MUTATION_TYPES.DELETE:
+      return `Move ${item} to the trash`;
+    case MUTATION_TYPES.RESTORE:
+      return `Restore ${item}`;
+    default:
+      return item;
+  }
+};
+
+const SyncConflictsScreen = () => {
+  const { theme } = useContext(ThemeContext);
+  const navigation = useNavigation();
+  const allEntries = useOutboxStore(state => state.entries);
+  const allConflicts = useOutboxStore(state => state.conflicts);
+
+  // Changes made by another account on this device are not shown
+  const entries = useMemo(() => allEntries.filter(isOwnEntry), [allEntries]);
+  const conflicts = useMemo(
+    () => allConflicts.filter(conflict => isOwnEntry(conflict.entry)),
+    [allConflicts]
+  );
+
+  const handleDiscard = (conflict) => {
+    Alert.alert(
+      'Use Server Version',
+      'Your change will be dropped and the version on the server kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Drop My Change', style: 'destructive', onPress: () => discardLocalChange(conflict.id) },
+      ]
+    );
+  };
+
+  const renderComparison = (conflict) => {
+    const { entry, serverRecord } = conflict;
+    if (entry.type !== MUTATION_TYPES.UPDATE || !serverRecord) return null;
+
+    const fields = conflict.fields.length > 0 ? conflict.fields : Object.keys(entry.changes);
+    return fields.map(field => (
+      <View key={field} style={styles.comparison}>
+        <Text style={[styles.fieldLabel, { color: theme.colors.disabled }]}>
+          {fieldLabels[field] || field}
+        </Text>
+        <Text style={[styles.fieldValue, { color: theme.colors.text }]} numberOfLines={2}>
+          Yours: {formatValue(entry.changes[field])}
+        </Text>
+        <Text style={[styles.fieldValue, { color: theme.colors.text }]} numberOfLines={2}>
+          Server: {formatValue(serverRecord[field])}
+        </Text>
+      </View>
+    ));
+  };
+
+  const renderConflict = (conflict) => (
+    <View key={conflict.id} style={[styles.card, { backgroundColor: theme.colors.card }]}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="git-compare-outline" size={22} color={theme.colors.error} />
+        <View style={styles.info}>
+          <Text style={[styles.title, { color: theme.colors.text }]} numberOfLines={1}>
+            {describeChange(conflict.entry)}
+          </Text>
+          <Text style={[styles.detail, { color: theme.colors.disabled }]}>
+            {conflict.reason}
+          </Text>
+        </View>
+      </View>
+
+      {renderComparison(conflict)}
+
+      <View style={styles.actions}>
+        {conflict.serverRecord ? (
+          <>
+            <Button compact onPress={() => handleDiscard(conflict)} textColor={theme.colors.text}>
+              Use Server Version
+            </Button>
+            <Button compact onPress={() => keepLocalChange(conflict.id)} textColor={theme.colors.primary}>
+              Keep Mine
+            </Button>
+          </>
+        ) : (
+          // Nothing left to apply the change to, or the server refused it
+          <Button compact onPress={() => discardLocalChange(conflict.id)} textColor={theme.colors.primary}>
+            Dismiss
+          </Button>
+        )}
+      </View>
+    </View>
+  );
+
+  const renderEntry = (entry) => (
+    <View key={entry.id} style={[styles.card, { backgroundColor: theme.colors.card }]}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="cloud-upload-outline" size={22} color={theme.colors.primary} />
+        <View style={styles.info}>
+          <Text style={[styles.title, { color: theme.colors.text }]} numberOfLines={1}>
+            {describeChange(entry)}
+          </Text>
+          <Text style={[styles.detail, { color: theme.colors.disabled }]}>
+            Made {formatDistanceToNow(entry.createdAt, { addSuffix: true })}
+          </Text>
+        </View>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <Appbar.Header style={{ backgroundColor: theme.colors.primary }}>
+        <Appbar.BackAction onPress={() => navigation.goBack()} color="#fff" />
+        <Appbar.Content title="Sync" color="#fff" />
+      </Appbar.Header>
+
+      {conflicts.length === 0 && entries.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="cloud-done-outline" size={80} color={theme.colors.disabled} />
+          <Text style={[styles.emptyText, { color: theme.colors.text }]}>Everything is synced</Text>
+          <Text style={[styles.emptySubText, { color: theme.colors.disabled }]}>
+            Changes made without a connection are listed here until they reach the server
+          </Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.list}>
+          {conflicts.length > 0 && (
+            <>
+              <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Needs your attention</Text>
+              {conflicts.map(renderConflict)}
+            </>
+          )}
+          {entries.length > 0 && (
+            <>
+              <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Waiting to sync</Text>
+              {entries.map(renderEntry)}
+            </>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  list: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    marginTop: 5,
+  },
+  card: {
+    borderRadius: 12,
+    marginBottom: 12,
+    padding: 12,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  detail: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  comparison: {
+    marginTop: 10,
+    marginLeft: 34,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    marginBottom: 2,
+  },
+  fieldValue: {
+    fontSize: 14,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptySubText: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+export default SyncConflictsScreen;
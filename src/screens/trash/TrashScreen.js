@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext, useCallback } from 'react';
+import React, { useState, useContext, useCallback } from 'react';
 import {
   View,
   Text,
@@ -11,14 +11,22 @@ import {
   Image,
 } from 'react-native';
 import { Appbar, Button, Menu } from 'react-native-paper';
-import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { ThemeContext } from '../../contexts/ThemeContext';
 import * as folderApi from '../../services/api/folders';
 import * as imageApi from '../../services/api/images';
+import * as queries from '../../services/api/queries';
+import { setQueryData } from '../../services/queryCache';
+import { submitMutation, MUTATION_TYPES } from '../../services/outbox';
+import { getErrorMessage } from '../../services/api/errors';
+import ErrorState from '../../components/common/ErrorState';
+import { useQuery } from '../../hooks/useQuery';
+import { useIsOnline } from '../../services/connectivity';
+import OfflineNotice from '../../components/common/OfflineNotice';
 
 // Trashed Folder Card Component
-const TrashedFolderCard = ({ folder, onRestore, onDelete }) => {
+const TrashedFolderCard = ({ folder, onRestore, onDelete, canDelete }) => {
   const { theme } = useContext(ThemeContext);
   
   const formatDate = (dateString) => {
@@ -57,8 +65,13 @@ const TrashedFolderCard = ({ folder, onRestore, onDelete }) => {
           <Text style={styles.actionButtonText}>Restore</Text>
         </TouchableOpacity>
         <TouchableOpacity
-          style={[styles.actionButton, { backgroundColor: theme.colors.error }]}
+          style={[
+            styles.actionButton,
+            { backgroundColor: theme.colors.error },
+            !canDelete && styles.actionButtonDisabled,
+          ]}
           onPress={() => onDelete(folder.id)}
+          disabled={!canDelete}
         >
           <Ionicons name="trash" size={18} color="#FFF" />
           <Text style={styles.actionButtonText}>Delete</Text>
@@ -69,7 +82,7 @@ const TrashedFolderCard = ({ folder, onRestore, onDelete }) => {
 };
 
 // Trashed Image Card Component
-const TrashedImageCard = ({ image, onRestore, onDelete }) => {
+const TrashedImageCard = ({ image, onRestore, onDelete, canDelete }) => {
   const { theme } = useContext(ThemeContext);
   
   const formatDate = (dateString) => {
@@ -111,8 +124,13 @@ const TrashedImageCard = ({ image, onRestore, onDelete }) => {
           <Text style={styles.actionButtonText}>Restore</Text>
         </TouchableOpacity>
         <TouchableOpacity
-          style={[styles.actionButton, { backgroundColor: theme.colors.error }]}
+          style={[
+            styles.actionButton,
+            { backgroundColor: theme.colors.error },
+            !canDelete && styles.actionButtonDisabled,
+          ]}
           onPress={() => onDelete(image.id)}
+          disabled={!canDelete}
         >
           <Ionicons name="trash" size={18} color="#FFF" />
           <Text style={styles.actionButtonText}>Delete</Text>
@@ -123,80 +141,47 @@ const TrashedImageCard = ({ image, onRestore, onDelete }) => {
 };
 
 const TrashScreen = () => {
-  const [trashedFolders, setTrashedFolders] = useState([]);
-  const [trashedImages, setTrashedImages] = useState([]);
   const [activeTab, setActiveTab] = useState('folders');
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
   const [menuVisible, setMenuVisible] = useState(false);
-  const [error, setError] = useState(null);
 
   const { theme } = useContext(ThemeContext);
   const navigation = useNavigation();
+  // Restoring is queued while offline, deleting for good needs the server
+  const isOnline = useIsOnline();
 
-  // Function to fetch trashed items
-  const fetchTrashedItems = async () => {
-    setLoading(true);
-    setError(null);
-    
-    try {
-      // Get trashed folders from API
-      const foldersResponse = await folderApi.getTrashedFolders();
-      
-      // Handle different response structures
-      let foldersList = [];
-      if (foldersResponse.data && foldersResponse.data.data) {
-        foldersList = foldersResponse.data.data;
-      } else if (foldersResponse.data) {
-        foldersList = foldersResponse.data;
-      }
-      
-      console.log(`Found ${foldersList.length} trashed folders`);
-      setTrashedFolders(foldersList);
+  // Trashed items, refetched on focus whenever a delete elsewhere made them stale
+  const foldersQuery = queries.trashedFolders();
+  const imagesQuery = queries.trashedImages();
+  const {
+    data: folderPage,
+    error: foldersError,
+    isLoading: foldersLoading,
+    isRefreshing: foldersRefreshing,
+    refetch: refetchFolders,
+  } = useQuery(foldersQuery);
+  const {
+    data: imagePage,
+    error: imagesError,
+    isLoading: imagesLoading,
+    isRefreshing: imagesRefreshing,
+    refetch: refetchImages,
+  } = useQuery(imagesQuery);
 
-      // Get trashed images from API
-      const imagesResponse = await imageApi.getTrashedImages();
-      
-      // Handle different response structures
-      let imagesList = [];
-      if (imagesResponse.data && imagesResponse.data.data) {
-        imagesList = imagesResponse.data.data;
-      } else if (imagesResponse.data) {
-        imagesList = imagesResponse.data;
-      }
-      
-      console.log(`Found ${imagesList.length} trashed images`);
-      setTrashedImages(imagesList);
-    } catch (err) {
-      console.error('Error fetching trashed items:', err);
-      
-      // Handle 404 errors gracefully (empty trash case)
-      if (err.response && err.response.status === 404) {
-        // Just set empty arrays, this likely means there are no items in trash
-        console.log('No items in trash (404 response)');
-        setTrashedFolders([]);
-        setTrashedImages([]);
-      } else {
-        // For other errors, show error state
-        setError('Failed to load trashed items. Pull down to retry.');
-      }
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
+  const trashedFolders = folderPage?.items || [];
+  const trashedImages = imagePage?.items || [];
+  const loading = foldersLoading || imagesLoading;
+  const refreshing = foldersRefreshing || imagesRefreshing;
+  const error = foldersError || imagesError;
 
-  // Refresh when screen comes into focus
-  useFocusEffect(
-    useCallback(() => {
-      fetchTrashedItems();
-    }, [])
-  );
+  // Drop an item from a cached trash list
+  const removeFromTrash = useCallback((key, itemId) => {
+    setQueryData(key, page => ({ ...page, items: page.items.filter(item => item.id !== itemId) }));
+  }, []);
 
   // Handle pull-to-refresh
   const onRefresh = () => {
-    setRefreshing(true);
-    fetchTrashedItems();
+    refetchFolders();
+    refetchImages();
   };
 
   // Empty all items from trash
@@ -214,21 +199,17 @@ const TrashScreen = () => {
           style: 'destructive',
           onPress: async () => {
             try {
-              setLoading(true);
-              
               // Empty trash via API
               await folderApi.emptyTrash();
               
               // Clear local state
-              setTrashedFolders([]);
-              setTrashedImages([]);
+              setQueryData(foldersQuery.key, page => ({ ...page, items: [] }));
+              setQueryData(imagesQuery.key, page => ({ ...page, items: [] }));
               
               Alert.alert('Success', 'Trash emptied successfully');
             } catch (err) {
               console.error('Error emptying trash:', err);
-              Alert.alert('Error', 'Failed to empty trash. Please try again.');
-            } finally {
-              setLoading(false);
+              Alert.alert('Error', getErrorMessage(err, 'Failed to empty trash. Please try again.'));
             }
           },
         },
@@ -237,22 +218,18 @@ const TrashScreen = () => {
   };
 
   // Restore folder from trash
+  // Restoring works offline too, the outbox sends it once the device is back online
   const handleRestoreFolder = async (folderId) => {
+    const folder = trashedFolders.find(item => item.id === folderId);
+    if (!folder) return;
+
     try {
-      setLoading(true);
-      
-      // Call API to restore folder
-      await folderApi.restoreFolder(folderId);
-      
-      // Update local state
-      setTrashedFolders(trashedFolders.filter(folder => folder.id !== folderId));
+      await submitMutation({ type: MUTATION_TYPES.RESTORE, recordType: 'folder', record: folder });
       
       Alert.alert('Success', 'Folder restored successfully');
     } catch (err) {
       console.error('Error restoring folder:', err);
-      Alert.alert('Error', 'Failed to restore folder. Please try again.');
-    } finally {
-      setLoading(false);
+      Alert.alert('Error', getErrorMessage(err, 'Failed to restore folder. Please try again.'));
     }
   };
 
@@ -271,20 +248,16 @@ const TrashScreen = () => {
           style: 'destructive',
           onPress: async () => {
             try {
-              setLoading(true);
-              
               // Call API to permanently delete folder
               await folderApi.permanentlyDeleteFolder(folderId);
               
               // Update local state
-              setTrashedFolders(trashedFolders.filter(folder => folder.id !== folderId));
+              removeFromTrash(foldersQuery.key, folderId);
               
               Alert.alert('Success', 'Folder permanently deleted');
             } catch (err) {
               console.error('Error deleting folder:', err);
-              Alert.alert('Error', 'Failed to delete folder. Please try again.');
-            } finally {
-              setLoading(false);
+              Alert.alert('Error', getErrorMessage(err, 'Failed to delete folder. Please try again.'));
             }
           },
         },
@@ -294,21 +267,16 @@ const TrashScreen = () => {
 
   // Restore image from trash
   const handleRestoreImage = async (imageId) => {
+    const image = trashedImages.find(item => item.id === imageId);
+    if (!image) return;
+
     try {
-      setLoading(true);
-      
-      // Call API to restore image
-      await imageApi.restoreImage(imageId);
-      
-      // Update local state
-      setTrashedImages(trashedImages.filter(image => image.id !== imageId));
+      await submitMutation({ type: MUTATION_TYPES.RESTORE, recordType: 'image', record: image });
       
       Alert.alert('Success', 'Image restored successfully');
     } catch (err) {
       console.error('Error restoring image:', err);
-      Alert.alert('Error', 'Failed to restore image. Please try again.');
-    } finally {
-      setLoading(false);
+      Alert.alert('Error', getErrorMessage(err, 'Failed to restore image. Please try again.'));
     }
   };
 
@@ -327,20 +295,16 @@ const TrashScreen = () => {
           style: 'destructive',
           onPress: async () => {
             try {
-              setLoading(true);
-              
               // Call API to permanently delete image
               await imageApi.forceDeleteImage(imageId);
               
               // Update local state
-              setTrashedImages(trashedImages.filter(image => image.id !== imageId));
+              removeFromTrash(imagesQuery.key, imageId);
               
               Alert.alert('Success', 'Image permanently deleted');
             } catch (err) {
               console.error('Error deleting image:', err);
-              Alert.alert('Error', 'Failed to delete image. Please try again.');
-            } finally {
-              setLoading(false);
+              Alert.alert('Error', getErrorMessage(err, 'Failed to delete image. Please try again.'));
             }
           },
         },
@@ -354,6 +318,7 @@ const TrashScreen = () => {
       folder={item}
       onRestore={handleRestoreFolder}
       onDelete={handleDeleteFolder}
+      canDelete={isOnline}
     />
   );
 
@@ -363,6 +328,7 @@ const TrashScreen = () => {
       image={item}
       onRestore={handleRestoreImage}
       onDelete={handleDeleteImage}
+      canDelete={isOnline}
     />
   );
 
@@ -389,18 +355,11 @@ const TrashScreen = () => {
   // Render error state
   const renderErrorState = () => {
     return (
-      <View style={styles.emptyContainer}>
-        <Ionicons name="alert-circle-outline" size={80} color={theme.colors.error} />
-        <Text style={[styles.emptyText, { color: theme.colors.text }]}>
-          {error || 'Something went wrong'}
-        </Text>
-        <TouchableOpacity
-          style={[styles.retryButton, { backgroundColor: theme.colors.primary }]}
-          onPress={fetchTrashedItems}
-        >
-          <Text style={styles.retryButtonText}>Try Again</Text>
-        </TouchableOpacity>
-      </View>
+      <ErrorState
+        error={error}
+        onRetry={onRefresh}
+        fallbackMessage="Failed to load trashed items."
+      />
     );
   };
 
@@ -421,6 +380,7 @@ const TrashScreen = () => {
         <Menu.Item
           icon="delete-sweep"
           title="Empty Trash"
+          disabled={!isOnline}
           onPress={() => {
             setMenuVisible(false);
             handleEmptyTrash();
@@ -429,6 +389,8 @@ const TrashScreen = () => {
         />
       </Menu>
 
+      <OfflineNotice message="Deleting items for good needs a connection. Restoring works offline." />
+
       <View style={styles.tabContainer}>
         <TouchableOpacity
           style={[
@@ -602,16 +564,6 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     maxWidth: '80%',
   },
-  retryButton: {
-    paddingHorizontal: 20,
-    paddingVertical: 10,
-    borderRadius: 8,
-    marginTop: 20,
-  },
-  retryButtonText: {
-    color: '#FFF',
-    fontWeight: 'bold',
-  },
   folderCard: {
     borderRadius: 12,
     marginBottom: 16,
@@ -685,6 +637,9 @@ const styles = StyleSheet.create({
     flex: 1,
     marginHorizontal: 5,
   },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
   actionButtonText: {
     color: '#FFF',
     marginLeft: 5,
@@ -0,0 +1,278 @@
+import React, { useContext, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  Alert,
+  ActivityIndicator,
+  TouchableOpacity,
+} from 'react-native';
+import { Appbar, Button, Chip, ProgressBar } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDistanceToNow } from 'date-fns';
+import { ThemeContext } from '../../contexts/ThemeContext';
+import {
+  UPLOAD_STATUS,
+  useUploadQueueStore,
+  isOwnUpload,
+  retryUpload,
+  cancelUpload,
+  discardUpload,
+  clearCompletedUploads,
+} from '../../services/uploadQueue';
+
+const statusLabels = {
+  [UPLOAD_STATUS.PENDING]: 'Waiting',
+  [UPLOAD_STATUS.UPLOADING]: 'Uploading',
+  [UPLOAD_STATUS.FAILED]: 'Failed',
+  [UPLOAD_STATUS.CANCELED]: 'Canceled',
+  [UPLOAD_STATUS.COMPLETED]: 'Uploaded',
+};
+
+const UploadQueueScreen = () => {
+  const { theme } = useContext(ThemeContext);
+  const navigation = useNavigation();
+  const allItems = useUploadQueueStore(state => state.items);
+  const progress = useUploadQueueStore(state => state.progress);
+
+  // Newest first; uploads queued by another account stay on the device but are not shown
+  const items = useMemo(
+    () => allItems.filter(isOwnUpload).sort((a, b) => b.createdAt - a.createdAt),
+    [allItems]
+  );
+  const hasCompleted = items.some(item => item.status === UPLOAD_STATUS.COMPLETED);
+
+  const statusColors = {
+    [UPLOAD_STATUS.PENDING]: theme.colors.disabled,
+    [UPLOAD_STATUS.UPLOADING]: theme.colors.primary,
+    [UPLOAD_STATUS.FAILED]: theme.colors.error,
+    [UPLOAD_STATUS.CANCELED]: theme.colors.disabled,
+    [UPLOAD_STATUS.COMPLETED]: theme.colors.success,
+  };
+
+  const handleDiscard = (item) => {
+    Alert.alert(
+      'Discard Upload',
+      `"${item.name}" has not been uploaded. Discarding it deletes the photo from this device.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => discardUpload(item.id) },
+      ]
+    );
+  };
+
+  const describeItem = (item) => {
+    switch (item.status) {
+      case UPLOAD_STATUS.PENDING:
+        if (item.chunks) {
+          return `${item.chunks.received} of ${item.chunks.count} parts uploaded, the rest follows automatically`;
+        }
+        if (item.lastError && item.nextAttemptAt > Date.now()) {
+          return `${item.lastError} Retrying ${formatDistanceToNow(item.nextAttemptAt, { addSuffix: true })}.`;
+        }
+        return 'Uploads as soon as you are online';
+      case UPLOAD_STATUS.UPLOADING:
+        return progress[item.id] !== undefined
+          ? `Sending to the server... ${Math.round(progress[item.id] * 100)}%`
+          : 'Sending to the server...';
+      case UPLOAD_STATUS.FAILED:
+        return item.lastError || 'Upload failed.';
+      case UPLOAD_STATUS.CANCELED:
+        return 'Canceled, the photo is kept until you retry or discard it';
+      case UPLOAD_STATUS.COMPLETED:
+        return `Uploaded ${formatDistanceToNow(item.completedAt, { addSuffix: true })}`;
+      default:
+        return '';
+    }
+  };
+
+  const renderItem = ({ item }) => {
+    const isCompleted = item.status === UPLOAD_STATUS.COMPLETED;
+    const color = statusColors[item.status];
+
+    return (
+      <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+        <TouchableOpacity
+          style={styles.cardHeader}
+          disabled={!isCompleted || !item.imageId}
+          onPress={() => navigation.navigate('ImageDetail', { imageId: item.imageId })}
+        >
+          {isCompleted ? (
+            <View style={[styles.thumbnail, styles.thumbnailDone, { backgroundColor: color + '20' }]}>
+              <Ionicons name="checkmark" size={28} color={color} />
+            </View>
+          ) : (
+            // The local copy is deleted once the upload is done
+            <Image source={{ uri: item.fileUri }} style={styles.thumbnail} />
+          )}
+          <View style={styles.info}>
+            <Text style={[styles.name, { color: theme.colors.text }]} numberOfLines={1}>
+              {item.name}
+            </Text>
+            <Text style={[styles.detail, { color: theme.colors.disabled }]} numberOfLines={2}>
+              {describeItem(item)}
+            </Text>
+          </View>
+          {item.status === UPLOAD_STATUS.UPLOADING ? (
+            <ActivityIndicator size="small" color={color} />
+          ) : (
+            <Chip
+              compact
+              style={{ backgroundColor: color + '20' }}
+              textStyle={{ color, fontSize: 12 }}
+            >
+              {statusLabels[item.status]}
+            </Chip>
+          )}
+        </TouchableOpacity>
+
+        {item.status === UPLOAD_STATUS.UPLOADING && (
+          <>
+            {progress[item.id] !== undefined && (
+              <ProgressBar
+                progress={progress[item.id]}
+                color={theme.colors.primary}
+                style={styles.progress}
+              />
+            )}
+            <View style={styles.actions}>
+              <Button
+                compact
+                icon="close"
+                onPress={() => cancelUpload(item.id)}
+                textColor={theme.colors.error}
+              >
+                Cancel
+              </Button>
+            </View>
+          </>
+        )}
+
+        {!isCompleted && item.status !== UPLOAD_STATUS.UPLOADING && (
+          <View style={styles.actions}>
+            <Button
+              compact
+              icon="refresh"
+              onPress={() => retryUpload(item.id)}
+              textColor={theme.colors.primary}
+            >
+              {item.status === UPLOAD_STATUS.PENDING ? 'Retry Now' : 'Retry'}
+            </Button>
+            <Button
+              compact
+              icon="delete"
+              onPress={() => handleDiscard(item)}
+              textColor={theme.colors.error}
+            >
+              Discard
+            </Button>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderEmptyList = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="cloud-done-outline" size={80} color={theme.colors.disabled} />
+      <Text style={[styles.emptyText, { color: theme.colors.text }]}>No uploads waiting</Text>
+      <Text style={[styles.emptySubText, { color: theme.colors.disabled }]}>
+        Photos taken without a connection are kept here until they are uploaded
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <Appbar.Header style={{ backgroundColor: theme.colors.primary }}>
+        <Appbar.BackAction onPress={() => navigation.goBack()} color="#fff" />
+        <Appbar.Content title="Uploads" color="#fff" />
+        {hasCompleted && (
+          <Appbar.Action icon="broom" color="#fff" onPress={clearCompletedUploads} />
+        )}
+      </Appbar.Header>
+
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={[styles.list, items.length === 0 && styles.emptyList]}
+        ListEmptyComponent={renderEmptyList}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  list: {
+    padding: 15,
+  },
+  emptyList: {
+    flexGrow: 1,
+  },
+  card: {
+    borderRadius: 12,
+    marginBottom: 12,
+    padding: 12,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  thumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 8,
+  },
+  thumbnailDone: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  detail: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  progress: {
+    height: 4,
+    borderRadius: 2,
+    marginTop: 10,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptySubText: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+export default UploadQueueScreen;
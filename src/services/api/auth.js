@@ -1,45 +1,43 @@
 import apiClient from './client';
+import { MalformedPayloadError } from './errors';
+import { readModel, reportMalformedPayload, toUser } from './models';
 
-export const register = async (name, email, password, password_confirmation) => {
-  try {
-    const response = await apiClient.post('/register', {
-      name,
-      email,
-      password,
-      password_confirmation,
-    });
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Registration failed';
+// Login and registration answer with a token and the signed-in user
+const toSession = (payload) => {
+  if (!payload?.token) {
+    reportMalformedPayload('session', 'missing token', payload);
+    throw new MalformedPayloadError('session', 'missing token', payload);
   }
+
+  return {
+    token: payload.token,
+    user: readModel(payload.user, toUser, 'user'),
+  };
+};
+
+export const register = async (name, email, password, password_confirmation) => {
+  const response = await apiClient.post('/register', {
+    name,
+    email,
+    password,
+    password_confirmation,
+  });
+  return toSession(response.data);
 };
 
 export const login = async (email, password) => {
-  try {
-    const response = await apiClient.post('/login', {
-      email,
-      password,
-    });
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Login failed';
-  }
+  const response = await apiClient.post('/login', {
+    email,
+    password,
+  });
+  return toSession(response.data);
 };
 
 export const logout = async () => {
-  try {
-    const response = await apiClient.post('/logout');
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Logout failed';
-  }
+  await apiClient.post('/logout');
 };
 
 export const getCurrentUser = async () => {
-  try {
-    const response = await apiClient.get('/user');
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Failed to get user data';
-  }
+  const response = await apiClient.get('/user');
+  return readModel(response.data, toUser, 'user');
 };
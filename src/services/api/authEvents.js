@@ -0,0 +1,44 @@
+// File: src/services/api/authEvents.js
+// Lets the API client tell the auth layer about session changes it detects
+// without importing React code
+import { createLogger } from '../logger';
+
+const log = createLogger('auth');
+
+export const SESSION_EXPIRED = 'sessionExpired';
+
+const listeners = {};
+
+/**
+ * Subscribe to an auth event
+ * @param {string} event - Event name, e.g. SESSION_EXPIRED
+ * @param {function} listener - Called with the event details
+ * @returns {function} Unsubscribe function
+ */
+export const addAuthListener = (event, listener) => {
+  if (!listeners[event]) {
+    listeners[event] = new Set();
+  }
+  listeners[event].add(listener);
+
+  return () => {
+    listeners[event].delete(listener);
+  };
+};
+
+/**
+ * Notify all listeners of an auth event
+ * @param {string} event - Event name
+ * @param {object} details - Extra information for the listeners
+ */
+export const emitAuthEvent = (event, details = {}) => {
+  if (!listeners[event]) return;
+
+  listeners[event].forEach(listener => {
+    try {
+      listener(details);
+    } catch (error) {
+      log.error(`Error in ${event} listener:`, error);
+    }
+  });
+};
@@ -2,14 +2,29 @@
 import axios from 'axios';
 import * as SecureStore from 'expo-secure-store';
 import { Platform } from 'react-native';
+import { emitAuthEvent, SESSION_EXPIRED } from './authEvents';
+import { getRetryPolicy, shouldRetry, getRetryDelay, waitForRetry } from './retry';
+import { NotFoundError, toApiError } from './errors';
+import {
+  applyConditionalHeaders,
+  resolveCachedResponse,
+  clearHttpCache,
+  withoutConditionalHeaders,
+} from './httpCache';
+import { createLogger } from '../logger';
+import { getLocalImageUri } from '../imageFileCache';
+import { isMockBaseUrl, mockAdapter } from './mock';
+import { getImageFormatByName } from './imageFormats';
 
-// API Base URL - Use your server address
-const API_BASE_URL = '10.0.254.6:8000'; // Your current IP address
-const API_PROTOCOL = 'http'; // or 'https' for production
+const log = createLogger('api');
+
+// Server address used until a server profile is applied
+const DEFAULT_BASE_URL = 'http://10.0.254.6:8000';
 
 // Export the full base URL for use elsewhere
-export const BASE_URL = `${API_PROTOCOL}://${API_BASE_URL}`;
-export const API_URL = `${BASE_URL}/api/`; // Note the trailing slash
+// These are live bindings: they change when a different server profile is applied
+export let BASE_URL = DEFAULT_BASE_URL;
+export let API_URL = `${BASE_URL}/api/`; // Note the trailing slash
 
 // Create axios instance with base URL
 const apiClient = axios.create({
@@ -20,6 +35,103 @@ const apiClient = axios.create({
   },
 });
 
+// Restored when switching from the mock backend back to a real server
+const networkAdapter = apiClient.defaults.adapter;
+
+// Called by setApiBaseUrl, see addBaseUrlListener
+const baseUrlListeners = new Set();
+
+/**
+ * Point the API client at a different server without restarting the app
+ * @param {string} baseUrl - Normalized server URL, e.g. "http://10.0.254.6:8000"
+ */
+export const setApiBaseUrl = (baseUrl) => {
+  const previous = BASE_URL;
+  BASE_URL = baseUrl || DEFAULT_BASE_URL;
+  API_URL = `${BASE_URL}/api/`;
+  apiClient.defaults.baseURL = API_URL;
+  // mock:// addresses are answered in-app (see ./mock)
+  apiClient.defaults.adapter = isMockBaseUrl(BASE_URL) ? mockAdapter : networkAdapter;
+  
+  // Cached responses belong to the previous server
+  clearHttpCache();
+  
+  log.info(`Base URL set to ${API_URL}`);
+  if (BASE_URL !== previous) {
+    baseUrlListeners.forEach(listener => listener(BASE_URL));
+  }
+};
+
+/**
+ * Call a function every time the API client is pointed at a different server
+ * @param {Function} listener - Called with the new base URL
+ * @returns {Function} Unsubscribe function
+ */
+export const addBaseUrlListener = (listener) => {
+  baseUrlListeners.add(listener);
+  return () => baseUrlListeners.delete(listener);
+};
+
+// Abort controllers for every request that hasn't finished yet
+const inFlightRequests = new Set();
+
+/**
+ * Abort every request that is still waiting for a response
+ */
+export const cancelAllRequests = () => {
+  inFlightRequests.forEach(controller => controller.abort());
+  inFlightRequests.clear();
+};
+
+/**
+ * Check whether a request failed only because it was cancelled
+ * Cancelled requests are expected (e.g. the user left the screen) and shouldn't be reported as errors
+ * @param {Error} error - Error thrown by an API call
+ * @returns {boolean} Whether the request was cancelled
+ */
+export const isCancelledError = (error) =>
+  axios.isCancel(error) || error?.name === 'CanceledError' || error?.name === 'AbortError';
+
+/**
+ * Log a failed API call by how unexpected it is
+ * Cancellations aren't logged and a record that is gone is only worth a warning.
+ * @param {object} logger - Logger of the calling service, from createLogger
+ * @param {string} message - What failed
+ * @param {Error} error - Error thrown by an API call
+ */
+export const logApiError = (logger, message, error) => {
+  if (isCancelledError(error)) return;
+  if (error instanceof NotFoundError) {
+    logger.warn(message, error);
+    return;
+  }
+  logger.error(message, error);
+};
+
+// Give each request its own abort controller, honoring a signal passed by the caller
+const trackRequest = (config) => {
+  const controller = new AbortController();
+  const callerSignal = config.signal;
+  
+  if (callerSignal) {
+    if (callerSignal.aborted) {
+      controller.abort();
+    } else {
+      callerSignal.addEventListener('abort', () => controller.abort());
+    }
+  }
+  
+  config.signal = controller.signal;
+  config.abortController = controller;
+  inFlightRequests.add(controller);
+};
+
+const untrackRequest = (config) => {
+  if (config?.abortController) {
+    inFlightRequests.delete(config.abortController);
+  }
+};
+
 // Fix for double slash issue
 const fixEndpointPath = (path) => {
   // If path already starts with a slash, remove the slash to prevent double slashes
@@ -42,20 +154,18 @@ apiClient.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
     
-    // Add debug logging in development
-    if (__DEV__) {
-      console.log(
-        `API Request: ${config.method.toUpperCase()} ${config.baseURL}${config.url}`,
-        config.data
-      );
-    }
+    trackRequest(config);
+    
+    // Let the server answer 304 when the cached copy is still current
+    applyConditionalHeaders(config);
+    
+    // Bodies are redacted by the logger, multipart bodies are only named
+    log.debug(`${config.method.toUpperCase()} ${config.url}`, config.data);
     
     return config;
   },
   (error) => {
-    if (__DEV__) {
-      console.error('API Request Error:', error);
-    }
+    log.error('Request could not be sent', error);
     return Promise.reject(error);
   }
 );
@@ -63,72 +173,109 @@ apiClient.interceptors.request.use(
 // Add response interceptor to handle errors
 apiClient.interceptors.response.use(
   (response) => {
-    // Add debug logging in development
-    if (__DEV__) {
-      console.log('API Response Success:', response.status, response.config.url);
-      
-      // Log the response data structure for debugging
-      console.log('Response data structure:', Object.keys(response.data));
-      
-      // Debug image paths if present
-      if (response.data && (response.config.url.includes('images') || response.config.url.includes('folders'))) {
-        if (response.data.data) {
-          // For collection responses
-          console.log('Collection data:', response.data.data.length, 'items');
-          if (response.data.data.length > 0) {
-            console.log('First item structure:', Object.keys(response.data.data[0]));
-          }
-        } else if (response.data.id) {
-          // For single item responses
-          console.log('Single item data:', { id: response.data.id, ...Object.keys(response.data) });
-        } else {
-          // For unexpected response structures
-          console.log('Unexpected response structure:', response.data);
-        }
-      }
+    untrackRequest(response.config);
+    
+    const resolved = resolveCachedResponse(response);
+    if (!resolved) {
+      // The cached copy was cleared while the request was in flight
+      return apiClient(withoutConditionalHeaders(response.config));
     }
+    response = resolved;
+    
+    const list = response.data?.data;
+    log.debug(
+      `${response.status} ${response.config.url}`,
+      Array.isArray(list) ? { items: list.length } : undefined
+    );
     return response;
   },
   async (error) => {
+    untrackRequest(error.config);
+    
     // Handle 401 Unauthorized errors
-    if (error.response && error.response.status === 401) {
-      // Clear token and handle logout
-      await SecureStore.deleteItemAsync('token');
-      // You might want to redirect to login here or handle it in your auth context
+    // Only requests that carried a token mean the session expired; a failed login is just a 401
+    if (error.response && error.response.status === 401 && error.config?.headers?.Authorization) {
+      const token = await SecureStore.getItemAsync('token');
+      
+      // Several requests can fail at once, only the first one ends the session
+      if (token) {
+        await SecureStore.deleteItemAsync('token');
+        cancelAllRequests();
+        clearHttpCache();
+        emitAuthEvent(SESSION_EXPIRED, { url: error.config.url });
+      }
     }
     
-    if (__DEV__) {
-      console.error('API Response Error:', {
-        url: error.config?.url,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
+    if (isCancelledError(error)) {
+      log.debug(`Cancelled ${error.config?.url}`);
+    } else if (error.response) {
+      log.warn(`${error.response.status} ${error.config?.url}`, {
+        data: error.response.data,
+        message: error.message,
+      });
+    } else {
+      log.warn(`No response from ${error.config?.url}`, {
+        code: error.code,
         message: error.message,
       });
-      
-      // More detailed network error debugging
-      if (!error.response) {
-        console.error('Network Error Details:', {
-          isNetworkError: error.isAxiosError && !error.response,
-          timeout: error.code === 'ECONNABORTED',
-          code: error.code,
-          message: error.message
-        });
-      }
     }
     
     return Promise.reject(error);
   }
 );
 
+// Retry failed requests that are safe to repeat (see ./retry.js for the policy)
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const policy = getRetryPolicy(error.config);
+    if (!shouldRetry(error, policy)) {
+      return Promise.reject(error);
+    }
+    
+    const config = error.config;
+    config.retryCount = (config.retryCount || 0) + 1;
+    
+    const delay = getRetryDelay(error, config.retryCount, policy);
+    if (delay === null) {
+      return Promise.reject(error);
+    }
+    
+    log.info(
+      `Retrying ${config.method.toUpperCase()} ${config.url} in ${delay}ms ` +
+      `(attempt ${config.retryCount} of ${policy.retries})`
+    );
+    
+    // Keep the request cancellable while it waits
+    if (config.abortController) {
+      inFlightRequests.add(config.abortController);
+    }
+    
+    try {
+      await waitForRetry(delay, config.signal);
+    } finally {
+      untrackRequest(config);
+    }
+    
+    return apiClient(config);
+  }
+);
+
+// Turn failures into typed errors (see ./errors.js) once retries are exhausted
+// Cancellations are passed through untouched so callers can ignore them
+apiClient.interceptors.response.use(
+  (response) => response,
+  (error) => Promise.reject(isCancelledError(error) ? error : toApiError(error))
+);
+
 // Image path helpers
 
 /**
- * Get a full URL for an image path
+ * Get the server URL for an image path
  * @param {string} path - The image path to format
  * @returns {string|null} The formatted image URL
  */
-export const getFullImagePath = (path) => {
+export const getRemoteImagePath = (path) => {
   if (!path) return null;
   
   // If path is already a complete URI, use it
@@ -141,20 +288,48 @@ export const getFullImagePath = (path) => {
     return path;
   }
   
+  // For images embedded by the mock backend
+  if (path.startsWith('data:')) {
+    return path;
+  }
+  
   // For storage paths from Laravel
   if (path.startsWith('/storage/')) {
-    return `${API_PROTOCOL}://${API_BASE_URL}${path}`;
+    return `${BASE_URL}${path}`;
   }
   
   // For paths from the backend that might be missing the base URL
   return path.startsWith('/') 
-    ? `${API_PROTOCOL}://${API_BASE_URL}${path}` 
-    : `${API_PROTOCOL}://${API_BASE_URL}/${path}`;
+    ? `${BASE_URL}${path}` 
+    : `${BASE_URL}/${path}`;
+};
+
+/**
+ * Get the URL to display an image from
+ * Images downloaded to the device, e.g. in folders available offline, load from the local file.
+ * @param {string} path - The image path to format
+ * @returns {string|null} Local file URI or the image URL
+ */
+export const getFullImagePath = (path) => {
+  const url = getRemoteImagePath(path);
+  return getLocalImageUri(url) || url;
+};
+
+/**
+ * Get the MIME type of an image from its file name
+ * Only a guess: files are checked by their content with prepareImageFile before upload.
+ * @param {string} filename - File name or URI, e.g. "photo.png"
+ * @returns {string} MIME type; application/octet-stream when the extension is unknown
+ */
+export const getImageMimeType = (filename) => {
+  const format = getImageFormatByName(filename);
+  return format ? format.mimeType : 'application/octet-stream';
 };
 
 /**
  * Create FormData for image upload
- * @param {object} imageData - Image data with uri
+ * @param {object} imageData - Image data with uri, and the name and type from prepareImageFile;
+ *   without them both are taken from the URI
  * @param {object} additionalData - Additional form data to include
  * @returns {FormData} The formatted form data for upload
  */
@@ -171,26 +346,9 @@ export const createImageFormData = (imageData, additionalData = {}) => {
     // Extract filename and extension
     const uri = imageData.uri;
     const filenameParts = uri.split('/');
-    const filename = filenameParts[filenameParts.length - 1];
-    
-    // Get file extension and determine MIME type
-    const fileExtension = filename.split('.').pop().toLowerCase();
-    let mimeType;
-    
-    switch (fileExtension) {
-      case 'jpg':
-      case 'jpeg':
-        mimeType = 'image/jpeg';
-        break;
-      case 'png':
-        mimeType = 'image/png';
-        break;
-      case 'gif':
-        mimeType = 'image/gif';
-        break;
-      default:
-        mimeType = 'image/jpeg'; // Default to jpeg
-    }
+    const filename = imageData.name || filenameParts[filenameParts.length - 1];
+    
+    const mimeType = imageData.type || getImageMimeType(filename);
     
     // Format the URI based on platform if needed
     const formattedUri = Platform.OS === 'ios' ? uri.replace('file://', '') : uri;
@@ -202,11 +360,7 @@ export const createImageFormData = (imageData, additionalData = {}) => {
       type: mimeType,
     });
     
-    console.log('Image data for upload:', {
-      uri: formattedUri,
-      name: filename,
-      type: mimeType
-    });
+    log.debug('Image added to upload form', { name: filename, type: mimeType });
   }
   
   return formData;
@@ -215,21 +369,21 @@ export const createImageFormData = (imageData, additionalData = {}) => {
 // Debug utility to check image loading
 export const debugImageUrl = (url) => {
   if (!url) {
-    console.log('DEBUG: Image URL is null or undefined');
+    log.debug('Image URL is null or undefined');
     return;
   }
   
-  console.log('DEBUG: Testing image URL:', url);
+  log.debug(`Testing image URL: ${url}`);
   
   // Create a test Image object to check if URL is valid
   const testImage = new Image();
   
   testImage.onload = () => {
-    console.log('DEBUG: Image URL is valid:', url);
+    log.debug(`Image URL is valid: ${url}`);
   };
   
   testImage.onerror = (error) => {
-    console.error('DEBUG: Invalid image URL:', url, error);
+    log.warn(`Invalid image URL: ${url}`, error);
   };
   
   testImage.src = url;
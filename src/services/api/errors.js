@@ -0,0 +1,202 @@
+// File: src/services/api/errors.js
+
+/**
+ * Base class for every error coming out of the API services
+ * Screens check the subclass to decide what to show (retry, field highlights, ...).
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, url = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.url = url;
+    this.cause = cause;
+  }
+
+  // Whether repeating the same request might succeed
+  get isRetryable() {
+    return this.status === 408 || this.status === 429;
+  }
+}
+
+/**
+ * The server couldn't be reached: offline, DNS failure or timeout
+ */
+export class NetworkError extends ApiError {
+  constructor(message, { isTimeout = false, ...details } = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.isTimeout = isTimeout;
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * 401: missing or expired credentials
+ */
+export class UnauthorizedError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * 422: the server rejected the submitted fields
+ */
+export class ValidationError extends ApiError {
+  constructor(message, { fields = {}, ...details } = {}) {
+    super(message, details);
+    this.name = 'ValidationError';
+    // Laravel format: { field: ['First message', ...] }
+    this.fields = fields;
+  }
+
+  /**
+   * Get the first message for a field
+   * @param {string} field - Field name as sent to the API, e.g. "email"
+   * @returns {string|null} The message, or null if the field was accepted
+   */
+  getFieldError(field) {
+    const messages = this.fields[field];
+    if (Array.isArray(messages)) {
+      return messages[0] || null;
+    }
+    return messages || null;
+  }
+}
+
+/**
+ * 404: the record doesn't exist or was deleted
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 409: the request conflicts with the current state on the server
+ */
+export class ConflictError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * 5xx: the server failed to handle a valid request
+ */
+export class ServerError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * The server answered, but not with the data the service expected
+ */
+export class MalformedPayloadError extends ApiError {
+  constructor(resource, reason, payload) {
+    super(`Unexpected ${resource} data from the server: ${reason}`, { data: payload });
+    this.name = 'MalformedPayloadError';
+    this.resource = resource;
+    this.payload = payload;
+  }
+}
+
+/**
+ * An image file the server can't accept, rejected before it is sent
+ */
+export class UnsupportedImageError extends ApiError {
+  constructor(message, { format = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'UnsupportedImageError';
+    // Detected format ID, or null when the file isn't a known image format
+    this.format = format;
+  }
+}
+
+const DEFAULT_MESSAGES = {
+  network: 'Unable to reach the server. Check your connection and try again.',
+  timeout: 'The server took too long to respond. Please try again.',
+  401: 'Your session has expired. Please log in again.',
+  403: 'You do not have permission to do that.',
+  404: 'The requested item could not be found.',
+  409: 'This item was changed somewhere else. Refresh and try again.',
+  413: 'The file is too large to upload.',
+  422: 'Some of the information you entered is invalid.',
+  429: 'Too many requests. Please wait a moment and try again.',
+  server: 'The server ran into a problem. Please try again later.',
+};
+
+/**
+ * Convert an axios error into the matching ApiError subclass
+ * @param {Error} error - Error from axios
+ * @returns {ApiError} Typed error with the server's message when it sent one
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  const url = error.config?.url || null;
+
+  if (!error.response) {
+    const isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new NetworkError(
+      isTimeout ? DEFAULT_MESSAGES.timeout : DEFAULT_MESSAGES.network,
+      { isTimeout, url, cause: error }
+    );
+  }
+
+  const { status, data } = error.response;
+  const serverMessage = typeof data?.message === 'string' && data.message ? data.message : null;
+  const details = { status, data, url, cause: error };
+
+  if (status === 401) {
+    return new UnauthorizedError(serverMessage || DEFAULT_MESSAGES[401], details);
+  }
+  if (status === 404) {
+    return new NotFoundError(serverMessage || DEFAULT_MESSAGES[404], details);
+  }
+  if (status === 409) {
+    return new ConflictError(serverMessage || DEFAULT_MESSAGES[409], details);
+  }
+  if (status === 422) {
+    return new ValidationError(serverMessage || DEFAULT_MESSAGES[422], {
+      ...details,
+      fields: data?.errors || {},
+    });
+  }
+  if (status >= 500) {
+    // Server messages for 5xx are usually stack traces or "Server Error"
+    return new ServerError(DEFAULT_MESSAGES.server, details);
+  }
+
+  return new ApiError(serverMessage || DEFAULT_MESSAGES[status] || error.message, details);
+};
+
+/**
+ * Get a message that can be shown to the user
+ * @param {Error} error - Any error thrown by an API call
+ * @param {string} fallback - Message for errors that don't come from the API
+ * @returns {string} The message
+ */
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+  if (error instanceof ApiError) {
+    return error.message;
+  }
+  return fallback;
+};
@@ -1,15 +1,21 @@
 // File: src/services/api/folders.js
 // Fix import path to match your project structure
-import apiClient from '../api/client';
+import apiClient, { logApiError } from '../api/client';
+import { IDEMPOTENCY_HEADER } from './retry';
+import { readModel, readPage, toFolder } from './models';
+import { createLogger } from '../logger';
+
+const log = createLogger('folders');
 
 /**
  * Get all folders
- * @param {object|number} options - Options object or page number
+ * @param {object|number} options - Options object ({ page, sort, limit, signal }) or page number
  * @param {string} sort - Sort order
  * @param {number} limit - Number of items per page
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Page of folders ({ items, meta })
  */
-export const getFolders = async (options = {}, sort = 'date_desc', limit = 20) => {
+export const getFolders = async (options = {}, sort = 'date_desc', limit = 20, config = {}) => {
   // Handle both object param and individual params
   let page = 1;
   let sortOption = sort;
@@ -20,31 +26,26 @@ export const getFolders = async (options = {}, sort = 'date_desc', limit = 20) =
     page = options.page || 1;
     sortOption = options.sort || sort;
     limitOption = options.limit || limit;
+    if (options.signal) {
+      config = { ...config, signal: options.signal };
+    }
   } else if (typeof options === 'number') {
     // If options is a number, treat it as page
     page = options;
   }
   
   try {
-    console.log(`Fetching folders with page=${page}, sort=${sortOption}, limit=${limitOption}`);
+    log.debug(`Fetching folders with page=${page}, sort=${sortOption}, limit=${limitOption}`);
     const response = await apiClient.get(
-      `folders?page=${page}&sort=${sortOption}&limit=${limitOption}`
+      `folders?page=${page}&sort=${sortOption}&limit=${limitOption}`,
+      config
     );
     
-    console.log(`Folders fetched successfully: ${response.data.data?.length || 0} items`);
-    return response;
+    const result = readPage(response.data, toFolder, 'folder');
+    log.debug(`Folders fetched successfully: ${result.items.length} items`);
+    return result;
   } catch (error) {
-    console.error('Error fetching folders:', error);
-    
-    // Enhance error details for debugging
-    const errorDetails = {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      url: error.config?.url
-    };
-    
-    console.error('Detailed error:', JSON.stringify(errorDetails, null, 2));
+    logApiError(log, 'Error fetching folders:', error);
     
     throw error;
   }
@@ -58,70 +59,48 @@ export const getAllFolders = getFolders;
 /**
  * Get a single folder by ID
  * @param {number} folderId - Folder ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Folder
  */
-export const getFolder = async (folderId) => {
+export const getFolder = async (folderId, config = {}) => {
   try {
-    console.log(`Fetching folder details for ID: ${folderId}`);
+    log.debug(`Fetching folder details for ID: ${folderId}`);
     
-    const response = await apiClient.get(`folders/${folderId}`);
+    const response = await apiClient.get(`folders/${folderId}`, config);
     
-    // Log successful response
-    console.log(`Folder details received:`, {
-      id: response.data?.data?.id || response.data?.id,
-      name: response.data?.data?.name || response.data?.name,
-      hasData: !!response.data,
-      dataKeys: response.data ? Object.keys(response.data) : []
-    });
+    const folder = readModel(response.data, toFolder, 'folder');
+    log.debug(`Folder details received:`, { id: folder.id, name: folder.name });
     
-    return response;
+    return folder;
   } catch (error) {
-    console.error(`Error fetching folder details for ID ${folderId}:`, error);
-
-    // Enhance error details for debugging
-    const errorDetails = {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      url: error.config?.url
-    };
+    logApiError(log, `Error fetching folder details for ID ${folderId}:`, error);
     
-    console.error('Detailed folder fetch error:', JSON.stringify(errorDetails, null, 2));
-    
-    // Rethrow with more context
-    const enhancedError = new Error(`Failed to fetch folder: ${error.message}`);
-    enhancedError.originalError = error;
-    enhancedError.details = errorDetails;
-    throw enhancedError;
+    throw error;
   }
 };
 
 /**
  * Create a new folder
  * @param {object} data - Folder data
- * @returns {Promise} API response
+ * @param {object} options - Axios request config, e.g. { signal }, plus { idempotencyKey } to reuse a key across attempts.
+ *   Only requests with a key are retried after a timeout; without one a retry could create the folder twice.
+ * @returns {Promise<object>} The created folder
  */
 // In your src/services/api/folders.js file
-export const createFolder = async (folderData) => {
+export const createFolder = async (folderData, { idempotencyKey = null, ...config } = {}) => {
   try {
-    console.log('Creating new folder with data:', folderData);
-    const response = await apiClient.post('folders', folderData);
-    
-    // Log the response structure to debug
-    console.log('Folder creation response:', response.data);
-    
-    // Check if we have the folder ID
-    let folderId = null;
-    if (response.data && response.data.data && response.data.data.id) {
-      folderId = response.data.data.id;
-    } else if (response.data && response.data.id) {
-      folderId = response.data.id;
-    }
+    log.debug('Creating new folder with data:', folderData);
+    // The idempotency key lets the client retry the POST without creating duplicates
+    const response = await apiClient.post('folders', folderData, {
+      ...config,
+      headers: idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : {},
+    });
     
-    console.log('Folder created successfully, ID:', folderId);
-    return response;
+    const folder = readModel(response.data, toFolder, 'folder');
+    log.debug('Folder created successfully, ID:', folder.id);
+    return folder;
   } catch (error) {
-    console.error('Failed to create folder:', error);
+    logApiError(log, 'Failed to create folder:', error);
     throw error;
   }
 };
@@ -130,16 +109,17 @@ export const createFolder = async (folderData) => {
  * Update an existing folder
  * @param {number} folderId - Folder ID
  * @param {object} data - Folder data to update
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object|null>} The updated folder, or null if the server didn't send it back
  */
-export const updateFolder = async (folderId, data) => {
+export const updateFolder = async (folderId, data, config = {}) => {
   try {
-    console.log(`Updating folder ${folderId} with data:`, JSON.stringify(data));
-    const response = await apiClient.put(`folders/${folderId}`, data);
-    console.log('Folder updated successfully');
-    return response;
+    log.debug(`Updating folder ${folderId} with data:`, data);
+    const response = await apiClient.put(`folders/${folderId}`, data, config);
+    log.debug('Folder updated successfully');
+    return readModel(response.data, toFolder, 'folder', { optional: true });
   } catch (error) {
-    console.error('Error updating folder:', error);
+    logApiError(log, 'Error updating folder:', error);
     throw error;
   }
 };
@@ -147,14 +127,15 @@ export const updateFolder = async (folderId, data) => {
 /**
  * Delete a folder (move to trash)
  * @param {number} folderId - Folder ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<void>}
  */
-export const deleteFolder = async (folderId) => {
+export const deleteFolder = async (folderId, config = {}) => {
   try {
-    console.log(`Deleting folder ${folderId}`);
-    return await apiClient.delete(`folders/${folderId}`);
+    log.debug(`Deleting folder ${folderId}`);
+    await apiClient.delete(`folders/${folderId}`, config);
   } catch (error) {
-    console.error('Error deleting folder:', error);
+    logApiError(log, 'Error deleting folder:', error);
     throw error;
   }
 };
@@ -162,34 +143,25 @@ export const deleteFolder = async (folderId) => {
 /**
  * Toggle favorite status
  * @param {number} folderId - Folder ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object|null>} The updated folder, or null if the server didn't send it back
  */
-export const toggleFavoriteFolder = async (folderId) => {
+export const toggleFavoriteFolder = async (folderId, config = {}) => {
   try {
-    console.log(`Toggling favorite status for folder ${folderId}`);
+    log.debug(`Toggling favorite status for folder ${folderId}`);
     
     // UPDATED: Based on the 404 error, your backend API expects a different endpoint
     // Try with the correct endpoint format instead (common RESTful patterns)
-    const response = await apiClient.post(`folders/${folderId}/favorite`);
+    const response = await apiClient.post(`folders/${folderId}/favorite`, null, config);
     
     // Alternative methods to try if the above doesn't work:
     // const response = await apiClient.put(`folders/${folderId}/favorite`);
     // const response = await apiClient.patch(`folders/${folderId}`, { is_favorite: true }); 
     
-    console.log('Folder favorite status updated');
-    return response;
+    log.debug('Folder favorite status updated');
+    return readModel(response.data, toFolder, 'folder', { optional: true });
   } catch (error) {
-    console.error('Error toggling favorite status:', error);
-    
-    // Enhance error details for debugging
-    const errorDetails = {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      url: error.config?.url
-    };
-    
-    console.error('Detailed toggle favorite error:', JSON.stringify(errorDetails, null, 2));
+    logApiError(log, 'Error toggling favorite status:', error);
     
     throw error;
   }
@@ -197,42 +169,50 @@ export const toggleFavoriteFolder = async (folderId) => {
 
 /**
  * Get all favorite folders
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Page of folders ({ items, meta })
  */
-export const getFavoriteFolders = async () => {
+export const getFavoriteFolders = async (config = {}) => {
   try {
-    console.log('Fetching favorite folders');
-    const response = await apiClient.get('folders/favorites');
-    console.log(`Favorite folders fetched: ${response.data.data?.length || 0} items`);
-    return response;
+    log.debug('Fetching favorite folders');
+    const response = await apiClient.get('folders/favorites', config);
+    const result = readPage(response.data, toFolder, 'folder');
+    log.debug(`Favorite folders fetched: ${result.items.length} items`);
+    return result;
   } catch (error) {
-    console.error('Error fetching favorite folders:', error);
+    logApiError(log, 'Error fetching favorite folders:', error);
     throw error;
   }
 };
-export const emptyTrash = async () => {
+/**
+ * Permanently delete everything in the trash
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<void>}
+ */
+export const emptyTrash = async (config = {}) => {
   try {
-    console.log('Emptying trash');
-    const response = await apiClient.delete('trash/empty');
-    console.log('Trash emptied successfully');
-    return response;
+    log.debug('Emptying trash');
+    await apiClient.delete('trash/empty', config);
+    log.debug('Trash emptied successfully');
   } catch (error) {
-    console.error('Error emptying trash:', error);
+    logApiError(log, 'Error emptying trash:', error);
     throw error;
   }
 };
 /**
  * Get all trashed folders
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Page of folders ({ items, meta })
  */
-export const getTrashedFolders = async () => {
+export const getTrashedFolders = async (config = {}) => {
   try {
-    console.log('Fetching trashed folders');
-    const response = await apiClient.get('trash/folders');
-    console.log(`Trashed folders fetched: ${response.data.data?.length || 0} items`);
-    return response;
+    log.debug('Fetching trashed folders');
+    const response = await apiClient.get('trash/folders', config);
+    const result = readPage(response.data, toFolder, 'folder');
+    log.debug(`Trashed folders fetched: ${result.items.length} items`);
+    return result;
   } catch (error) {
-    console.error('Error fetching trashed folders:', error);
+    logApiError(log, 'Error fetching trashed folders:', error);
     throw error;
   }
 };
@@ -240,16 +220,17 @@ export const getTrashedFolders = async () => {
 /**
  * Restore a trashed folder
  * @param {number} folderId - Folder ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object|null>} The restored folder, or null if the server didn't send it back
  */
-export const restoreFolder = async (folderId) => {
+export const restoreFolder = async (folderId, config = {}) => {
   try {
-    console.log(`Restoring folder ${folderId} from trash`);
-    const response = await apiClient.post(`folders/${folderId}/restore`);
-    console.log('Folder restored successfully');
-    return response;
+    log.debug(`Restoring folder ${folderId} from trash`);
+    const response = await apiClient.post(`folders/${folderId}/restore`, null, config);
+    log.debug('Folder restored successfully');
+    return readModel(response.data, toFolder, 'folder', { optional: true });
   } catch (error) {
-    console.error('Error restoring folder:', error);
+    logApiError(log, 'Error restoring folder:', error);
     throw error;
   }
 };
@@ -257,14 +238,15 @@ export const restoreFolder = async (folderId) => {
 /**
  * Permanently delete a folder
  * @param {number} folderId - Folder ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<void>}
  */
-export const permanentlyDeleteFolder = async (folderId) => {
+export const permanentlyDeleteFolder = async (folderId, config = {}) => {
   try {
-    console.log(`Permanently deleting folder ${folderId}`);
-    return await apiClient.delete(`trash/folders/${folderId}`);
+    log.debug(`Permanently deleting folder ${folderId}`);
+    await apiClient.delete(`trash/folders/${folderId}`, config);
   } catch (error) {
-    console.error('Error permanently deleting folder:', error);
+    logApiError(log, 'Error permanently deleting folder:', error);
     throw error;
   }
 };
\ No newline at end of file
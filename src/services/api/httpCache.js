@@ -0,0 +1,210 @@
+// File: src/services/api/httpCache.js
+// Conditional GET cache: stored responses are revalidated with If-None-Match / If-Modified-Since
+// and a 304 answer is served from memory. The interceptors live in ./client.js.
+
+// Oldest entries are dropped first once the cache is full
+const MAX_ENTRIES = 50;
+
+// A successful mutation on the first path segment makes these cached lists stale
+// e.g. deleting an image changes folder image counts, the trash and the profile stats
+const INVALIDATION_RULES = {
+  folders: ['folders', 'trash', 'profile'],
+  images: ['images', 'folders', 'trash', 'profile'],
+  // Only completing an upload creates an image, and cancelling it may delete it again
+  uploads: ['images', 'folders', 'profile'],
+  trash: ['trash', 'folders', 'images', 'profile'],
+  tags: ['tags', 'images', 'folders'],
+  profile: ['profile', 'user'],
+};
+
+const MUTATION_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// Request headers set by applyConditionalHeaders, lower case
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+
+// Mutations that change nothing a cached list shows: starting a chunked upload and sending its chunks
+const NON_INVALIDATING_MUTATIONS = [
+  { method: 'post', path: /^uploads\/?$/ },
+  { method: 'put', path: /^uploads\/[^/]+\/chunks\// },
+];
+
+// key -> { data, etag, lastModified }
+const entries = new Map();
+
+// Caches built on top of this one, see addCacheListener
+const listeners = new Set();
+
+const normalizePath = (url = '') => url.replace(/^\/+/, '');
+
+const getFirstSegment = (path) => normalizePath(path).split(/[/?]/)[0];
+
+const readHeader = (headers, name) => {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') {
+    return headers.get(name) || null;
+  }
+  return headers[name] || headers[name.toLowerCase()] || null;
+};
+
+const isCacheable = (config) =>
+  !!config && (config.method || 'get').toLowerCase() === 'get' && config.httpCache !== false;
+
+/**
+ * Build the cache key for a request
+ * Keys are relative to the base URL, the cache is cleared when the server changes.
+ * @param {object} config - Axios request config
+ * @returns {string} Path with its query string
+ */
+export const getCacheKey = (config) => {
+  const path = normalizePath(config.url);
+  const params = Object.keys(config.params || {})
+    .sort()
+    .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(config.params[name])}`)
+    .join('&');
+
+  if (!params) return path;
+  return `${path}${path.includes('?') ? '&' : '?'}${params}`;
+};
+
+/**
+ * Add validators for the cached copy of a GET request, if there is one
+ * Opt out per request with `{ httpCache: false }` in the axios config.
+ * @param {object} config - Axios request config, modified in place
+ */
+export const applyConditionalHeaders = (config) => {
+  if (!isCacheable(config)) return;
+
+  const entry = entries.get(getCacheKey(config));
+  if (!entry) return;
+
+  if (entry.etag) {
+    config.headers['If-None-Match'] = entry.etag;
+  }
+  if (entry.lastModified) {
+    config.headers['If-Modified-Since'] = entry.lastModified;
+  }
+
+  // axios rejects 304 by default, here it means "use the cached copy"
+  config.validateStatus = (status) => (status >= 200 && status < 300) || status === 304;
+};
+
+/**
+ * Config to repeat a request without the cache, e.g. when a 304 arrived for an entry
+ * that was cleared meanwhile
+ * Drops what applyConditionalHeaders added, so the server sends the full response again.
+ * @param {object} config - Axios request config
+ * @returns {object} A copy that bypasses the cache
+ */
+export const withoutConditionalHeaders = (config) => {
+  const { validateStatus, ...rest } = config;
+  const headers = typeof config.headers?.toJSON === 'function' ? config.headers.toJSON() : { ...config.headers };
+  Object.keys(headers).forEach(name => {
+    if (CONDITIONAL_HEADERS.includes(name.toLowerCase())) {
+      delete headers[name];
+    }
+  });
+  return { ...rest, headers, httpCache: false };
+};
+
+/**
+ * Apply the cache to a successful response
+ * Stores GET responses that carry validators, fills in 304 answers and
+ * drops entries that a mutation made stale.
+ * @param {object} response - Axios response
+ * @returns {object|null} The response to hand on, or null when a 304 arrived
+ * for an entry that has since been cleared and the request must be repeated
+ */
+export const resolveCachedResponse = (response) => {
+  const { config } = response;
+  const method = (config.method || 'get').toLowerCase();
+
+  if (MUTATION_METHODS.includes(method)) {
+    invalidateAfterMutation(config.url, method);
+    return response;
+  }
+  if (!isCacheable(config)) {
+    return response;
+  }
+
+  const key = getCacheKey(config);
+
+  if (response.status === 304) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    // Refresh the entry's position so it is dropped last
+    entries.delete(key);
+    entries.set(key, entry);
+    return { ...response, status: 200, data: entry.data, fromCache: true };
+  }
+
+  const etag = readHeader(response.headers, 'ETag');
+  const lastModified = readHeader(response.headers, 'Last-Modified');
+
+  // Without validators the server can't answer 304, so there is nothing to gain
+  if (!etag && !lastModified) {
+    entries.delete(key);
+    return response;
+  }
+
+  entries.delete(key);
+  entries.set(key, { data: response.data, etag, lastModified });
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+
+  return response;
+};
+
+/**
+ * Drop cached entries whose path starts with the given segment
+ * @param {string} segment - First path segment, e.g. "folders"
+ */
+export const invalidateHttpCache = (segment) => {
+  Array.from(entries.keys()).forEach(key => {
+    if (getFirstSegment(key) === segment) {
+      entries.delete(key);
+    }
+  });
+};
+
+/**
+ * Drop the entries a successful mutation made stale
+ * @param {string} url - Path of the mutation, e.g. "folders/5/restore"
+ * @param {string} method - Lower case HTTP method, e.g. "post"
+ */
+export const invalidateAfterMutation = (url, method) => {
+  const path = normalizePath(url);
+  if (NON_INVALIDATING_MUTATIONS.some(rule => rule.method === method && rule.path.test(path))) {
+    return;
+  }
+
+  const segments = INVALIDATION_RULES[getFirstSegment(url)];
+
+  // Unknown resources could touch anything
+  if (!segments) {
+    entries.clear();
+    listeners.forEach(listener => listener.onInvalidate(null));
+    return;
+  }
+  segments.forEach(invalidateHttpCache);
+  listeners.forEach(listener => listener.onInvalidate(segments));
+};
+
+/**
+ * Forget every cached response, e.g. on logout or when switching servers
+ */
+export const clearHttpCache = () => {
+  entries.clear();
+  listeners.forEach(listener => listener.onClear());
+};
+
+/**
+ * Keep another cache in step with this one
+ * @param {object} listener - { onInvalidate(segments), onClear() }; segments is null when everything is stale
+ * @returns {Function} Unsubscribe function
+ */
+export const addCacheListener = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,155 @@
+// File: src/services/api/imageFormats.js
+// Image formats recognised from the first bytes of a file, since picker URIs and cache
+// file names often have no extension or the wrong one. Formats the server doesn't
+// accept are converted on the device before upload.
+import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+import { Buffer } from 'buffer';
+import { UnsupportedImageError } from './errors';
+import { createLogger } from '../logger';
+
+const log = createLogger('image-formats');
+
+// Enough for every signature below
+const HEADER_BYTES = 32;
+
+const CONVERT_QUALITY = 0.9;
+
+/**
+ * Known image formats; accepted ones are sent as they are, the others are converted
+ * to convertTo first
+ */
+export const IMAGE_FORMATS = {
+  jpeg: { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg'], accepted: true },
+  png: { id: 'png', label: 'PNG', mimeType: 'image/png', extensions: ['png'], accepted: true },
+  gif: { id: 'gif', label: 'GIF', mimeType: 'image/gif', extensions: ['gif'], accepted: true },
+  // Usually screenshots, where PNG keeps the text sharp
+  webp: { id: 'webp', label: 'WebP', mimeType: 'image/webp', extensions: ['webp'], convertTo: 'png' },
+  bmp: { id: 'bmp', label: 'BMP', mimeType: 'image/bmp', extensions: ['bmp'], convertTo: 'png' },
+  // iPhone photos
+  heic: { id: 'heic', label: 'HEIC', mimeType: 'image/heic', extensions: ['heic', 'heif'], convertTo: 'jpeg' },
+  avif: { id: 'avif', label: 'AVIF', mimeType: 'image/avif', extensions: ['avif'], convertTo: 'jpeg' },
+  tiff: { id: 'tiff', label: 'TIFF', mimeType: 'image/tiff', extensions: ['tif', 'tiff'], convertTo: 'jpeg' },
+};
+
+// ISO base media brands (bytes 8-11 after "ftyp") of HEIF and AVIF images
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, index) => bytes[offset + index] === byte);
+
+const readAscii = (bytes, start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+/**
+ * Recognise an image format from the first bytes of a file
+ * @param {Uint8Array} bytes - Start of the file, at least 12 bytes
+ * @returns {object|null} Format from IMAGE_FORMATS, or null when it isn't a known image
+ */
+export const detectImageFormat = (bytes) => {
+  if (!bytes || bytes.length < 4) return null;
+
+  if (startsWith(bytes, [0xFF, 0xD8, 0xFF])) return IMAGE_FORMATS.jpeg;
+  if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return IMAGE_FORMATS.png;
+  if (readAscii(bytes, 0, 6) === 'GIF87a' || readAscii(bytes, 0, 6) === 'GIF89a') return IMAGE_FORMATS.gif;
+  if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 12) === 'WEBP') return IMAGE_FORMATS.webp;
+  if (readAscii(bytes, 0, 2) === 'BM') return IMAGE_FORMATS.bmp;
+  if (startsWith(bytes, [0x49, 0x49, 0x2A, 0x00]) || startsWith(bytes, [0x4D, 0x4D, 0x00, 0x2A])) {
+    return IMAGE_FORMATS.tiff;
+  }
+  if (readAscii(bytes, 4, 8) === 'ftyp') {
+    const brand = readAscii(bytes, 8, 12);
+    if (AVIF_BRANDS.includes(brand)) return IMAGE_FORMATS.avif;
+    if (HEIC_BRANDS.includes(brand)) return IMAGE_FORMATS.heic;
+  }
+  return null;
+};
+
+/**
+ * Look up an image format by file extension, for when the file itself can't be read
+ * @param {string} filename - File name or URI, e.g. "photo.png"
+ * @returns {object|null} Format from IMAGE_FORMATS, or null for an unknown extension
+ */
+export const getImageFormatByName = (filename) => {
+  const extension = (filename || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return Object.values(IMAGE_FORMATS).find(format => format.extensions.includes(extension)) || null;
+};
+
+/**
+ * Name to upload a file under: its own name with the extension of its actual format
+ * @param {string} uri - Local file URI
+ * @param {object} format - Format from IMAGE_FORMATS
+ * @returns {string} E.g. "IMG_0042.jpg"
+ */
+export const getImageFileName = (uri, format) => {
+  let filename = uri.split(/[?#]/)[0].split('/').pop() || '';
+  try {
+    filename = decodeURIComponent(filename);
+  } catch (error) {
+    // Not percent-encoded after all, the name is used as it is
+  }
+  const base = filename.replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_') || 'image';
+  return `${base}.${format.extensions[0]}`;
+};
+
+const readImageFormat = async (uri) => {
+  try {
+    const header = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: 0,
+      length: HEADER_BYTES,
+    });
+    return detectImageFormat(Uint8Array.from(Buffer.from(header, 'base64')));
+  } catch (error) {
+    // Content URIs can't always be read in parts, the name is the next best guess
+    log.warn(`Could not read the header of ${uri}`, error);
+    return getImageFormatByName(uri);
+  }
+};
+
+const acceptedLabels = () => Object.values(IMAGE_FORMATS)
+  .filter(format => format.accepted)
+  .map(format => format.label);
+
+/**
+ * Make an image file ready to upload
+ * The format is detected from the file's content, formats the server doesn't accept are
+ * converted to a copy in the cache directory.
+ * @param {string} uri - Local file URI
+ * @returns {Promise<object>} { uri, name, mimeType, format, converted }
+ * @throws {UnsupportedImageError} When the file isn't an image or can't be converted
+ */
+export const prepareImageFile = async (uri) => {
+  const format = await readImageFormat(uri);
+  if (!format) {
+    throw new UnsupportedImageError(
+      `This file is not an image that can be uploaded. Use a ${acceptedLabels().join(', ')}, HEIC or WebP image.`
+    );
+  }
+
+  if (format.accepted) {
+    return { uri, name: getImageFileName(uri, format), mimeType: format.mimeType, format: format.id, converted: false };
+  }
+
+  const target = IMAGE_FORMATS[format.convertTo];
+  try {
+    const result = await ImageManipulator.manipulateAsync(uri, [], target === IMAGE_FORMATS.png
+      ? { format: ImageManipulator.SaveFormat.PNG }
+      : { compress: CONVERT_QUALITY, format: ImageManipulator.SaveFormat.JPEG });
+
+    log.info(`Converted ${format.label} image to ${target.label}`);
+    return {
+      uri: result.uri,
+      name: getImageFileName(uri, target),
+      mimeType: target.mimeType,
+      format: target.id,
+      converted: true,
+    };
+  } catch (error) {
+    log.error(`Could not convert ${format.label} image`, error);
+    throw new UnsupportedImageError(
+      `${format.label} images can't be converted on this device. Save the image as ${target.label} and try again.`,
+      { format: format.id, cause: error }
+    );
+  }
+};
@@ -1,32 +1,43 @@
-import apiClient from '../api/client';
-import { getFullImagePath, createImageFormData } from '../api/client';
+import * as FileSystem from 'expo-file-system';
+import apiClient, { BASE_URL, logApiError } from '../api/client';
+import { createImageFormData } from '../api/client';
+import { prepareImageFile } from './imageFormats';
+import { createIdempotencyKey, IDEMPOTENCY_HEADER } from './retry';
+import { ApiError, NotFoundError } from './errors';
+import { readModel, readPage, toImage } from './models';
+import { createLogger } from '../logger';
+
+const log = createLogger('images');
+
+// What the server said about chunked uploads: { baseUrl, chunked, chunkSize }
+let uploadCapabilities = null;
+
+// Axios progress events as { loaded, total, progress }
+// total and progress are null when the platform doesn't report the body size.
+const reportUploadProgress = (onProgress) => (event) => onProgress({
+  loaded: event.loaded,
+  total: event.total || null,
+  progress: event.total ? Math.min(event.loaded / event.total, 1) : null,
+});
 
 /**
  * Get all images (with optional pagination)
  * @param {number} page - Page number
  * @param {string} sort - Sort order
  * @param {number} limit - Number of items per page
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Page of images ({ items, meta })
  */
-export const getAllImages = async (page = 1, sort = 'date_desc', limit = 20) => {
+export const getAllImages = async (page = 1, sort = 'date_desc', limit = 20, config = {}) => {
   try {
     const response = await apiClient.get(
-      `images?page=${page}&sort=${sort}&limit=${limit}`
+      `images?page=${page}&sort=${sort}&limit=${limit}`,
+      config
     );
     
-    // Process image paths in the response
-    if (response.data && response.data.data) {
-      // Map over the data array to process each image
-      response.data.data = response.data.data.map(image => ({
-        ...image,
-        _originalPath: image.path, // Store original for debugging
-        path: getFullImagePath(image.path)
-      }));
-    }
-    
-    return response;
+    return readPage(response.data, toImage, 'image');
   } catch (error) {
-    console.error('Error fetching all images:', error);
+    logApiError(log, 'Error fetching all images:', error);
     throw error;
   }
 };
@@ -37,27 +48,19 @@ export const getAllImages = async (page = 1, sort = 'date_desc', limit = 20) =>
  * @param {number} page - Page number
  * @param {string} sort - Sort order
  * @param {number} limit - Number of items per page
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Page of images ({ items, meta })
  */
-export const getFolderImages = async (folderId, page = 1, sort = 'date_desc', limit = 20) => {
+export const getFolderImages = async (folderId, page = 1, sort = 'date_desc', limit = 20, config = {}) => {
   try {
     const response = await apiClient.get(
-      `folders/${folderId}/images?page=${page}&sort=${sort}&limit=${limit}`
+      `folders/${folderId}/images?page=${page}&sort=${sort}&limit=${limit}`,
+      config
     );
     
-    // Process image paths in the response
-    if (response.data && response.data.data) {
-      // Map over the data array to process each image
-      response.data.data = response.data.data.map(image => ({
-        ...image,
-        _originalPath: image.path, // Store original for debugging
-        path: getFullImagePath(image.path)
-      }));
-    }
-    
-    return response;
+    return readPage(response.data, toImage, 'image');
   } catch (error) {
-    console.error('Error fetching folder images:', error);
+    logApiError(log, 'Error fetching folder images:', error);
     throw error;
   }
 };
@@ -65,24 +68,16 @@ export const getFolderImages = async (folderId, page = 1, sort = 'date_desc', li
 /**
  * Get a single image by ID
  * @param {number} imageId - Image ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Image
  */
-export const getImage = async (imageId) => {
+export const getImage = async (imageId, config = {}) => {
   try {
-    const response = await apiClient.get(`images/${imageId}`);
-    
-    // Process image path in the response
-    // Handle nested data structure
-    if (response.data && response.data.data) {
-      // Store the original path for debugging
-      response.data.data._originalPath = response.data.data.path;
-      // Process the path
-      response.data.data.path = getFullImagePath(response.data.data.path);
-    }
+    const response = await apiClient.get(`images/${imageId}`, config);
     
-    return response;
+    return readModel(response.data, toImage, 'image');
   } catch (error) {
-    console.error('Error fetching image:', error);
+    logApiError(log, 'Error fetching image:', error);
     throw error;
   }
 };
@@ -90,9 +85,12 @@ export const getImage = async (imageId) => {
 /**
  * Upload a new image
  * @param {FormData|object} data - Image data or FormData
- * @returns {Promise} API response
+ * @param {object} options - Axios request config, e.g. { signal }, plus { idempotencyKey } to reuse a key across attempts
+ *   and { onProgress } to follow the upload, called with { loaded, total, progress } where progress is 0-1.
+ *   Only uploads with a key are retried after a timeout; without one a retry could store the image twice.
+ * @returns {Promise<object>} The uploaded image
  */
-export const uploadImage = async (data) => {
+export const uploadImage = async (data, { idempotencyKey = null, onProgress, ...config } = {}) => {
   try {
     let formData;
     
@@ -107,48 +105,222 @@ export const uploadImage = async (data) => {
       throw new Error('Invalid data format for image upload');
     }
     
-    const config = {
+    // The idempotency key lets the client retry the POST without creating duplicates
+    const response = await apiClient.post('images', formData, {
+      ...config,
+      onUploadProgress: onProgress ? reportUploadProgress(onProgress) : config.onUploadProgress,
       headers: {
         'Content-Type': 'multipart/form-data',
+        ...(idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : {}),
       },
-    };
-    
-    const response = await apiClient.post('images', formData, config);
+    });
     
-    // Process image path in the response
-    // Handle nested data structure
-    if (response.data && response.data.data) {
-      response.data.data._originalPath = response.data.data.path;
-      response.data.data.path = getFullImagePath(response.data.data.path);
+    return readModel(response.data, toImage, 'image');
+  } catch (error) {
+    logApiError(log, 'Error uploading image:', error);
+    throw error;
+  }
+};
+
+/**
+ * Drop whatever the server kept of an upload that was cancelled
+ * If the upload got through before it was aborted, the image it created is deleted.
+ * @param {string} idempotencyKey - Key the upload was sent with
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<void>}
+ */
+export const cancelUpload = async (idempotencyKey, config = {}) => {
+  try {
+    await apiClient.delete(`uploads/${idempotencyKey}`, config);
+  } catch (error) {
+    // Nothing reached the server
+    if (error instanceof NotFoundError) return;
+    logApiError(log, 'Error cancelling upload:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find out whether the server accepts uploads in chunks
+ * The answer is remembered until a different server is selected.
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} { chunked, chunkSize }
+ */
+export const getUploadCapabilities = async (config = {}) => {
+  if (uploadCapabilities?.baseUrl === BASE_URL) {
+    return uploadCapabilities;
+  }
+
+  let capabilities = { chunked: false, chunkSize: null };
+  try {
+    const response = await apiClient.get('uploads', { ...config, httpCache: false });
+    const data = response.data?.data || {};
+    if (data.chunked && data.chunk_size > 0) {
+      capabilities = { chunked: true, chunkSize: data.chunk_size };
     }
-    
-    return response;
   } catch (error) {
-    console.error('Error uploading image:', error);
+    // Servers without the endpoint answer 404 or 405; anything else may work next time
+    if (!(error instanceof ApiError) || ![404, 405].includes(error.status)) {
+      throw error;
+    }
+  }
+
+  uploadCapabilities = { baseUrl: BASE_URL, ...capabilities };
+  return uploadCapabilities;
+};
+
+/**
+ * Upload an image file in chunks
+ * The upload is identified by its idempotency key. Starting it again with the same key
+ * returns the chunks the server already has, so only the missing ones are sent.
+ * @param {object} file - { uri, mimeType } of the file to upload, from prepareImageFile
+ * @param {object} fields - { folder_id, name, quality }
+ * @param {object} options - { idempotencyKey, signal, onProgress, onChunk }; onChunk is called
+ *   with the indexes the server acknowledged and the number of chunks after every chunk
+ * @returns {Promise<object>} The uploaded image
+ */
+export const uploadImageInChunks = async (
+  file,
+  fields,
+  // The key names the upload on the server, so a chunked upload always has one
+  { idempotencyKey = createIdempotencyKey(), signal, onProgress, onChunk } = {}
+) => {
+  try {
+    const fileUri = file.uri;
+    const { size } = await FileSystem.getInfoAsync(fileUri, { size: true });
+    const headers = { [IDEMPOTENCY_HEADER]: idempotencyKey };
+
+    const started = await apiClient.post('uploads', {
+      ...fields,
+      size,
+      mime_type: file.mimeType,
+    }, { signal, headers });
+
+    const { chunk_size: chunkSize, received = [] } = started.data.data;
+    const count = Math.ceil(size / chunkSize);
+    const acknowledged = new Set(received);
+
+    const chunkBytes = (index) => Math.min(chunkSize, size - index * chunkSize);
+    const reportProgress = (currentBytes = 0) => {
+      if (!onProgress) return;
+      let loaded = currentBytes;
+      acknowledged.forEach(index => { loaded += chunkBytes(index); });
+      onProgress({ loaded, total: size, progress: size ? Math.min(loaded / size, 1) : 1 });
+    };
+
+    if (acknowledged.size > 0) {
+      log.info(`Resuming upload ${idempotencyKey} with ${acknowledged.size} of ${count} chunks on the server`);
+    }
+    reportProgress();
+
+    for (let index = 0; index < count; index += 1) {
+      if (acknowledged.has(index)) continue;
+
+      const position = index * chunkSize;
+      const data = await FileSystem.readAsStringAsync(fileUri, {
+        encoding: FileSystem.EncodingType.Base64,
+        position,
+        length: chunkBytes(index),
+      });
+
+      // PUT is safe to repeat, a chunk that was stored twice is simply replaced
+      const response = await apiClient.put(`uploads/${idempotencyKey}/chunks/${index}`, {
+        offset: position,
+        data,
+      }, {
+        signal,
+        onUploadProgress: (event) => {
+          // The request body is base64 in JSON, so scale it back to the chunk's size
+          if (event.total) {
+            reportProgress(Math.min(event.loaded / event.total, 1) * chunkBytes(index));
+          }
+        },
+      });
+
+      (response.data?.data?.received || [index]).forEach(acknowledgedIndex => acknowledged.add(acknowledgedIndex));
+      reportProgress();
+      onChunk?.(Array.from(acknowledged).sort((a, b) => a - b), count);
+    }
+
+    const completed = await apiClient.post(`uploads/${idempotencyKey}/complete`, {}, { signal, headers });
+    return readModel(completed.data, toImage, 'image');
+  } catch (error) {
+    logApiError(log, 'Error uploading image in chunks:', error);
     throw error;
   }
 };
 
+/**
+ * Upload an image file, in chunks when the server supports them and the file needs more than one
+ * Otherwise this is the single multipart POST of uploadImage. Formats the server doesn't accept
+ * are converted first, see prepareImageFile.
+ * @param {string} fileUri - Local file to upload
+ * @param {object} fields - { folder_id, name, quality }
+ * @param {object} options - { idempotencyKey, signal, onProgress, onChunk }, see uploadImageInChunks
+ * @returns {Promise<object>} The uploaded image
+ * @throws {UnsupportedImageError} When the file isn't an image the server can take
+ */
+export const uploadImageFile = async (fileUri, fields, { idempotencyKey, signal, onProgress, onChunk } = {}) => {
+  const file = await prepareImageFile(fileUri);
+  const { chunked, chunkSize } = await getUploadCapabilities({ signal });
+
+  if (chunked) {
+    const { size } = await FileSystem.getInfoAsync(file.uri, { size: true });
+    if (size > chunkSize) {
+      return uploadImageInChunks(file, fields, { idempotencyKey, signal, onProgress, onChunk });
+    }
+  }
+
+  const image = { uri: file.uri, name: file.name, type: file.mimeType };
+  return uploadImage(createImageFormData(image, fields), { idempotencyKey, signal, onProgress });
+};
+
 /**
  * Update an existing image
  * @param {number} imageId - Image ID
  * @param {object} data - Image data to update
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object|null>} The updated image, or null if the server didn't send it back
  */
-export const updateImage = async (imageId, data) => {
+export const updateImage = async (imageId, data, config = {}) => {
   try {
-    const response = await apiClient.put(`images/${imageId}`, data);
+    const response = await apiClient.put(`images/${imageId}`, data, config);
     
-    // Process image path in the response
-    // Handle nested data structure
-    if (response.data && response.data.data) {
-      response.data.data._originalPath = response.data.data.path;
-      response.data.data.path = getFullImagePath(response.data.data.path);
-    }
+    return readModel(response.data, toImage, 'image', { optional: true });
+  } catch (error) {
+    logApiError(log, 'Error updating image:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the stored file of an image, e.g. with an edited version
+ * Sent as a POST with _method=PUT, because PHP only parses multipart bodies of POST requests.
+ * @param {number} imageId - Image ID
+ * @param {string} fileUri - Local file with the new content
+ * @param {object} options - Axios request config, e.g. { signal }, plus { onProgress } as in uploadImage
+ *   and { quality } with the photo check of the new content
+ * @returns {Promise<object>} The updated image
+ * @throws {UnsupportedImageError} When the file isn't an image the server can take
+ */
+export const replaceImageFile = async (imageId, fileUri, { onProgress, quality, ...config } = {}) => {
+  try {
+    const file = await prepareImageFile(fileUri);
+    const formData = createImageFormData({ uri: file.uri, name: file.name, type: file.mimeType }, {
+      _method: 'PUT',
+      ...(quality ? { quality: JSON.stringify(quality) } : {}),
+    });
+    const response = await apiClient.post(`images/${imageId}`, formData, {
+      ...config,
+      onUploadProgress: onProgress ? reportUploadProgress(onProgress) : config.onUploadProgress,
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
     
-    return response;
+    return readModel(response.data, toImage, 'image');
   } catch (error) {
-    console.error('Error updating image:', error);
+    logApiError(log, 'Error replacing image file:', error);
     throw error;
   }
 };
@@ -156,13 +328,14 @@ export const updateImage = async (imageId, data) => {
 /**
  * Delete an image (move to trash)
  * @param {number} imageId - Image ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<void>}
  */
-export const deleteImage = async (imageId) => {
+export const deleteImage = async (imageId, config = {}) => {
   try {
-    return await apiClient.delete(`images/${imageId}`);
+    await apiClient.delete(`images/${imageId}`, config);
   } catch (error) {
-    console.error('Error deleting image:', error);
+    logApiError(log, 'Error deleting image:', error);
     throw error;
   }
 };
@@ -170,14 +343,15 @@ export const deleteImage = async (imageId) => {
 /**
  * Toggle favorite status
  * @param {number} imageId - Image ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object|null>} The updated image, or null if the server didn't send it back
  */
-export const toggleFavoriteImage = async (imageId) => {
+export const toggleFavoriteImage = async (imageId, config = {}) => {
   try {
-    console.log(`Toggling favorite status for image ${imageId}`);
+    log.debug(`Toggling favorite status for image ${imageId}`);
     
     // First, try with the /images/{id}/favorite endpoint (RESTful pattern)
-    const response = await apiClient.post(`images/${imageId}/favorite`);
+    const response = await apiClient.post(`images/${imageId}/favorite`, null, config);
     
     // If your API uses a different endpoint, update the path accordingly
     // For example:
@@ -185,20 +359,10 @@ export const toggleFavoriteImage = async (imageId) => {
     // const response = await apiClient.post(`images/${imageId}/toggle-favorite`);
     // const response = await apiClient.patch(`images/${imageId}`, { is_favorite: true });
     
-    console.log('Image favorite status updated');
-    return response;
+    log.debug('Image favorite status updated');
+    return readModel(response.data, toImage, 'image', { optional: true });
   } catch (error) {
-    console.error('Error toggling image favorite status:', error);
-    
-    // Enhance error details for debugging
-    const errorDetails = {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      url: error.config?.url
-    };
-    
-    console.error('Detailed toggle favorite error:', JSON.stringify(errorDetails, null, 2));
+    logApiError(log, 'Error toggling image favorite status:', error);
     
     throw error;
   }
@@ -206,9 +370,13 @@ export const toggleFavoriteImage = async (imageId) => {
 
 /**
  * Get all favorite images
- * @returns {Promise} API response
+ * @param {object|number} options - Options object ({ page, sort, limit, signal }) or page number
+ * @param {string} sort - Sort order
+ * @param {number} limit - Number of items per page
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Page of images ({ items, meta })
  */
-export const getFavoriteImages = async (options = {}, sort = 'date_desc', limit = 20) => {
+export const getFavoriteImages = async (options = {}, sort = 'date_desc', limit = 20, config = {}) => {
   // Handle both object param and individual params
   let page = 1;
   let sortOption = sort;
@@ -219,47 +387,44 @@ export const getFavoriteImages = async (options = {}, sort = 'date_desc', limit
     page = options.page || 1;
     sortOption = options.sort || sort;
     limitOption = options.limit || limit;
+    if (options.signal) {
+      config = { ...config, signal: options.signal };
+    }
   } else if (typeof options === 'number') {
     // If options is a number, treat it as page
     page = options;
   }
   
   try {
-    console.log(`Fetching favorite images with page=${page}, sort=${sortOption}, limit=${limitOption}`);
+    log.debug(`Fetching favorite images with page=${page}, sort=${sortOption}, limit=${limitOption}`);
     const response = await apiClient.get(
-      `images/favorites?page=${page}&sort=${sortOption}&limit=${limitOption}`
+      `images/favorites?page=${page}&sort=${sortOption}&limit=${limitOption}`,
+      config
     );
     
-    console.log(`Favorite images fetched successfully: ${response.data.data?.length || 0} items`);
-    return response;
+    const result = readPage(response.data, toImage, 'image');
+    log.debug(`Favorite images fetched successfully: ${result.items.length} items`);
+    return result;
   } catch (error) {
-    console.error('Error fetching favorite images:', error);
-    
-    // Enhance error details for debugging
-    const errorDetails = {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      url: error.config?.url
-    };
-    
-    console.error('Detailed error:', JSON.stringify(errorDetails, null, 2));
+    logApiError(log, 'Error fetching favorite images:', error);
     
     throw error;
   }
 };
 /**
  * Get all trashed images
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object>} Page of images ({ items, meta })
  */
-export const getTrashedImages = async () => {
+export const getTrashedImages = async (config = {}) => {
   try {
-    console.log('Fetching trashed images');
-    const response = await apiClient.get('trash/images');
-    console.log(`Trashed images fetched: ${response.data.data?.length || 0} items`);
-    return response;
+    log.debug('Fetching trashed images');
+    const response = await apiClient.get('trash/images', config);
+    const result = readPage(response.data, toImage, 'image');
+    log.debug(`Trashed images fetched: ${result.items.length} items`);
+    return result;
   } catch (error) {
-    console.error('Error fetching trashed images:', error);
+    logApiError(log, 'Error fetching trashed images:', error);
     throw error;
   }
 };
@@ -268,16 +433,17 @@ export const getTrashedImages = async () => {
 /**
  * Restore a trashed image
  * @param {number} imageId - Image ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<object|null>} The restored image, or null if the server didn't send it back
  */
-export const restoreImage = async (imageId) => {
+export const restoreImage = async (imageId, config = {}) => {
   try {
-    console.log(`Restoring image ${imageId} from trash`);
-    const response = await apiClient.post(`images/${imageId}/restore`);
-    console.log('Image restored successfully');
-    return response;
+    log.debug(`Restoring image ${imageId} from trash`);
+    const response = await apiClient.post(`images/${imageId}/restore`, null, config);
+    log.debug('Image restored successfully');
+    return readModel(response.data, toImage, 'image', { optional: true });
   } catch (error) {
-    console.error('Error restoring image:', error);
+    logApiError(log, 'Error restoring image:', error);
     throw error;
   }
 };
@@ -285,23 +451,24 @@ export const restoreImage = async (imageId) => {
 /**
  * Permanently delete an image
  * @param {number} imageId - Image ID
- * @returns {Promise} API response
+ * @param {object} config - Axios request config, e.g. { signal }
+ * @returns {Promise<void>}
  */
-export const permanentlyDeleteImage = async (imageId) => {
+export const permanentlyDeleteImage = async (imageId, config = {}) => {
   try {
-    return await apiClient.delete(`images/${imageId}/force`);
+    await apiClient.delete(`images/${imageId}/force`, config);
   } catch (error) {
-    console.error('Error permanently deleting image:', error);
+    logApiError(log, 'Error permanently deleting image:', error);
     throw error;
   }
 };
 
-export const forceDeleteImage = async (imageId) => {
+export const forceDeleteImage = async (imageId, config = {}) => {
   try {
-    console.log(`Permanently deleting image ${imageId}`);
-    return await apiClient.delete(`trash/images/${imageId}`);
+    log.debug(`Permanently deleting image ${imageId}`);
+    await apiClient.delete(`trash/images/${imageId}`, config);
   } catch (error) {
-    console.error('Error permanently deleting image:', error);
+    logApiError(log, 'Error permanently deleting image:', error);
     throw error;
   }
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+// File: src/services/api/mock/adapter.js
+import axios from 'axios';
+import { getDb, saveDb } from './db';
+import { matchRoute, MockHttpError } from './routes';
+import { getMockBackendSettings } from './settings';
+import { createLogger } from '../../logger';
+
+const log = createLogger('mock');
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  422: 'Unprocessable Content',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+const readHeader = (headers, name) => {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') {
+    return headers.get(name) || null;
+  }
+  return headers[name] || null;
+};
+
+const parseUrl = (url = '', params = {}) => {
+  const [rawPath, search = ''] = url.replace(/^\/+/, '').split('?');
+  const query = { ...params };
+
+  search.split('&').filter(Boolean).forEach(pair => {
+    const [key, value = ''] = pair.split('=');
+    query[decodeURIComponent(key)] = decodeURIComponent(value);
+  });
+
+  return { path: rawPath.replace(/\/+$/, ''), query };
+};
+
+// JSON bodies arrive serialized by axios, multipart bodies as FormData
+const parseBody = (data) => {
+  if (!data) return {};
+
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // React Native keeps the parts in _parts, other environments implement entries()
+  if (Array.isArray(data._parts)) {
+    return Object.fromEntries(data._parts);
+  }
+  if (typeof data.entries === 'function') {
+    return Object.fromEntries(data.entries());
+  }
+
+  return data;
+};
+
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new axios.CanceledError('Request cancelled'));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(new axios.CanceledError('Request cancelled'));
+  };
+
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort);
+    resolve();
+  }, delay);
+
+  signal?.addEventListener?.('abort', onAbort);
+});
+
+const handleRequest = async (config) => {
+  const db = await getDb();
+  const method = (config.method || 'get').toLowerCase();
+  const { path, query } = parseUrl(config.url, config.params);
+
+  const match = matchRoute(method, path);
+  if (!match) {
+    throw new MockHttpError(404, { message: `The route ${path} could not be found.` });
+  }
+
+  const token = (readHeader(config.headers, 'Authorization') || '').replace(/^Bearer\s+/i, '');
+  const user = db.users.find(item => item.id === db.tokens[token]) || null;
+
+  if (!match.route.public && !user) {
+    throw new MockHttpError(401, { message: 'Unauthenticated.' });
+  }
+
+  // Routes that store files answer asynchronously
+  const result = await match.route.handler({
+    db,
+    user,
+    token,
+    params: match.params,
+    query,
+    body: parseBody(config.data),
+    idempotencyKey: readHeader(config.headers, 'Idempotency-Key'),
+  });
+
+  if (match.route.mutates) {
+    await saveDb();
+  }
+
+  return result;
+};
+
+/**
+ * Axios adapter that answers every API route from the in-memory mock backend
+ * Honors the latency and error injection settings and the request's abort signal.
+ * @param {object} config - Axios request config
+ * @returns {Promise<object>} Axios response; rejects with an AxiosError like the real server would
+ */
+export const mockAdapter = async (config) => {
+  const settings = getMockBackendSettings();
+
+  await wait(settings.latency, config.signal);
+
+  if (settings.offline) {
+    throw new axios.AxiosError('Network Error', axios.AxiosError.ERR_NETWORK, config, {});
+  }
+
+  let result;
+  try {
+    if (settings.errorRate > 0 && Math.random() < settings.errorRate) {
+      throw new MockHttpError(503, { message: 'Injected failure from the mock backend.' });
+    }
+    result = await handleRequest(config);
+  } catch (error) {
+    if (error instanceof MockHttpError) {
+      result = { status: error.status, data: error.data };
+    } else {
+      log.error(`Mock route for ${config.url} crashed`, error);
+      result = { status: 500, data: { message: 'Server Error' } };
+    }
+  }
+
+  const response = {
+    // Copied so callers can't change the stored records
+    data: JSON.parse(JSON.stringify(result.data)),
+    status: result.status,
+    statusText: STATUS_TEXT[result.status] || '',
+    headers: { 'content-type': 'application/json' },
+    config,
+    request: {},
+  };
+
+  const validateStatus = config.validateStatus;
+  if (!validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+};
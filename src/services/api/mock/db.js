@@ -0,0 +1,69 @@
+// File: src/services/api/mock/db.js
+// In-memory database of the mock backend, persisted to AsyncStorage between launches
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createDefaultFixtures } from './fixtures';
+import { createLogger } from '../../logger';
+
+const DB_KEY = 'mockBackendDb';
+
+const log = createLogger('mock');
+
+let db = null;
+let loading = null;
+
+/**
+ * Get the database, loading it from storage or seeding it on first use
+ * @returns {Promise<object>} The database
+ */
+export const getDb = async () => {
+  if (db) return db;
+
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(DB_KEY);
+        db = stored ? JSON.parse(stored) : createDefaultFixtures();
+      } catch (error) {
+        log.warn('Stored mock data is unreadable, reseeding', error);
+        db = createDefaultFixtures();
+      }
+      loading = null;
+      return db;
+    })();
+  }
+
+  return loading;
+};
+
+/**
+ * Write the database to storage after a change
+ */
+export const saveDb = async () => {
+  if (!db) return;
+
+  try {
+    await AsyncStorage.setItem(DB_KEY, JSON.stringify(db));
+  } catch (error) {
+    log.warn('Error saving mock data', error);
+  }
+};
+
+/**
+ * Replace the database with a fixture set and persist it
+ * @param {object} fixtures - Database as returned by createDefaultFixtures
+ */
+export const replaceDb = async (fixtures) => {
+  db = JSON.parse(JSON.stringify(fixtures));
+  await saveDb();
+};
+
+/**
+ * Hand out the next ID for a table
+ * @param {string} table - Table name, e.g. "folders"
+ * @returns {number} Unused ID
+ */
+export const nextId = (table) => {
+  const id = db.nextId[table] || 1;
+  db.nextId[table] = id + 1;
+  return id;
+};
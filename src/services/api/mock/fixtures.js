@@ -0,0 +1,138 @@
+// File: src/services/api/mock/fixtures.js
+// Seed data for the in-app mock backend
+
+// Solid color swatches, so the seeded images render without a network
+const SWATCHES = {
+  blue: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAIAAAD8GO2jAAAAKklEQVR42u3NQQkAAAgEsKtiaYtawBQ+hMH+S/WcikAgEAgEAoFAIPgSLKFXqFspoaczAAAAAElFTkSuQmCC',
+  green: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAIAAAD8GO2jAAAAKklEQVR42mPwWR9AU8QwasGoBaMWjFowasGoBaMWjFowasGoBaMWDBULAJKELExxh8VHAAAAAElFTkSuQmCC',
+  yellow: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAIAAAD8GO2jAAAAKklEQVR42u3NMQ0AAAgDsH34l4QyUMFB0qR/M12nIhAIBAKBQCAQCL4ECzMAHGr2tqZJAAAAAElFTkSuQmCC',
+  purple: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAIAAAD8GO2jAAAAKklEQVR42u3NQQkAAAgEsGtjaUMY0RQ+hMH+S9ecikAgEAgEAoFAIPgSLItazEybFsulAAAAAElFTkSuQmCC',
+};
+
+export const DEMO_EMAIL = 'demo@studysnap.app';
+export const DEMO_PASSWORD = 'password';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Build the default data set: one demo user with a few folders, images and tags
+ * Pass a modified copy to `seedMockBackend` for screens that need other data.
+ * @returns {object} Database: { users, folders, images, tags, tokens, idempotencyKeys, uploads, nextId }
+ */
+export const createDefaultFixtures = () => ({
+  users: [
+    {
+      id: 1,
+      name: 'Demo Student',
+      email: DEMO_EMAIL,
+      password: DEMO_PASSWORD,
+      avatar: null,
+      theme_preference: 'light',
+      created_at: daysAgo(30),
+      updated_at: daysAgo(30),
+    },
+  ],
+  tags: [
+    { id: 1, user_id: 1, name: 'exam', created_at: daysAgo(20), updated_at: daysAgo(20) },
+    { id: 2, user_id: 1, name: 'lecture', created_at: daysAgo(20), updated_at: daysAgo(20) },
+  ],
+  folders: [
+    {
+      id: 1,
+      user_id: 1,
+      name: 'Calculus',
+      description: 'Lecture notes and worked examples',
+      color: '#2196F3',
+      is_favorite: true,
+      tag_ids: [1, 2],
+      created_at: daysAgo(20),
+      updated_at: daysAgo(2),
+      deleted_at: null,
+    },
+    {
+      id: 2,
+      user_id: 1,
+      name: 'Biology',
+      description: '',
+      color: '#4CAF50',
+      is_favorite: false,
+      tag_ids: [2],
+      created_at: daysAgo(15),
+      updated_at: daysAgo(5),
+      deleted_at: null,
+    },
+    {
+      id: 3,
+      user_id: 1,
+      name: 'Old Drafts',
+      description: 'Deleted last week',
+      color: '#9C27B0',
+      is_favorite: false,
+      tag_ids: [],
+      created_at: daysAgo(25),
+      updated_at: daysAgo(7),
+      deleted_at: daysAgo(7),
+    },
+  ],
+  images: [
+    {
+      id: 1,
+      user_id: 1,
+      folder_id: 1,
+      name: 'Derivatives',
+      description: 'Chain rule examples',
+      path: SWATCHES.blue,
+      is_favorite: true,
+      tag_ids: [1],
+      created_at: daysAgo(10),
+      updated_at: daysAgo(10),
+      deleted_at: null,
+    },
+    {
+      id: 2,
+      user_id: 1,
+      folder_id: 1,
+      name: 'Integrals',
+      description: '',
+      path: SWATCHES.yellow,
+      is_favorite: false,
+      tag_ids: [],
+      created_at: daysAgo(4),
+      updated_at: daysAgo(4),
+      deleted_at: null,
+    },
+    {
+      id: 3,
+      user_id: 1,
+      folder_id: 2,
+      name: 'Cell Diagram',
+      description: 'From the whiteboard',
+      path: SWATCHES.green,
+      is_favorite: false,
+      tag_ids: [2],
+      created_at: daysAgo(6),
+      updated_at: daysAgo(6),
+      deleted_at: null,
+    },
+    {
+      id: 4,
+      user_id: 1,
+      folder_id: 2,
+      name: 'Blurry Photo',
+      description: '',
+      path: SWATCHES.purple,
+      is_favorite: false,
+      tag_ids: [],
+      created_at: daysAgo(8),
+      updated_at: daysAgo(3),
+      deleted_at: daysAgo(3),
+    },
+  ],
+  // token -> user id
+  tokens: {},
+  // Idempotency-Key -> id of the record the first request created
+  idempotencyKeys: {},
+  // Idempotency-Key -> chunked upload in progress
+  uploads: {},
+  nextId: { users: 2, folders: 4, images: 5, tags: 3 },
+});
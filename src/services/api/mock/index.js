@@ -0,0 +1,38 @@
+// File: src/services/api/mock/index.js
+// In-app mock backend: answers every route the API services call without a server.
+// Selected by pointing the client at MOCK_BASE_URL, e.g. through the "Mock" server profile.
+import { replaceDb } from './db';
+import { createDefaultFixtures } from './fixtures';
+
+export { mockAdapter } from './adapter';
+export { createDefaultFixtures, DEMO_EMAIL, DEMO_PASSWORD } from './fixtures';
+export {
+  DEFAULT_MOCK_SETTINGS,
+  getMockBackendSettings,
+  configureMockBackend,
+  loadMockBackendSettings,
+} from './settings';
+
+export const MOCK_BASE_URL = 'mock://studysnap';
+
+/**
+ * Check whether a base URL selects the mock backend
+ * @param {string} url - Base URL
+ * @returns {boolean} Whether requests should be answered in-app
+ */
+export const isMockBaseUrl = (url) => typeof url === 'string' && url.startsWith('mock://');
+
+/**
+ * Replace all mock data, e.g. with a fixture set prepared for a screen or a test
+ * @param {object} fixtures - Database in the shape returned by createDefaultFixtures
+ */
+export const seedMockBackend = async (fixtures) => {
+  await replaceDb(fixtures);
+};
+
+/**
+ * Throw away every change and start over from the default fixtures
+ */
+export const resetMockBackend = async () => {
+  await replaceDb(createDefaultFixtures());
+};
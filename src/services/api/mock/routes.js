@@ -0,0 +1,854 @@
+// File: src/services/api/mock/routes.js
+// Every endpoint the services in src/services/api call, answered the way the Laravel API does
+import { nextId } from './db';
+import { MOCK_CHUNK_SIZE, writeChunk, assembleUpload, deleteChunks, storeUploadedFile } from './uploads';
+
+/**
+ * Thrown by a route to answer with an error status
+ */
+export class MockHttpError extends Error {
+  constructor(status, data) {
+    super(data?.message || `Request failed with status code ${status}`);
+    this.name = 'MockHttpError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+const notFound = () => new MockHttpError(404, { message: 'Not found.' });
+
+const now = () => new Date().toISOString();
+
+// Laravel's 422 format: the first message plus every message by field
+const validationError = (errors) => {
+  const messages = Object.values(errors).flat();
+  const extra = messages.length > 1 ? ` (and ${messages.length - 1} more error${messages.length > 2 ? 's' : ''})` : '';
+  return new MockHttpError(422, { message: `${messages[0]}${extra}`, errors });
+};
+
+const validate = (body, rules) => {
+  const errors = {};
+
+  Object.keys(rules).forEach(field => {
+    const message = rules[field](body[field], body);
+    if (message) {
+      errors[field] = [message];
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    throw validationError(errors);
+  }
+};
+
+const requiredString = (field, max) => (value) => {
+  if (typeof value !== 'string' || !value.trim()) return `The ${field} field is required.`;
+  if (max && value.length > max) return `The ${field} field must not be greater than ${max} characters.`;
+  return null;
+};
+
+const optionalString = (field, max) => (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') return `The ${field} field must be a string.`;
+  if (max && value.length > max) return `The ${field} field must not be greater than ${max} characters.`;
+  return null;
+};
+
+const optionalColor = (value) => {
+  if (value === undefined || value === null) return null;
+  return /^#[0-9A-Fa-f]{6}$/.test(value) ? null : 'The color field must be a valid hex color.';
+};
+
+// Laravel's mimes:jpg,jpeg,png,gif rule of the image endpoints
+const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+const IMAGE_TYPE_MESSAGE = 'The image field must be a file of type: jpg, jpeg, png, gif.';
+
+const imageFile = (value) => {
+  if (!value?.uri) return 'The image field is required.';
+  return value.type && !ACCEPTED_IMAGE_TYPES.includes(value.type) ? IMAGE_TYPE_MESSAGE : null;
+};
+
+const getFileExtension = (mimeType = 'image/jpeg') => mimeType.split('/').pop().replace('jpeg', 'jpg');
+
+// Photo quality scores arrive as a JSON string in multipart forms
+const parseJsonObject = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') return Array.isArray(value) ? undefined : value;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const optionalJsonObject = (field) => (value) => (
+  parseJsonObject(value) === undefined ? `The ${field} field must be a valid JSON object.` : null
+);
+
+const pick = (body, fields) => fields.reduce((result, field) => {
+  if (body[field] !== undefined) {
+    result[field] = body[field];
+  }
+  return result;
+}, {});
+
+// Serializers: the shapes the real API sends
+
+const serializeUser = ({ password, ...user }) => user;
+
+const serializeTag = ({ user_id, ...tag }) => tag;
+
+const tagsFor = (db, record) =>
+  db.tags.filter(tag => (record.tag_ids || []).includes(tag.id)).map(serializeTag);
+
+const serializeFolder = (db, folder) => {
+  const { tag_ids, ...rest } = folder;
+  return {
+    ...rest,
+    images_count: db.images.filter(image => image.folder_id === folder.id && !image.deleted_at).length,
+    tags: tagsFor(db, folder),
+  };
+};
+
+const serializeImage = (db, image, { withFolder = false } = {}) => {
+  const { tag_ids, ...rest } = image;
+  const folder = withFolder ? db.folders.find(item => item.id === image.folder_id) : null;
+  return {
+    ...rest,
+    tags: tagsFor(db, image),
+    ...(folder ? { folder: serializeFolder(db, folder) } : {}),
+  };
+};
+
+const SORTERS = {
+  name_asc: (a, b) => a.name.localeCompare(b.name),
+  name_desc: (a, b) => b.name.localeCompare(a.name),
+  date_asc: (a, b) => a.created_at.localeCompare(b.created_at),
+  date_desc: (a, b) => b.created_at.localeCompare(a.created_at),
+};
+
+// Laravel paginator: { data, meta: { current_page, last_page, per_page, total } }
+const paginate = (records, query) => {
+  const sorted = [...records].sort(SORTERS[query.sort] || SORTERS.date_desc);
+  const perPage = Math.max(parseInt(query.limit, 10) || 20, 1);
+  const lastPage = Math.max(Math.ceil(sorted.length / perPage), 1);
+  const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), lastPage);
+
+  return {
+    data: sorted.slice((page - 1) * perPage, page * perPage),
+    meta: { current_page: page, last_page: lastPage, per_page: perPage, total: sorted.length },
+  };
+};
+
+const ok = (data, status = 200) => ({ status, data });
+
+// Lookups scoped to the signed-in user
+
+const ownFolders = (db, user) => db.folders.filter(folder => folder.user_id === user.id);
+const ownImages = (db, user) => db.images.filter(image => image.user_id === user.id);
+const ownTags = (db, user) => db.tags.filter(tag => tag.user_id === user.id);
+
+const findFolder = (db, user, id, { trashed = false } = {}) => {
+  const folder = ownFolders(db, user).find(item => item.id === id);
+  if (!folder || !!folder.deleted_at !== trashed) throw notFound();
+  return folder;
+};
+
+const findImage = (db, user, id, { trashed = false } = {}) => {
+  const image = ownImages(db, user).find(item => item.id === id);
+  if (!image || !!image.deleted_at !== trashed) throw notFound();
+  return image;
+};
+
+const findTag = (db, user, id) => {
+  const tag = ownTags(db, user).find(item => item.id === id);
+  if (!tag) throw notFound();
+  return tag;
+};
+
+// A repeated POST with the same key returns the record the first attempt created
+const findByIdempotencyKey = (db, table, key) => {
+  const id = key ? db.idempotencyKeys[`${table}:${key}`] : null;
+  return id ? db[table].find(record => record.id === id) : null;
+};
+
+const rememberIdempotencyKey = (db, table, key, id) => {
+  if (key) {
+    db.idempotencyKeys[`${table}:${key}`] = id;
+  }
+};
+
+// Chunked uploads by key; databases saved before they existed don't have the table
+const getUploads = (db) => {
+  if (!db.uploads) {
+    db.uploads = {};
+  }
+  return db.uploads;
+};
+
+const findUpload = (db, user, key) => {
+  const upload = getUploads(db)[key];
+  if (!upload || upload.user_id !== user.id) throw notFound();
+  return upload;
+};
+
+const getChunkCount = (upload) => Math.ceil(upload.size / upload.chunk_size);
+
+const serializeUpload = (upload) => ({
+  key: upload.key,
+  size: upload.size,
+  chunk_size: upload.chunk_size,
+  received: upload.received,
+});
+
+const issueToken = (db, user) => {
+  const token = `mock-${user.id}-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+  db.tokens[token] = user.id;
+  return token;
+};
+
+const forceDeleteFolder = (db, folder) => {
+  db.images = db.images.filter(image => image.folder_id !== folder.id);
+  db.folders = db.folders.filter(item => item.id !== folder.id);
+};
+
+const toggleFavorite = (record) => {
+  record.is_favorite = !record.is_favorite;
+  record.updated_at = now();
+};
+
+/**
+ * Route table
+ * `public` routes work without a token, `mutates` routes are persisted afterwards.
+ * Handlers receive { db, user, token, params, query, body, idempotencyKey } and return { status, data }.
+ */
+export const routes = [
+  // Auth
+  {
+    method: 'post', path: 'register', public: true, mutates: true,
+    handler: ({ db, body }) => {
+      validate(body, {
+        name: requiredString('name', 255),
+        email: (value) => {
+          if (!value || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'The email field must be a valid email address.';
+          if (db.users.some(user => user.email.toLowerCase() === value.toLowerCase())) return 'The email has already been taken.';
+          return null;
+        },
+        password: (value, all) => {
+          if (!value || value.length < 8) return 'The password field must be at least 8 characters.';
+          if (value !== all.password_confirmation) return 'The password field confirmation does not match.';
+          return null;
+        },
+      });
+
+      const timestamp = now();
+      const user = {
+        id: nextId('users'),
+        name: body.name.trim(),
+        email: body.email.trim(),
+        password: body.password,
+        avatar: null,
+        theme_preference: 'light',
+        created_at: timestamp,
+        updated_at: timestamp,
+      };
+      db.users.push(user);
+
+      return ok({ token: issueToken(db, user), user: serializeUser(user) }, 201);
+    },
+  },
+  {
+    method: 'post', path: 'login', public: true, mutates: true,
+    handler: ({ db, body }) => {
+      const user = db.users.find(item =>
+        item.email.toLowerCase() === (body.email || '').toLowerCase() && item.password === body.password
+      );
+      if (!user) {
+        throw validationError({ email: ['The provided credentials are incorrect.'] });
+      }
+      return ok({ token: issueToken(db, user), user: serializeUser(user) });
+    },
+  },
+  {
+    method: 'post', path: 'logout', mutates: true,
+    handler: ({ db, token }) => {
+      delete db.tokens[token];
+      return ok({ message: 'Logged out successfully' });
+    },
+  },
+  {
+    method: 'get', path: 'user',
+    handler: ({ user }) => ok(serializeUser(user)),
+  },
+
+  // Profile
+  {
+    method: 'get', path: 'profile',
+    handler: ({ user }) => ok({ data: serializeUser(user) }),
+  },
+  {
+    method: 'put', path: 'profile', mutates: true,
+    handler: ({ user, body }) => {
+      validate(body, {
+        name: optionalString('name', 255),
+        email: optionalString('email', 255),
+      });
+      Object.assign(user, pick(body, ['name', 'email', 'theme_preference']), { updated_at: now() });
+      return ok({ message: 'Profile updated successfully', data: serializeUser(user) });
+    },
+  },
+  {
+    method: 'post', path: 'profile/picture', mutates: true,
+    handler: ({ user, body }) => {
+      validate(body, { avatar: (value) => (value?.uri ? null : 'The avatar field is required.') });
+      Object.assign(user, { avatar: body.avatar.uri, updated_at: now() });
+      return ok({ message: 'Profile picture updated successfully', data: serializeUser(user) });
+    },
+  },
+  {
+    method: 'get', path: 'profile/stats',
+    handler: ({ db, user }) => {
+      const folders = ownFolders(db, user).filter(folder => !folder.deleted_at);
+      const images = ownImages(db, user).filter(image => !image.deleted_at);
+      return ok({
+        folderCount: folders.length,
+        imageCount: images.length,
+        favoriteCount: folders.filter(folder => folder.is_favorite).length
+          + images.filter(image => image.is_favorite).length,
+      });
+    },
+  },
+
+  // Folders
+  {
+    method: 'get', path: 'folders',
+    handler: ({ db, user, query }) => {
+      const page = paginate(ownFolders(db, user).filter(folder => !folder.deleted_at), query);
+      return ok({ ...page, data: page.data.map(folder => serializeFolder(db, folder)) });
+    },
+  },
+  {
+    method: 'get', path: 'folders/favorites',
+    handler: ({ db, user }) => ok({
+      data: ownFolders(db, user)
+        .filter(folder => !folder.deleted_at && folder.is_favorite)
+        .map(folder => serializeFolder(db, folder)),
+    }),
+  },
+  {
+    method: 'post', path: 'folders', mutates: true,
+    handler: ({ db, user, body, idempotencyKey }) => {
+      const existing = findByIdempotencyKey(db, 'folders', idempotencyKey);
+      if (existing) {
+        return ok({ data: serializeFolder(db, existing) }, 201);
+      }
+
+      validate(body, {
+        name: requiredString('name', 50),
+        description: optionalString('description', 1000),
+        color: optionalColor,
+      });
+
+      const timestamp = now();
+      const folder = {
+        id: nextId('folders'),
+        user_id: user.id,
+        name: body.name.trim(),
+        description: body.description || '',
+        color: body.color || '#FFC107',
+        is_favorite: false,
+        tag_ids: [],
+        created_at: timestamp,
+        updated_at: timestamp,
+        deleted_at: null,
+      };
+      db.folders.push(folder);
+      rememberIdempotencyKey(db, 'folders', idempotencyKey, folder.id);
+
+      return ok({ data: serializeFolder(db, folder) }, 201);
+    },
+  },
+  {
+    method: 'get', path: 'folders/:id',
+    handler: ({ db, user, params }) => ok({ data: serializeFolder(db, findFolder(db, user, params.id)) }),
+  },
+  {
+    method: 'put', path: 'folders/:id', mutates: true,
+    handler: ({ db, user, params, body }) => {
+      const folder = findFolder(db, user, params.id);
+      validate(body, {
+        name: body.name !== undefined ? requiredString('name', 50) : () => null,
+        description: optionalString('description', 1000),
+        color: optionalColor,
+      });
+      Object.assign(folder, pick(body, ['name', 'description', 'color']), { updated_at: now() });
+      return ok({ message: 'Folder updated successfully', data: serializeFolder(db, folder) });
+    },
+  },
+  {
+    method: 'delete', path: 'folders/:id', mutates: true,
+    handler: ({ db, user, params }) => {
+      const folder = findFolder(db, user, params.id);
+      const timestamp = now();
+
+      // Images go to the trash with their folder and come back with it
+      folder.deleted_at = timestamp;
+      db.images
+        .filter(image => image.folder_id === folder.id && !image.deleted_at)
+        .forEach(image => { image.deleted_at = timestamp; });
+
+      return ok({ message: 'Folder moved to trash' });
+    },
+  },
+  {
+    method: 'post', path: 'folders/:id/favorite', mutates: true,
+    handler: ({ db, user, params }) => {
+      const folder = findFolder(db, user, params.id);
+      toggleFavorite(folder);
+      return ok({ data: serializeFolder(db, folder) });
+    },
+  },
+  {
+    method: 'post', path: 'folders/:id/restore', mutates: true,
+    handler: ({ db, user, params }) => {
+      const folder = findFolder(db, user, params.id, { trashed: true });
+      db.images
+        .filter(image => image.folder_id === folder.id && image.deleted_at === folder.deleted_at)
+        .forEach(image => { image.deleted_at = null; });
+      folder.deleted_at = null;
+      return ok({ message: 'Folder restored successfully', data: serializeFolder(db, folder) });
+    },
+  },
+  {
+    method: 'get', path: 'folders/:id/images',
+    handler: ({ db, user, params, query }) => {
+      findFolder(db, user, params.id);
+      const images = ownImages(db, user).filter(image => image.folder_id === params.id && !image.deleted_at);
+      const page = paginate(images, query);
+      return ok({ ...page, data: page.data.map(image => serializeImage(db, image)) });
+    },
+  },
+
+  // Images
+  {
+    method: 'get', path: 'images',
+    handler: ({ db, user, query }) => {
+      const page = paginate(ownImages(db, user).filter(image => !image.deleted_at), query);
+      return ok({ ...page, data: page.data.map(image => serializeImage(db, image)) });
+    },
+  },
+  {
+    method: 'get', path: 'images/favorites',
+    handler: ({ db, user, query }) => {
+      const images = ownImages(db, user).filter(image => !image.deleted_at && image.is_favorite);
+      const page = paginate(images, query);
+      return ok({ ...page, data: page.data.map(image => serializeImage(db, image)) });
+    },
+  },
+  {
+    method: 'post', path: 'images', mutates: true,
+    handler: async ({ db, user, body, idempotencyKey }) => {
+      const existing = findByIdempotencyKey(db, 'images', idempotencyKey);
+      if (existing) {
+        return ok({ data: serializeImage(db, existing) }, 201);
+      }
+
+      const folderId = parseInt(body.folder_id, 10);
+      validate(body, {
+        image: imageFile,
+        folder_id: () => (
+          ownFolders(db, user).some(folder => folder.id === folderId && !folder.deleted_at)
+            ? null
+            : 'The selected folder id is invalid.'
+        ),
+        name: optionalString('name', 255),
+        quality: optionalJsonObject('quality'),
+      });
+
+      const id = nextId('images');
+      const path = await storeUploadedFile(
+        body.image.uri,
+        `image-${id}-${Date.now()}.${getFileExtension(body.image.type)}`
+      );
+      const timestamp = now();
+      const image = {
+        id,
+        user_id: user.id,
+        folder_id: folderId,
+        name: body.name || body.image.name || 'Untitled Image',
+        description: body.description || '',
+        path,
+        quality: parseJsonObject(body.quality),
+        is_favorite: false,
+        tag_ids: [],
+        created_at: timestamp,
+        updated_at: timestamp,
+        deleted_at: null,
+      };
+      db.images.push(image);
+      rememberIdempotencyKey(db, 'images', idempotencyKey, image.id);
+
+      return ok({ data: serializeImage(db, image) }, 201);
+    },
+  },
+
+  // Chunked uploads
+  {
+    method: 'get', path: 'uploads',
+    handler: () => ok({ data: { chunked: true, chunk_size: MOCK_CHUNK_SIZE } }),
+  },
+  {
+    method: 'post', path: 'uploads', mutates: true,
+    handler: ({ db, user, body, idempotencyKey }) => {
+      if (!idempotencyKey) {
+        throw new MockHttpError(400, { message: 'Chunked uploads need an Idempotency-Key header.' });
+      }
+
+      // Starting an upload again returns the chunks that already arrived
+      const uploads = getUploads(db);
+      const existing = uploads[idempotencyKey];
+      if (existing && existing.user_id === user.id) {
+        return ok({ data: serializeUpload(existing) });
+      }
+
+      const folderId = parseInt(body.folder_id, 10);
+      validate(body, {
+        folder_id: () => (
+          ownFolders(db, user).some(folder => folder.id === folderId && !folder.deleted_at)
+            ? null
+            : 'The selected folder id is invalid.'
+        ),
+        name: optionalString('name', 255),
+        size: (value) => (Number.isInteger(value) && value > 0 ? null : 'The size field must be a positive integer.'),
+        mime_type: (value) => (!value || ACCEPTED_IMAGE_TYPES.includes(value) ? null : IMAGE_TYPE_MESSAGE),
+        quality: optionalJsonObject('quality'),
+      });
+
+      const upload = {
+        key: idempotencyKey,
+        user_id: user.id,
+        folder_id: folderId,
+        name: body.name || null,
+        size: body.size,
+        mime_type: body.mime_type || 'image/jpeg',
+        quality: parseJsonObject(body.quality),
+        chunk_size: MOCK_CHUNK_SIZE,
+        received: [],
+        image_id: null,
+        created_at: now(),
+      };
+      uploads[idempotencyKey] = upload;
+
+      return ok({ data: serializeUpload(upload) }, 201);
+    },
+  },
+  {
+    method: 'put', path: 'uploads/*key/chunks/:index', mutates: true,
+    handler: async ({ db, user, params, body }) => {
+      const upload = findUpload(db, user, params.key);
+      validate(body, {
+        data: (value) => (typeof value === 'string' && value ? null : 'The data field is required.'),
+        offset: (value) => (
+          params.index < getChunkCount(upload) && value === params.index * upload.chunk_size
+            ? null
+            : 'The offset field does not match the chunk.'
+        ),
+      });
+
+      await writeChunk(upload.key, params.index, body.data);
+      if (!upload.received.includes(params.index)) {
+        upload.received = [...upload.received, params.index].sort((a, b) => a - b);
+      }
+
+      return ok({ data: serializeUpload(upload) });
+    },
+  },
+  {
+    method: 'post', path: 'uploads/*key/complete', mutates: true,
+    handler: async ({ db, user, params }) => {
+      const upload = findUpload(db, user, params.key);
+
+      // Completing twice returns the image the first call created
+      const created = upload.image_id && db.images.find(image => image.id === upload.image_id);
+      if (created) {
+        return ok({ data: serializeImage(db, created) }, 201);
+      }
+
+      const count = getChunkCount(upload);
+      const missing = Array.from({ length: count }, (_, index) => index)
+        .filter(index => !upload.received.includes(index));
+      if (missing.length > 0) {
+        throw new MockHttpError(409, { message: `Chunks ${missing.join(', ')} have not been uploaded.` });
+      }
+
+      const folder = ownFolders(db, user).find(item => item.id === upload.folder_id);
+      if (!folder || folder.deleted_at) {
+        throw validationError({ folder_id: ['The selected folder id is invalid.'] });
+      }
+
+      const path = await assembleUpload(upload.key, count, getFileExtension(upload.mime_type));
+      const timestamp = now();
+      const image = {
+        id: nextId('images'),
+        user_id: user.id,
+        folder_id: upload.folder_id,
+        name: upload.name || 'Untitled Image',
+        description: '',
+        path,
+        quality: upload.quality,
+        is_favorite: false,
+        tag_ids: [],
+        created_at: timestamp,
+        updated_at: timestamp,
+        deleted_at: null,
+      };
+      db.images.push(image);
+      upload.image_id = image.id;
+      rememberIdempotencyKey(db, 'images', upload.key, image.id);
+
+      return ok({ data: serializeImage(db, image) }, 201);
+    },
+  },
+  {
+    method: 'delete', path: 'uploads/*key', mutates: true,
+    handler: async ({ db, user, params }) => {
+      const upload = getUploads(db)[params.key];
+      const image = findByIdempotencyKey(db, 'images', params.key);
+      const ownUpload = upload && upload.user_id === user.id ? upload : null;
+      const ownImage = image && image.user_id === user.id ? image : null;
+      if (!ownUpload && !ownImage) {
+        throw notFound();
+      }
+
+      if (ownUpload) {
+        await deleteChunks(ownUpload.key, getChunkCount(ownUpload));
+        delete getUploads(db)[params.key];
+      }
+      if (ownImage) {
+        db.images = db.images.filter(item => item.id !== ownImage.id);
+        delete db.idempotencyKeys[`images:${params.key}`];
+      }
+      return ok({ message: 'Upload cancelled' });
+    },
+  },
+  {
+    method: 'get', path: 'images/:id',
+    handler: ({ db, user, params }) =>
+      ok({ data: serializeImage(db, findImage(db, user, params.id), { withFolder: true }) }),
+  },
+  {
+    method: 'put', path: 'images/:id', mutates: true,
+    handler: ({ db, user, params, body }) => {
+      const image = findImage(db, user, params.id);
+      validate(body, {
+        name: body.name !== undefined ? requiredString('name', 255) : () => null,
+        description: optionalString('description', 1000),
+      });
+      Object.assign(image, pick(body, ['name', 'description']), { updated_at: now() });
+      return ok({ message: 'Image updated successfully', data: serializeImage(db, image) });
+    },
+  },
+  {
+    // A new file for an existing image, multipart with Laravel's _method=PUT
+    method: 'post', path: 'images/:id', mutates: true,
+    handler: async ({ db, user, params, body }) => {
+      if (body._method !== 'PUT') {
+        throw new MockHttpError(405, { message: 'The POST method is not supported for this route.' });
+      }
+
+      const image = findImage(db, user, params.id);
+      validate(body, {
+        image: imageFile,
+        quality: optionalJsonObject('quality'),
+      });
+      const path = await storeUploadedFile(
+        body.image.uri,
+        `image-${image.id}-${Date.now()}.${getFileExtension(body.image.type)}`
+      );
+      // Scores of the old file don't describe the new one
+      Object.assign(image, { path, quality: parseJsonObject(body.quality), updated_at: now() });
+      return ok({ message: 'Image updated successfully', data: serializeImage(db, image) });
+    },
+  },
+  {
+    method: 'delete', path: 'images/:id', mutates: true,
+    handler: ({ db, user, params }) => {
+      findImage(db, user, params.id).deleted_at = now();
+      return ok({ message: 'Image moved to trash' });
+    },
+  },
+  {
+    method: 'post', path: 'images/:id/favorite', mutates: true,
+    handler: ({ db, user, params }) => {
+      const image = findImage(db, user, params.id);
+      toggleFavorite(image);
+      return ok({ data: serializeImage(db, image) });
+    },
+  },
+  {
+    method: 'post', path: 'images/:id/restore', mutates: true,
+    handler: ({ db, user, params }) => {
+      const image = findImage(db, user, params.id, { trashed: true });
+      const folder = db.folders.find(item => item.id === image.folder_id);
+      if (folder?.deleted_at) {
+        throw new MockHttpError(409, { message: 'Restore the folder before restoring its images.' });
+      }
+      image.deleted_at = null;
+      return ok({ message: 'Image restored successfully', data: serializeImage(db, image) });
+    },
+  },
+  {
+    method: 'delete', path: 'images/:id/force', mutates: true,
+    handler: ({ db, user, params }) => {
+      const image = findImage(db, user, params.id, { trashed: true });
+      db.images = db.images.filter(item => item.id !== image.id);
+      return ok({ message: 'Image permanently deleted' });
+    },
+  },
+
+  // Trash
+  {
+    method: 'get', path: 'trash/folders',
+    handler: ({ db, user }) => ok({
+      data: ownFolders(db, user).filter(folder => folder.deleted_at).map(folder => serializeFolder(db, folder)),
+    }),
+  },
+  {
+    method: 'get', path: 'trash/images',
+    handler: ({ db, user }) => ok({
+      data: ownImages(db, user).filter(image => image.deleted_at).map(image => serializeImage(db, image)),
+    }),
+  },
+  {
+    method: 'delete', path: 'trash/empty', mutates: true,
+    handler: ({ db, user }) => {
+      ownFolders(db, user).filter(folder => folder.deleted_at).forEach(folder => forceDeleteFolder(db, folder));
+      db.images = db.images.filter(image => image.user_id !== user.id || !image.deleted_at);
+      return ok({ message: 'Trash emptied successfully' });
+    },
+  },
+  {
+    method: 'delete', path: 'trash/folders/:id', mutates: true,
+    handler: ({ db, user, params }) => {
+      forceDeleteFolder(db, findFolder(db, user, params.id, { trashed: true }));
+      return ok({ message: 'Folder permanently deleted' });
+    },
+  },
+  {
+    method: 'delete', path: 'trash/images/:id', mutates: true,
+    handler: ({ db, user, params }) => {
+      const image = findImage(db, user, params.id, { trashed: true });
+      db.images = db.images.filter(item => item.id !== image.id);
+      return ok({ message: 'Image permanently deleted' });
+    },
+  },
+
+  // Tags
+  {
+    method: 'get', path: 'tags',
+    handler: ({ db, user }) => ok({ data: ownTags(db, user).map(serializeTag) }),
+  },
+  {
+    method: 'post', path: 'tags', mutates: true,
+    handler: ({ db, user, body }) => {
+      validate(body, {
+        name: (value) => {
+          const message = requiredString('name', 50)(value);
+          if (message) return message;
+          return ownTags(db, user).some(tag => tag.name === value.trim()) ? 'The name has already been taken.' : null;
+        },
+      });
+
+      const timestamp = now();
+      const tag = { id: nextId('tags'), user_id: user.id, name: body.name.trim(), created_at: timestamp, updated_at: timestamp };
+      db.tags.push(tag);
+      return ok({ data: serializeTag(tag) }, 201);
+    },
+  },
+  {
+    method: 'get', path: 'tags/:id',
+    handler: ({ db, user, params }) => ok({ data: serializeTag(findTag(db, user, params.id)) }),
+  },
+  {
+    method: 'put', path: 'tags/:id', mutates: true,
+    handler: ({ db, user, params, body }) => {
+      const tag = findTag(db, user, params.id);
+      validate(body, { name: requiredString('name', 50) });
+      Object.assign(tag, { name: body.name.trim(), updated_at: now() });
+      return ok({ data: serializeTag(tag) });
+    },
+  },
+  {
+    method: 'delete', path: 'tags/:id', mutates: true,
+    handler: ({ db, user, params }) => {
+      const tag = findTag(db, user, params.id);
+      db.tags = db.tags.filter(item => item.id !== tag.id);
+      [...db.folders, ...db.images].forEach(record => {
+        record.tag_ids = (record.tag_ids || []).filter(id => id !== tag.id);
+      });
+      return ok({ message: 'Tag deleted successfully' });
+    },
+  },
+  {
+    method: 'get', path: 'tags/:id/folders',
+    handler: ({ db, user, params }) => {
+      const tag = findTag(db, user, params.id);
+      return ok({
+        data: ownFolders(db, user)
+          .filter(folder => !folder.deleted_at && (folder.tag_ids || []).includes(tag.id))
+          .map(folder => serializeFolder(db, folder)),
+      });
+    },
+  },
+  {
+    method: 'get', path: 'tags/:id/images',
+    handler: ({ db, user, params }) => {
+      const tag = findTag(db, user, params.id);
+      return ok({
+        data: ownImages(db, user)
+          .filter(image => !image.deleted_at && (image.tag_ids || []).includes(tag.id))
+          .map(image => serializeImage(db, image)),
+      });
+    },
+  },
+];
+
+/**
+ * Find the route for a request
+ * ":name" parameters only match numeric segments, so "folders/favorites" isn't read as a folder ID.
+ * "*name" parameters match any segment, e.g. an upload's idempotency key.
+ * @param {string} method - Lower-case HTTP method
+ * @param {string} path - Path without query string or leading slash
+ * @returns {object|null} { route, params }
+ */
+export const matchRoute = (method, path) => {
+  const segments = path.split('/').filter(Boolean);
+
+  for (const route of routes) {
+    if (route.method !== method) continue;
+
+    const pattern = route.path.split('/');
+    if (pattern.length !== segments.length) continue;
+
+    const params = {};
+    const matches = pattern.every((part, index) => {
+      if (part.startsWith(':')) {
+        if (!/^\d+$/.test(segments[index])) return false;
+        params[part.slice(1)] = parseInt(segments[index], 10);
+        return true;
+      }
+      if (part.startsWith('*')) {
+        params[part.slice(1)] = decodeURIComponent(segments[index]);
+        return true;
+      }
+      return part === segments[index];
+    });
+
+    if (matches) {
+      return { route, params };
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,48 @@
+// File: src/services/api/mock/settings.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from '../../logger';
+
+const log = createLogger('mock');
+
+const SETTINGS_KEY = 'mockBackendSettings';
+
+export const DEFAULT_MOCK_SETTINGS = {
+  latency: 300, // Delay before every answer in ms
+  errorRate: 0, // Share of requests that fail with a 503, from 0 to 1
+  offline: false, // Fail every request as if the device had no connection
+};
+
+let settings = { ...DEFAULT_MOCK_SETTINGS };
+
+/**
+ * Get the current latency and error injection settings
+ * @returns {object} { latency, errorRate, offline }
+ */
+export const getMockBackendSettings = () => ({ ...settings });
+
+/**
+ * Change latency and error injection, e.g. `{ errorRate: 0.2 }` to test retries
+ * @param {object} changes - Settings to change
+ * @returns {Promise<object>} The new settings
+ */
+export const configureMockBackend = async (changes) => {
+  settings = { ...settings, ...changes };
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  return getMockBackendSettings();
+};
+
+/**
+ * Restore the settings saved by a previous session
+ * @returns {Promise<object>} The settings
+ */
+export const loadMockBackendSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+    if (stored) {
+      settings = { ...DEFAULT_MOCK_SETTINGS, ...JSON.parse(stored) };
+    }
+  } catch (error) {
+    log.error('Error loading mock backend settings:', error);
+  }
+  return getMockBackendSettings();
+};
@@ -0,0 +1,79 @@
+// File: src/services/api/mock/uploads.js
+// Files uploaded to the mock backend, and the chunks of its chunked uploads, kept in its own
+// directory the way a server keeps them on disk
+import * as FileSystem from 'expo-file-system';
+
+const UPLOADS_DIR = `${FileSystem.documentDirectory}mock-uploads/`;
+
+// A multiple of 3, so the base64 of the chunks joins into the base64 of the whole file
+export const MOCK_CHUNK_SIZE = 384 * 1024;
+
+const getChunkUri = (key, index) => `${UPLOADS_DIR}${key}.part${index}`;
+
+const ensureUploadsDir = async () => {
+  const info = await FileSystem.getInfoAsync(UPLOADS_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(UPLOADS_DIR, { intermediates: true });
+  }
+};
+
+/**
+ * Store one chunk, replacing an earlier copy
+ * @param {string} key - Upload key
+ * @param {number} index - Chunk index
+ * @param {string} data - Base64 chunk data
+ */
+export const writeChunk = async (key, index, data) => {
+  await ensureUploadsDir();
+  await FileSystem.writeAsStringAsync(getChunkUri(key, index), data, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+};
+
+/**
+ * Join the chunks of an upload into the final file and delete them
+ * @param {string} key - Upload key
+ * @param {number} count - Number of chunks
+ * @param {string} extension - File extension, e.g. "jpg"
+ * @returns {Promise<string>} URI of the joined file
+ */
+export const assembleUpload = async (key, count, extension) => {
+  const parts = [];
+  for (let index = 0; index < count; index += 1) {
+    parts.push(await FileSystem.readAsStringAsync(getChunkUri(key, index), {
+      encoding: FileSystem.EncodingType.Base64,
+    }));
+  }
+
+  const uri = `${UPLOADS_DIR}${key}.${extension}`;
+  await FileSystem.writeAsStringAsync(uri, parts.join(''), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  await deleteChunks(key, count);
+  return uri;
+};
+
+/**
+ * Keep a copy of a file sent in a multipart upload
+ * The client deletes its own copy once the upload is done.
+ * @param {string} uri - URI of the uploaded file; on iOS without the file:// scheme
+ * @param {string} name - File name to store it under, e.g. "image-12-1700000000000.jpg"
+ * @returns {Promise<string>} URI of the stored file
+ */
+export const storeUploadedFile = async (uri, name) => {
+  await ensureUploadsDir();
+  const target = `${UPLOADS_DIR}${name}`;
+  await FileSystem.copyAsync({ from: uri.includes('://') ? uri : `file://${uri}`, to: target });
+  return target;
+};
+
+/**
+ * Delete the stored chunks of an upload
+ * @param {string} key - Upload key
+ * @param {number} count - Number of chunks
+ */
+export const deleteChunks = async (key, count) => {
+  for (let index = 0; index < count; index += 1) {
+    await FileSystem.deleteAsync(getChunkUri(key, index), { idempotent: true });
+  }
+};
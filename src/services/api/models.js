@@ -0,0 +1,265 @@
+// File: src/services/api/models.js
+import { getRemoteImagePath } from './client';
+import { MalformedPayloadError } from './errors';
+import { createLogger } from '../logger';
+
+const log = createLogger('models');
+
+// Defaults used when the API leaves a field empty
+export const DEFAULT_FOLDER_COLOR = '#FFC107';
+const DEFAULT_FOLDER_NAME = 'Unnamed Folder';
+const DEFAULT_IMAGE_NAME = 'Untitled Image';
+
+/**
+ * Single place where bad server data is reported
+ * Screens receive clean models and never need to patch records themselves.
+ * @param {string} resource - Model name, e.g. "folder"
+ * @param {string} reason - What was wrong with the payload
+ * @param {*} payload - The offending data
+ */
+export const reportMalformedPayload = (resource, reason, payload) => {
+  log.warn(`Malformed ${resource} payload: ${reason}`, payload);
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Strip the Laravel resource wrapper ({ data: ... }) when there is one
+ * @param {*} payload - Response body
+ * @returns {*} The wrapped record or list
+ */
+export const unwrap = (payload) => {
+  if (isObject(payload) && 'data' in payload) {
+    return payload.data;
+  }
+  return payload;
+};
+
+// IDs are positive integers, or non-empty strings for UUID keys
+const parseId = (value) => {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+  }
+  return null;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Laravel serializes booleans as 0/1 on some drivers
+const parseBoolean = (value) => value === true || value === 1 || value === '1' || value === 'true';
+
+const parseCount = (value) => {
+  const count = Number(value);
+  return Number.isFinite(count) && count >= 0 ? count : 0;
+};
+
+const requireId = (resource, raw) => {
+  if (!isObject(raw)) {
+    reportMalformedPayload(resource, 'expected an object', raw);
+    return null;
+  }
+
+  const id = parseId(raw.id);
+  if (id === null) {
+    reportMalformedPayload(resource, 'missing or invalid id', raw);
+  }
+  return id;
+};
+
+/**
+ * Normalize a tag record
+ * @param {object} raw - Tag from the API
+ * @returns {object|null} Tag model, or null if the record is unusable
+ */
+export const toTag = (raw) => {
+  const id = requireId('tag', raw);
+  if (id === null) return null;
+
+  return {
+    ...raw,
+    id,
+    name: raw.name || '',
+    created_at: parseDate(raw.created_at),
+    updated_at: parseDate(raw.updated_at),
+  };
+};
+
+const toTags = (rawTags) => {
+  const list = unwrap(rawTags);
+  if (!Array.isArray(list)) return [];
+
+  // Some endpoints embed tags as bare names, the name then doubles as the key
+  return list
+    .map(tag => (typeof tag === 'string' ? { id: tag, name: tag } : toTag(tag)))
+    .filter(Boolean);
+};
+
+/**
+ * Normalize a folder record
+ * @param {object} raw - Folder from the API
+ * @returns {object|null} Folder model, or null if the record is unusable
+ */
+export const toFolder = (raw) => {
+  const id = requireId('folder', raw);
+  if (id === null) return null;
+
+  return {
+    ...raw,
+    id,
+    name: raw.name || DEFAULT_FOLDER_NAME,
+    description: raw.description || '',
+    color: raw.color || DEFAULT_FOLDER_COLOR,
+    is_favorite: parseBoolean(raw.is_favorite),
+    images_count: parseCount(raw.images_count),
+    tags: toTags(raw.tags),
+    created_at: parseDate(raw.created_at),
+    updated_at: parseDate(raw.updated_at),
+    deleted_at: parseDate(raw.deleted_at),
+  };
+};
+
+const parseScore = (value) => {
+  const score = Number(value);
+  return value !== null && value !== '' && Number.isFinite(score) ? score : null;
+};
+
+// Photo check scores saved with the upload; older images have none
+const toQuality = (raw) => {
+  let quality = raw;
+  if (typeof quality === 'string') {
+    try {
+      quality = JSON.parse(quality);
+    } catch (error) {
+      quality = null;
+    }
+  }
+  if (!isObject(quality)) return null;
+
+  return {
+    sharpness: parseScore(quality.sharpness),
+    brightness: parseScore(quality.brightness),
+    glare: parseScore(quality.glare),
+    issues: Array.isArray(quality.issues) ? quality.issues.filter(issue => typeof issue === 'string') : [],
+  };
+};
+
+/**
+ * Normalize an image record, resolving its path against the active server
+ * @param {object} raw - Image from the API
+ * @returns {object|null} Image model, or null if the record is unusable
+ */
+export const toImage = (raw) => {
+  const id = requireId('image', raw);
+  if (id === null) return null;
+
+  if (!raw.path) {
+    reportMalformedPayload('image', 'missing path', raw);
+  }
+
+  return {
+    ...raw,
+    id,
+    name: raw.name || DEFAULT_IMAGE_NAME,
+    description: raw.description || '',
+    _originalPath: raw.path, // Kept for debugging
+    // The server URL; screens resolve it with getFullImagePath to use a downloaded copy
+    path: getRemoteImagePath(raw.path),
+    folder_id: parseId(raw.folder_id),
+    folder: isObject(raw.folder) ? toFolder(raw.folder) : null,
+    is_favorite: parseBoolean(raw.is_favorite),
+    quality: toQuality(raw.quality),
+    tags: toTags(raw.tags),
+    created_at: parseDate(raw.created_at),
+    updated_at: parseDate(raw.updated_at),
+    deleted_at: parseDate(raw.deleted_at),
+  };
+};
+
+/**
+ * Normalize a user record
+ * @param {object} raw - User from the API
+ * @returns {object|null} User model, or null if the record is unusable
+ */
+export const toUser = (raw) => {
+  const id = requireId('user', raw);
+  if (id === null) return null;
+
+  const avatar = raw.avatar || raw.profile?.avatar;
+
+  return {
+    ...raw,
+    id,
+    name: raw.name || raw.profile?.name || '',
+    email: raw.email || raw.profile?.email || '',
+    avatar: avatar ? getRemoteImagePath(avatar) : null,
+    created_at: parseDate(raw.created_at),
+    updated_at: parseDate(raw.updated_at),
+  };
+};
+
+// Pagination meta is nested under "meta" for API resources and flat for plain paginators
+const toPageMeta = (payload, itemCount) => {
+  const source = isObject(payload?.meta) ? payload.meta : isObject(payload) ? payload : {};
+
+  const currentPage = parseCount(source.current_page) || 1;
+  const lastPage = parseCount(source.last_page) || currentPage;
+
+  return {
+    currentPage,
+    lastPage,
+    perPage: parseCount(source.per_page) || itemCount,
+    total: source.total !== undefined ? parseCount(source.total) : itemCount,
+    hasMore: currentPage < lastPage,
+  };
+};
+
+/**
+ * Read a list response into a page of models
+ * Records that can't be normalized are reported and left out.
+ * @param {*} payload - Response body: { data: [...], meta } or a bare array
+ * @param {Function} convert - Converter such as toFolder
+ * @param {string} resource - Model name used in reports
+ * @returns {object} Page: { items, meta: { currentPage, lastPage, perPage, total, hasMore } }
+ */
+export const readPage = (payload, convert, resource) => {
+  const list = unwrap(payload);
+
+  if (!Array.isArray(list)) {
+    reportMalformedPayload(resource, 'expected a list', payload);
+    return { items: [], meta: toPageMeta(null, 0) };
+  }
+
+  const items = list.map(convert).filter(Boolean);
+  return { items, meta: toPageMeta(payload, items.length) };
+};
+
+/**
+ * Read a single-record response into a model
+ * @param {*} payload - Response body: { data: {...} } or the record itself
+ * @param {Function} convert - Converter such as toFolder
+ * @param {string} resource - Model name used in errors
+ * @param {object} options - { optional: true } resolves to null instead of throwing
+ * @returns {object|null} The model
+ * @throws {MalformedPayloadError} When a required record is missing or invalid
+ */
+export const readModel = (payload, convert, resource, { optional = false } = {}) => {
+  const raw = unwrap(payload);
+
+  // Some endpoints only answer with a message, that's fine when no record was promised
+  if (optional && (!isObject(raw) || raw.id === undefined)) {
+    return null;
+  }
+
+  const model = convert(raw);
+  if (!model && !optional) {
+    throw new MalformedPayloadError(resource, 'missing or invalid record', payload);
+  }
+  return model;
+};
@@ -1,32 +1,42 @@
-import apiClient from './client';
+import apiClient, { logApiError } from './client';
+import { readModel, toUser, unwrap } from './models';
+import { createLogger } from '../logger';
 
-export const getProfile = async () => {
+const log = createLogger('profile');
+
+export const DEFAULT_STATS = {
+  folderCount: 0,
+  imageCount: 0,
+  favoriteCount: 0,
+};
+
+export const getProfile = async (config = {}) => {
   try {
-    console.log('Fetching user profile');
-    const response = await apiClient.get('profile');
-    console.log('Profile fetched successfully:', response.data);
-    return response.data;
+    log.debug('Fetching user profile');
+    const response = await apiClient.get('profile', config);
+    log.debug('Profile fetched successfully:', response.data);
+    return readModel(response.data, toUser, 'user');
   } catch (error) {
-    console.error('Error fetching profile:', error);
-    throw error.response?.data?.message || 'Failed to fetch profile';
+    logApiError(log, 'Error fetching profile:', error);
+    throw error;
   }
 };
 
-export const updateProfile = async (profileData) => {
+export const updateProfile = async (profileData, config = {}) => {
   try {
-    console.log('Updating profile with data:', profileData);
-    const response = await apiClient.put('profile', profileData);
-    console.log('Profile updated successfully:', response.data);
-    return response.data;
+    log.debug('Updating profile with data:', profileData);
+    const response = await apiClient.put('profile', profileData, config);
+    log.debug('Profile updated successfully:', response.data);
+    return readModel(response.data, toUser, 'user', { optional: true });
   } catch (error) {
-    console.error('Error updating profile:', error.response?.data || error);
-    throw error.response?.data?.message || 'Failed to update profile';
+    logApiError(log, 'Error updating profile:', error);
+    throw error;
   }
 };
 
-export const updateProfilePicture = async (imageFile) => {
+export const updateProfilePicture = async (imageFile, config = {}) => {
   try {
-    console.log('Uploading profile picture');
+    log.debug('Uploading profile picture');
     
     // Create form data
     const formData = new FormData();
@@ -36,54 +46,53 @@ export const updateProfilePicture = async (imageFile) => {
       name: imageFile.fileName || 'profile.jpg'
     });
     
-    console.log('Form data created for upload:', {
-      uri: imageFile.uri,
+    log.debug('Form data created for upload', {
       type: imageFile.type || 'image/jpeg',
       name: imageFile.fileName || 'profile.jpg'
     });
     
     const response = await apiClient.post('profile/picture', formData, {
+      ...config,
       headers: {
         'Content-Type': 'multipart/form-data',
       },
     });
     
-    console.log('Profile picture updated successfully:', response.data);
-    return response.data;
+    log.debug('Profile picture updated successfully:', response.data);
+    return readModel(response.data, toUser, 'user', { optional: true });
   } catch (error) {
-    console.error('Error updating profile picture:', error.response?.data || error);
-    throw error.response?.data?.message || 'Failed to update profile picture';
+    logApiError(log, 'Error updating profile picture:', error);
+    throw error;
   }
 };
 
-export const getUserStats = async () => {
+export const getUserStats = async (config = {}) => {
   try {
-    console.log('Fetching user stats');
-    const response = await apiClient.get('/profile/stats');
-    console.log('User stats fetched successfully:', response.data);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching user stats:', error);
+    log.debug('Fetching user stats');
+    const response = await apiClient.get('/profile/stats', config);
+    log.debug('User stats fetched successfully:', response.data);
     
-    // Return default stats if there's an error
-    return { 
-      data: {
-        folderCount: 0,
-        imageCount: 0,
-        favoriteCount: 0
-      }
+    const stats = unwrap(response.data) || {};
+    return {
+      folderCount: Number(stats.folderCount) || 0,
+      imageCount: Number(stats.imageCount) || 0,
+      favoriteCount: Number(stats.favoriteCount) || 0,
     };
+  } catch (error) {
+    // The profile screen keeps the stats it has, or shows DEFAULT_STATS
+    logApiError(log, 'Error fetching user stats:', error);
+    throw error;
   }
 };
 
-export const refreshUserData = async () => {
+export const refreshUserData = async (config = {}) => {
   try {
-    console.log('Refreshing user data');
-    const response = await apiClient.get('user');
-    console.log('User data refreshed successfully:', response.data);
-    return response.data;
+    log.debug('Refreshing user data');
+    const response = await apiClient.get('user', config);
+    log.debug('User data refreshed successfully:', response.data);
+    return readModel(response.data, toUser, 'user');
   } catch (error) {
-    console.error('Error refreshing user data:', error);
-    throw error.response?.data?.message || 'Failed to refresh user data';
+    logApiError(log, 'Error refreshing user data:', error);
+    throw error;
   }
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+// File: src/services/api/queries.js
+// Query definitions for useQuery. The first key part is the endpoint's first path segment,
+// so mutations on that resource mark the query stale (see INVALIDATION_RULES in ./httpCache.js).
+import * as folderApi from './folders';
+import * as imageApi from './images';
+import * as profileApi from './profile';
+import { NotFoundError } from './errors';
+import { getQueryKey } from '../queryCache';
+
+/**
+ * Tell which kind of record a cached query holds
+ * @param {string} key - Cache key built by one of the definitions below
+ * @returns {string|null} "folder", "image", or null for anything else
+ */
+export const getRecordType = (key) => {
+  let parts;
+  try {
+    parts = JSON.parse(key);
+  } catch (error) {
+    return null;
+  }
+
+  const [resource, second, third] = parts;
+  if (resource === 'images' || third === 'images' || (resource === 'trash' && second === 'images')) {
+    return 'image';
+  }
+  if (resource === 'folders' || resource === 'trash') {
+    return 'folder';
+  }
+  return null;
+};
+
+/**
+ * First page of the user's folders
+ * @param {string} sort - Sort order
+ * @returns {object} { key, fetch }
+ */
+export const folders = (sort = 'date_desc') => ({
+  key: getQueryKey(['folders', { sort }]),
+  fetch: ({ signal }) => folderApi.getFolders({ sort, signal }),
+});
+
+/**
+ * A single folder
+ * @param {number} folderId - Folder ID
+ * @returns {object} { key, fetch }
+ */
+export const folder = (folderId) => ({
+  key: getQueryKey(['folders', folderId]),
+  fetch: ({ signal }) => folderApi.getFolder(folderId, { signal }),
+});
+
+/**
+ * First page of the images in a folder
+ * @param {number} folderId - Folder ID
+ * @param {string} sort - Sort order
+ * @returns {object} { key, fetch }
+ */
+export const folderImages = (folderId, sort = 'date_desc') => ({
+  key: getQueryKey(['folders', folderId, 'images', { sort }]),
+  fetch: ({ signal }) => imageApi.getFolderImages(folderId, 1, sort, 20, { signal }),
+});
+
+/**
+ * A single image
+ * @param {number} imageId - Image ID
+ * @returns {object} { key, fetch }
+ */
+export const image = (imageId) => ({
+  key: getQueryKey(['images', imageId]),
+  fetch: ({ signal }) => imageApi.getImage(imageId, { signal }),
+});
+
+/**
+ * The user's favorite folders
+ * @returns {object} { key, fetch }
+ */
+export const favoriteFolders = () => ({
+  key: getQueryKey(['folders', 'favorites']),
+  fetch: ({ signal }) => folderApi.getFavoriteFolders({ signal }),
+});
+
+// Some servers answer 404 when the trash is empty
+const emptyWhenNotFound = (error) => {
+  if (error instanceof NotFoundError) {
+    return { items: [], meta: null };
+  }
+  throw error;
+};
+
+/**
+ * Folders in the trash; empty when the server answers 404
+ * @returns {object} { key, fetch }
+ */
+export const trashedFolders = () => ({
+  key: getQueryKey(['trash', 'folders']),
+  fetch: ({ signal }) => folderApi.getTrashedFolders({ signal }).catch(emptyWhenNotFound),
+});
+
+/**
+ * Images in the trash; empty when the server answers 404
+ * @returns {object} { key, fetch }
+ */
+export const trashedImages = () => ({
+  key: getQueryKey(['trash', 'images']),
+  fetch: ({ signal }) => imageApi.getTrashedImages({ signal }).catch(emptyWhenNotFound),
+});
+
+/**
+ * The signed in user's profile
+ * @returns {object} { key, fetch }
+ */
+export const profile = () => ({
+  key: getQueryKey(['profile']),
+  fetch: ({ signal }) => profileApi.getProfile({ signal }),
+});
+
+/**
+ * Folder, image and favorite counts of the signed in user
+ * @returns {object} { key, fetch }
+ */
+export const userStats = () => ({
+  key: getQueryKey(['profile', 'stats']),
+  fetch: ({ signal }) => profileApi.getUserStats({ signal }),
+});
@@ -0,0 +1,129 @@
+// File: src/services/api/retry.js
+import axios from 'axios';
+
+/**
+ * Default retry policy for the API client
+ * Override per request with `{ retry: false }` or `{ retry: { retries: 5 } }` in the axios config.
+ */
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3, // Extra attempts after the first one
+  baseDelay: 500, // Delay before the first retry in ms, doubled on every attempt
+  maxDelay: 10000, // Upper bound for the backoff delay in ms
+  maxRetryAfter: 30000, // Longer Retry-After values are not worth waiting for
+  methods: ['get', 'head', 'options', 'put'], // Idempotent methods that are always safe to repeat
+  statusCodes: [408, 429, 500, 502, 503, 504],
+};
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * Generate a key that lets the server recognise a repeated POST
+ * @returns {string} Random idempotency key
+ */
+export const createIdempotencyKey = () => {
+  const random = () => Math.random().toString(36).substring(2, 10);
+  return `${Date.now().toString(36)}-${random()}-${random()}`;
+};
+
+/**
+ * Resolve the retry policy for a request
+ * @param {object} config - Axios request config
+ * @returns {object|null} The policy, or null when retries are disabled
+ */
+export const getRetryPolicy = (config) => {
+  if (!config || config.retry === false) return null;
+  return { ...DEFAULT_RETRY_POLICY, ...(config.retry || {}) };
+};
+
+const hasIdempotencyKey = (config) => {
+  const headers = config.headers || {};
+  const value = typeof headers.get === 'function'
+    ? headers.get(IDEMPOTENCY_HEADER)
+    : headers[IDEMPOTENCY_HEADER];
+  return !!value;
+};
+
+/**
+ * Decide whether a failed request should be sent again
+ * @param {Error} error - Axios error
+ * @param {object} policy - Retry policy from getRetryPolicy
+ * @returns {boolean} Whether to retry
+ */
+export const shouldRetry = (error, policy) => {
+  const config = error.config;
+  if (!policy || !config || axios.isCancel(error)) return false;
+  if ((config.retryCount || 0) >= policy.retries) return false;
+
+  // Non-idempotent requests are only repeated when the server can de-duplicate them
+  const method = (config.method || 'get').toLowerCase();
+  if (!policy.methods.includes(method) && !hasIdempotencyKey(config)) return false;
+
+  // No response means a network failure or timeout
+  if (!error.response) return true;
+
+  return policy.statusCodes.includes(error.response.status);
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+};
+
+/**
+ * Compute how long to wait before the next attempt
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {object} policy - Retry policy
+ * @returns {number|null} Delay in ms, or null when the server asked for a longer wait than allowed
+ */
+export const getRetryDelay = (error, attempt, policy) => {
+  const status = error.response?.status;
+
+  if (status === 429 || status === 503) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter <= policy.maxRetryAfter ? retryAfter : null;
+    }
+  }
+
+  // Exponential backoff with jitter so clients that failed together don't retry together
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+/**
+ * Wait before a retry, stopping early if the request is cancelled
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} signal - The request's abort signal
+ * @returns {Promise} Resolves after the delay, rejects with a CanceledError on abort
+ */
+export const waitForRetry = (delay, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new axios.CanceledError('Request cancelled during retry backoff'));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(new axios.CanceledError('Request cancelled during retry backoff'));
+  };
+
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort);
+    resolve();
+  }, delay);
+
+  signal?.addEventListener?.('abort', onAbort);
+});
@@ -1,64 +1,36 @@
 import apiClient from './client';
+import { readModel, readPage, toFolder, toImage, toTag } from './models';
 
-export const getTags = async () => {
-  try {
-    const response = await apiClient.get('/tags');
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Failed to fetch tags';
-  }
+export const getTags = async (config = {}) => {
+  const response = await apiClient.get('/tags', config);
+  return readPage(response.data, toTag, 'tag');
 };
 
-export const getTag = async (id) => {
-  try {
-    const response = await apiClient.get(`/tags/${id}`);
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Failed to fetch tag';
-  }
+export const getTag = async (id, config = {}) => {
+  const response = await apiClient.get(`/tags/${id}`, config);
+  return readModel(response.data, toTag, 'tag');
 };
 
-export const createTag = async (tagData) => {
-  try {
-    const response = await apiClient.post('/tags', tagData);
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Failed to create tag';
-  }
+export const createTag = async (tagData, config = {}) => {
+  const response = await apiClient.post('/tags', tagData, config);
+  return readModel(response.data, toTag, 'tag');
 };
 
-export const updateTag = async (id, tagData) => {
-  try {
-    const response = await apiClient.put(`/tags/${id}`, tagData);
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Failed to update tag';
-  }
+export const updateTag = async (id, tagData, config = {}) => {
+  const response = await apiClient.put(`/tags/${id}`, tagData, config);
+  return readModel(response.data, toTag, 'tag', { optional: true });
 };
 
-export const deleteTag = async (id) => {
-  try {
-    const response = await apiClient.delete(`/tags/${id}`);
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Failed to delete tag';
-  }
+export const deleteTag = async (id, config = {}) => {
+  await apiClient.delete(`/tags/${id}`, config);
 };
 
-export const getFoldersWithTag = async (id) => {
-  try {
-    const response = await apiClient.get(`/tags/${id}/folders`);
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Failed to fetch folders with tag';
-  }
+export const getFoldersWithTag = async (id, config = {}) => {
+  const response = await apiClient.get(`/tags/${id}/folders`, config);
+  return readPage(response.data, toFolder, 'folder');
 };
 
-export const getImagesWithTag = async (id) => {
-  try {
-    const response = await apiClient.get(`/tags/${id}/images`);
-    return response.data;
-  } catch (error) {
-    throw error.response?.data?.message || 'Failed to fetch images with tag';
-  }
+export const getImagesWithTag = async (id, config = {}) => {
+  const response = await apiClient.get(`/tags/${id}/images`, config);
+  return readPage(response.data, toImage, 'image');
 };
\ No newline at end of file
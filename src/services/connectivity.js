@@ -0,0 +1,164 @@
+// File: src/services/connectivity.js
+// App-wide connection state: the device's network (type, internet reachability) from
+// ./network, and whether the StudySnap server answers. Screens read it to show the
+// network banner and to disable actions that need the server.
+import { create } from 'zustand';
+import apiClient, { BASE_URL, addBaseUrlListener } from './api/client';
+import { NetworkError } from './api/errors';
+import { isMockBaseUrl } from './api/mock';
+import {
+  pingServer,
+  getNetworkState,
+  addNetworkStateListener,
+  addOnlineListener,
+  addForegroundListener,
+} from './network';
+import { createLogger } from './logger';
+
+const log = createLogger('connectivity');
+
+// How often the server is checked while it looks reachable, and while it doesn't
+const CHECK_INTERVAL = 60 * 1000;
+const UNREACHABLE_CHECK_INTERVAL = 15 * 1000;
+
+export const CONNECTIVITY = {
+  UNKNOWN: 'unknown',
+  ONLINE: 'online',
+  OFFLINE: 'offline', // No network, or the network can't reach the internet
+  SERVER_UNREACHABLE: 'server-unreachable',
+};
+
+/**
+ * Current connection state
+ * { status, networkType, isConnected, isInternetReachable, serverReachable, lastCheckedAt }
+ */
+export const useConnectivityStore = create(() => ({
+  status: CONNECTIVITY.UNKNOWN,
+  networkType: null,
+  isConnected: null,
+  isInternetReachable: null,
+  serverReachable: null,
+  lastCheckedAt: null,
+}));
+
+let started = false;
+let checkTimeout = null;
+let checking = null;
+
+const getStatus = ({ isConnected, isInternetReachable, serverReachable }) => {
+  // The mock backend runs inside the app and works without a network
+  if (isMockBaseUrl(BASE_URL)) return CONNECTIVITY.ONLINE;
+  if (isConnected === false || isInternetReachable === false) return CONNECTIVITY.OFFLINE;
+  if (serverReachable === false) return CONNECTIVITY.SERVER_UNREACHABLE;
+  if (isConnected === null && serverReachable === null) return CONNECTIVITY.UNKNOWN;
+  return CONNECTIVITY.ONLINE;
+};
+
+const updateConnectivity = (changes) => {
+  useConnectivityStore.setState(state => {
+    const next = { ...state, ...changes };
+    return { ...next, status: getStatus(next) };
+  });
+};
+
+const scheduleCheck = () => {
+  clearTimeout(checkTimeout);
+  if (!started) return;
+
+  const { serverReachable } = useConnectivityStore.getState();
+  checkTimeout = setTimeout(checkServer, serverReachable === false ? UNREACHABLE_CHECK_INTERVAL : CHECK_INTERVAL);
+};
+
+/**
+ * Check now whether the configured server answers
+ * Calls made while a check is running share its result.
+ * @returns {Promise<boolean>} Whether the server is reachable
+ */
+export const checkServer = () => {
+  if (checking) return checking;
+
+  checking = (async () => {
+    try {
+      const { isConnected, isInternetReachable } = useConnectivityStore.getState();
+      // Without a network there's no point in waiting for the timeout
+      if (!isMockBaseUrl(BASE_URL) && (isConnected === false || isInternetReachable === false)) {
+        return false;
+      }
+
+      const result = await pingServer(BASE_URL);
+      if (!result.reachable) {
+        log.info(`Server unreachable: ${result.error}`);
+      }
+      updateConnectivity({ serverReachable: result.reachable, lastCheckedAt: Date.now() });
+      return result.reachable;
+    } finally {
+      checking = null;
+      scheduleCheck();
+    }
+  })();
+  return checking;
+};
+
+const applyNetworkState = ({ type, isConnected, isInternetReachable }) => {
+  updateConnectivity({ networkType: type, isConnected, isInternetReachable });
+};
+
+const isUsableStatus = (status) => status === CONNECTIVITY.ONLINE || status === CONNECTIVITY.UNKNOWN;
+
+/**
+ * Check whether requests to the server are expected to work right now
+ * @returns {boolean} Whether the app is online; true while that is still unknown
+ */
+export const canReachServer = () => isUsableStatus(useConnectivityStore.getState().status);
+
+/**
+ * React hook version of canReachServer, re-renders when the connection changes
+ * @returns {boolean} Whether the app is online; true while that is still unknown
+ */
+export const useIsOnline = () => useConnectivityStore(state => isUsableStatus(state.status));
+
+/**
+ * Start following the device's network and the server, once for the app's lifetime
+ */
+export const startConnectivity = () => {
+  if (started) return;
+  started = true;
+
+  getNetworkState()
+    .then(applyNetworkState)
+    .catch(error => log.warn('Could not read the network state', error))
+    .finally(checkServer);
+
+  addNetworkStateListener(applyNetworkState);
+  // A new connection may reach the server again
+  addOnlineListener(checkServer);
+  // Coming back to the app after a while, the server may have come back or gone away
+  addForegroundListener(checkServer);
+};
+
+// Requests tell us about the server between checks
+apiClient.interceptors.response.use(
+  (response) => {
+    if (useConnectivityStore.getState().serverReachable === false) {
+      updateConnectivity({ serverReachable: true, lastCheckedAt: Date.now() });
+    }
+    return response;
+  },
+  (error) => {
+    if (error instanceof NetworkError && useConnectivityStore.getState().serverReachable !== false) {
+      checkServer();
+    } else if (error?.status && useConnectivityStore.getState().serverReachable === false) {
+      // Any answer, even an error, means the server is there
+      updateConnectivity({ serverReachable: true, lastCheckedAt: Date.now() });
+    }
+    return Promise.reject(error);
+  }
+);
+
+// A different server needs checking, what was known about the old one doesn't apply
+addBaseUrlListener(() => {
+  updateConnectivity({ serverReachable: null });
+  if (started) {
+    checkServer();
+  }
+});
@@ -0,0 +1,80 @@
+// File: src/services/folderFilters.js
+// The scan filter each folder uses by default, so pages captured for a folder of whiteboard
+// photos come out the same way every time. Kept on this device only.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { create } from 'zustand';
+import { BASE_URL } from './api/client';
+import { ORIGINAL_FILTER, getDocumentFilter } from './imaging';
+import { createLogger } from './logger';
+
+const log = createLogger('folder-filters');
+
+const STORAGE_KEY = 'folderFilters';
+
+/**
+ * Default filter IDs by "<server>#<folder id>"
+ */
+export const useFolderFiltersStore = create(() => ({ filters: {}, loaded: false }));
+
+// Folder IDs are only unique on one server
+const getFolderKey = (folderId) => `${BASE_URL}#${folderId}`;
+
+// Filters removed in a later version fall back to the original photo
+const readFilter = (filters, folderId) => {
+  const filterId = filters[getFolderKey(folderId)];
+  return getDocumentFilter(filterId) ? filterId : ORIGINAL_FILTER;
+};
+
+/**
+ * Load the folder defaults saved by an earlier session
+ */
+export const loadFolderFilters = async () => {
+  if (useFolderFiltersStore.getState().loaded) return;
+
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    useFolderFiltersStore.setState({ filters: stored ? JSON.parse(stored) : {}, loaded: true });
+  } catch (error) {
+    log.error('Could not load the folder filters', error);
+    useFolderFiltersStore.setState({ loaded: true });
+  }
+};
+
+/**
+ * Get the default filter of a folder
+ * @param {number} folderId - Folder ID
+ * @returns {string} Filter ID; ORIGINAL_FILTER when none was chosen
+ */
+export const getFolderFilter = (folderId) => readFilter(useFolderFiltersStore.getState().filters, folderId);
+
+/**
+ * React hook version of getFolderFilter, re-renders when the default changes
+ * @param {number} folderId - Folder ID
+ * @returns {string} Filter ID
+ */
+export const useFolderFilter = (folderId) => useFolderFiltersStore(state => readFilter(state.filters, folderId));
+
+/**
+ * Make a filter the default for new pages of a folder
+ * @param {number} folderId - Folder ID
+ * @param {string} filterId - ID from DOCUMENT_FILTERS
+ */
+export const setFolderFilter = async (folderId, filterId) => {
+  await loadFolderFilters();
+
+  useFolderFiltersStore.setState(state => {
+    const filters = { ...state.filters };
+    if (filterId === ORIGINAL_FILTER) {
+      delete filters[getFolderKey(folderId)];
+    } else {
+      filters[getFolderKey(folderId)] = filterId;
+    }
+    return { filters };
+  });
+
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(useFolderFiltersStore.getState().filters));
+  } catch (error) {
+    log.error('Could not save the folder filters', error);
+  }
+};
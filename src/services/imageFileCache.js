@@ -0,0 +1,188 @@
+// File: src/services/imageFileCache.js
+// Image files downloaded to the device, e.g. for folders made available offline.
+// Files are keyed by their server URL and shared by everything holding them; a file is
+// deleted once the last holder releases it. Kept free of API imports so the API client
+// can resolve image paths through it.
+import * as FileSystem from 'expo-file-system';
+import { create } from 'zustand';
+import { createLogger } from './logger';
+
+const log = createLogger('image-files');
+
+const FILES_DIR = `${FileSystem.documentDirectory}images/`;
+const INDEX_PATH = `${FILES_DIR}index.json`;
+
+/**
+ * Downloaded files by server URL
+ * Each entry: { uri, size, holders: [holder] }
+ */
+export const useImageFileStore = create(() => ({ files: {}, loaded: false }));
+
+let writeChain = Promise.resolve();
+// The index being read; callers at startup and the first download share it
+let loading = null;
+
+const getFiles = () => useImageFileStore.getState().files;
+
+// Writes are chained so an older snapshot can't overwrite a newer one
+const saveIndex = () => {
+  const files = getFiles();
+  writeChain = writeChain
+    .then(() => FileSystem.writeAsStringAsync(INDEX_PATH, JSON.stringify(files)))
+    .catch(error => log.error('Could not save the image file index', error));
+  return writeChain;
+};
+
+const setFiles = (updater) => {
+  useImageFileStore.setState(state => ({ files: updater(state.files) }));
+  return saveIndex();
+};
+
+const ensureFilesDir = async () => {
+  const info = await FileSystem.getInfoAsync(FILES_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(FILES_DIR, { intermediates: true });
+  }
+};
+
+// Stable file name for a URL: a short hash plus the original extension
+const getFileName = (url) => {
+  let hash = 5381;
+  for (let i = 0; i < url.length; i++) {
+    hash = ((hash * 33) ^ url.charCodeAt(i)) >>> 0;
+  }
+  const extension = (url.split('?')[0].match(/\.(\w{2,5})$/)?.[1] || 'jpg').toLowerCase();
+  return `${hash.toString(16)}-${url.length}.${extension}`;
+};
+
+/**
+ * Load the file index saved by an earlier session
+ * Needed before downloaded images can be shown, also while offline.
+ */
+export const loadImageFiles = () => {
+  if (useImageFileStore.getState().loaded) return Promise.resolve();
+
+  if (!loading) {
+    loading = (async () => {
+      try {
+        await ensureFilesDir();
+        const info = await FileSystem.getInfoAsync(INDEX_PATH);
+        const files = info.exists ? JSON.parse(await FileSystem.readAsStringAsync(INDEX_PATH)) : {};
+        useImageFileStore.setState({ files, loaded: true });
+      } catch (error) {
+        log.error('Could not load the image file index', error);
+        useImageFileStore.setState({ loaded: true });
+      } finally {
+        loading = null;
+      }
+    })();
+  }
+  return loading;
+};
+
+/**
+ * Get the downloaded copy of an image
+ * @param {string} url - Image URL on the server
+ * @returns {string|null} Local file URI, or null if the image isn't on the device
+ */
+export const getLocalImageUri = (url) => (url ? getFiles()[url]?.uri || null : null);
+
+/**
+ * Download an image to the device, or reuse the copy already there
+ * @param {string} url - Image URL on the server
+ * @param {string} holder - Who keeps the file, e.g. a pinned folder
+ * @returns {Promise<object>} { uri, size }
+ */
+export const downloadImageFile = async (url, holder) => {
+  await loadImageFiles();
+
+  const existing = getFiles()[url];
+  if (!existing) {
+    await ensureFilesDir();
+    const fileUri = `${FILES_DIR}${getFileName(url)}`;
+    const result = await FileSystem.downloadAsync(url, fileUri);
+    if (result.status < 200 || result.status >= 300) {
+      await FileSystem.deleteAsync(fileUri, { idempotent: true });
+      throw new Error(`Download failed with status ${result.status}`);
+    }
+
+    const info = await FileSystem.getInfoAsync(fileUri, { size: true });
+    await setFiles(files => ({
+      ...files,
+      [url]: { uri: fileUri, size: info.size || 0, holders: [holder] },
+    }));
+    return { uri: fileUri, size: info.size || 0 };
+  }
+
+  if (!existing.holders.includes(holder)) {
+    await setFiles(files => ({
+      ...files,
+      [url]: { ...files[url], holders: [...files[url].holders, holder] },
+    }));
+  }
+  return { uri: existing.uri, size: existing.size };
+};
+
+/**
+ * Let go of downloaded images, deleting the files nobody else holds
+ * @param {string} holder - Holder passed to downloadImageFile
+ * @param {Array<string>|null} urls - Images to release; null for all of the holder's images
+ */
+export const releaseImageFiles = async (holder, urls = null) => {
+  await loadImageFiles();
+
+  const unused = [];
+  await setFiles(files => {
+    const next = {};
+    Object.keys(files).forEach(url => {
+      const file = files[url];
+      if (!file.holders.includes(holder) || (urls && !urls.includes(url))) {
+        next[url] = file;
+        return;
+      }
+
+      const holders = file.holders.filter(item => item !== holder);
+      if (holders.length > 0) {
+        next[url] = { ...file, holders };
+      } else {
+        unused.push(file.uri);
+      }
+    });
+    return next;
+  });
+
+  await Promise.all(unused.map(async (uri) => {
+    try {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+    } catch (error) {
+      log.warn('Could not delete a downloaded image', error);
+    }
+  }));
+};
+
+/**
+ * Get the images a holder keeps on the device
+ * @param {string} holder - Holder passed to downloadImageFile
+ * @returns {Array<string>} Server URLs
+ */
+export const getHeldImageUrls = (holder) =>
+  Object.keys(getFiles()).filter(url => getFiles()[url].holders.includes(holder));
+
+/**
+ * Get how much space a holder's images take up on the device
+ * @param {string} holder - Holder passed to downloadImageFile
+ * @returns {number} Size in bytes
+ */
+export const getHeldBytes = (holder) => getHeldImageUrls(holder)
+  .reduce((total, url) => total + (getFiles()[url].size || 0), 0);
+
+/**
+ * Format a file size for display, e.g. "4.2 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Readable size
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,237 @@
+// File: src/services/imaging/filters.js
+// Document filters for photos of notes and whiteboards. Each one takes decoded pixels
+// ({ width, height, data } with RGBA bytes) and returns new pixels, leaving its input alone.
+
+// Share of the darkest and brightest pixels ignored when stretching levels
+const LEVELS_CLIP = 0.005;
+
+// Size of the blocks the paper brightness is estimated from, in pixels
+const BACKGROUND_BLOCK = 24;
+
+const clampByte = (value) => (value < 0 ? 0 : value > 255 ? 255 : Math.round(value));
+
+const luminance = (data, offset) =>
+  0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+
+const copyPixels = ({ width, height, data }) => ({ width, height, data: new Uint8Array(data) });
+
+/**
+ * Remove the colour, keeping the brightness of every pixel
+ * @param {object} pixels - { width, height, data }
+ * @returns {object} Filtered pixels
+ */
+export const grayscale = (pixels) => {
+  const result = copyPixels(pixels);
+  const { data } = result;
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    const value = clampByte(luminance(data, offset));
+    data[offset] = value;
+    data[offset + 1] = value;
+    data[offset + 2] = value;
+  }
+  return result;
+};
+
+// Value below which the given share of the histogram lies
+const percentile = (histogram, total, share) => {
+  const target = total * share;
+  let count = 0;
+  for (let value = 0; value < 256; value += 1) {
+    count += histogram[value];
+    if (count > target) return value;
+  }
+  return 255;
+};
+
+/**
+ * Stretch every channel so its darkest tones become black and its brightest white
+ * A few extreme pixels are ignored, so a single reflection doesn't prevent the stretch.
+ * @param {object} pixels - { width, height, data }
+ * @returns {object} Filtered pixels
+ */
+export const autoLevels = (pixels) => {
+  const result = copyPixels(pixels);
+  const { data } = result;
+  const total = data.length / 4;
+
+  for (let channel = 0; channel < 3; channel += 1) {
+    const histogram = new Uint32Array(256);
+    for (let offset = channel; offset < data.length; offset += 4) {
+      histogram[data[offset]] += 1;
+    }
+
+    const low = percentile(histogram, total, LEVELS_CLIP);
+    const high = percentile(histogram, total, 1 - LEVELS_CLIP);
+    if (high <= low) continue;
+
+    const lookup = new Uint8Array(256);
+    for (let value = 0; value < 256; value += 1) {
+      lookup[value] = clampByte(((value - low) * 255) / (high - low));
+    }
+    for (let offset = channel; offset < data.length; offset += 4) {
+      data[offset] = lookup[data[offset]];
+    }
+  }
+  return result;
+};
+
+// Brightness of the paper around every pixel: the brightest tone of each block, smoothed
+// with its neighbours and interpolated between block centers
+const estimateBackground = ({ width, height, data }) => {
+  const columns = Math.ceil(width / BACKGROUND_BLOCK);
+  const rows = Math.ceil(height / BACKGROUND_BLOCK);
+  const blocks = new Float32Array(columns * rows);
+
+  // The 90th percentile of a block rather than its maximum, so specks of glare don't count
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      const histogram = new Uint32Array(256);
+      let count = 0;
+      const maxY = Math.min((row + 1) * BACKGROUND_BLOCK, height);
+      const maxX = Math.min((column + 1) * BACKGROUND_BLOCK, width);
+      for (let y = row * BACKGROUND_BLOCK; y < maxY; y += 1) {
+        for (let x = column * BACKGROUND_BLOCK; x < maxX; x += 1) {
+          histogram[clampByte(luminance(data, (y * width + x) * 4))] += 1;
+          count += 1;
+        }
+      }
+      blocks[row * columns + column] = percentile(histogram, count, 0.9);
+    }
+  }
+
+  // Blocks covered by writing are darker than the paper; take the brightest neighbour
+  const smoothed = new Float32Array(blocks.length);
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      let brightest = 0;
+      for (let dy = -1; dy <= 1; dy += 1) {
+        for (let dx = -1; dx <= 1; dx += 1) {
+          const neighbourRow = row + dy;
+          const neighbourColumn = column + dx;
+          if (neighbourRow < 0 || neighbourRow >= rows || neighbourColumn < 0 || neighbourColumn >= columns) continue;
+          brightest = Math.max(brightest, blocks[neighbourRow * columns + neighbourColumn]);
+        }
+      }
+      smoothed[row * columns + column] = brightest;
+    }
+  }
+
+  const background = new Float32Array(width * height);
+  for (let y = 0; y < height; y += 1) {
+    const blockY = Math.min(Math.max(y / BACKGROUND_BLOCK - 0.5, 0), rows - 1);
+    const row = Math.floor(blockY);
+    const nextRow = Math.min(row + 1, rows - 1);
+    const fy = blockY - row;
+
+    for (let x = 0; x < width; x += 1) {
+      const blockX = Math.min(Math.max(x / BACKGROUND_BLOCK - 0.5, 0), columns - 1);
+      const column = Math.floor(blockX);
+      const nextColumn = Math.min(column + 1, columns - 1);
+      const fx = blockX - column;
+
+      const top = smoothed[row * columns + column] * (1 - fx) + smoothed[row * columns + nextColumn] * fx;
+      const bottom = smoothed[nextRow * columns + column] * (1 - fx) + smoothed[nextRow * columns + nextColumn] * fx;
+      background[y * width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return background;
+};
+
+/**
+ * Even out shadows and uneven lighting, so the paper comes out white everywhere
+ * Every pixel is divided by the estimated brightness of the paper around it.
+ * @param {object} pixels - { width, height, data }
+ * @returns {object} Filtered pixels
+ */
+export const removeShadows = (pixels) => {
+  const result = copyPixels(pixels);
+  const { data } = result;
+  const background = estimateBackground(pixels);
+
+  for (let index = 0; index < background.length; index += 1) {
+    const scale = 255 / Math.max(background[index], 1);
+    const offset = index * 4;
+    data[offset] = clampByte(data[offset] * scale);
+    data[offset + 1] = clampByte(data[offset + 1] * scale);
+    data[offset + 2] = clampByte(data[offset + 2] * scale);
+  }
+  return result;
+};
+
+// Threshold that best separates the two groups of a histogram (Otsu's method)
+const otsuThreshold = (histogram, total) => {
+  let sum = 0;
+  for (let value = 0; value < 256; value += 1) {
+    sum += value * histogram[value];
+  }
+
+  let backgroundSum = 0;
+  let backgroundCount = 0;
+  let bestThreshold = 127;
+  let bestVariance = -1;
+
+  for (let value = 0; value < 256; value += 1) {
+    backgroundCount += histogram[value];
+    if (backgroundCount === 0) continue;
+    const foregroundCount = total - backgroundCount;
+    if (foregroundCount === 0) break;
+
+    backgroundSum += value * histogram[value];
+    const backgroundMean = backgroundSum / backgroundCount;
+    const foregroundMean = (sum - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestThreshold = value;
+    }
+  }
+  return bestThreshold;
+};
+
+/**
+ * Pure black ink on white paper, for the sharpest text
+ * The lighting is evened out first, so one threshold works for the whole page.
+ * @param {object} pixels - { width, height, data }
+ * @returns {object} Filtered pixels
+ */
+export const blackAndWhite = (pixels) => {
+  const result = grayscale(removeShadows(pixels));
+  const { data } = result;
+
+  const histogram = new Uint32Array(256);
+  for (let offset = 0; offset < data.length; offset += 4) {
+    histogram[data[offset]] += 1;
+  }
+  const threshold = otsuThreshold(histogram, data.length / 4);
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    const value = data[offset] > threshold ? 255 : 0;
+    data[offset] = value;
+    data[offset + 1] = value;
+    data[offset + 2] = value;
+  }
+  return result;
+};
+
+export const ORIGINAL_FILTER = 'original';
+
+/**
+ * Filters offered when capturing, in display order
+ * Original has no apply function, the photo is kept as it is.
+ */
+export const DOCUMENT_FILTERS = [
+  { id: ORIGINAL_FILTER, label: 'Original', apply: null },
+  { id: 'grayscale', label: 'Grayscale', apply: grayscale },
+  { id: 'black-and-white', label: 'B&W', apply: blackAndWhite },
+  { id: 'auto-levels', label: 'Auto Levels', apply: autoLevels },
+  { id: 'remove-shadows', label: 'No Shadows', apply: removeShadows },
+];
+
+/**
+ * Look up a filter by ID
+ * @param {string} filterId - Filter ID, e.g. "grayscale"
+ * @returns {object|null} The filter, or null for unknown IDs
+ */
+export const getDocumentFilter = (filterId) =>
+  DOCUMENT_FILTERS.find(filter => filter.id === filterId) || null;
@@ -0,0 +1,123 @@
+// File: src/services/imaging/index.js
+// Document filters, perspective correction and quality checks for image files: the file
+// is normalised to a JPEG with expo-image-manipulator, decoded, checked or changed in
+// JavaScript and encoded again.
+import * as ImageManipulator from 'expo-image-manipulator';
+import { decodeJpegFile, encodeJpegFile } from './jpeg';
+import { DOCUMENT_FILTERS, ORIGINAL_FILTER, getDocumentFilter } from './filters';
+import { getPaperSize, getOutputSize, isValidQuad, warpPerspective } from './perspective';
+import { QUALITY_ANALYSIS_WIDTH, analyzeQuality } from './quality';
+
+export { DOCUMENT_FILTERS, ORIGINAL_FILTER, getDocumentFilter } from './filters';
+export { PAPER_SIZES, getPaperSize, getInitialCorners, isValidQuad } from './perspective';
+export { QUALITY_ISSUES, describeQualityIssues } from './quality';
+
+// Width of the previews shown side by side
+const PREVIEW_WIDTH = 240;
+
+// Longest side a photo is scaled to before it is filtered; decoding a full resolution photo
+// takes several seconds and hundreds of megabytes in JavaScript
+const MAX_FILTER_SIDE = 2400;
+
+const FILTER_QUALITY = 90;
+
+// Decoding only understands JPEG; photos from the gallery may be PNG or HEIC
+const toJpeg = (uri, actions = []) => ImageManipulator.manipulateAsync(uri, actions, {
+  compress: 1,
+  format: ImageManipulator.SaveFormat.JPEG,
+});
+
+// Resize action that fits an image inside maxSide, none when it already fits or its size is unknown
+const fitWithin = ({ width, height }, maxSide) => (
+  !width || !height || Math.max(width, height) <= maxSide
+    ? []
+    : [{ resize: width >= height ? { width: maxSide } : { height: maxSide } }]
+);
+
+// Give the JavaScript thread a moment, so a spinner can show between heavy steps
+const yieldToUi = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const filterFile = async (uri, filter) => {
+  const pixels = await decodeJpegFile(uri);
+  await yieldToUi();
+  const filtered = filter.apply(pixels);
+  await yieldToUi();
+  return encodeJpegFile(filtered, FILTER_QUALITY);
+};
+
+/**
+ * Apply a document filter to an image file
+ * The result is always a JPEG, scaled down to MAX_FILTER_SIDE when the image is larger.
+ * @param {object} image - { uri, width, height } of a local image file
+ * @param {string} filterId - ID from DOCUMENT_FILTERS
+ * @returns {Promise<object>} { uri, width, height } of the filtered copy; the original for ORIGINAL_FILTER
+ */
+export const applyDocumentFilter = async (image, filterId) => {
+  const filter = getDocumentFilter(filterId);
+  if (!filter) {
+    throw new Error(`Unknown filter: ${filterId}`);
+  }
+
+  if (!filter.apply) {
+    return toJpeg(image.uri);
+  }
+  const source = await toJpeg(image.uri, fitWithin(image, MAX_FILTER_SIDE));
+  return filterFile(source.uri, filter);
+};
+
+/**
+ * Create a small preview of an image with every document filter
+ * @param {string} uri - Local image file
+ * @returns {Promise<Array<object>>} { id, label, uri } per filter, in DOCUMENT_FILTERS order
+ */
+export const createFilterPreviews = async (uri) => {
+  const source = await toJpeg(uri, [{ resize: { width: PREVIEW_WIDTH } }]);
+
+  const previews = [];
+  for (const filter of DOCUMENT_FILTERS) {
+    const preview = filter.apply ? await filterFile(source.uri, filter) : source;
+    previews.push({ id: filter.id, label: filter.label, uri: preview.uri });
+  }
+  return previews;
+};
+
+/**
+ * Flatten a page photographed at an angle onto a paper size
+ * Photos larger than MAX_FILTER_SIDE are scaled down first, like for filters.
+ * @param {object} image - { uri, width, height } of a local image file
+ * @param {Array<object>} corners - { x, y } of the page corners in image pixels, clockwise from the top left
+ * @param {string} paperSizeId - ID from PAPER_SIZES
+ * @returns {Promise<object>} { uri, width, height } of the corrected copy
+ */
+export const correctPerspective = async (image, corners, paperSizeId) => {
+  const paper = getPaperSize(paperSizeId);
+  if (!paper) {
+    throw new Error(`Unknown paper size: ${paperSizeId}`);
+  }
+  if (!isValidQuad(corners)) {
+    throw new Error('The corners do not outline a page');
+  }
+
+  const source = await toJpeg(image.uri, fitWithin(image, MAX_FILTER_SIDE));
+  // The corners were placed on the photo as it was, before scaling
+  const scale = image.width ? source.width / image.width : 1;
+  const scaledCorners = corners.map(({ x, y }) => ({ x: x * scale, y: y * scale }));
+
+  const pixels = await decodeJpegFile(source.uri);
+  await yieldToUi();
+  const corrected = warpPerspective(pixels, scaledCorners, getOutputSize(scaledCorners, paper));
+  await yieldToUi();
+  return encodeJpegFile(corrected, FILTER_QUALITY);
+};
+
+/**
+ * Check a photo for blur, darkness and glare
+ * @param {string} uri - Local image file
+ * @returns {Promise<object>} { sharpness, brightness, glare, issues } from analyzeQuality
+ */
+export const checkImageQuality = async (uri) => {
+  const scaled = await toJpeg(uri, [{ resize: { width: QUALITY_ANALYSIS_WIDTH } }]);
+  const pixels = await decodeJpegFile(scaled.uri);
+  await yieldToUi();
+  return analyzeQuality(pixels);
+};
@@ -0,0 +1,47 @@
+// File: src/services/imaging/jpeg.js
+// JPEG files to pixels and back, in JavaScript so filters can work on any device
+import * as FileSystem from 'expo-file-system';
+import jpeg from 'jpeg-js';
+import { Buffer } from 'buffer';
+
+// jpeg-js returns its output through the global Buffer, which React Native doesn't have
+if (typeof global.Buffer === 'undefined') {
+  global.Buffer = Buffer;
+}
+
+// Decoding a 12 megapixel photo takes about 50 MB
+const MAX_DECODE_MEMORY_MB = 256;
+
+let fileCounter = 0;
+
+/**
+ * Decode a JPEG file
+ * @param {string} uri - Local file URI
+ * @returns {Promise<object>} { width, height, data } with RGBA bytes
+ */
+export const decodeJpegFile = async (uri) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+  const { width, height, data } = jpeg.decode(Buffer.from(base64, 'base64'), {
+    useTArray: true,
+    formatAsRGBA: true,
+    maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB,
+  });
+  return { width, height, data };
+};
+
+/**
+ * Encode pixels into a new JPEG file in the cache directory
+ * @param {object} pixels - { width, height, data } with RGBA bytes
+ * @param {number} quality - JPEG quality, 1-100
+ * @returns {Promise<object>} { uri, width, height } of the written file
+ */
+export const encodeJpegFile = async (pixels, quality = 90) => {
+  const { data } = jpeg.encode(pixels, quality);
+
+  fileCounter += 1;
+  const uri = `${FileSystem.cacheDirectory}filtered-${Date.now()}-${fileCounter}.jpg`;
+  await FileSystem.writeAsStringAsync(uri, Buffer.from(data).toString('base64'), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return { uri, width: pixels.width, height: pixels.height };
+};
@@ -0,0 +1,195 @@
+// File: src/services/imaging/perspective.js
+// Perspective correction for pages photographed at an angle: the four corners of the page
+// in the photo are mapped onto a flat rectangle with the proportions of a paper size.
+
+// Longest side of a corrected page, in pixels
+const MAX_OUTPUT_SIDE = 2400;
+
+/**
+ * Paper sizes a page can be flattened to, portrait, in millimetres
+ * A page marked wider than tall is flattened to the landscape version.
+ */
+export const PAPER_SIZES = [
+  { id: 'a4', label: 'A4', width: 210, height: 297 },
+  { id: 'letter', label: 'Letter', width: 215.9, height: 279.4 },
+  { id: 'index-card', label: 'Index Card', width: 76.2, height: 127 },
+];
+
+/**
+ * Get a paper size by ID
+ * @param {string} id - Paper size ID
+ * @returns {object|undefined} Paper size
+ */
+export const getPaperSize = (id) => PAPER_SIZES.find(paper => paper.id === id);
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+/**
+ * Corners inset from the image edges, a starting point for the user to drag from
+ * @param {object} image - { width, height }
+ * @param {number} inset - Share of each side left out
+ * @returns {Array<object>} { x, y } for the top left, top right, bottom right and bottom left corner
+ */
+export const getInitialCorners = ({ width, height }, inset = 0.1) => [
+  { x: width * inset, y: height * inset },
+  { x: width * (1 - inset), y: height * inset },
+  { x: width * (1 - inset), y: height * (1 - inset) },
+  { x: width * inset, y: height * (1 - inset) },
+];
+
+/**
+ * Check that four corners, in order, outline a convex shape that can be flattened
+ * @param {Array<object>} corners - { x, y } for the top left, top right, bottom right and bottom left corner
+ * @returns {boolean} Whether the corners can be used
+ */
+export const isValidQuad = (corners) => {
+  let sign = 0;
+  for (let i = 0; i < 4; i += 1) {
+    const a = corners[i];
+    const b = corners[(i + 1) % 4];
+    const c = corners[(i + 2) % 4];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (cross === 0) return false;
+    if (sign === 0) {
+      sign = Math.sign(cross);
+    } else if (Math.sign(cross) !== sign) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Size of the flattened page: the paper's proportions, about as large as the page in the photo
+ * @param {Array<object>} corners - Corners of the page in the photo
+ * @param {object} paper - Paper size from PAPER_SIZES
+ * @returns {object} { width, height } in pixels
+ */
+export const getOutputSize = (corners, paper) => {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const measuredWidth = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+  const measuredHeight = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+
+  const landscape = measuredWidth > measuredHeight;
+  const paperWidth = landscape ? Math.max(paper.width, paper.height) : Math.min(paper.width, paper.height);
+  const paperHeight = landscape ? Math.min(paper.width, paper.height) : Math.max(paper.width, paper.height);
+
+  // The long side keeps the resolution the photo has; the short side follows the paper
+  const longSide = Math.min(Math.round(Math.max(measuredWidth, measuredHeight)), MAX_OUTPUT_SIDE);
+  const ratio = paperWidth / paperHeight;
+  return landscape
+    ? { width: longSide, height: Math.round(longSide / ratio) }
+    : { width: Math.round(longSide * ratio), height: longSide };
+};
+
+// Solve a linear system in place with Gaussian elimination
+const solve = (matrix, vector) => {
+  const size = vector.length;
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(matrix[pivot][column]) < 1e-12) {
+      throw new Error('The corners do not outline a page');
+    }
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+    [vector[column], vector[pivot]] = [vector[pivot], vector[column]];
+
+    for (let row = column + 1; row < size; row += 1) {
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let k = column; k < size; k += 1) {
+        matrix[row][k] -= factor * matrix[column][k];
+      }
+      vector[row] -= factor * vector[column];
+    }
+  }
+
+  const result = new Array(size);
+  for (let row = size - 1; row >= 0; row -= 1) {
+    let sum = vector[row];
+    for (let k = row + 1; k < size; k += 1) {
+      sum -= matrix[row][k] * result[k];
+    }
+    result[row] = sum / matrix[row][row];
+  }
+  return result;
+};
+
+/**
+ * Projective transform taking four points onto four others
+ * @param {Array<object>} from - Four { x, y } points
+ * @param {Array<object>} to - The four { x, y } points they map to
+ * @returns {Array<number>} The 3x3 matrix, row by row, with the last entry 1
+ */
+export const getHomography = (from, to) => {
+  const matrix = [];
+  const vector = [];
+  for (let i = 0; i < 4; i += 1) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    vector.push(u);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    vector.push(v);
+  }
+  return [...solve(matrix, vector), 1];
+};
+
+/**
+ * Flatten the page outlined by four corners onto a rectangle
+ * Every pixel of the result is looked up in the photo, blending the four nearest pixels.
+ * @param {object} pixels - { width, height, data } with RGBA bytes
+ * @param {Array<object>} corners - Corners of the page in the photo, clockwise from the top left
+ * @param {object} size - { width, height } of the result
+ * @returns {object} Flattened pixels
+ */
+export const warpPerspective = (pixels, corners, size) => {
+  const { width: sourceWidth, height: sourceHeight, data: source } = pixels;
+  const { width, height } = size;
+  const target = [
+    { x: 0, y: 0 },
+    { x: width - 1, y: 0 },
+    { x: width - 1, y: height - 1 },
+    { x: 0, y: height - 1 },
+  ];
+  const [a, b, c, d, e, f, g, h] = getHomography(target, corners);
+
+  const data = new Uint8Array(width * height * 4);
+  const maxX = sourceWidth - 1;
+  const maxY = sourceHeight - 1;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const w = g * x + h * y + 1;
+      let sx = (a * x + b * y + c) / w;
+      let sy = (d * x + e * y + f) / w;
+      sx = sx < 0 ? 0 : sx > maxX ? maxX : sx;
+      sy = sy < 0 ? 0 : sy > maxY ? maxY : sy;
+
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = x0 < maxX ? x0 + 1 : x0;
+      const y1 = y0 < maxY ? y0 + 1 : y0;
+      const fx = sx - x0;
+      const fy = sy - y0;
+
+      const topLeft = (y0 * sourceWidth + x0) * 4;
+      const topRight = (y0 * sourceWidth + x1) * 4;
+      const bottomLeft = (y1 * sourceWidth + x0) * 4;
+      const bottomRight = (y1 * sourceWidth + x1) * 4;
+      const offset = (y * width + x) * 4;
+
+      for (let channel = 0; channel < 3; channel += 1) {
+        const top = source[topLeft + channel] + (source[topRight + channel] - source[topLeft + channel]) * fx;
+        const bottom = source[bottomLeft + channel] + (source[bottomRight + channel] - source[bottomLeft + channel]) * fx;
+        data[offset + channel] = Math.round(top + (bottom - top) * fy);
+      }
+      data[offset + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+};
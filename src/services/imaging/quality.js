@@ -0,0 +1,125 @@
+// File: src/services/imaging/quality.js
+// Checks a photo for the problems that make notes unreadable later: blur, darkness and
+// glare. Works on decoded pixels ({ width, height, data } with RGBA bytes) scaled to
+// QUALITY_ANALYSIS_WIDTH, so the scores of photos from different cameras compare.
+
+/**
+ * Width photos are scaled to before they are checked, in pixels
+ */
+export const QUALITY_ANALYSIS_WIDTH = 640;
+
+// Laplacian variance below which edges are too soft to read
+const BLUR_THRESHOLD = 60;
+
+// Average brightness (0-255) below which a photo is too dark, and above which it is washed out
+const DARK_THRESHOLD = 70;
+const BRIGHT_THRESHOLD = 240;
+
+// Brightness from which a pixel counts as blown out, and the share of them that is glare
+const GLARE_LEVEL = 250;
+const GLARE_THRESHOLD = 0.04;
+
+export const QUALITY_ISSUES = {
+  BLURRY: 'blurry',
+  DARK: 'dark',
+  OVEREXPOSED: 'overexposed',
+  GLARE: 'glare',
+};
+
+// How each issue reads after "This photo"
+const ISSUE_DESCRIPTIONS = {
+  [QUALITY_ISSUES.BLURRY]: 'looks blurry',
+  [QUALITY_ISSUES.DARK]: 'looks too dark',
+  [QUALITY_ISSUES.OVEREXPOSED]: 'looks washed out',
+  [QUALITY_ISSUES.GLARE]: 'has glare',
+};
+
+const getLuminance = ({ width, height, data }) => {
+  const luminance = new Float32Array(width * height);
+  for (let i = 0, offset = 0; i < luminance.length; i += 1, offset += 4) {
+    luminance[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+  }
+  return luminance;
+};
+
+// Variance of the 4-neighbour Laplacian; sharp edges give large values
+const getSharpness = (luminance, width, height) => {
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const i = y * width + x;
+      const laplacian = luminance[i - width] + luminance[i + width] + luminance[i - 1] + luminance[i + 1]
+        - 4 * luminance[i];
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+      count += 1;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumOfSquares / count - mean * mean;
+};
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Score a photo's sharpness, exposure and glare
+ * @param {object} pixels - { width, height, data } with RGBA bytes
+ * @returns {object} { sharpness, brightness, glare, issues }; brightness is 0-255, glare the
+ * share of blown-out pixels and issues a list of QUALITY_ISSUES
+ */
+export const analyzeQuality = (pixels) => {
+  const { width, height } = pixels;
+  const luminance = getLuminance(pixels);
+
+  let total = 0;
+  let blownOut = 0;
+  for (let i = 0; i < luminance.length; i += 1) {
+    total += luminance[i];
+    if (luminance[i] >= GLARE_LEVEL) {
+      blownOut += 1;
+    }
+  }
+
+  const brightness = luminance.length > 0 ? total / luminance.length : 0;
+  const glare = luminance.length > 0 ? blownOut / luminance.length : 0;
+  const sharpness = getSharpness(luminance, width, height);
+
+  const issues = [];
+  if (sharpness < BLUR_THRESHOLD) {
+    issues.push(QUALITY_ISSUES.BLURRY);
+  }
+  if (brightness < DARK_THRESHOLD) {
+    issues.push(QUALITY_ISSUES.DARK);
+  } else if (brightness > BRIGHT_THRESHOLD) {
+    issues.push(QUALITY_ISSUES.OVEREXPOSED);
+  } else if (glare > GLARE_THRESHOLD) {
+    // A washed-out photo is blown out all over, which isn't glare
+    issues.push(QUALITY_ISSUES.GLARE);
+  }
+
+  return {
+    sharpness: round(sharpness, 1),
+    brightness: round(brightness, 1),
+    glare: round(glare, 4),
+    issues,
+  };
+};
+
+/**
+ * Describe a photo's problems for a warning
+ * @param {Array<string>} issues - QUALITY_ISSUES found by analyzeQuality
+ * @returns {string} E.g. "looks blurry and has glare"; empty without issues
+ */
+export const describeQualityIssues = (issues = []) => {
+  const descriptions = issues.map(issue => ISSUE_DESCRIPTIONS[issue]).filter(Boolean);
+  if (descriptions.length <= 1) return descriptions.join('');
+  return `${descriptions.slice(0, -1).join(', ')} and ${descriptions[descriptions.length - 1]}`;
+};
@@ -0,0 +1,223 @@
+// File: src/services/logger.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const LOGS_KEY = 'debugLogs';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Entries kept in memory, and the part of them that survives a restart
+const BUFFER_SIZE = 300;
+const PERSISTED_ENTRIES = 100;
+const PERSIST_DELAY = 2000;
+
+// Limits that keep a single entry small
+const MAX_DEPTH = 4;
+const MAX_ARRAY_ITEMS = 10;
+const MAX_STRING_LENGTH = 500;
+
+const REDACTED = '[redacted]';
+const SENSITIVE_KEY_PATTERN = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+const BEARER_PATTERN = /Bearer\s+[\w\-.~+/]+=*/gi;
+const TOKEN_PARAM_PATTERN = /([?&](?:token|access_token)=)[^&\s]+/gi;
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'info',
+  warn: 'warn',
+  error: 'error',
+};
+
+// Production builds only keep what's needed for a bug report
+let minLevel = __DEV__ ? 'debug' : 'warn';
+let buffer = [];
+let persistTimer = null;
+
+const levelRank = (level) => LOG_LEVELS.indexOf(level);
+
+/**
+ * Set the lowest level that is printed and kept in the buffer
+ * @param {string} level - One of LOG_LEVELS
+ */
+export const setLogLevel = (level) => {
+  if (levelRank(level) !== -1) {
+    minLevel = level;
+  }
+};
+
+/**
+ * Get the lowest level that is printed and kept in the buffer
+ * @returns {string} One of LOG_LEVELS
+ */
+export const getLogLevel = () => minLevel;
+
+const redactString = (value) => {
+  const redacted = value
+    .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+    .replace(TOKEN_PARAM_PATTERN, `$1${REDACTED}`)
+    .replace(EMAIL_PATTERN, '[email]');
+
+  return redacted.length > MAX_STRING_LENGTH
+    ? `${redacted.slice(0, MAX_STRING_LENGTH)}… (${redacted.length} chars)`
+    : redacted;
+};
+
+const redactValue = (value, depth, seen) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Error) {
+    // ApiError details (see ./api/errors.js) are enough to trace a failure
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.status ? { status: value.status } : {}),
+      ...(value.url ? { url: redactString(value.url) } : {}),
+    };
+  }
+  if (typeof FormData !== 'undefined' && value instanceof FormData) {
+    return '[FormData]';
+  }
+  if (seen.has(value)) {
+    return '[circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? `[array(${value.length})]` : '[object]';
+  }
+
+  // Only ancestors are tracked, the same object may appear twice side by side
+  seen.add(value);
+  let result;
+
+  if (Array.isArray(value)) {
+    result = value.slice(0, MAX_ARRAY_ITEMS).map(item => redactValue(item, depth + 1, seen));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      result.push(`… ${value.length - MAX_ARRAY_ITEMS} more`);
+    }
+  } else {
+    result = Object.keys(value).reduce((copy, key) => {
+      copy[key] = SENSITIVE_KEY_PATTERN.test(key)
+        ? REDACTED
+        : redactValue(value[key], depth + 1, seen);
+      return copy;
+    }, {});
+  }
+
+  seen.delete(value);
+  return result;
+};
+
+/**
+ * Remove bearer tokens, passwords and email addresses from a value before it is logged
+ * Large values are trimmed so the buffer stays small.
+ * @param {*} value - Message, object, array or error
+ * @returns {*} A redacted copy
+ */
+export const redact = (value) => redactValue(value, 0, new WeakSet());
+
+const persistSoon = () => {
+  if (persistTimer) return;
+
+  persistTimer = setTimeout(async () => {
+    persistTimer = null;
+    try {
+      await AsyncStorage.setItem(LOGS_KEY, JSON.stringify(buffer.slice(-PERSISTED_ENTRIES)));
+    } catch (error) {
+      // Logging the failure would schedule another write
+      console.warn('Error saving debug logs:', error);
+    }
+  }, PERSIST_DELAY);
+};
+
+const writeEntry = (level, tag, message, data) => {
+  if (levelRank(level) < levelRank(minLevel)) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    tag,
+    message: redactString(String(message)),
+  };
+  if (data !== undefined) {
+    entry.data = redact(data);
+  }
+
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer = buffer.slice(-BUFFER_SIZE);
+  }
+  persistSoon();
+
+  const prefix = `[${tag}] ${entry.message}`;
+  if (entry.data !== undefined) {
+    console[CONSOLE_METHODS[level]](prefix, entry.data);
+  } else {
+    console[CONSOLE_METHODS[level]](prefix);
+  }
+};
+
+/**
+ * Create a logger whose entries are tagged with a module name
+ * @param {string} tag - Module name shown with every entry, e.g. "api"
+ * @returns {object} { debug, info, warn, error }, each taking (message, data)
+ */
+export const createLogger = (tag) => ({
+  debug: (message, data) => writeEntry('debug', tag, message, data),
+  info: (message, data) => writeEntry('info', tag, message, data),
+  warn: (message, data) => writeEntry('warn', tag, message, data),
+  error: (message, data) => writeEntry('error', tag, message, data),
+});
+
+/**
+ * Load the entries saved by the previous session in front of the current ones
+ * Call once at startup, so a crash report still has what led up to the crash.
+ */
+export const restoreLogs = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(LOGS_KEY);
+    const entries = stored ? JSON.parse(stored) : [];
+    if (Array.isArray(entries) && entries.length > 0) {
+      buffer = [...entries, ...buffer].slice(-BUFFER_SIZE);
+    }
+  } catch (error) {
+    console.warn('Error loading debug logs:', error);
+  }
+};
+
+/**
+ * Get a copy of the buffered entries, oldest first
+ * @returns {Array} Entries: { time, level, tag, message, data? }
+ */
+export const getLogEntries = () => [...buffer];
+
+/**
+ * Empty the buffer and the saved entries
+ */
+export const clearLogs = async () => {
+  buffer = [];
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  await AsyncStorage.removeItem(LOGS_KEY);
+};
+
+/**
+ * Format the buffered entries as plain text for a bug report
+ * @returns {string} One line per entry
+ */
+export const formatLogs = () =>
+  buffer
+    .map(({ time, level, tag, message, data }) => {
+      const line = `${time} ${level.toUpperCase().padEnd(5)} [${tag}] ${message}`;
+      return data !== undefined ? `${line} ${JSON.stringify(data)}` : line;
+    })
+    .join('\n');
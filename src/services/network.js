@@ -0,0 +1,137 @@
+// File: src/services/network.js
+import { AppState } from 'react-native';
+import * as Network from 'expo-network';
+import { isMockBaseUrl } from './api/mock';
+
+const DEFAULT_TIMEOUT = 5000; // 5 seconds
+
+// fetch with an abort-based timeout
+const timedFetch = async (url, method, timeout) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const startTime = Date.now();
+    const response = await fetch(url, { method, signal: controller.signal });
+    return { response, duration: Date.now() - startTime };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Check whether a server answers at the given URL
+ * Tries a lightweight HEAD request first and falls back to GET.
+ * @param {string} url - The URL to ping
+ * @param {object} options - Options ({ timeout } in ms)
+ * @returns {Promise<object>} Ping result; `reachable` is true when the server sent any response
+ */
+export const pingServer = async (url, { timeout = DEFAULT_TIMEOUT } = {}) => {
+  // The mock backend runs inside the app, so it always answers
+  if (isMockBaseUrl(url)) {
+    return {
+      success: true,
+      reachable: true,
+      statusCode: 200,
+      statusText: 'OK',
+      duration: 0,
+      method: 'MOCK',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  let result;
+
+  try {
+    try {
+      result = { ...(await timedFetch(url, 'HEAD', timeout)), method: 'HEAD' };
+    } catch (headError) {
+      // Some servers reject HEAD, so try a GET request before giving up
+      result = { ...(await timedFetch(url, 'GET', timeout)), method: 'GET' };
+    }
+  } catch (err) {
+    return {
+      success: false,
+      reachable: false,
+      error: err.message,
+      isTimeout: err.name === 'AbortError',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  const { response, duration, method } = result;
+
+  return {
+    success: response.ok,
+    reachable: true,
+    statusCode: response.status,
+    statusText: response.statusText,
+    duration,
+    method,
+    timestamp: new Date().toISOString(),
+  };
+};
+
+// isInternetReachable is null while the OS is still checking
+const isUsable = (state) => !!state.isConnected && state.isInternetReachable !== false;
+
+const toNetworkState = (state) => ({
+  type: state.type || null,
+  isConnected: !!state.isConnected,
+  isInternetReachable: state.isInternetReachable ?? null,
+});
+
+/**
+ * Read the device's network state
+ * @returns {Promise<object>} { type, isConnected, isInternetReachable }; isInternetReachable
+ * is null while the OS is still checking
+ */
+export const getNetworkState = async () => toNetworkState(await Network.getNetworkStateAsync());
+
+/**
+ * Call a function every time the device's network state changes
+ * @param {Function} listener - Called with { type, isConnected, isInternetReachable }
+ * @returns {Function} Unsubscribe function
+ */
+export const addNetworkStateListener = (listener) => {
+  const subscription = Network.addNetworkStateListener(state => listener(toNetworkState(state)));
+  return () => subscription.remove();
+};
+
+/**
+ * Check whether the device has a connection that can reach the internet
+ * @returns {Promise<boolean>} Whether requests are worth sending
+ */
+export const isOnline = async () => {
+  try {
+    return isUsable(await Network.getNetworkStateAsync());
+  } catch (error) {
+    // Let the request find out
+    return true;
+  }
+};
+
+/**
+ * Call a function every time the device (re)connects
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export const addOnlineListener = (listener) => addNetworkStateListener(state => {
+  if (isUsable(state)) {
+    listener();
+  }
+});
+
+/**
+ * Call a function every time the app comes back to the foreground
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export const addForegroundListener = (listener) => {
+  const subscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      listener();
+    }
+  });
+  return () => subscription.remove();
+};
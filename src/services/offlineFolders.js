@@ -0,0 +1,327 @@
+// File: src/services/offlineFolders.js
+// Folders made available offline. Every image of a pinned folder is downloaded to the
+// device and loads from there (see getFullImagePath). Pinned folders are synced again
+// when the device comes online and whenever their images change, so added images are
+// downloaded and the files of removed ones deleted.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { create } from 'zustand';
+import * as imageApi from './api/images';
+import { BASE_URL } from './api/client';
+import { NetworkError, getErrorMessage } from './api/errors';
+import { addCacheListener } from './api/httpCache';
+import {
+  downloadImageFile,
+  releaseImageFiles,
+  getHeldImageUrls,
+  getHeldBytes,
+  getLocalImageUri,
+  loadImageFiles,
+} from './imageFileCache';
+import { isOnline, addOnlineListener } from './network';
+import { createLogger } from './logger';
+
+const log = createLogger('offline-folders');
+
+const STORAGE_KEY = 'offlineFolders';
+
+// Images requested per page while listing a folder
+const PAGE_SIZE = 50;
+
+// Mutations often come in bursts, e.g. several uploads finishing
+const SYNC_DELAY = 2000;
+
+export const PIN_STATUS = {
+  DOWNLOADING: 'downloading',
+  READY: 'ready',
+  WAITING: 'waiting', // Offline, continues once the device is back online
+  ERROR: 'error',
+};
+
+/**
+ * Pinned folders by pin key
+ * Each entry: { key, owner, folderId, name, status, total, downloaded, failed, bytes,
+ *               error, pinnedAt, syncedAt }
+ */
+export const useOfflineFoldersStore = create(() => ({ folders: {}, loaded: false }));
+
+// "<server>#<user id>" of the signed in user; only their folders are synced
+let owner = null;
+let syncing = false;
+let syncAgain = false;
+let syncTimeout = null;
+let removeOnlineListener = null;
+
+const getPins = () => useOfflineFoldersStore.getState().folders;
+
+/**
+ * Get the key of a folder's pin for the signed in user
+ * @param {number} folderId - Folder ID
+ * @returns {string} Pin key, also used as the holder of its downloaded files
+ */
+export const getPinKey = (folderId) => `${owner}#folder-${folderId}`;
+
+const savePins = async () => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(getPins()));
+  } catch (error) {
+    log.error('Could not save the offline folders', error);
+  }
+};
+
+const setPins = (updater) => {
+  useOfflineFoldersStore.setState(state => ({ folders: updater(state.folders) }));
+  return savePins();
+};
+
+const updatePin = (key, changes) => setPins(folders => (
+  folders[key] ? { ...folders, [key]: { ...folders[key], ...changes } } : folders
+));
+
+const loadPins = async () => {
+  if (useOfflineFoldersStore.getState().loaded) return;
+
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    useOfflineFoldersStore.setState({ folders: stored ? JSON.parse(stored) : {}, loaded: true });
+  } catch (error) {
+    log.error('Could not load the offline folders', error);
+    useOfflineFoldersStore.setState({ loaded: true });
+  }
+};
+
+// Images embedded by the mock backend or taken on the device need no download
+const isRemote = (url) => typeof url === 'string' && /^https?:\/\//.test(url);
+
+const fetchAllImages = async (folderId) => {
+  const images = [];
+  let page = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    const result = await imageApi.getFolderImages(folderId, page, 'date_desc', PAGE_SIZE, { httpCache: false });
+    images.push(...result.items);
+    hasMore = result.meta.hasMore;
+    page += 1;
+  }
+  return images;
+};
+
+const syncFolder = async (key) => {
+  const pin = getPins()[key];
+  if (!pin) return;
+
+  await updatePin(key, { status: PIN_STATUS.DOWNLOADING, error: null });
+
+  let urls;
+  try {
+    urls = (await fetchAllImages(pin.folderId)).map(image => image.path).filter(isRemote);
+  } catch (error) {
+    const offline = error instanceof NetworkError;
+    await updatePin(key, {
+      status: offline ? PIN_STATUS.WAITING : PIN_STATUS.ERROR,
+      error: offline ? null : getErrorMessage(error, 'Could not list the images in this folder.'),
+    });
+    return;
+  }
+
+  // Images deleted or moved out of the folder since the last sync
+  const removed = getHeldImageUrls(key).filter(url => !urls.includes(url));
+  if (removed.length > 0) {
+    await releaseImageFiles(key, removed);
+  }
+
+  const held = getHeldImageUrls(key);
+  let downloaded = urls.filter(url => held.includes(url)).length;
+  let failed = 0;
+  await updatePin(key, { total: urls.length, downloaded, failed, bytes: getHeldBytes(key) });
+
+  for (const url of urls) {
+    if (held.includes(url)) continue;
+
+    // Unpinned while downloading
+    if (!getPins()[key] || !owner) {
+      await releaseImageFiles(key);
+      return;
+    }
+
+    try {
+      await downloadImageFile(url, key);
+      downloaded += 1;
+    } catch (error) {
+      if (error instanceof NetworkError || !(await isOnline())) {
+        await updatePin(key, { status: PIN_STATUS.WAITING, downloaded, bytes: getHeldBytes(key) });
+        return;
+      }
+      log.warn(`Could not download ${url}`, error);
+      failed += 1;
+    }
+    await updatePin(key, { downloaded, failed, bytes: getHeldBytes(key) });
+  }
+
+  if (!getPins()[key]) {
+    await releaseImageFiles(key);
+    return;
+  }
+
+  await updatePin(key, {
+    status: failed > 0 ? PIN_STATUS.ERROR : PIN_STATUS.READY,
+    error: failed > 0 ? `${failed} image${failed === 1 ? '' : 's'} could not be downloaded.` : null,
+    syncedAt: Date.now(),
+  });
+};
+
+/**
+ * Bring every pinned folder of the signed in user up to date, one at a time
+ * Safe to call at any time, a call made while syncing starts another pass afterwards.
+ */
+export const syncOfflineFolders = async () => {
+  if (!owner) return;
+  if (syncing) {
+    syncAgain = true;
+    return;
+  }
+  syncing = true;
+  syncAgain = false;
+
+  try {
+    await loadPins();
+    if (!(await isOnline())) return;
+
+    const keys = Object.keys(getPins()).filter(key => getPins()[key].owner === owner);
+    for (const key of keys) {
+      if (!owner) break;
+      await syncFolder(key);
+    }
+  } catch (error) {
+    log.error('Syncing offline folders failed', error);
+  } finally {
+    syncing = false;
+    if (syncAgain) {
+      syncOfflineFolders();
+    }
+  }
+};
+
+const scheduleSync = () => {
+  clearTimeout(syncTimeout);
+  syncTimeout = setTimeout(syncOfflineFolders, SYNC_DELAY);
+};
+
+/**
+ * Keep a folder's images on the device
+ * @param {object} folder - Folder to pin
+ */
+export const pinFolder = async (folder) => {
+  if (!owner) {
+    throw new Error('Log in before making folders available offline');
+  }
+  await loadPins();
+
+  const key = getPinKey(folder.id);
+  if (!getPins()[key]) {
+    await setPins(folders => ({
+      ...folders,
+      [key]: {
+        key,
+        owner,
+        folderId: folder.id,
+        name: folder.name,
+        status: PIN_STATUS.WAITING,
+        total: folder.images_count || 0,
+        downloaded: 0,
+        failed: 0,
+        bytes: 0,
+        error: null,
+        pinnedAt: Date.now(),
+        syncedAt: null,
+      },
+    }));
+    log.info(`Pinned folder ${folder.id}`);
+  }
+
+  syncOfflineFolders();
+};
+
+/**
+ * Stop keeping a folder on the device and delete its downloaded images
+ * @param {number} folderId - Folder ID
+ */
+export const unpinFolder = async (folderId) => {
+  const key = getPinKey(folderId);
+  await setPins(folders => {
+    const { [key]: removed, ...rest } = folders;
+    return rest;
+  });
+  // A download still running for the folder releases its files when it notices
+  await releaseImageFiles(key);
+  log.info(`Unpinned folder ${folderId}`);
+};
+
+/**
+ * Remove every pinned folder of the signed in user, e.g. on logout
+ */
+export const clearOfflineFolders = async () => {
+  if (!owner) return;
+  await loadPins();
+
+  const keys = Object.keys(getPins()).filter(key => getPins()[key].owner === owner);
+  await setPins(folders => {
+    const rest = { ...folders };
+    keys.forEach(key => delete rest[key]);
+    return rest;
+  });
+  await Promise.all(keys.map(key => releaseImageFiles(key)));
+};
+
+/**
+ * Check whether an image is shown from a downloaded copy
+ * @param {object} image - Image model
+ * @returns {boolean} Whether the file is on the device
+ */
+export const isImageAvailableOffline = (image) => !!getLocalImageUri(image?.path);
+
+/**
+ * Check whether a pin belongs to the signed in user
+ * @param {object} pin - Pinned folder entry
+ * @returns {boolean} Whether the current session owns it
+ */
+export const isOwnPin = (pin) => pin.owner === owner;
+
+/**
+ * Start syncing the signed in user's pinned folders, now and whenever the device comes online
+ * @param {object} user - Signed in user
+ * @returns {Function} Stops syncing; downloaded images are kept
+ */
+export const startOfflineFolders = (user) => {
+  stopOfflineFolders();
+  owner = `${BASE_URL}#${user.id}`;
+  // Downloaded images are shown offline too, where syncing stops before it reads the index
+  loadImageFiles();
+  removeOnlineListener = addOnlineListener(syncOfflineFolders);
+  syncOfflineFolders();
+  return stopOfflineFolders;
+};
+
+/**
+ * Stop syncing pinned folders until startOfflineFolders is called again
+ */
+export const stopOfflineFolders = () => {
+  owner = null;
+  clearTimeout(syncTimeout);
+  syncTimeout = null;
+  if (removeOnlineListener) {
+    removeOnlineListener();
+    removeOnlineListener = null;
+  }
+};
+
+// Images added, deleted or moved may belong to a pinned folder
+addCacheListener({
+  onInvalidate: (resources) => {
+    if (!owner) return;
+    if (!resources || resources.includes('images') || resources.includes('folders')) {
+      scheduleSync();
+    }
+  },
+  onClear: () => {},
+});
@@ -0,0 +1,141 @@
+// File: src/services/offlineLibrary.js
+// Keeps the user's folders, image records, favorites and trash on the device, so the library
+// can be browsed without a connection. Screens read the restored copy first and refresh it
+// in the background (see hydrateQueries in ./queryCache.js).
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BASE_URL } from './api/client';
+import { addCacheListener } from './api/httpCache';
+import { useQueryStore, hydrateQueries, getResource } from './queryCache';
+import { createLogger } from './logger';
+
+const log = createLogger('library');
+
+const STORAGE_KEY = 'offlineLibrary';
+
+// Query resources that make up the library, see services/api/queries.js
+const LIBRARY_RESOURCES = ['folders', 'images', 'trash'];
+
+// Most recently synced queries kept, so the stored copy stays small
+const MAX_QUERIES = 200;
+
+// Saving waits for a quiet moment, a screen often updates several queries at once
+const SAVE_DELAY = 2000;
+
+// "<server>#<user id>" of the open library; nothing is saved while it is null
+let scope = null;
+let unsubscribe = null;
+let saveTimeout = null;
+
+const getScope = (user) => `${BASE_URL}#${user.id}`;
+
+// Record fields models.js turns into Date objects; JSON stores them as ISO strings
+const DATE_FIELDS = ['created_at', 'updated_at', 'deleted_at'];
+
+const reviveDates = (key, value) => (
+  DATE_FIELDS.includes(key) && typeof value === 'string' ? new Date(value) : value
+);
+
+const readLibrary = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored, reviveDates) : null;
+  } catch (error) {
+    log.warn('Could not read the offline library', error);
+    return null;
+  }
+};
+
+const collectQueries = (queries) => Object.keys(queries)
+  .filter(key => {
+    const query = queries[key];
+    return query.status === 'success' && query.data !== undefined &&
+      LIBRARY_RESOURCES.includes(getResource(key));
+  })
+  .sort((a, b) => (queries[b].updatedAt || 0) - (queries[a].updatedAt || 0))
+  .slice(0, MAX_QUERIES)
+  .reduce((entries, key) => {
+    entries[key] = { data: queries[key].data, updatedAt: queries[key].updatedAt };
+    return entries;
+  }, {});
+
+const saveLibrary = async (user) => {
+  saveTimeout = null;
+  if (!scope) return;
+
+  const library = {
+    scope,
+    user,
+    savedAt: Date.now(),
+    queries: collectQueries(useQueryStore.getState().queries),
+  };
+
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+  } catch (error) {
+    log.warn('Could not save the offline library', error);
+  }
+};
+
+const stopSaving = () => {
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  scope = null;
+};
+
+/**
+ * Restore the user's library from the device and keep saving it as screens sync
+ * Libraries saved for another server or account are not restored.
+ * @param {object} user - Signed in user
+ */
+export const openLibrary = async (user) => {
+  stopSaving();
+
+  const library = await readLibrary();
+  const nextScope = getScope(user);
+
+  if (library?.scope === nextScope) {
+    hydrateQueries(library.queries || {});
+    log.info(`Restored ${Object.keys(library.queries || {}).length} library queries`);
+  }
+
+  scope = nextScope;
+  unsubscribe = useQueryStore.subscribe(() => {
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(() => saveLibrary(user), SAVE_DELAY);
+  });
+};
+
+/**
+ * Get the user the stored library belongs to, for starting the app without a connection
+ * @returns {Promise<object|null>} User, if the library was saved for the current server
+ */
+export const getOfflineUser = async () => {
+  const library = await readLibrary();
+  if (!library?.user || library.scope !== getScope(library.user)) {
+    return null;
+  }
+  return library.user;
+};
+
+/**
+ * Delete the stored library, e.g. on logout
+ */
+export const clearOfflineLibrary = async () => {
+  stopSaving();
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    log.warn('Could not delete the offline library', error);
+  }
+};
+
+// Switching servers or losing the session empties the query cache; stop saving before
+// the empty cache overwrites the stored copy. Logging back in reopens the library.
+addCacheListener({
+  onInvalidate: () => {},
+  onClear: stopSaving,
+});
@@ -0,0 +1,429 @@
+// File: src/services/outbox.js
+// Outbox for library changes: renames, favorites, moving to trash and restoring.
+// A change shows up in every cached list right away. If the server can't be reached it is
+// saved and replayed in order once the device is back online. Replayed changes are checked
+// against the server's updated_at first; the ones that can't be applied become conflicts
+// for the user to resolve.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { create } from 'zustand';
+import * as folderApi from './api/folders';
+import * as imageApi from './api/images';
+import { BASE_URL } from './api/client';
+import { ApiError, NotFoundError, UnauthorizedError, getErrorMessage } from './api/errors';
+import { createIdempotencyKey } from './api/retry';
+import * as queries from './api/queries';
+import { mapQueryData, invalidateQueries, getResource } from './queryCache';
+import { isOnline, addOnlineListener } from './network';
+import { createLogger } from './logger';
+
+const log = createLogger('outbox');
+
+const STORAGE_KEY = 'mutationOutbox';
+
+// Server unreachable although the device is online, e.g. the server is down
+const RETRY_DELAY = 30000;
+
+// No connection, a timeout, a 5xx or rate limiting: the same request may go through later
+const isTemporaryError = (error) => error instanceof ApiError && error.isRetryable;
+
+// Cached queries that show folders and images
+const LIBRARY_RESOURCES = ['folders', 'images', 'trash'];
+
+export const MUTATION_TYPES = {
+  UPDATE: 'update',
+  FAVORITE: 'favorite',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+};
+
+const RECORD_APIS = {
+  folder: {
+    get: folderApi.getFolder,
+    update: folderApi.updateFolder,
+    toggleFavorite: folderApi.toggleFavoriteFolder,
+    remove: folderApi.deleteFolder,
+    restore: folderApi.restoreFolder,
+  },
+  image: {
+    get: imageApi.getImage,
+    update: imageApi.updateImage,
+    toggleFavorite: imageApi.toggleFavoriteImage,
+    remove: imageApi.deleteImage,
+    restore: imageApi.restoreImage,
+  },
+};
+
+/**
+ * Changes waiting for the server, oldest first, and changes that could not be applied
+ * Entry: { id, owner, type, recordType, recordId, label, changes, base, baseUpdatedAt,
+ *          deferred, force, createdAt }
+ * Conflict: { id, entry, reason, fields, serverRecord, createdAt }
+ */
+export const useOutboxStore = create(() => ({ entries: [], conflicts: [], loaded: false }));
+
+// "<server>#<user id>" of the signed in user; only their changes are replayed
+let owner = null;
+let processing = false;
+// Set when processOutbox is called mid-run, e.g. by the device coming back online
+let processAgain = false;
+let retryTimeout = null;
+let removeOnlineListener = null;
+
+const getEntries = () => useOutboxStore.getState().entries;
+
+const saveOutbox = async () => {
+  const { entries, conflicts } = useOutboxStore.getState();
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ entries, conflicts }));
+  } catch (error) {
+    log.error('Could not save the outbox', error);
+  }
+};
+
+const updateOutbox = (updater) => {
+  useOutboxStore.setState(state => updater(state));
+  return saveOutbox();
+};
+
+/**
+ * Load the changes saved by an earlier session
+ */
+export const loadOutbox = async () => {
+  if (useOutboxStore.getState().loaded) return;
+
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    const { entries = [], conflicts = [] } = stored ? JSON.parse(stored) : {};
+    useOutboxStore.setState({ entries, conflicts, loaded: true });
+  } catch (error) {
+    log.error('Could not load the outbox', error);
+    useOutboxStore.setState({ loaded: true });
+  }
+};
+
+// Dates are Date objects fresh from the API but strings once restored from storage
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+const isSameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return toTime(a) === toTime(b);
+  return (a ?? null) === (b ?? null);
+};
+
+const pick = (record, fields) => fields.reduce((values, field) => {
+  values[field] = record[field] ?? null;
+  return values;
+}, {});
+
+// Show the change in every cached list and record that contains the item
+const applyLocally = (entry, record) => {
+  const favoritesKey = queries.favoriteFolders().key;
+
+  mapQueryData((data, key) => {
+    if (queries.getRecordType(key) !== entry.recordType) return data;
+    const inTrash = getResource(key) === 'trash';
+    const matches = item => item.id === entry.recordId;
+
+    if (!Array.isArray(data?.items)) {
+      const isChange = entry.type === MUTATION_TYPES.UPDATE || entry.type === MUTATION_TYPES.FAVORITE;
+      return !inTrash && isChange && data?.id === entry.recordId ? { ...data, ...entry.changes } : data;
+    }
+
+    let items = data.items;
+    switch (entry.type) {
+      case MUTATION_TYPES.UPDATE:
+        items = items.map(item => (matches(item) ? { ...item, ...entry.changes } : item));
+        break;
+      case MUTATION_TYPES.FAVORITE:
+        items = items.map(item => (matches(item) ? { ...item, ...entry.changes } : item));
+        if (key === favoritesKey && !entry.changes.is_favorite) {
+          items = items.filter(item => !matches(item));
+        }
+        break;
+      case MUTATION_TYPES.DELETE:
+        if (!inTrash) {
+          items = items.filter(item => !matches(item));
+        } else if (record && !items.some(matches)) {
+          items = [{ ...record, deleted_at: new Date() }, ...items];
+        }
+        break;
+      case MUTATION_TYPES.RESTORE:
+        if (inTrash) {
+          items = items.filter(item => !matches(item));
+        }
+        break;
+      default:
+        break;
+    }
+    return items === data.items ? data : { ...data, items };
+  });
+};
+
+// Throw away local changes that didn't make it, the next refetch shows the server's version
+const revertLocalChanges = () => invalidateQueries(LIBRARY_RESOURCES);
+
+const sendEntry = (entry) => {
+  const api = RECORD_APIS[entry.recordType];
+  switch (entry.type) {
+    case MUTATION_TYPES.UPDATE:
+      return api.update(entry.recordId, entry.changes);
+    case MUTATION_TYPES.FAVORITE:
+      return api.toggleFavorite(entry.recordId);
+    case MUTATION_TYPES.DELETE:
+      return api.remove(entry.recordId);
+    case MUTATION_TYPES.RESTORE:
+      return api.restore(entry.recordId);
+    default:
+      throw new Error(`Unknown change type: ${entry.type}`);
+  }
+};
+
+/**
+ * Compare a change made offline with the server's current version of the item
+ * @returns {Promise<object>} { action: 'send' | 'skip' | 'conflict', reason, fields, serverRecord }
+ */
+const checkEntry = async (entry) => {
+  // Trashed items can't be fetched, and restoring twice does no harm
+  if (entry.type === MUTATION_TYPES.RESTORE) return { action: 'send' };
+
+  let serverRecord;
+  try {
+    serverRecord = await RECORD_APIS[entry.recordType].get(entry.recordId, { httpCache: false });
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+
+    // Already in the trash or gone: nothing left to delete
+    if (entry.type === MUTATION_TYPES.DELETE) return { action: 'skip' };
+    return { action: 'conflict', reason: 'It was deleted on another device.' };
+  }
+
+  // The favorite endpoint toggles, so only call it if the server isn't already there
+  if (entry.type === MUTATION_TYPES.FAVORITE) {
+    return { action: serverRecord.is_favorite === entry.changes.is_favorite ? 'skip' : 'send' };
+  }
+
+  if (isSameValue(serverRecord.updated_at, entry.baseUpdatedAt)) {
+    return { action: 'send' };
+  }
+
+  if (entry.type === MUTATION_TYPES.DELETE) {
+    return {
+      action: 'conflict',
+      reason: 'It was changed on another device after you moved it to the trash.',
+      serverRecord,
+    };
+  }
+
+  // Edits elsewhere only clash if they touched a field this change sets as well
+  const fields = Object.keys(entry.changes).filter(field =>
+    !isSameValue(serverRecord[field], entry.base[field]) &&
+    !isSameValue(serverRecord[field], entry.changes[field])
+  );
+  if (fields.length === 0) {
+    return { action: 'send' };
+  }
+
+  return {
+    action: 'conflict',
+    reason: `Its ${fields.join(' and ')} changed on another device.`,
+    fields,
+    serverRecord,
+  };
+};
+
+const addConflict = (entry, { reason, fields = [], serverRecord = null }) => {
+  log.warn(`Change ${entry.id} (${entry.type} ${entry.recordType} ${entry.recordId}) not applied: ${reason}`);
+
+  const conflict = {
+    id: createIdempotencyKey(),
+    entry,
+    reason,
+    fields,
+    serverRecord,
+    createdAt: Date.now(),
+  };
+  return updateOutbox(state => ({ conflicts: [...state.conflicts, conflict] }));
+};
+
+const queueEntry = (entry) => updateOutbox(state => ({ entries: [...state.entries, entry] }));
+
+const removeEntry = (id) =>
+  updateOutbox(state => ({ entries: state.entries.filter(entry => entry.id !== id) }));
+
+const scheduleRetry = () => {
+  clearTimeout(retryTimeout);
+  retryTimeout = setTimeout(processOutbox, RETRY_DELAY);
+};
+
+/**
+ * Replay the saved changes in the order they were made
+ * Stops at the first one the server can't take right now. Safe to call at any time, a call
+ * made while replaying starts another pass once the current one is done.
+ */
+export const processOutbox = async () => {
+  if (!owner) return;
+  if (processing) {
+    processAgain = true;
+    return;
+  }
+  processing = true;
+  processAgain = false;
+  clearTimeout(retryTimeout);
+  retryTimeout = null;
+
+  let conflicted = false;
+  try {
+    await loadOutbox();
+    if (!(await isOnline())) return;
+
+    let entry;
+    while (owner && (entry = getEntries().find(candidate => candidate.owner === owner))) {
+      try {
+        const check = entry.deferred && !entry.force ? await checkEntry(entry) : { action: 'send' };
+
+        if (check.action === 'send') {
+          await sendEntry(entry);
+        } else if (check.action === 'conflict') {
+          await addConflict(entry, check);
+          conflicted = true;
+        }
+        await removeEntry(entry.id);
+      } catch (error) {
+        // The change is still valid, it waits for the server or for the user to log back in
+        if (isTemporaryError(error) || error instanceof UnauthorizedError) {
+          log.info('Server unavailable, changes wait in the outbox', error);
+          scheduleRetry();
+          break;
+        }
+
+        await addConflict(entry, { reason: getErrorMessage(error, 'The server rejected this change.') });
+        await removeEntry(entry.id);
+        conflicted = true;
+      }
+    }
+  } finally {
+    processing = false;
+    if (conflicted) {
+      revertLocalChanges();
+    }
+    if (processAgain) {
+      processOutbox();
+    }
+  }
+};
+
+/**
+ * Make a change to a folder or image, now if possible and otherwise once back online
+ * The change is shown in every cached list immediately. Errors other than a missing
+ * connection or a temporary server problem are thrown as usual, e.g. a ValidationError
+ * for an empty name.
+ * @param {object} mutation - { type, recordType: 'folder' | 'image', record, changes }
+ *   `changes` holds the new field values for updates and { is_favorite } for favorites
+ * @returns {Promise<object>} { queued, result }; `result` is the API response when sent right away
+ */
+export const submitMutation = async ({ type, recordType, record, changes = null }) => {
+  if (!owner) {
+    throw new Error('Log in before changing your library');
+  }
+  await loadOutbox();
+
+  const entry = {
+    id: createIdempotencyKey(),
+    owner,
+    type,
+    recordType,
+    recordId: record.id,
+    label: record.name || `${recordType} ${record.id}`,
+    changes,
+    base: changes ? pick(record, Object.keys(changes)) : null,
+    baseUpdatedAt: record.updated_at || null,
+    deferred: false,
+    force: false,
+    createdAt: Date.now(),
+  };
+
+  applyLocally(entry, record);
+
+  // Changes still waiting have to reach the server first
+  const hasWaiting = getEntries().some(candidate => candidate.owner === owner);
+  if (hasWaiting || !(await isOnline())) {
+    await queueEntry({ ...entry, deferred: true });
+    processOutbox();
+    return { queued: true, result: null };
+  }
+
+  try {
+    const result = await sendEntry(entry);
+    return { queued: false, result };
+  } catch (error) {
+    if (isTemporaryError(error)) {
+      await queueEntry({ ...entry, deferred: true });
+      scheduleRetry();
+      return { queued: true, result: null };
+    }
+
+    revertLocalChanges();
+    throw error;
+  }
+};
+
+/**
+ * Apply a conflicting change anyway, overwriting the server's version
+ * @param {string} conflictId - Conflict ID
+ */
+export const keepLocalChange = async (conflictId) => {
+  const conflict = useOutboxStore.getState().conflicts.find(item => item.id === conflictId);
+  if (!conflict) return;
+
+  const entry = { ...conflict.entry, owner, force: true };
+  await updateOutbox(state => ({
+    conflicts: state.conflicts.filter(item => item.id !== conflictId),
+    entries: [...state.entries, entry],
+  }));
+
+  applyLocally(entry, conflict.serverRecord);
+  processOutbox();
+};
+
+/**
+ * Drop a conflicting change and go with the server's version
+ * @param {string} conflictId - Conflict ID
+ */
+export const discardLocalChange = async (conflictId) => {
+  await updateOutbox(state => ({
+    conflicts: state.conflicts.filter(item => item.id !== conflictId),
+  }));
+  revertLocalChanges();
+};
+
+/**
+ * Start replaying the signed in user's changes, now and whenever the device comes online
+ * @param {object} user - Signed in user
+ * @returns {Function} Stops replaying, e.g. on logout; saved changes are kept
+ */
+export const startOutbox = (user) => {
+  stopOutbox();
+  owner = `${BASE_URL}#${user.id}`;
+  removeOnlineListener = addOnlineListener(processOutbox);
+  processOutbox();
+  return stopOutbox;
+};
+
+/**
+ * Stop replaying changes until startOutbox is called again
+ */
+export const stopOutbox = () => {
+  owner = null;
+  clearTimeout(retryTimeout);
+  retryTimeout = null;
+  if (removeOnlineListener) {
+    removeOnlineListener();
+    removeOnlineListener = null;
+  }
+};
+
+/**
+ * Check whether a change or conflict belongs to the signed in user
+ * @param {object} entry - Outbox entry
+ * @returns {boolean} Whether the current session owns it
+ */
+export const isOwnEntry = (entry) => entry.owner === owner;
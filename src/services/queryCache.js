@@ -0,0 +1,252 @@
+// File: src/services/queryCache.js
+// Shared cache for API reads. Screens asking for the same key share one request and one result.
+import { create } from 'zustand';
+import { isCancelledError } from './api/client';
+import { addCacheListener } from './api/httpCache';
+import { createLogger } from './logger';
+
+const log = createLogger('query');
+
+// How long a result counts as fresh; within this window focusing a screen doesn't refetch
+export const DEFAULT_STALE_TIME = 5000;
+
+/**
+ * Query state by key
+ * Each entry: { data, error, status: 'loading' | 'success' | 'error', isFetching, updatedAt, isStale }
+ */
+export const useQueryStore = create(() => ({ queries: {} }));
+
+// key -> { promise, controller } for the request currently running
+const inFlight = new Map();
+
+// key -> number of mounted screens using the query
+const subscribers = new Map();
+
+/**
+ * Build the cache key for a query
+ * @param {Array} parts - Resource name first, then parameters, e.g. ['folders', { sort }]
+ * @returns {string} Cache key
+ */
+export const getQueryKey = (parts) => JSON.stringify(parts);
+
+/**
+ * Get the resource name of a cache key, e.g. "folders"
+ * @param {string} key - Cache key
+ * @returns {string|null} First key part
+ */
+export const getResource = (key) => {
+  try {
+    return JSON.parse(key)[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+const updateQuery = (key, changes) => {
+  useQueryStore.setState(state => ({
+    queries: {
+      ...state.queries,
+      [key]: { ...state.queries[key], ...changes },
+    },
+  }));
+};
+
+/**
+ * Get the current state of a query outside of React
+ * @param {string} key - Cache key
+ * @returns {object|undefined} Query state
+ */
+export const getQueryState = (key) => useQueryStore.getState().queries[key];
+
+/**
+ * Check whether a query should be fetched again
+ * @param {string} key - Cache key
+ * @param {number} staleTime - Freshness window in ms
+ * @returns {boolean} Whether the cached result is missing or old
+ */
+export const isQueryStale = (key, staleTime = DEFAULT_STALE_TIME) => {
+  const query = getQueryState(key);
+  if (!query || query.status !== 'success' || query.isStale) return true;
+  return Date.now() - query.updatedAt > staleTime;
+};
+
+/**
+ * Run a query, joining the request that is already running for the same key
+ * Cancelled requests leave the previous result in place.
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Called with { signal }, resolves to the data
+ * @returns {Promise<*>} The data
+ */
+export const fetchQuery = (key, fetcher) => {
+  const running = inFlight.get(key);
+  if (running) {
+    return running.promise;
+  }
+
+  const request = { controller: new AbortController() };
+  const previous = getQueryState(key);
+  // clearQueries() may drop the request while it runs, its result must not come back
+  const isCurrent = () => inFlight.get(key) === request;
+
+  updateQuery(key, {
+    status: previous?.status === 'success' ? 'success' : 'loading',
+    isFetching: true,
+    error: null,
+  });
+
+  const promise = (async () => {
+    try {
+      const data = await fetcher({ signal: request.controller.signal });
+      if (!isCurrent()) return data;
+
+      updateQuery(key, {
+        data,
+        status: 'success',
+        isFetching: false,
+        error: null,
+        updatedAt: Date.now(),
+        isStale: false,
+      });
+      return data;
+    } catch (error) {
+      if (!isCurrent()) throw error;
+
+      if (isCancelledError(error)) {
+        updateQuery(key, { isFetching: false, status: previous?.status || 'loading' });
+      } else {
+        log.warn(`Query ${key} failed`, error);
+        updateQuery(key, { isFetching: false, status: 'error', error });
+      }
+      throw error;
+    } finally {
+      if (isCurrent()) {
+        inFlight.delete(key);
+      }
+    }
+  })();
+
+  request.promise = promise;
+  inFlight.set(key, request);
+  return promise;
+};
+
+/**
+ * Register a screen as a user of a query
+ * When the last user leaves, the running request is aborted.
+ * @param {string} key - Cache key
+ * @returns {Function} Call to unregister
+ */
+export const retainQuery = (key) => {
+  subscribers.set(key, (subscribers.get(key) || 0) + 1);
+
+  return () => {
+    const count = (subscribers.get(key) || 1) - 1;
+    if (count > 0) {
+      subscribers.set(key, count);
+      return;
+    }
+
+    subscribers.delete(key);
+    inFlight.get(key)?.controller.abort();
+  };
+};
+
+/**
+ * Replace or update the cached data of a query, e.g. after a mutation
+ * @param {string} key - Cache key
+ * @param {Function|*} updater - New data, or a function of the old data
+ */
+export const setQueryData = (key, updater) => {
+  const current = getQueryState(key);
+  if (typeof updater === 'function' && !current?.data) return;
+
+  const data = typeof updater === 'function' ? updater(current.data) : updater;
+  updateQuery(key, {
+    data,
+    status: 'success',
+    error: null,
+    updatedAt: current?.updatedAt || Date.now(),
+  });
+};
+
+/**
+ * Rewrite the cached data of every query, e.g. to show an offline change everywhere at once
+ * @param {Function} mapper - Called with (data, key); return the data unchanged to skip a query
+ */
+export const mapQueryData = (mapper) => {
+  useQueryStore.setState(state => {
+    let changed = false;
+    const queries = { ...state.queries };
+
+    Object.keys(queries).forEach(key => {
+      const query = queries[key];
+      if (query.data === undefined) return;
+
+      const data = mapper(query.data, key);
+      if (data !== query.data) {
+        queries[key] = { ...query, data };
+        changed = true;
+      }
+    });
+
+    return changed ? { queries } : state;
+  });
+};
+
+/**
+ * Put results saved by an earlier session back into the cache, e.g. from the offline library
+ * Restored results are shown right away and refetched the first time a screen uses them.
+ * Queries that already have a result are left alone, a request still running is kept.
+ * @param {object} entries - Cache key -> { data, updatedAt }
+ */
+export const hydrateQueries = (entries) => {
+  useQueryStore.setState(state => {
+    const queries = { ...state.queries };
+    Object.keys(entries).forEach(key => {
+      if (queries[key]?.data !== undefined) return;
+      queries[key] = {
+        error: null,
+        isFetching: false,
+        ...queries[key],
+        data: entries[key].data,
+        status: 'success',
+        updatedAt: entries[key].updatedAt,
+        isStale: true,
+      };
+    });
+    return { queries };
+  });
+};
+
+/**
+ * Mark queries as stale so they are fetched again the next time a screen shows them
+ * @param {string|Array<string>|null} resources - Resource names, e.g. "folders"; null for every query
+ */
+export const invalidateQueries = (resources = null) => {
+  const names = resources === null ? null : [].concat(resources);
+
+  useQueryStore.setState(state => {
+    const queries = { ...state.queries };
+    Object.keys(queries).forEach(key => {
+      if (!names || names.includes(getResource(key))) {
+        queries[key] = { ...queries[key], isStale: true };
+      }
+    });
+    return { queries };
+  });
+};
+
+/**
+ * Drop every cached result, e.g. on logout or when switching servers
+ */
+export const clearQueries = () => {
+  inFlight.forEach(({ controller }) => controller.abort());
+  inFlight.clear();
+  useQueryStore.setState({ queries: {} });
+};
+
+// Mutations and logouts seen by the HTTP cache apply to the query cache as well
+addCacheListener({
+  onInvalidate: invalidateQueries,
+  onClear: clearQueries,
+});
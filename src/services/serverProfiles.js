@@ -0,0 +1,106 @@
+// File: src/services/serverProfiles.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { MOCK_BASE_URL, isMockBaseUrl } from './api/mock';
+import { createLogger } from './logger';
+
+const log = createLogger('server');
+
+const PROFILES_KEY = 'serverProfiles';
+const ACTIVE_PROFILE_KEY = 'activeServerProfile';
+
+export const ENVIRONMENTS = ['local', 'staging', 'production', 'mock'];
+
+// Seeded on first launch; staging and production are filled in from the settings screen
+export const DEFAULT_PROFILES = [
+  { id: 'local', name: 'Local', environment: 'local', baseUrl: 'http://10.0.254.6:8000' },
+  { id: 'staging', name: 'Staging', environment: 'staging', baseUrl: '' },
+  { id: 'production', name: 'Production', environment: 'production', baseUrl: '' },
+  { id: 'mock', name: 'Mock (offline)', environment: 'mock', baseUrl: MOCK_BASE_URL },
+];
+
+const MOCK_PROFILE = DEFAULT_PROFILES.find(profile => profile.id === 'mock');
+
+/**
+ * Normalize a server address typed by the user
+ * Adds a protocol when missing and strips trailing slashes and a trailing /api.
+ * @param {string} url - Address such as "10.0.254.6:8000" or "https://api.example.com/"
+ * @returns {string} The normalized base URL, or an empty string
+ */
+export const normalizeBaseUrl = (url) => {
+  let value = (url || '').trim();
+  if (!value) return '';
+  if (isMockBaseUrl(value)) return value.replace(/\/+$/, '');
+
+  if (!/^https?:\/\//i.test(value)) {
+    value = `http://${value}`;
+  }
+
+  return value.replace(/\/+$/, '').replace(/\/api$/i, '');
+};
+
+/**
+ * Check that a base URL looks like a usable server address
+ * @param {string} url - Normalized base URL
+ * @returns {boolean} Whether the URL has a protocol and a host
+ */
+export const isValidBaseUrl = (url) =>
+  isMockBaseUrl(url) || /^https?:\/\/[^\s/?#]+(\/[^\s?#]*)?$/i.test(url || '');
+
+/**
+ * Load the saved server profiles, seeding the defaults on first launch
+ * @returns {Promise<Array>} List of server profiles
+ */
+export const loadServerProfiles = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(PROFILES_KEY);
+    if (stored) {
+      const profiles = JSON.parse(stored);
+      if (Array.isArray(profiles) && profiles.length > 0) {
+        // Installs from before the mock backend existed get its profile too
+        return profiles.some(profile => profile.id === MOCK_PROFILE.id)
+          ? profiles
+          : [...profiles, MOCK_PROFILE];
+      }
+    }
+  } catch (error) {
+    log.error('Error loading server profiles:', error);
+  }
+
+  return DEFAULT_PROFILES;
+};
+
+/**
+ * Persist the full list of server profiles
+ * @param {Array} profiles - List of server profiles
+ */
+export const saveServerProfiles = async (profiles) => {
+  await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+};
+
+/**
+ * Get the ID of the profile the app should connect to
+ * @returns {Promise<string>} Active profile ID
+ */
+export const loadActiveProfileId = async () => {
+  try {
+    const id = await AsyncStorage.getItem(ACTIVE_PROFILE_KEY);
+    return id || DEFAULT_PROFILES[0].id;
+  } catch (error) {
+    log.error('Error loading active server profile:', error);
+    return DEFAULT_PROFILES[0].id;
+  }
+};
+
+/**
+ * Remember which profile the app should connect to
+ * @param {string} profileId - Profile ID
+ */
+export const saveActiveProfileId = async (profileId) => {
+  await AsyncStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+};
+
+/**
+ * Generate an ID for a new profile
+ * @returns {string} Unique profile ID
+ */
+export const createProfileId = () => `profile-${Date.now().toString(36)}`;
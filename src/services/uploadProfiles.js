@@ -0,0 +1,194 @@
+// File: src/services/uploadProfiles.js
+// How captured photos are prepared before they are queued: the chosen profile sets the
+// largest dimension, the JPEG quality and whether PNG images (usually diagrams and
+// screenshots) stay PNG. The choice is kept on this device.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+import { create } from 'zustand';
+import { createLogger } from './logger';
+
+const log = createLogger('upload-profiles');
+
+const STORAGE_KEY = 'uploadProfile';
+
+/**
+ * Upload profiles; maxDimension null keeps the photo exactly as taken
+ */
+export const UPLOAD_PROFILES = [
+  {
+    id: 'data-saver',
+    label: 'Data Saver',
+    description: 'Up to 1024 px, smallest files',
+    maxDimension: 1024,
+    quality: 0.6,
+    keepPng: false,
+  },
+  {
+    id: 'balanced',
+    label: 'Balanced',
+    description: 'Up to 1600 px, diagrams stay PNG',
+    maxDimension: 1600,
+    quality: 0.75,
+    keepPng: true,
+  },
+  {
+    id: 'original',
+    label: 'Original',
+    description: 'Full resolution, the file as taken',
+    maxDimension: null,
+    quality: 1,
+    keepPng: true,
+  },
+];
+
+export const DEFAULT_UPLOAD_PROFILE = 'balanced';
+
+/**
+ * Get an upload profile by ID
+ * @param {string} id - Profile ID
+ * @returns {object} The profile; the default one for an unknown ID
+ */
+export const getUploadProfileById = (id) => (
+  UPLOAD_PROFILES.find(profile => profile.id === id)
+  || UPLOAD_PROFILES.find(profile => profile.id === DEFAULT_UPLOAD_PROFILE)
+);
+
+/**
+ * The chosen profile ID
+ */
+export const useUploadProfileStore = create(() => ({ profileId: DEFAULT_UPLOAD_PROFILE, loaded: false }));
+
+/**
+ * Load the profile chosen in an earlier session
+ */
+export const loadUploadProfile = async () => {
+  if (useUploadProfileStore.getState().loaded) return;
+
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    useUploadProfileStore.setState({ profileId: getUploadProfileById(stored).id, loaded: true });
+  } catch (error) {
+    log.error('Could not load the upload profile', error);
+    useUploadProfileStore.setState({ loaded: true });
+  }
+};
+
+/**
+ * Get the chosen upload profile
+ * @returns {object} Profile from UPLOAD_PROFILES
+ */
+export const getUploadProfile = () => getUploadProfileById(useUploadProfileStore.getState().profileId);
+
+/**
+ * React hook version of getUploadProfile, re-renders when the choice changes
+ * @returns {object} Profile from UPLOAD_PROFILES
+ */
+export const useUploadProfile = () => getUploadProfileById(useUploadProfileStore(state => state.profileId));
+
+/**
+ * Choose the profile new captures are prepared with
+ * @param {string} id - Profile ID
+ */
+export const setUploadProfile = async (id) => {
+  const profile = getUploadProfileById(id);
+  useUploadProfileStore.setState({ profileId: profile.id, loaded: true });
+
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, profile.id);
+  } catch (error) {
+    log.error('Could not save the upload profile', error);
+  }
+};
+
+/**
+ * Measure a local file
+ * @param {string} uri - Local file URI
+ * @returns {Promise<number|null>} Size in bytes, or null when it can't be read
+ */
+export const getFileSize = async (uri) => {
+  try {
+    const info = await FileSystem.getInfoAsync(uri, { size: true });
+    return info.exists && typeof info.size === 'number' ? info.size : null;
+  } catch (error) {
+    log.warn(`Could not measure ${uri}`, error);
+    return null;
+  }
+};
+
+const hasFormat = (asset, mimeType, extension) => (
+  asset.mimeType === mimeType
+  || extension.test(asset.fileName || '')
+  || extension.test(asset.uri.split('?')[0])
+);
+
+const isPng = (asset) => hasFormat(asset, 'image/png', /\.png$/i);
+
+const isJpeg = (asset) => hasFormat(asset, 'image/jpeg', /\.jpe?g$/i);
+
+// Dimensions that fit inside maxDimension, or null when the image already does
+const getResize = (width, height, maxDimension) => {
+  if (!maxDimension || !width || !height || Math.max(width, height) <= maxDimension) {
+    return null;
+  }
+  return width >= height
+    ? { width: maxDimension, height: Math.round((height * maxDimension) / width) }
+    : { width: Math.round((width * maxDimension) / height), height: maxDimension };
+};
+
+/**
+ * Prepare a picked or captured image for upload with a profile
+ * @param {object} asset - Image picker asset: { uri, width, height, fileSize, mimeType, fileName }
+ * @param {object} profile - Profile from UPLOAD_PROFILES
+ * @returns {Promise<object>} { uri, width, height, fileSize, originalSize, profile, format }; sizes
+ * in bytes, null when they couldn't be measured, profile the ID of the profile used and format
+ * "png", "jpeg" or null when a file kept as it is has another format
+ */
+export const prepareImageForUpload = async (asset, profile = getUploadProfile()) => {
+  const originalSize = (await getFileSize(asset.uri)) ?? asset.fileSize ?? null;
+  const original = {
+    uri: asset.uri,
+    width: asset.width,
+    height: asset.height,
+    fileSize: originalSize,
+    originalSize,
+    profile: profile.id,
+    format: isPng(asset) ? 'png' : isJpeg(asset) ? 'jpeg' : null,
+  };
+
+  if (!profile.maxDimension) {
+    return original;
+  }
+
+  const keepPng = isPng(asset) && profile.keepPng;
+  const resize = getResize(asset.width, asset.height, profile.maxDimension);
+  // Encoding a PNG again doesn't make it smaller
+  if (!resize && keepPng) {
+    return original;
+  }
+
+  const result = await ImageManipulator.manipulateAsync(
+    asset.uri,
+    resize ? [{ resize }] : [],
+    keepPng
+      ? { format: ImageManipulator.SaveFormat.PNG }
+      : { compress: profile.quality, format: ImageManipulator.SaveFormat.JPEG }
+  );
+  const fileSize = await getFileSize(result.uri);
+
+  // A JPEG that needed no resizing can come out larger when it is encoded again
+  if (!resize && isJpeg(asset) && fileSize !== null && originalSize !== null && fileSize >= originalSize) {
+    return original;
+  }
+
+  log.info(`Prepared image with ${profile.id}: ${originalSize} -> ${fileSize} bytes`);
+  return {
+    uri: result.uri,
+    width: result.width,
+    height: result.height,
+    fileSize,
+    originalSize,
+    profile: profile.id,
+    format: keepPng ? 'png' : 'jpeg',
+  };
+};
@@ -0,0 +1,442 @@
+// File: src/services/uploadQueue.js
+// Durable queue for captured images. Each capture is copied into the app's documents
+// directory and uploaded in the background, so a photo survives a failed upload, leaving
+// the screen and restarting the app. The queue drains whenever expo-network reports a connection,
+// a few uploads at a time. Large files are sent in chunks when the server supports it, and an
+// interrupted one continues where it stopped.
+import * as FileSystem from 'expo-file-system';
+import { create } from 'zustand';
+import * as imageApi from './api/images';
+import { BASE_URL, isCancelledError } from './api/client';
+import { ApiError, NetworkError, getErrorMessage } from './api/errors';
+import { createIdempotencyKey } from './api/retry';
+import { prepareImageFile } from './api/imageFormats';
+import { isOnline, addOnlineListener } from './network';
+import { createLogger } from './logger';
+
+const log = createLogger('uploads');
+
+const QUEUE_DIR = `${FileSystem.documentDirectory}uploads/`;
+const MANIFEST_PATH = `${QUEUE_DIR}queue.json`;
+
+export const UPLOAD_STATUS = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading',
+  FAILED: 'failed',
+  CANCELED: 'canceled', // Stopped by the user, waits for a retry
+  COMPLETED: 'completed',
+};
+
+// Attempts that reach the server before an upload is marked failed; being offline doesn't count
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY = 5000; // Delay before the first retry in ms, doubled on every attempt
+const MAX_DELAY = 5 * 60 * 1000;
+
+// Uploads sent at the same time; a batch from the gallery shouldn't saturate a phone connection
+// The pages of a document taken with the camera still go up one after another, see waitsForEarlierPage.
+const MAX_PARALLEL_UPLOADS = 3;
+
+// Completed uploads stay listed for a while so the user can see they went through
+const KEEP_COMPLETED = 20;
+
+/**
+ * Queued uploads, oldest first
+ * Each item: { id, owner, folderId, name, quality, fileUri, status, attempts, lastError,
+ *              nextAttemptAt, idempotencyKey, imageId, createdAt, completedAt, chunks,
+ *              batchId, batchIndex }
+ * batchId groups the pages of one capture, which are uploaded in batchIndex order.
+ * chunks is { received, count } once the server has acknowledged part of a chunked upload.
+ * progress maps the IDs of uploads in flight to the part sent so far (0-1); it isn't saved.
+ */
+export const useUploadQueueStore = create(() => ({ items: [], progress: {}, loaded: false }));
+
+// "<server>#<user id>" of the signed in user; only their uploads are sent
+let owner = null;
+let activeWorkers = 0;
+// Upload ID -> AbortController of the request in flight
+const controllers = new Map();
+let retryTimeout = null;
+let removeOnlineListener = null;
+let writeChain = Promise.resolve();
+
+const getItems = () => useUploadQueueStore.getState().items;
+
+const ensureQueueDir = async () => {
+  const info = await FileSystem.getInfoAsync(QUEUE_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(QUEUE_DIR, { intermediates: true });
+  }
+};
+
+// Writes are chained so an older snapshot can't overwrite a newer one
+const saveManifest = () => {
+  const items = getItems();
+  writeChain = writeChain
+    .then(() => FileSystem.writeAsStringAsync(MANIFEST_PATH, JSON.stringify(items)))
+    .catch(error => log.error('Could not save the upload queue', error));
+  return writeChain;
+};
+
+const setItems = (updater) => {
+  useUploadQueueStore.setState(state => ({ items: updater(state.items) }));
+  return saveManifest();
+};
+
+const updateItem = (id, changes) =>
+  setItems(items => items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+const setProgress = (id, value) => {
+  useUploadQueueStore.setState(state => {
+    const progress = { ...state.progress };
+    if (value === null) {
+      delete progress[id];
+    } else {
+      progress[id] = value;
+    }
+    return { progress };
+  });
+};
+
+const deleteFile = async (fileUri) => {
+  try {
+    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+  } catch (error) {
+    log.warn('Could not delete a queued file', error);
+  }
+};
+
+const getRetryDelay = (attempts) => Math.min(BASE_DELAY * 2 ** Math.max(0, attempts - 1), MAX_DELAY);
+
+/**
+ * Load the queue saved by an earlier session
+ * Uploads that were interrupted mid-request are sent again.
+ */
+export const loadUploadQueue = async () => {
+  if (useUploadQueueStore.getState().loaded) return;
+
+  try {
+    await ensureQueueDir();
+    const info = await FileSystem.getInfoAsync(MANIFEST_PATH);
+    const items = info.exists ? JSON.parse(await FileSystem.readAsStringAsync(MANIFEST_PATH)) : [];
+
+    useUploadQueueStore.setState({
+      loaded: true,
+      items: items.map(item => (
+        item.status === UPLOAD_STATUS.UPLOADING
+          ? { ...item, status: UPLOAD_STATUS.PENDING, nextAttemptAt: 0 }
+          : item
+      )),
+    });
+  } catch (error) {
+    log.error('Could not load the upload queue', error);
+    useUploadQueueStore.setState({ loaded: true });
+  }
+};
+
+/**
+ * Add a captured image to the queue and start sending it
+ * @param {object} image - Image with a local uri, e.g. from ImageManipulator
+ * @param {object} details - { folderId, name, quality, batchId, batchIndex }; quality is the photo
+ * check result, if any. Pages queued with the same batchId are uploaded in batchIndex order.
+ * @returns {Promise<object>} The queued item
+ * @throws {UnsupportedImageError} When the image isn't in a format that can be uploaded
+ */
+export const enqueueUpload = async (image, { folderId, name, quality = null, batchId = null, batchIndex = 0 }) => {
+  if (!owner) {
+    throw new Error('Log in before uploading images');
+  }
+
+  await loadUploadQueue();
+  await ensureQueueDir();
+
+  // Converted once here, so every attempt of a resumed upload sends the same bytes
+  const file = await prepareImageFile(image.uri);
+
+  const id = createIdempotencyKey();
+  const fileUri = `${QUEUE_DIR}${id}.${file.name.split('.').pop()}`;
+
+  // The picker's copy lives in the cache directory, which the OS may clear
+  await FileSystem.copyAsync({ from: file.uri, to: fileUri });
+
+  const item = {
+    id,
+    owner,
+    folderId,
+    name,
+    quality,
+    fileUri,
+    status: UPLOAD_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: 0,
+    idempotencyKey: id,
+    imageId: null,
+    createdAt: Date.now(),
+    completedAt: null,
+    chunks: null,
+    batchId,
+    batchIndex,
+  };
+
+  await setItems(items => [...items, item]);
+  log.info(`Queued upload ${id} for folder ${folderId}`);
+
+  processUploadQueue();
+  return item;
+};
+
+const uploadItem = async (item) => {
+  await updateItem(item.id, { status: UPLOAD_STATUS.UPLOADING });
+
+  const controller = new AbortController();
+  controllers.set(item.id, controller);
+
+  try {
+    // The same key on every attempt, so an upload that reached the server isn't stored twice,
+    // and a chunked upload continues with the chunks the server doesn't have yet
+    const image = await imageApi.uploadImageFile(item.fileUri, {
+      folder_id: item.folderId,
+      name: item.name,
+      // Multipart fields are strings, the scores travel as JSON
+      ...(item.quality ? { quality: JSON.stringify(item.quality) } : {}),
+    }, {
+      idempotencyKey: item.idempotencyKey,
+      signal: controller.signal,
+      onProgress: ({ progress }) => {
+        if (progress !== null) {
+          setProgress(item.id, progress);
+        }
+      },
+      onChunk: (received, count) => {
+        updateItem(item.id, { chunks: { received: received.length, count } });
+      },
+    });
+
+    // Cancelled while the response was on its way, cancelUpload removes the image again
+    if (controller.signal.aborted) return;
+
+    await deleteFile(item.fileUri);
+    await updateItem(item.id, {
+      status: UPLOAD_STATUS.COMPLETED,
+      lastError: null,
+      imageId: image.id,
+      completedAt: Date.now(),
+    });
+    log.info(`Upload ${item.id} finished as image ${image.id}`);
+  } catch (error) {
+    // cancelUpload has already updated the item
+    if (controller.signal.aborted) return;
+
+    // Aborted on logout, sent again with the next session
+    const interrupted = error instanceof NetworkError || isCancelledError(error);
+    const attempts = interrupted ? item.attempts : item.attempts + 1;
+    // Rejected uploads (too large, invalid folder) fail the same way every time
+    const giveUp = !interrupted &&
+      ((error instanceof ApiError && !error.isRetryable) || attempts >= MAX_ATTEMPTS);
+
+    log.warn(`Upload ${item.id} failed${giveUp ? '' : ', will retry'}`, error);
+
+    await updateItem(item.id, {
+      status: giveUp ? UPLOAD_STATUS.FAILED : UPLOAD_STATUS.PENDING,
+      attempts,
+      lastError: error.status === 413
+        ? 'The image is too large to upload.'
+        : getErrorMessage(error, 'Upload failed.'),
+      nextAttemptAt: giveUp ? null : Date.now() + getRetryDelay(Math.max(attempts, 1)),
+    });
+  } finally {
+    controllers.delete(item.id);
+    setProgress(item.id, null);
+  }
+};
+
+// The server orders images by when they arrive, so a page waits until the pages before it
+// in its batch are uploaded; failed and cancelled ones don't hold the rest back
+const waitsForEarlierPage = (candidate, items) => Boolean(candidate.batchId) && items.some(item =>
+  item.batchId === candidate.batchId &&
+  item.batchIndex < candidate.batchIndex &&
+  (item.status === UPLOAD_STATUS.PENDING || item.status === UPLOAD_STATUS.UPLOADING));
+
+const scheduleNextAttempt = () => {
+  clearTimeout(retryTimeout);
+  retryTimeout = null;
+
+  const items = getItems();
+  const waiting = items.filter(item =>
+    item.owner === owner &&
+    item.status === UPLOAD_STATUS.PENDING &&
+    !waitsForEarlierPage(item, items));
+  if (!owner || waiting.length === 0) return;
+
+  const next = Math.min(...waiting.map(item => item.nextAttemptAt || 0));
+  retryTimeout = setTimeout(processUploadQueue, Math.max(0, next - Date.now()));
+};
+
+const isDue = (candidate, index, items) =>
+  candidate.owner === owner &&
+  candidate.status === UPLOAD_STATUS.PENDING &&
+  (candidate.nextAttemptAt || 0) <= Date.now() &&
+  !waitsForEarlierPage(candidate, items);
+
+// Sends due uploads one after another until none is left
+// uploadItem marks its item as uploading before its first await, so workers never share an item.
+const runWorker = async () => {
+  activeWorkers += 1;
+  try {
+    let item;
+    // Re-read after every upload, items may have been added or discarded meanwhile
+    while (owner && (item = getItems().find(isDue))) {
+      await uploadItem(item);
+    }
+  } finally {
+    activeWorkers -= 1;
+    if (activeWorkers === 0) {
+      scheduleNextAttempt();
+    }
+  }
+};
+
+/**
+ * Send every queued upload that is due, up to MAX_PARALLEL_UPLOADS at a time
+ * Safe to call at any time; uploads added while the queue is draining join it.
+ */
+export const processUploadQueue = async () => {
+  if (!owner || activeWorkers >= MAX_PARALLEL_UPLOADS) return;
+
+  await loadUploadQueue();
+  if (!(await isOnline())) {
+    // The online listener starts the queue again
+    log.debug('Offline, uploads wait for a connection');
+    return;
+  }
+
+  const due = getItems().filter(isDue).length;
+  const workers = Math.min(due, MAX_PARALLEL_UPLOADS - activeWorkers);
+  if (workers === 0 && activeWorkers === 0) {
+    // Nothing due yet, wake up for the next retry
+    scheduleNextAttempt();
+    return;
+  }
+
+  for (let i = 0; i < workers; i += 1) {
+    runWorker();
+  }
+};
+
+/**
+ * Send a failed or cancelled upload again
+ * @param {string} id - Queue item ID
+ */
+export const retryUpload = async (id) => {
+  await updateItem(id, {
+    status: UPLOAD_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: 0,
+  });
+  processUploadQueue();
+};
+
+/**
+ * Stop an upload and keep its photo so it can be sent again with retryUpload
+ * An upload that may have reached the server is also removed there.
+ * @param {string} id - Queue item ID
+ * @returns {Promise<boolean>} False if the upload had already finished
+ */
+export const cancelUpload = async (id) => {
+  const item = getItems().find(candidate => candidate.id === id);
+  if (!item || item.status === UPLOAD_STATUS.COMPLETED) return false;
+
+  const controller = controllers.get(id);
+  controller?.abort();
+
+  await updateItem(id, {
+    status: UPLOAD_STATUS.CANCELED,
+    lastError: null,
+    nextAttemptAt: null,
+    // The server drops the chunks it has, a retry starts over
+    chunks: null,
+  });
+  log.info(`Upload ${id} cancelled`);
+
+  // Only an upload that was sent can have left something on the server
+  if (controller || item.attempts > 0 || item.chunks) {
+    try {
+      await imageApi.cancelUpload(item.idempotencyKey);
+    } catch (error) {
+      // A retry reuses the key, so the server still won't store the image twice
+      log.warn(`Could not cancel upload ${id} on the server`, error);
+    }
+  }
+  return true;
+};
+
+/**
+ * Remove an upload from the queue and delete its local copy
+ * An upload already on its way to the server still finishes.
+ * @param {string} id - Queue item ID
+ */
+export const discardUpload = async (id) => {
+  const item = getItems().find(candidate => candidate.id === id);
+  if (!item) return;
+
+  await setItems(items => items.filter(candidate => candidate.id !== id));
+  if (item.status !== UPLOAD_STATUS.COMPLETED) {
+    await deleteFile(item.fileUri);
+  }
+};
+
+/**
+ * Remove finished uploads from the list
+ */
+export const clearCompletedUploads = () =>
+  setItems(items => items.filter(item => item.status !== UPLOAD_STATUS.COMPLETED));
+
+const pruneCompleted = () => {
+  const completed = getItems()
+    .filter(item => item.status === UPLOAD_STATUS.COMPLETED)
+    .sort((a, b) => b.completedAt - a.completedAt);
+  if (completed.length <= KEEP_COMPLETED) return;
+
+  const expired = completed.slice(KEEP_COMPLETED).map(item => item.id);
+  setItems(items => items.filter(item => !expired.includes(item.id)));
+};
+
+/**
+ * Start sending the signed in user's uploads, now and whenever the device comes online
+ * @param {object} user - Signed in user
+ * @returns {Function} Stops the queue, e.g. on logout; queued uploads are kept
+ */
+export const startUploadQueue = (user) => {
+  stopUploadQueue();
+  owner = `${BASE_URL}#${user.id}`;
+
+  removeOnlineListener = addOnlineListener(processUploadQueue);
+
+  loadUploadQueue().then(() => {
+    pruneCompleted();
+    processUploadQueue();
+  });
+
+  return stopUploadQueue;
+};
+
+/**
+ * Stop sending uploads until startUploadQueue is called again
+ */
+export const stopUploadQueue = () => {
+  owner = null;
+  clearTimeout(retryTimeout);
+  retryTimeout = null;
+  if (removeOnlineListener) {
+    removeOnlineListener();
+    removeOnlineListener = null;
+  }
+};
+
+/**
+ * Check whether a queue item belongs to the signed in user
+ * @param {object} item - Queue item
+ * @returns {boolean} Whether the current session can send it
+ */
+export const isOwnUpload = (item) => item.owner === owner;